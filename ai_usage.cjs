@@ -0,0 +1,61 @@
+/**
+ * AI 用量報表 CLI：每 shard × key × 模型的呼叫數、延遲、429 類型、5xx、升級，以及今日剩餘配額預測
+ * （哪個 shard 會最先把哪一層用完）。
+ *
+ * 用法：
+ *   node ai_usage.cjs                        回看 7 個配額日＋今天
+ *   node ai_usage.cjs --days=14
+ *   node ai_usage.cjs --json                 輸出 JSON（給其他工具吃）
+ *
+ * 日上限：AI_DAILY_LIMITS（JSON，如 {"gemma-4-26b-a4b-it":1500,"GEMINI_API_KEY/gemini-3-flash-preview":20}）
+ * 明確設定優先；未設定的以「曾吃到 PerDay 429 那天的實際用量」估計（報表標「實測」）。
+ *
+ * 資料來源：public.ai_usage_daily（gh-plate-sync.cjs 每站結束寫入，見 lib/ai-usage.cjs）。
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { AI_USAGE_TABLE, AI_DAILY_LIMITS_ENV, parseDailyLimits, aggregateUsage, forecastQuota, formatUsageReport } = require('./lib/ai-usage.cjs');
+const { quotaPeriodDay } = require('./lib/quota-ledger.cjs');
+const { resolveOpenAIProviderConfig, buildCaptchaLadder } = require('./lib/captcha-providers.cjs');
+require('dotenv').config();
+
+const url = process.env.VITE_SUPABASE_URL;
+// 唯讀查詢：沒有 Service Role 也可用 Anon Key
+const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+
+const args = process.argv.slice(2);
+const argValue = (name) => (args.find(a => a.startsWith(`--${name}=`)) || '').split('=')[1] || null;
+const days = parseInt(argValue('days') || '7', 10);
+
+if (!Number.isInteger(days) || days < 0) {
+    console.error('用法：node ai_usage.cjs [--days=<回看天數>] [--json]');
+    process.exit(1);
+}
+if (!url || !key) {
+    console.error('Error: VITE_SUPABASE_URL or keys not found in .env');
+    process.exit(1);
+}
+
+async function main() {
+    const overrides = parseDailyLimits(process.env[AI_DAILY_LIMITS_ENV]);
+    const ladderModels = buildCaptchaLadder(resolveOpenAIProviderConfig(process.env)).map(t => t.model);
+    const now = new Date();
+    const since = quotaPeriodDay(new Date(now.getTime() - days * 24 * 60 * 60 * 1000));
+
+    const supabase = createClient(url, key);
+    const { data, error } = await supabase.from(AI_USAGE_TABLE).select('*').gte('quota_day', since);
+    if (error) {
+        console.error('Database Error:', error.message);
+        process.exit(1);
+    }
+
+    const usage = aggregateUsage(data);
+    const forecast = forecastQuota(data, { now, overrides, ladderModels });
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ usage, forecast }, null, 2));
+        return;
+    }
+    console.log(`📊 AI 用量（配額日 ${since} 起，${(data || []).length} 筆 session 紀錄）\n`);
+    console.log(formatUsageReport(usage, forecast));
+}
+
+main();
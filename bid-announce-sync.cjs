@@ -9,9 +9,18 @@ const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const dotenv = require('dotenv');
+const { createLogger } = require('./lib/logger.cjs');
+const { createCrawlerMetrics } = require('./lib/metrics.cjs');
 
 puppeteer.use(StealthPlugin());
 
+// 結構化 NDJSON log（logs/bid-announce_ALL_<日期>.ndjson，保留 7 天），終端機輸出不變。見 lib/logger.cjs。
+const logger = createLogger({ script: 'bid-announce', levelTags: false }).patchConsole();
+logger.setBase({ run_id: `run_${Date.now()}` });
+// 結束時寫 logs/bid-announce_ALL.prom（METRICS_TEXTFILE_DIR／METRICS_PORT 見 lib/metrics.cjs）。
+const metrics = createCrawlerMetrics({ script: 'bid-announce' });
+let runFailed = false;
+
 // --- Config ---
 const envPath = fs.existsSync('.env.development') ? '.env.development' : '.env';
 dotenv.config({ path: envPath });
@@ -283,6 +292,7 @@ async function run() {
       }
     }
 
+    metrics.records.inc({ stage: 'scraped' }, scrapedRecords.length);
     if (scrapedRecords.length > 0) {
       console.log(`📥 Upserting ${scrapedRecords.length} announcements to database...`);
       
@@ -296,6 +306,10 @@ async function run() {
 
         if (upsertErr) {
           console.error('[AnnounceSync] Upsert error in chunk:', upsertErr.message);
+          metrics.errors.inc({ kind: 'upsert' });
+          runFailed = true;
+        } else {
+          metrics.records.inc({ stage: 'upserted' }, chunk.length);
         }
       }
       console.log('✅ Announcements synced successfully.');
@@ -305,9 +319,12 @@ async function run() {
 
   } catch (err) {
     console.error('[AnnounceSync] Scrape failed:', err);
+    metrics.errors.inc({ kind: 'scrape' });
+    runFailed = true;
   } finally {
     await browser.close();
     console.log(`🏁 Finished. Total Runtime: ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+    metrics.finish(!runFailed);
   }
 }
 
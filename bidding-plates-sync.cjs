@@ -9,6 +9,8 @@ const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const dotenv = require('dotenv');
+const { createLogger } = require('./lib/logger.cjs');
+const { createCrawlerMetrics } = require('./lib/metrics.cjs');
 const { processPlateSubscriptions } = require('./lib/subscription-notify.cjs');
 const {
   groupActiveEvAnnouncements,
@@ -17,6 +19,12 @@ const {
 
 puppeteer.use(StealthPlugin());
 
+// 結構化 NDJSON log（logs/bidding-plates_ALL_<日期>.ndjson，保留 7 天），終端機輸出不變。見 lib/logger.cjs。
+const logger = createLogger({ script: 'bidding-plates', levelTags: false }).patchConsole();
+logger.setBase({ run_id: `run_${Date.now()}` });
+// 結束時寫 logs/bidding-plates_ALL.prom（METRICS_TEXTFILE_DIR／METRICS_PORT 見 lib/metrics.cjs）。
+const metrics = createCrawlerMetrics({ script: 'bidding-plates' });
+
 // --- Config ---
 const envPath = fs.existsSync('.env.development') ? '.env.development' : '.env';
 dotenv.config({ path: envPath });
@@ -553,6 +561,7 @@ async function run() {
         console.log(`⚠️ Removed ${allScrapedPlates.length - deduped.length} duplicate plate rows before upsert.`);
       }
       console.log(`📥 Upserting ${deduped.length} plates to public.bidding_plates...`);
+      metrics.records.inc({ stage: 'scraped' }, deduped.length);
 
       const chunkSize = 100;
       for (let i = 0; i < deduped.length; i += chunkSize) {
@@ -563,7 +572,10 @@ async function run() {
 
         if (upsertErr) {
           console.error('[BiddingPlatesSync] Upsert error in chunk:', upsertErr.message);
+          metrics.errors.inc({ kind: 'upsert' });
           hadUpsertError = true;
+        } else {
+          metrics.records.inc({ stage: 'upserted' }, chunk.length);
         }
       }
       
@@ -579,6 +591,7 @@ async function run() {
 
   } catch (err) {
     console.error('[BiddingPlatesSync] Crawler run failed:', err);
+    metrics.errors.inc({ kind: 'scrape' });
     hadUpsertError = true;
   } finally {
     await browser.close();
@@ -587,6 +600,7 @@ async function run() {
       console.error('[BiddingPlatesSync] Completed with data write errors; marking run as failed.');
       process.exitCode = 1;
     }
+    metrics.finish(!hadUpsertError);
   }
 }
 
@@ -0,0 +1,24 @@
+/**
+ * CAPTCHA 標註資料集彙整 CLI：各模型實戰準確率（MVDIS 接受／答錯）與截取率。
+ *
+ * 用法：
+ *   node captcha_dataset.cjs                 讀 CAPTCHA_DATASET_DIR（預設 captcha_dataset/）
+ *   node captcha_dataset.cjs path/to/dir
+ *   node captcha_dataset.cjs --json          輸出 JSON（給其他工具吃）
+ *
+ * 資料來源：gh-plate-sync.cjs 在設了 CAPTCHA_DATASET_DIR 時寫入的 index.ndjson（見 lib/captcha-dataset.cjs）。
+ */
+const { CAPTCHA_DATASET_ENV, readDatasetIndex, summarizeByModel, formatDatasetSummary } = require('./lib/captcha-dataset.cjs');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const dir = args.find(a => !a.startsWith('--')) || process.env[CAPTCHA_DATASET_ENV] || 'captcha_dataset';
+
+const records = readDatasetIndex(dir);
+const summary = summarizeByModel(records);
+if (args.includes('--json')) {
+    console.log(JSON.stringify(summary, null, 2));
+} else {
+    console.log(`📂 ${dir}：${records.length} 筆樣本\n`);
+    console.log(formatDatasetSummary(summary));
+}
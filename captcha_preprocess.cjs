@@ -0,0 +1,141 @@
+/**
+ * CAPTCHA 前處理 A/B 評估 CLI：資料集裡 MVDIS 接受過的樣本（標註正確），同一張圖以各前處理變體
+ * 送給各模型各答一次，比較一次答對率（lib/captcha-preprocess.cjs）。
+ *
+ * 用法：
+ *   node captcha_preprocess.cjs                     讀 CAPTCHA_DATASET_DIR（預設 captcha_dataset/），最新 20 筆樣本
+ *   node captcha_preprocess.cjs path/to/dir --variants="raw;upscale:3,threshold,denoise" --models=gemma-4-26b-a4b-it,gemma-4-31b-it
+ *   node captcha_preprocess.cjs --limit=100 --json
+ *   node captcha_preprocess.cjs --preview=out/      只把各變體處理後的 PNG 寫到 out/，不打 API
+ *
+ * 變體以分號分隔（變體內的步驟用逗號）；raw＝原 JPEG，為對照組。--models 預設 MODEL_LADDER 第一層；
+ * 與 OPENAI_CAPTCHA_MODEL 同名的模型走 OpenAI 相容端點，其餘走 Gemini（GEMINI_API_KEY）。
+ * 每筆樣本 × 變體 × 模型一次呼叫，照 provider 的 RPM 排隊、會吃日配額——先用小 --limit 試。
+ * 勝出的變體以 CAPTCHA_PREPROCESS 設給 gh-plate-sync.cjs。
+ */
+const fs = require('fs');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { CAPTCHA_DATASET_ENV, OUTCOME_ACCEPTED, readDatasetIndex, decodePgm } = require('./lib/captcha-dataset.cjs');
+const {
+    RAW_VARIANT,
+    DEFAULT_EVAL_VARIANTS,
+    parsePipeline,
+    applyPipeline,
+    encodePng,
+    preprocessCaptcha,
+    summarizePreprocessEval,
+    formatPreprocessEval,
+} = require('./lib/captcha-preprocess.cjs');
+const { MODEL_LADDER, resolveShardKeys } = require('./lib/ai-model-ladder.cjs');
+const { toCaptchaRequest, createGeminiProvider, createOpenAICompatibleProvider, resolveOpenAIProviderConfig } = require('./lib/captcha-providers.cjs');
+const { extractCaptchaCode } = require('./lib/captcha-parser.cjs');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+};
+const dir = args.find(a => !a.startsWith('--')) || process.env[CAPTCHA_DATASET_ENV] || 'captcha_dataset';
+const limit = Number(argValue('limit') ?? 20);
+const previewDir = argValue('preview');
+const models = (argValue('models') || MODEL_LADDER[0].model).split(',').map(m => m.trim()).filter(Boolean);
+
+if (!(Number.isInteger(limit) && limit > 0)) {
+    console.error('--limit 必須是正整數');
+    process.exit(1);
+}
+
+let variants;
+try {
+    const specs = argValue('variants') ? argValue('variants').split(';').map(v => v.trim()).filter(Boolean) : DEFAULT_EVAL_VARIANTS;
+    variants = specs.map(spec => {
+        const pipeline = parsePipeline(spec);
+        return { name: pipeline ? pipeline.variant : RAW_VARIANT, pipeline };
+    });
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+// 最新的樣本優先：MVDIS 換過字型／雜線時，舊樣本的結論不一定適用。
+const samples = [];
+for (const r of readDatasetIndex(dir).reverse()) {
+    if (samples.length >= limit) break;
+    if (r.outcome !== OUTCOME_ACCEPTED || !r.code || !r.bitmap || !r.image) continue;
+    try {
+        samples.push({
+            id: r.id,
+            label: r.code,
+            bitmap: decodePgm(fs.readFileSync(path.join(dir, r.bitmap))),
+            jpeg: fs.readFileSync(path.join(dir, r.image)).toString('base64'),
+        });
+    } catch (e) {
+        console.warn(`略過 ${r.id}：${e.message}`);
+    }
+}
+if (samples.length === 0) {
+    console.error(`${dir} 沒有可用樣本（需要 accepted 且有 JPEG 與 PGM 的樣本；以 CAPTCHA_DATASET_DIR 跑 gh-plate-sync.cjs 收集）。`);
+    process.exit(1);
+}
+
+const imageFor = (sample, variant) => (variant.pipeline
+    ? preprocessCaptcha(sample.bitmap, variant.pipeline)
+    : { data: sample.jpeg, mimeType: 'image/jpeg' });
+
+if (previewDir) {
+    fs.mkdirSync(previewDir, { recursive: true });
+    for (const sample of samples) {
+        for (const variant of variants.filter(v => v.pipeline)) {
+            const file = path.join(previewDir, `${sample.id}_${variant.name.replace(/[^a-z0-9]+/gi, '-')}.png`);
+            fs.writeFileSync(file, encodePng(applyPipeline(sample.bitmap, variant.pipeline)));
+        }
+    }
+    console.log(`🖼️  ${samples.length} 筆樣本 × ${variants.filter(v => v.pipeline).length} 個變體的預覽寫到 ${previewDir}`);
+    process.exit(0);
+}
+
+function providerFor(model) {
+    const openai = resolveOpenAIProviderConfig(process.env);
+    if (openai && openai.model === model) {
+        return { provider: createOpenAICompatibleProvider(openai), keyName: openai.keyName };
+    }
+    const keysByName = resolveShardKeys(null, process.env);
+    const rateLimitPerMin = parseInt(process.env.AI_RATE_LIMIT_PER_MIN, 10) || 12;
+    return { provider: createGeminiProvider({ keysByName, GoogleGenerativeAI, rateLimitPerMin }), keyName: keysByName.keys().next().value };
+}
+
+async function main() {
+    console.log(`📂 ${dir}：${samples.length} 筆樣本 × ${variants.length} 個變體 × ${models.length} 個模型 = ${samples.length * variants.length * models.length} 次呼叫`);
+    const results = [];
+    for (const model of models) {
+        const { provider, keyName } = providerFor(model);
+        for (const sample of samples) {
+            for (const variant of variants) {
+                const request = toCaptchaRequest(["Characters in image:", { inlineData: imageFor(sample, variant) }]);
+                let code = null;
+                let error = null;
+                try {
+                    await provider.limiter.wait();
+                    code = extractCaptchaCode((await provider.generate(request, { model, keyName })).trim());
+                } catch (e) {
+                    error = e.message;
+                    console.warn(`    ${model} / ${variant.name} / ${sample.id}：${e.message}`);
+                }
+                results.push({ model, variant: variant.name, label: sample.label, code, error });
+            }
+        }
+    }
+    const summary = summarizePreprocessEval(results, variants.map(v => v.name));
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        console.log('\n' + formatPreprocessEval(summary));
+    }
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
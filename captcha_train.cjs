@@ -0,0 +1,64 @@
+/**
+ * 本機 CAPTCHA solver（tier 0）樣板訓練 CLI。
+ *
+ * 用法：
+ *   node captcha_train.cjs                          讀 CAPTCHA_DATASET_DIR（預設 captcha_dataset/）
+ *   node captcha_train.cjs path/to/dir --out=models/captcha-templates.json
+ *   node captcha_train.cjs --holdout=0.2            保留集比例（只用來評估，最後仍以全部樣本訓練）
+ *
+ * 只用 outcome=accepted（MVDIS 接受＝標註正確）且有 PGM 的樣本（見 lib/captcha-dataset.cjs）。
+ * 先以訓練集訓練、在保留集印出各信心門檻的涵蓋率／準確率，再以全部樣本訓練寫出模型；
+ * gh-plate-sync.cjs 啟動時讀 CAPTCHA_LOCAL_MODEL（預設 models/captcha-templates.json）。
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CAPTCHA_DATASET_ENV, OUTCOME_ACCEPTED, readDatasetIndex, decodePgm } = require('./lib/captcha-dataset.cjs');
+const { DEFAULT_MODEL_PATH, trainTemplates, evaluateLocalModel } = require('./lib/captcha-local-solver.cjs');
+require('dotenv').config();
+
+const THRESHOLDS = [0, 0.1, 0.2, 0.3, 0.4, 0.5];
+
+const args = process.argv.slice(2);
+const argValue = (name) => (args.find(a => a.startsWith(`--${name}=`)) || '').split('=')[1] || null;
+const dir = args.find(a => !a.startsWith('--')) || process.env[CAPTCHA_DATASET_ENV] || 'captcha_dataset';
+const outFile = argValue('out') || DEFAULT_MODEL_PATH;
+const holdout = Number(argValue('holdout') ?? 0.2);
+
+if (!(holdout >= 0 && holdout < 1)) {
+    console.error('--holdout 必須介於 0 與 1 之間');
+    process.exit(1);
+}
+
+// 依樣本 id 決定分組：同一份資料集每次切法相同，增量補樣本也不會打亂既有分組。
+const inHoldout = (id) => crypto.createHash('sha1').update(id).digest().readUInt32BE(0) / 0x100000000 < holdout;
+const pct = (v) => (v === null ? '—' : `${(v * 100).toFixed(1)}%`);
+
+const samples = [];
+for (const r of readDatasetIndex(dir)) {
+    if (r.outcome !== OUTCOME_ACCEPTED || !r.bitmap || !r.code) continue;
+    try {
+        samples.push({ id: r.id, label: r.code, bitmap: decodePgm(fs.readFileSync(path.join(dir, r.bitmap))) });
+    } catch (e) {
+        console.warn(`略過 ${r.id}：${e.message}`);
+    }
+}
+if (samples.length === 0) {
+    console.error(`${dir} 沒有可用樣本（需要 accepted 且有 PGM 的樣本；以 CAPTCHA_DATASET_DIR 跑 gh-plate-sync.cjs 收集）。`);
+    process.exit(1);
+}
+
+const test = samples.filter(s => inHoldout(s.id));
+const train = samples.filter(s => !inHoldout(s.id));
+console.log(`📂 ${dir}：${samples.length} 筆可用樣本（訓練 ${train.length}／保留 ${test.length}）`);
+
+if (test.length > 0 && train.length > 0) {
+    const rows = evaluateLocalModel(trainTemplates(train), test, THRESHOLDS);
+    console.log('\n門檻\t涵蓋\t涵蓋率\t準確率');
+    for (const r of rows) console.log(`${r.threshold}\t${r.covered}/${r.total}\t${pct(r.coverage)}\t${pct(r.accuracy)}`);
+}
+
+const model = trainTemplates(samples);
+fs.mkdirSync(path.dirname(outFile), { recursive: true });
+fs.writeFileSync(outFile, JSON.stringify(model) + '\n');
+console.log(`\n✅ 寫出 ${outFile}：${model.samples} 樣本（略過 ${model.skipped}）、${Object.keys(model.templates).length} 個字元樣板`);
@@ -0,0 +1,72 @@
+/**
+ * 查詢失敗快照 CLI：彙整某一輪的失敗、離線重放解析與結果判定、把快照轉成回歸 fixture（lib/failure-snapshot.cjs）。
+ *
+ * 用法：
+ *   node failure_snapshots.cjs                          讀 FAILURE_SNAPSHOT_DIR（預設 failure_snapshots/）裡最新一輪
+ *   node failure_snapshots.cjs failure_snapshots/run_1760000000000
+ *   node failure_snapshots.cjs --replay                 以目前的 lib/plate-parser.cjs 與 lib/mvdis-outcome.cjs 重跑每份快照
+ *   node failure_snapshots.cjs --replay --id=<快照 id>[,<id>…] --json
+ *   node failure_snapshots.cjs --promote=<快照 id> [--name=mvdis-layout-2026-10]
+ *                                                       存成 test/fixtures/snapshots/<name>.html／.json（npm test 會逐一比對）
+ *
+ * 重放標 ⚠️ 的是重放結果與當時判定不同——解析或分型規則改過之後，用來確認修正命中了當時的頁面。
+ * promote 寫下的 expected 是「現在的程式」的輸出：解析有錯時先修 lib，再重新 promote（或手改 expected 成正確答案）。
+ * GitHub Actions 的快照在各 shard 的 failure-snapshots-<shard> artifact，下載解壓後指定目錄即可。
+ */
+const path = require('path');
+const {
+    FAILURE_SNAPSHOT_ENV,
+    resolveSnapshotRoot,
+    readSnapshotIndex,
+    resolveRunDir,
+    replayArchive,
+    formatReplay,
+    summarizeSnapshots,
+    promoteSnapshot,
+} = require('./lib/failure-snapshot.cjs');
+require('dotenv').config();
+
+const FIXTURE_DIR = path.join(__dirname, 'test', 'fixtures', 'snapshots');
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+};
+const root = args.find(a => !a.startsWith('--')) || resolveSnapshotRoot(process.env[FAILURE_SNAPSHOT_ENV]);
+const dir = root ? resolveRunDir(root) : null;
+if (!dir) {
+    console.error(`${root || '(FAILURE_SNAPSHOT_DIR=off)'} 沒有快照（需要含 index.ndjson 的 run 目錄）。`);
+    process.exit(1);
+}
+
+if (argValue('promote')) {
+    const id = argValue('promote');
+    try {
+        const out = promoteSnapshot(dir, id, FIXTURE_DIR, argValue('name') || id);
+        console.log(`🧪 ${id} → ${path.relative(process.cwd(), out.html)}、${path.relative(process.cwd(), out.json)}`);
+        console.log('   檢查 .json 的 expected 是否為正確答案後一併 commit，npm test 即會比對。');
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+} else if (args.includes('--replay')) {
+    const ids = argValue('id') ? argValue('id').split(',').map(s => s.trim()).filter(Boolean) : null;
+    const results = replayArchive(dir, { ids });
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(results.map(({ record, ...r }) => ({ id: record.id, ...r })), null, 2));
+    } else {
+        console.log(`📂 ${dir}：重放 ${results.length} 份快照（${results.filter(r => r.changed).length} 份與當時判定不同）\n`);
+        console.log(formatReplay(results));
+    }
+} else {
+    const records = readSnapshotIndex(dir);
+    const summary = summarizeSnapshots(records);
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        console.log(`📂 ${dir}：${records.length} 次失敗的嘗試\n`);
+        console.log('原因\t回應型別\t次數\t站');
+        for (const s of summary) console.log([s.reason, s.responseType || '—', s.count, s.stations.join(',')].join('\t'));
+    }
+}
@@ -11,14 +11,100 @@ const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const { createClient } = require('@supabase/supabase-js');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
-const path = require('path');
-const util = require('util');
 // 純解析邏輯抽到 lib，與回歸測試共用單一真理（test/plate-parser.test.cjs）
 const { extractPlates, parsePageInfoFromDoc } = require('./lib/plate-parser.cjs');
 // Gemini/Gemma 備援階梯純函式，與回歸測試共用單一真理（test/ai-model-ladder.test.cjs）
-const { MODEL_LADDER, EXHAUSTED, LadderState, classifyQuotaError, isServerError, QUOTA_PER_DAY, resolveShardKeys } = require('./lib/ai-model-ladder.cjs');
+const { EXHAUSTED, LadderState, resolveShardKeys } = require('./lib/ai-model-ladder.cjs');
+// CAPTCHA provider（Gemini／OpenAI 相容端點／本機 solver），階梯可跨 provider（test/captcha-providers.test.cjs）
+const {
+    PROVIDER_GEMINI,
+    PROVIDER_OPENAI,
+    ERROR_QUOTA_EXHAUSTED,
+    ERROR_RATE_LIMIT,
+    ERROR_SERVER,
+    toCaptchaRequest,
+    createGeminiProvider,
+    createOpenAICompatibleProvider,
+    resolveOpenAIProviderConfig,
+    buildCaptchaLadder,
+    createLocalProvider,
+} = require('./lib/captcha-providers.cjs');
 // CAPTCHA 回應嚴格 4 字元截取純函式，與回歸測試共用單一真理（test/captcha-parser.test.cjs）
 const { extractCaptchaCode } = require('./lib/captcha-parser.cjs');
+const { CAPTCHA_DATASET_ENV, createCaptchaDataset, classifyCaptchaOutcome, OUTCOME_REJECTED, OUTCOME_UNKNOWN } = require('./lib/captcha-dataset.cjs');
+// 查詢失敗快照（頁面 HTML／截圖／alert／表單選值，可離線重放；failure_snapshots.cjs）
+const {
+    FAILURE_SNAPSHOT_ENV,
+    REASON_RESPONSE,
+    REASON_FORM_RETRY,
+    REASON_FORM_UNREACHABLE,
+    REASON_EXCEPTION,
+    resolveSnapshotRoot,
+    createFailureArchive,
+} = require('./lib/failure-snapshot.cjs');
+const {
+    LOCAL_MODEL_ENV,
+    LOCAL_MIN_CONFIDENCE_ENV,
+    DEFAULT_MODEL_PATH,
+    loadLocalModel,
+    resolveMinConfidence,
+} = require('./lib/captcha-local-solver.cjs');
+// CAPTCHA 多數決（答錯率高的站才多問幾個模型），與回歸測試共用單一真理（test/captcha-consensus.test.cjs）
+const { CONSENSUS_MODE_OFF, CONSENSUS_MODE_AUTO, resolveConsensusConfig, tallyVotes, createConsensusController } = require('./lib/captcha-consensus.cjs');
+// 跨 shard 日配額帳本（某 shard 標死的共用 key 其他 shard 啟動即跳過），與回歸測試共用單一真理（test/quota-ledger.test.cjs）
+const { QUOTA_LEDGER_ENV, QUOTA_LEDGER_TABLE, resolveLedgerEnabled, keyFingerprint, buildLedgerRow, deadCombosFromLedger } = require('./lib/quota-ledger.cjs');
+// AI 用量記帳（每 key × model 的呼叫、延遲、429 類型、升級），報表見 ai_usage.cjs（test/ai-usage.test.cjs）
+const { AI_USAGE_TABLE, USAGE_OK, createUsageTracker } = require('./lib/ai-usage.cjs');
+// 模型階梯／退避／提示詞可由設定檔或 system_configs 覆寫（test/captcha-ai-config.test.cjs）
+const { CAPTCHA_AI_CONFIG_KEY, CAPTCHA_AI_CONFIG_FILE_ENV, DEFAULT_CAPTCHA_AI_CONFIG, resolveCaptchaAiConfig, serverBackoffMs } = require('./lib/captcha-ai-config.cjs');
+// CAPTCHA 送模型前的影像前處理（變體以 captcha_preprocess.cjs 對資料集 A/B），與回歸測試共用單一真理（test/captcha-preprocess.test.cjs）
+const { PREPROCESS_ENV, parsePipeline, preprocessCaptcha } = require('./lib/captcha-preprocess.cjs');
+// MVDIS 回應分類（驗證碼錯／逾時／忙碌／限流／停辦／施工）與各型別的重試政策（test/mvdis-outcome.test.cjs）
+const {
+    MVDIS_WRONG_CAPTCHA,
+    MVDIS_NO_RESPONSE,
+    MVDIS_BODY_MARKERS,
+    ACTION_ABORT_STATION,
+    ACTION_ABORT_RUN,
+    classifyMvdisResponse,
+    isMvdisSuccess,
+    decideMvdisAction,
+} = require('./lib/mvdis-outcome.cjs');
+// 不開 Chromium 的純 HTTP 查詢傳輸（cookie session＋jsdom），依 shard 選用（test/mvdis-http.test.cjs）
+const { TRANSPORT_ENV, TRANSPORT_BROWSER, TRANSPORT_HTTP, MvdisHttpError, MvdisHttpSession, resolveTransport, queryFormFields, parseMvdisHtml } = require('./lib/mvdis-http.cjs');
+// MVDIS 表單頁結構指紋 vs 必要元素／選項與存下的簽章：改版時以 LAYOUT_CHANGED 提早結束（test/mvdis-layout.test.cjs）
+const {
+    LAYOUT_CHANGED,
+    LAYOUT_SIGNATURE_ENV,
+    DEFAULT_SIGNATURE_PATH,
+    FORM_SELECTORS,
+    OPTION_SELECTORS,
+    fingerprintMvdisForm,
+    loadLayoutSignature,
+    requiredLayoutOptions,
+    compareLayout,
+    formatLayoutDrift,
+} = require('./lib/mvdis-layout.cjs');
+// 好號特徵與評分，與回歸測試共用單一真理（test/plate-vanity.test.cjs）
+const { vanityColumns } = require('./lib/plate-vanity.cjs');
+// 站點斷點續跑純邏輯，與回歸測試共用單一真理（test/station-checkpoint.test.cjs）
+const { CHECKPOINT_IN_PROGRESS, CHECKPOINT_DONE, CHECKPOINT_FAILED, resolveResumeRunId, indexCheckpoints, remainingQueryUnits, carriedPlateCount, buildCheckpointRow } = require('./lib/station-checkpoint.cjs');
+// 站點窗口 → 查詢單位（窗口 × 車牌類別）純邏輯，與回歸測試共用單一真理（test/station-windows.test.cjs）
+const { DEFAULT_WINDOW_ID, parseWindowOptions, configuredWindows, buildQueryPlan, formStateKey } = require('./lib/station-windows.cjs');
+// 查詢矩陣（車種 × 能源別 × 類別 × 版式）純邏輯，與回歸測試共用單一真理（test/query-matrix.test.cjs）
+const { resolveQueryMatrix, expandQueryMatrix, vehicleKey, describeCombo } = require('./lib/query-matrix.cjs');
+// shard 內並行站點的有界 worker pool，與回歸測試共用單一真理（test/worker-pool.test.cjs）
+const { resolveConcurrency, runWorkerPool } = require('./lib/worker-pool.cjs');
+// 現貨車牌上架／變價／下架歷史（與 trigger_swap.cjs 共用）
+const { preparePlateHistory, recordPlateHistory } = require('./lib/plate-history.cjs');
+// 共用結構化 logger（NDJSON＋終端機文字），與其他爬蟲共用（test/logger.test.cjs）
+const { createLogger } = require('./lib/logger.cjs');
+// Prometheus／OpenMetrics 匯出（textfile＋選配 /metrics），與其他爬蟲共用（test/metrics.test.cjs）
+const { createCrawlerMetrics } = require('./lib/metrics.cjs');
+// 部分 swap（失敗站沿用上一輪資料），與 trigger_swap.cjs 共用（test/partial-swap.test.cjs）
+const { SWAP_MODE_PARTIAL, SHARD_STATUS_PARTIAL, resolveSwapMode, failedStationIds, carryOverStations } = require('./lib/partial-swap.cjs');
+// staging 選用欄位（查詢維度／好號／last_verified_at）的 schema 偵測（test/staging-columns.test.cjs）
+const { ALL_STAGING_COLUMN_GROUPS, detectStagingColumns, stagingRow, assertQueryDimensionsWritable } = require('./lib/staging-columns.cjs');
 
 // --- Global Error Handlers ---
 process.on('unhandledRejection', (reason, p) => {
@@ -31,68 +117,34 @@ process.on('uncaughtException', (err) => {
 puppeteer.use(StealthPlugin());
 
 // --- Logging Setup ---
-const logDir = 'logs';
-if (!fs.existsSync(logDir)) fs.mkdirSync(logDir);
-
-// One log file per day per shard; auto-delete files older than 7 days
+// 結構化 NDJSON log（logs/plate-sync_<shard>_<日期>.ndjson，保留 7 天），終端機仍是人看的文字。
+// 既有 console.log/error 呼叫經 patchConsole 轉成事件；站、類別、嘗試次數、AI model/key 由脈絡帶入。
+// 並行 worker 時每行 log 前綴「[W序號 #站號]」，否則多站交錯的 log 無從分辨（見 runStationPool）。
+// error 沿用舊版寫 stdout（GitHub Actions log 依時間順序閱讀）。
 const shardSuffix = (process.argv.find(a => a.startsWith('--shard=')) || '').replace('--shard=', '') || 'ALL';
-const todayStr = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-const logFile = fs.createWriteStream(path.join(logDir, `crawler_${shardSuffix}_${todayStr}.log`), { flags: 'a' });
-try {
-    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
-    fs.readdirSync(logDir).forEach(f => {
-        if (!f.startsWith('crawler_')) return;
-        const fp = path.join(logDir, f);
-        if (fs.statSync(fp).mtimeMs < cutoff) fs.unlinkSync(fp);
-    });
-} catch {}
-const logStdout = process.stdout;
-
-console.log = function() {
-  const timestamp = new Date().toISOString();
-  const msg = util.format.apply(util, arguments) + '\n';
-  logFile.write(`[${timestamp}] ${msg}`);
-  logStdout.write(msg);
-};
-
-console.error = function() {
-  const timestamp = new Date().toISOString();
-  const msg = util.format.apply(util, arguments) + '\n';
-  logFile.write(`[${timestamp}] [ERROR] ${msg}`);
-  logStdout.write(`[ERROR] ${msg}`);
+const logger = createLogger({ script: 'plate-sync', shard: shardSuffix, stderr: process.stdout }).patchConsole();
+
+// --- Metrics ---
+// 結束時寫 logs/plate-sync_<shard>.prom（METRICS_TEXTFILE_DIR 可改到 node-exporter 的 textfile 目錄）；
+// 設 METRICS_PORT 時執行期間另提供 /metrics。見 lib/metrics.cjs。
+const crawlerMetrics = createCrawlerMetrics({ script: 'plate-sync', shard: shardSuffix });
+const metrics = {
+    stationDuration: crawlerMetrics.registry.histogram('plate_sync_station_duration_seconds', '單站處理秒數', undefined, ['station', 'status']),
+    stations: crawlerMetrics.registry.counter('plate_sync_stations_total', '處理完的站數（依結果）', ['status']),
+    navigationRetries: crawlerMetrics.registry.counter('plate_sync_navigation_retries_total', '查詢重試（重新導覽）次數', ['station']),
+    platesStaged: crawlerMetrics.registry.counter('plate_sync_plates_staged_total', '寫入 staging 的車牌數', ['station', 'plate_type']),
+    captchaAttempts: crawlerMetrics.registry.counter('plate_sync_captcha_attempts_total', 'CAPTCHA 辨識呼叫次數', ['provider', 'model']),
+    captchaSuccesses: crawlerMetrics.registry.counter('plate_sync_captcha_successes_total', 'CAPTCHA 辨識取得合格 4 字元的次數', ['provider', 'model']),
+    aiErrors: crawlerMetrics.registry.counter('plate_sync_ai_errors_total', 'AI API 錯誤（rate_limit＝分鐘級 429、quota_exhausted＝日配額、server_error＝5xx）', ['provider', 'model', 'key', 'kind']),
+    captchaConsensus: crawlerMetrics.registry.counter('plate_sync_captcha_consensus_total', 'CAPTCHA 多數決結果（agreed／disagreed／skipped_budget／skipped_voters）', ['result']),
+    mvdisResponses: crawlerMetrics.registry.counter('plate_sync_mvdis_responses_total', '送出查詢後的 MVDIS 回應型別（lib/mvdis-outcome.cjs）', ['type']),
+    transportFallbacks: crawlerMetrics.registry.counter('plate_sync_transport_fallbacks_total', 'HTTP 傳輸遇到頁面結構不符、改用 Puppeteer 的次數'),
 };
 
-// --- Rate Limiter ---
-class RateLimiter {
-    constructor(limit, interval) {
-        this.limit = limit;
-        this.interval = interval;
-        this.tokens = limit;
-        this.lastRefill = Date.now();
-    }
-
-    async wait() {
-        const now = Date.now();
-        if (now - this.lastRefill > this.interval) {
-            this.tokens = this.limit;
-            this.lastRefill = now;
-        }
-
-        if (this.tokens <= 0) {
-            const waitTime = this.interval - (now - this.lastRefill) + 1000;
-            console.log(`    [RateLimit] Quota exhausted. Waiting ${Math.ceil(waitTime/1000)}s...`);
-            await new Promise(r => setTimeout(r, waitTime));
-            this.tokens = this.limit;
-            this.lastRefill = Date.now();
-        }
-        this.tokens--;
-    }
-}
-
 // 2026-07-05：25 req/min 超過 Gemma 系列 RPM 上限 15，持續自撞 429。降至 12/min 留 buffer。
-// AI_RATE_LIMIT_PER_MIN 可覆蓋（測試/緊急調整用）。
+// AI_RATE_LIMIT_PER_MIN 可覆蓋（測試/緊急調整用）。只管 Gemini provider；OpenAI 相容端點
+// 用 OPENAI_CAPTCHA_RATE_LIMIT_PER_MIN（各 provider 各自一個 RateLimiter，見 lib/captcha-providers.cjs）。
 const AI_RATE_LIMIT_PER_MIN = parseInt(process.env.AI_RATE_LIMIT_PER_MIN, 10) || 12;
-const geminiLimiter = new RateLimiter(AI_RATE_LIMIT_PER_MIN, 60000);
 
 // --- Config ---
 const envPath = fs.existsSync('.env.development') ? '.env.development' : '.env';
@@ -102,30 +154,57 @@ const SUPABASE_URL = process.env.VITE_SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const PROXY_URL = process.env.PROXY_URL;
-const MODEL_NAME = MODEL_LADDER[0].model; // 僅供啟動 log 顯示用，實際模型由 AIManager 階梯狀態決定
+// OpenAI 相容端點（OPENAI_CAPTCHA_*）設了才加進階梯；半套設定直接啟動失敗。
+const OPENAI_CAPTCHA_CONFIG = resolveOpenAIProviderConfig(process.env);
+const CAPTCHA_LADDER = buildCaptchaLadder(OPENAI_CAPTCHA_CONFIG);
+// AI_QUOTA_LEDGER=1：日配額死亡寫進 Supabase 帳本、啟動時讀回（lib/quota-ledger.cjs）。預設關閉。
+const QUOTA_LEDGER_ENABLED = resolveLedgerEnabled(process.env[QUOTA_LEDGER_ENV]);
 
 if (!SUPABASE_URL || !SUPABASE_KEY || !GEMINI_API_KEY) {
     console.error("Missing required env vars.");
     process.exit(1);
 }
 
-const MVDIS_URL = 'https://www.mvdis.gov.tw/m3-emv-plate/webpickno/queryPickNo';
+// MVDIS_BASE_URL 可覆蓋監理服務網主機（端到端測試指向本機替身 test/support/mvdis-stand-in.cjs）；
+// 正式執行不設，永遠是真站。
+const MVDIS_BASE_URL = (process.env.MVDIS_BASE_URL || 'https://www.mvdis.gov.tw').replace(/\/+$/, '');
+const IS_MVDIS_OVERRIDDEN = !!process.env.MVDIS_BASE_URL;
+const MVDIS_URL = `${MVDIS_BASE_URL}/m3-emv-plate/webpickno/queryPickNo`;
 // 監理服務網首頁：施工/維護期間會顯示「今日施工中」公告頁。
 // 重點：首頁「不」封鎖非台灣 IP（只有選號功能頁 m3-emv-plate 才擋 IP），
 // 因此即使 WARP 出口跑到美國、選號頁全 timeout，仍可靠首頁判斷是否為官方施工。
-const MVDIS_HOME_URL = 'https://www.mvdis.gov.tw/';
+const MVDIS_HOME_URL = `${MVDIS_BASE_URL}/`;
 
 // Parse Arguments
 const args = process.argv.slice(2);
 const shardArg = args.find(arg => arg.startsWith('--shard='));
 const TARGET_SHARD = shardArg ? shardArg.split('=')[1] : null;
+// 續跑指定 run id（見 lib/station-checkpoint.cjs）。未指定時自動找同 shard 未收尾的 run。
+// 手動指定時每個 shard 要用不同 id——sync_logs 以 run_id 為主鍵，共用會互相覆寫。
+const runIdArg = args.find(arg => arg.startsWith('--run-id='));
+const REQUESTED_RUN_ID = (runIdArg ? runIdArg.split('=')[1] : process.env.PLATE_SYNC_RUN_ID) || null;
+const CHECKPOINT_SHARD = TARGET_SHARD ? TARGET_SHARD.toUpperCase() : 'ALL';
+// shard 內並行站點數（每個 worker 一個獨立 browser context），預設 1＝逐站。見 lib/worker-pool.cjs。
+const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
+const CONCURRENCY = resolveConcurrency(concurrencyArg ? concurrencyArg.split('=')[1] : process.env.PLATE_SYNC_CONCURRENCY);
+// 有站失敗時的處理：strict（預設）整輪不 swap；partial 失敗站沿用上一輪資料。見 lib/partial-swap.cjs。
+const SWAP_MODE = resolveSwapMode(process.env.PLATE_SWAP_MODE);
+// 查詢傳輸：browser（Puppeteer，預設）或 http（不開 Chromium），可逐 shard 指定。見 lib/mvdis-http.cjs。
+const transportArg = args.find(arg => arg.startsWith('--transport='));
+const TRANSPORT = resolveTransport(transportArg ? transportArg.slice('--transport='.length) : process.env[TRANSPORT_ENV], TARGET_SHARD);
+// Chromium 啟動參數與 HTTP 傳輸共用同一個 User-Agent，兩種傳輸在 MVDIS 看來是同一種瀏覽器。
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const ACCEPT_LANGUAGE = 'zh-TW,zh;q=0.9,en-US;q=0.8,en;q=0.7';
 
 // --- AI Manager (Failover Support) ---
 //
-// 狀態機純邏輯在 lib/ai-model-ladder.cjs 的 LadderState（可測）；此處只做 I/O（API 呼叫、
-// 退避 sleep、log、SDK 重建）。2026-07-05 三次修正，依三 shard 實戰 log：
+// 狀態機純邏輯在 lib/ai-model-ladder.cjs 的 LadderState（可測）；實際呼叫交給
+// lib/captcha-providers.cjs 的 provider（Gemini、OpenAI 相容端點），此處只做退避 sleep、log
+// 與錯誤分流。階梯每層標明 provider，以下語義跨 provider 一體適用。2026-07-05 三次修正，依三 shard 實戰 log：
 // - 階梯（sticky 只升不降）：gemma-4-26b-a4b-it(敗3) → gemma-4-31b-it(敗2)
 //   → gemini-3.1-flash-lite(敗2) → gemini-3-flash-preview(敗1) → EXHAUSTED。
+//   設了 OPENAI_CAPTCHA_BASE_URL 時 OpenAI 相容層接在最後（POSITION=first 則在最前），
+//   Gemini 全區故障或配額政策改動時仍有路可走。
 // - 連續失敗才升級：成功呼叫重置當前層失敗計數（v1 累計語義讓中區在多次成功之間
 //   累積零星 500 也升級到已死的 31B——已修）。
 // - key 協同：同一層先試 shard key（GEMINI_API_KEY_{SHARD}），該 (key, model) 被日配額
@@ -136,51 +215,102 @@ const TARGET_SHARD = shardArg ? shardArg.split('=')[1] : null;
 //   PerMinute 或無 PerDay 字樣 → 退避（RetryInfo.retryDelay 或 20s）同 combo 重試 1 次，
 //   成功不計數。
 // - 5xx → 退避 5-10 秒同 combo 重試 1 次，成功不計數，再失敗才計入升級門檻。
-// 狀態 per-instance/per-process：三個 shard 各自獨立，不共用不寫檔。
+// 以上模型、門檻與退避秒數皆為內建預設，可由 captcha_ai_config 覆寫（loadCaptchaAiConfig）。
+// 狀態 per-instance/per-process：三個 shard 各自獨立，不共用不寫檔。例外是 AI_QUOTA_LEDGER=1 時
+// 日配額死亡另記進跨 shard 帳本（loadQuotaLedger／recordQuotaDeath），只以 key 指紋比對，shard key 仍互不影響。
+// 同一 shard 內的並行 worker（runStationPool）共用這一個 instance：呼叫期間若別的
+// worker 已換 combo，這次的錯誤屬於舊 combo，不得拿來標死/計數新 combo（見 generateContent）。
 class AIManager {
-    constructor(shard) {
+    /**
+     * @param {string|null} shard
+     * @param {Record<string, object>} [providers] provider 名稱 → 階梯 provider（測試可注入）；
+     *   省略時依環境變數建立 Gemini（必有）與 OpenAI 相容端點（有設才有）
+     * @param {ReadonlyArray<object>} [ladder]
+     */
+    constructor(shard, providers = null, ladder = CAPTCHA_LADDER) {
         this.shard = shard;
+        // key 名稱 → 指紋（日配額帳本用）。注入 provider 時（測試）為空，帳本自然不作用。
+        this.keyFingerprints = new Map();
 
         // key 解析純函式（lib/ai-model-ladder.cjs 的 resolveShardKeys，與回歸測試共用
         // 單一真理）：shard 模式下缺該 shard 專屬 key 直接 throw，快速失敗、絕不
         // 靜默落回只用 DEFAULT key 硬跑（見 test/shard-key-resolve.test.cjs）。
-        try {
-            this.keysByName = resolveShardKeys(shard, process.env);
-        } catch (e) {
-            console.error(`[AI] Fatal: ${e.message}`);
-            process.exit(1);
+        if (!providers) {
+            let keysByName;
+            try {
+                keysByName = resolveShardKeys(shard, process.env);
+            } catch (e) {
+                console.error(`[AI] Fatal: ${e.message}`);
+                process.exit(1);
+            }
+            providers = {
+                [PROVIDER_GEMINI]: createGeminiProvider({ keysByName, GoogleGenerativeAI, rateLimitPerMin: AI_RATE_LIMIT_PER_MIN }),
+            };
+            for (const [keyName, apiKey] of keysByName) this.keyFingerprints.set(keyName, keyFingerprint(apiKey));
+            if (OPENAI_CAPTCHA_CONFIG) {
+                providers[PROVIDER_OPENAI] = createOpenAICompatibleProvider(OPENAI_CAPTCHA_CONFIG);
+                if (OPENAI_CAPTCHA_CONFIG.apiKey) this.keyFingerprints.set(OPENAI_CAPTCHA_CONFIG.keyName, keyFingerprint(OPENAI_CAPTCHA_CONFIG.apiKey));
+            }
         }
+        this.providers = providers;
+        // 用量記帳（lib/ai-usage.cjs）：每次 API 呼叫一筆，由 saveAiUsage() 寫進 ai_usage_daily。
+        this.usage = createUsageTracker({
+            sessionId: `${CHECKPOINT_SHARD}_${process.pid}_${Date.now()}`,
+            shard: CHECKPOINT_SHARD,
+            fingerprints: this.keyFingerprints,
+        });
 
-        this.ladder = new LadderState(Array.from(this.keysByName.keys()));
-        this.instance = null;
-        this.model = null;
+        this.config = DEFAULT_CAPTCHA_AI_CONFIG;
+        this.ladder = new LadderState(this.keyNamesByProvider(), ladder);
         this.init();
     }
 
-    // 「本次實際使用」的模型／key——所有 log 標籤讀這裡，不讀基礎常數 MODEL_NAME
+    keyNamesByProvider() {
+        const keyNames = {};
+        for (const [name, provider] of Object.entries(this.providers)) keyNames[name] = provider.keyNames;
+        return keyNames;
+    }
+
+    /**
+     * 套用 CAPTCHA AI 設定（lib/captcha-ai-config.cjs）。只在啟動、第一次呼叫前使用：階梯整條重建，
+     * 升級／死亡狀態不保留。階梯排了沒設定的 provider（例如 openai 層但沒設 OPENAI_CAPTCHA_*）時丟錯。
+     * @param {ReturnType<typeof resolveCaptchaAiConfig>} config
+     */
+    applyConfig(config) {
+        this.ladder = new LadderState(this.keyNamesByProvider(), buildCaptchaLadder(OPENAI_CAPTCHA_CONFIG, config.ladder));
+        for (const provider of Object.values(this.providers)) {
+            if (provider.configure) provider.configure({ systemInstruction: config.systemInstruction, generationConfig: config.generationConfig });
+        }
+        this.config = config;
+        this.init();
+    }
+
+    // 「本次實際使用」的模型／key——所有 log 標籤讀這裡，不讀階梯第一層的基礎模型
     // （v1 bug：solveCaptcha 標籤印基礎模型、實際打的是升級後模型，除錯被誤導）。
     get modelName() { return this.ladder.model; }
     get currentKeyName() { return this.ladder.keyName; }
+    get providerName() { return this.ladder.provider; }
+    get comboLabel() { return `${this.providerName}:${this.currentKeyName}/${this.modelName}`; }
 
     init() {
-        this.instance = new GoogleGenerativeAI(this.keysByName.get(this.currentKeyName));
-        this.model = this.instance.getGenerativeModel({
-            model: this.modelName,
-            // 2026-07-05：26B 實戰會把整段思考碎念吐進回應（例："M8L_ (Wait, let me
-            // look closer)... Let's try: MN8L.MN8L"）。補一句更直白的硬約束；
-            // 解析端另有 lib/captcha-parser.cjs 做嚴格截取兜底，兩層防禦。
-            systemInstruction: "You are a specialized CAPTCHA solver. Your ONLY task is to output the 4 characters found in the image. DO NOT explain. DO NOT use thinking process. DO NOT output anything except the 4 characters. 只輸出驗證碼的4個字元，禁止任何其他文字或解釋。",
-            // temperature:0 壓制隨機性、減少模型「碎碎念」的空間；maxOutputTokens 壓到
-            // 剛好夠放 4 字元的量（留一點餘裕給模型可能加的前綴），物理上斬斷長篇思考過程。
-            generationConfig: {
-                temperature: 0,
-                maxOutputTokens: 16,
-            },
-        });
-        console.log(`[AI] Initialized using: ${this.currentKeyName} / model: ${this.modelName}`);
+        console.log(`[AI] Initialized using: ${this.providerName} / ${this.currentKeyName} / model: ${this.modelName}`);
+    }
+
+    /**
+     * 套用別處（日配額帳本）得知的死亡 combo；目前 combo 也在其中就照 markCurrentComboDead 語義重選。
+     * @param {Array<{keyName: string, model: string}>} combos
+     */
+    adoptDeadCombos(combos) {
+        for (const { keyName, model } of combos) this.ladder.markComboDead(keyName, model);
+        if (this.ladder.isCurrentComboDead() && this.ladder.markCurrentComboDead() !== EXHAUSTED) this.init();
     }
 
+    /**
+     * 沿用 Gemini SDK 的呼叫與回傳形狀（payload＝[prompt, {inlineData}]、回傳 result.response.text()），
+     * 實際送往目前階梯層的 provider。
+     */
     async generateContent(payload) {
+        const request = toCaptchaRequest(payload);
         // 迴圈有界：日配額死亡矩陣單調成長（≤ keys×tiers 個組合）、分鐘級/5xx 退避
         // 各限重試 1 次（per-call 旗標）、一般失敗要嘛升級（≤ 層數次）要嘛 throw。
         let minuteRetried = false;
@@ -188,69 +318,142 @@ class AIManager {
         for (;;) {
             // EXHAUSTED 之後 ladder 仍指向最後一個（已死）combo：快速失敗，絕不再打已標死組合。
             if (this.ladder.isCurrentComboDead()) {
-                throw new Error(`[AI] 階梯耗盡：所有 (key, model) 組合本輪已標死（最後停在 ${this.currentKeyName}/${this.modelName}）`);
+                throw new Error(`[AI] 階梯耗盡：所有 (key, model) 組合本輪已標死（最後停在 ${this.comboLabel}）`);
             }
+            const callCombo = this.comboLabel;
+            const provider = this.providers[this.providerName];
+            const call = { provider: provider.name, keyName: this.currentKeyName, model: this.modelName };
+            let startedAt = Date.now();
             try {
-                const result = await this.model.generateContent(payload);
+                await provider.limiter.wait(); // 各 provider 各自的 RPM
+                startedAt = Date.now(); // 延遲不含限流排隊
+                const text = await provider.generate(request, { model: call.model, keyName: call.keyName });
+                this.usage.record({ ...call, kind: USAGE_OK, latencyMs: Date.now() - startedAt });
                 this.ladder.recordSuccess(); // 連續失敗語義：任何成功都重置當前層失敗計數
-                return result;
+                return { response: { text: () => text } };
             } catch (e) {
-                const quota = classifyQuotaError(e);
+                // 錯誤分類由 provider 決定（Gemini 看 quotaId、OpenAI 相容看 status/error.code），
+                // 之後的標死／退避／計數語義不分 provider。晚到的錯誤也是一次真實呼叫，照樣記帳。
+                const failure = provider.classifyError(e);
+                this.usage.record({ ...call, kind: failure.kind, quotaWindow: failure.quotaWindow, latencyMs: Date.now() - startedAt });
+                // 並行 worker：等待回應期間 combo 已被其他 worker 換掉 → 直接用新 combo 重試。
+                // 有界：combo 只會單調前進（≤ keys×tiers 次）。
+                if (this.comboLabel !== callCombo) {
+                    console.log(`🔀 [AI] ${callCombo} 的錯誤回應晚到（combo 已換成 ${this.comboLabel}），改用新 combo 重試。`);
+                    continue;
+                }
+                metrics.aiErrors.inc({ provider: provider.name, model: this.modelName, key: this.currentKeyName, kind: failure.kind });
 
-                // 日配額耗盡（quotaId 含 PerDay）→ 該 (key, model) 本輪標死、立即跳選。
+                // 日配額耗盡 → 該 (key, model) 本輪標死、立即跳選。
                 // RetryInfo.retryDelay 對日配額無意義，絕不退避重試。
-                if (quota.isQuotaError && quota.quotaWindow === QUOTA_PER_DAY) {
-                    const deadCombo = `${this.currentKeyName}/${this.modelName}`;
+                if (failure.kind === ERROR_QUOTA_EXHAUSTED) {
                     const prevTier = this.ladder.tierIndex;
                     const next = this.ladder.markCurrentComboDead();
-                    console.log(`💀 [AI] 日配額耗盡，標死 ${deadCombo}（本輪不再嘗試）`);
+                    console.log(`💀 [AI] 日配額耗盡，標死 ${callCombo}（本輪不再嘗試）`);
+                    await recordQuotaDeath(call);
                     if (next === EXHAUSTED) {
                         console.log('🛑 [AI] 所有 (key, model) 組合皆已標死，交回既有失敗處理。');
                         throw e;
                     }
                     const kind = next.tierIndex === prevTier ? '同層換 key' : '跳層';
-                    console.log(`🔀 [AI] ${kind} → ${this.currentKeyName}/${this.modelName}`);
+                    if (next.tierIndex !== prevTier) this.usage.recordEscalation(call);
+                    console.log(`🔀 [AI] ${kind} → ${this.comboLabel}`);
                     this.init();
                     continue;
                 }
 
-                // 分鐘級限流（PerMinute 或 429 但無 PerDay 字樣）→ 退避後同 combo 重試
-                // 1 次，成功不計入升級門檻；再失敗落入下方一般計數。
-                if (quota.isQuotaError && !minuteRetried) {
+                // 分鐘級限流 → 退避後同 combo 重試 1 次，成功不計入升級門檻；再失敗落入下方一般計數。
+                if (failure.kind === ERROR_RATE_LIMIT && !minuteRetried) {
                     minuteRetried = true;
-                    const waitMs = quota.retryAfterMs || 20000;
-                    console.log(`⏳ [AI] ${this.currentKeyName}/${this.modelName} 分鐘級限流，退避 ${Math.ceil(waitMs / 1000)}s 後同層重試（不計入升級門檻）...`);
+                    const waitMs = failure.retryAfterMs || this.config.backoff.rateLimitMs;
+                    console.log(`⏳ [AI] ${callCombo} 分鐘級限流，退避 ${Math.ceil(waitMs / 1000)}s 後同層重試（不計入升級門檻）...`);
                     await new Promise((resolve) => setTimeout(resolve, waitMs));
                     continue;
                 }
 
-                // 5xx 暫時性錯誤 → 退避 5-10 秒同 combo 重試 1 次；重試成功不計數
+                // 5xx 暫時性錯誤 → 退避（預設 5-10 秒）同 combo 重試 1 次；重試成功不計數
                 // （26B 間歇性 500 不該讓它被踢下主力層），再失敗落入下方一般計數。
-                if (isServerError(e) && !serverRetried) {
+                if (failure.kind === ERROR_SERVER && !serverRetried) {
                     serverRetried = true;
-                    const waitMs = 5000 + Math.floor(Math.random() * 5000); // 5-10 秒
-                    console.log(`⏳ [AI] ${this.currentKeyName}/${this.modelName} 5xx 暫時性錯誤，退避 ${Math.round(waitMs / 1000)}s 後同層重試 1 次（不計入升級門檻）...`);
+                    const waitMs = serverBackoffMs(this.config.backoff);
+                    console.log(`⏳ [AI] ${callCombo} 5xx 暫時性錯誤，退避 ${Math.round(waitMs / 1000)}s 後同層重試 1 次（不計入升級門檻）...`);
                     await new Promise((resolve) => setTimeout(resolve, waitMs));
                     continue;
                 }
 
-                // 一般 API 層失敗：連續失敗計數 +1，達門檻升級（自動跳過已標死 combo）。
-                const before = `${this.currentKeyName}/${this.modelName}`;
+                // 一般 API 層失敗：連續失敗計數 +1，達門檻升級（自動跳過已標死 combo，可跨 provider）。
                 const outcome = this.ladder.recordFailure();
                 if (!outcome.escalated) {
                     // 未達門檻（計數保留待下次）或已無層可升——丟回呼叫端既有失敗處理。
                     throw e;
                 }
-                console.log(`⚠️  [AI] ${before} 連續失敗達門檻，升級 → ${this.currentKeyName}/${this.modelName}`);
+                this.usage.recordEscalation(call);
+                console.log(`⚠️  [AI] ${callCombo} 連續失敗達門檻，升級 → ${this.comboLabel}`);
                 this.init();
                 continue;
             }
         }
     }
+
+    /**
+     * CAPTCHA 多數決的額外一票：對指定 combo（LadderState.alternateCombos 的元素）呼叫一次。
+     * 不退避、不重試、不計入升級門檻——投票失敗只算廢票，不該拖動主流程的階梯；
+     * 唯日配額耗盡照樣標死該 (key, model)，免得之後主流程或下一次投票再撞。
+     */
+    async generateWith(payload, combo) {
+        const provider = this.providers[combo.provider];
+        const call = { provider: provider.name, keyName: combo.keyName, model: combo.model };
+        let startedAt = Date.now();
+        try {
+            await provider.limiter.wait();
+            startedAt = Date.now();
+            const text = await provider.generate(toCaptchaRequest(payload), { model: combo.model, keyName: combo.keyName });
+            this.usage.record({ ...call, kind: USAGE_OK, latencyMs: Date.now() - startedAt });
+            return { response: { text: () => text } };
+        } catch (e) {
+            const failure = provider.classifyError(e);
+            this.usage.record({ ...call, kind: failure.kind, quotaWindow: failure.quotaWindow, latencyMs: Date.now() - startedAt });
+            metrics.aiErrors.inc({ provider: provider.name, model: combo.model, key: combo.keyName, kind: failure.kind });
+            if (failure.kind === ERROR_QUOTA_EXHAUSTED) {
+                console.log(`💀 [AI] 日配額耗盡，標死 ${combo.provider}:${combo.keyName}/${combo.model}（多數決徵詢時）`);
+                this.adoptDeadCombos([combo]);
+                await recordQuotaDeath(combo);
+            }
+            throw e;
+        }
+    }
 }
 
 // Multi-Key Sharding Setup
 const aiManager = new AIManager(TARGET_SHARD);
+// 每行 log 帶當下的 AI model/key（階梯會在執行中升級／換 key）。
+logger.addContextProvider(() => ({ ai_model: aiManager.modelName, ai_key: aiManager.currentKeyName }));
+// CAPTCHA 標註資料集：設了 CAPTCHA_DATASET_DIR 才啟用（lib/captcha-dataset.cjs），否則為 null。
+const captchaDataset = createCaptchaDataset(process.env[CAPTCHA_DATASET_ENV], { shard: shardSuffix });
+// MVDIS 表單簽章（mvdis_layout.cjs --record 重錄）：沒有檔案時改版偵測只查必要元素與選項值；檔案壞掉直接啟動失敗。
+const layoutSignature = loadLayoutSignature(process.env[LAYOUT_SIGNATURE_ENV] || DEFAULT_SIGNATURE_PATH);
+// 查詢失敗快照：預設寫 failure_snapshots/<run id>/，FAILURE_SNAPSHOT_DIR=off 關閉（lib/failure-snapshot.cjs）。
+const failureArchive = createFailureArchive(resolveSnapshotRoot(process.env[FAILURE_SNAPSHOT_ENV]), { shard: shardSuffix });
+// CAPTCHA tier 0：本機樣板 solver（lib/captcha-local-solver.cjs，模型由 captcha_train.cjs 訓練）。
+// 沒有模型檔就停用、全數走 AI 階梯；模型檔壞掉或門檻設錯直接啟動失敗。
+const LOCAL_SOLVER_NAME = 'local-templates';
+const localCaptchaModel = loadLocalModel(process.env[LOCAL_MODEL_ENV] || DEFAULT_MODEL_PATH);
+const LOCAL_CAPTCHA_MIN_CONFIDENCE = resolveMinConfidence(process.env[LOCAL_MIN_CONFIDENCE_ENV]);
+const localProvider = localCaptchaModel ? createLocalProvider({ model: localCaptchaModel, minConfidence: LOCAL_CAPTCHA_MIN_CONFIDENCE }) : null;
+if (localProvider) {
+    console.log(`[Local] CAPTCHA tier 0 啟用：${localCaptchaModel.samples} 樣本訓練、${Object.keys(localCaptchaModel.templates).length} 個字元樣板，信心門檻 ${LOCAL_CAPTCHA_MIN_CONFIDENCE}`);
+}
+// CAPTCHA 多數決（lib/captcha-consensus.cjs）：CAPTCHA_CONSENSUS_MODE 預設 off；設定錯誤直接啟動失敗。
+const captchaConsensus = createConsensusController(resolveConsensusConfig(process.env));
+if (captchaConsensus.config.mode !== CONSENSUS_MODE_OFF) {
+    const { mode, voters, budget, rejectRate, minSubmissions } = captchaConsensus.config;
+    console.log(`[Consensus] CAPTCHA 多數決 ${mode}：${voters} 票、預算 ${budget} 次額外呼叫` +
+        (mode === CONSENSUS_MODE_AUTO ? `，站內送出 ≥ ${minSubmissions} 次且答錯率 ≥ ${rejectRate} 才啟用` : ''));
+}
+
+// CAPTCHA 前處理（lib/captcha-preprocess.cjs）：CAPTCHA_PREPROCESS 預設不設＝送原 JPEG；寫錯直接啟動失敗。
+const captchaPreprocess = parsePipeline(process.env[PREPROCESS_ENV]);
+if (captchaPreprocess) console.log(`[Preprocess] CAPTCHA 送模型前處理：${captchaPreprocess.variant}`);
 
 // --- Clients ---
 let supabase = null;
@@ -274,8 +477,14 @@ function initSupabase() {
     return supabase;
 }
 
+// 測試注入假 client 用（test/plate-sync-e2e.test.cjs）；正式執行一律走 initSupabase()。
+function setSupabase(client) {
+    supabase = client;
+}
+
 // Global state for stations (populated later)
 let TARGET_DEPTS = {};
+let DEPT_CONFIGS = {}; // deptId → 監理所設定物件（query_matrix 等監理所層級預設）
 let totalStations = 0;
 
 async function loadStationData() {
@@ -327,6 +536,7 @@ async function loadStationData() {
         });
         if (stations.length > 0) {
             TARGET_DEPTS[dept.id] = stations;
+            DEPT_CONFIGS[dept.id] = dept;
             totalStations += stations.length;
         }
     });
@@ -359,6 +569,7 @@ class SyncStats {
         this.stationsFailed = 0;
         this.captchaAttempts = 0;
         this.captchaSuccess = 0;
+        this.captchaLocal = 0; // tier 0 本機 solver 直接採用的次數（不計入上面的 AI 次數）
         this.errors = [];
         this.stationDetails = []; // Store detailed stats per station
     }
@@ -371,6 +582,10 @@ class SyncStats {
 
     addStationStat(stat) {
         this.stationDetails.push(stat);
+        const station = String(stat.id);
+        metrics.stationDuration.observe({ station, status: stat.status }, Number(stat.duration_sec) || 0);
+        metrics.stations.inc({ status: stat.status });
+        if (stat.retries > 0) metrics.navigationRetries.inc({ station }, stat.retries);
     }
 
     async save() {
@@ -382,6 +597,10 @@ class SyncStats {
         console.log(`   - Stations: ${this.stationsSuccess} Success / ${this.stationsFailed} Failed`);
         const captchaRate = this.captchaAttempts > 0 ? Math.round(this.captchaSuccess/this.captchaAttempts*100) : 0;
         console.log(`   - CAPTCHA: ${this.captchaSuccess}/${this.captchaAttempts} (${captchaRate}%)`);
+        if (localProvider) console.log(`   - CAPTCHA 本機 tier 0 採用: ${this.captchaLocal}`);
+        if (captchaConsensus.config.mode !== CONSENSUS_MODE_OFF) {
+            console.log(`   - CAPTCHA 多數決額外呼叫: ${captchaConsensus.spent}/${captchaConsensus.config.budget}`);
+        }
         console.log(`   - Runtime: ${runtime.toFixed(2)}s`);
 
         const { error } = await supabase.from('sync_logs').upsert({
@@ -404,6 +623,7 @@ class SyncStats {
 }
 
 const stats = new SyncStats(`run_${Date.now()}`);
+logger.addContextProvider(() => ({ run_id: stats.runId }));
 
 // Stations known to be slow or high traffic, requiring slower interaction
 const HIGH_RISK_STATIONS = [
@@ -459,31 +679,146 @@ const humanType = async (page, selector, text) => {
 };
 
 async function solveCaptcha(page) {
-    await geminiLimiter.wait(); 
+    return (await solveCaptchaSample(browserCaptcha(page))).code;
+}
+
+async function screenshotCaptcha(page) {
+    const captchaEl = await page.$('#pickimg');
+    if (!captchaEl) throw new Error('CAPTCHA image not found');
+    return captchaEl.screenshot({
+        encoding: 'base64',
+        type: 'jpeg',
+        quality: 100,
+        omitBackground: true
+    });
+}
+
+/**
+ * 驗證碼來源：Puppeteer 為頁面上的 #pickimg（截圖＋canvas 像素），HTTP 傳輸為下載的原圖（沒有像素，
+ * 本機 solver 與前處理略過）。兩者都是用到才讀。
+ * @typedef {{image: () => Promise<{data: string, mimeType: string}>, bitmap: () => Promise<object|null>}} CaptchaSource
+ */
+
+/** @returns {CaptchaSource} */
+function browserCaptcha(page) {
+    return {
+        image: async () => ({ data: await screenshotCaptcha(page), mimeType: 'image/jpeg' }),
+        bitmap: () => readCaptchaBitmap(page),
+    };
+}
+
+/**
+ * 送模型的圖：設了 CAPTCHA_PREPROCESS 且讀得到像素時為前處理後的 PNG，否則為原圖（截圖 JPEG 或 HTTP 下載的圖）。
+ * @param {{data: string, mimeType: string}} shot
+ * @returns {{inlineData: {data: string, mimeType: string}, preprocess: string|undefined}}
+ */
+function captchaModelImage(shot, bitmap) {
+    if (captchaPreprocess && bitmap) return { inlineData: preprocessCaptcha(bitmap, captchaPreprocess), preprocess: captchaPreprocess.variant };
+    return { inlineData: { data: shot.data, mimeType: shot.mimeType }, preprocess: undefined };
+}
+
+// 資料集只收 JPEG（images/*.jpg）；HTTP 傳輸下載到別種格式的圖就不記。
+const datasetImage = (shot) => (shot && shot.mimeType === 'image/jpeg' ? shot.data : null);
+
+/**
+ * 從頁面 canvas 讀 #pickimg 的灰階像素（本機 solver、資料集 PGM 與前處理用）。讀不到（圖未載入、
+ * canvas 被污染）回 null，呼叫端直接走 AI 階梯。
+ * @returns {Promise<{width: number, height: number, gray: number[]}|null>}
+ */
+async function readCaptchaBitmap(page) {
+    try {
+        return await page.evaluate(() => {
+            const img = document.querySelector('#pickimg');
+            if (!img || !img.complete || !img.naturalWidth) return null;
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const gray = new Array(canvas.width * canvas.height);
+            for (let i = 0; i < gray.length; i++) {
+                gray[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+            }
+            return { width: canvas.width, height: canvas.height, gray };
+        });
+    } catch (e) {
+        console.log(`    [Local] 無法讀取驗證碼像素（${e.message}），略過本機辨識`);
+        return null;
+    }
+}
+
+/**
+ * 辨識一次驗證碼：先試 tier 0 本機 solver，信心達門檻即採用（不打 API、不佔 RPD）；
+ * 否則走 AI 階梯。啟用 CAPTCHA_DATASET_DIR 時另把截圖與結果記進資料集（lib/captcha-dataset.cjs），
+ * 回傳的 sampleId 供送出後以 captchaDataset.resolve() 補上 accepted／rejected。
+ * consensus 為 true 時再經多數決（voteOnCaptcha）；票數不過半回 code null，呼叫端換圖重來。
+ * @param {CaptchaSource} captcha
+ * @param {{station?: string, window?: string, plateType?: string, skipLocal?: boolean, consensus?: boolean}} [opts]
+ *   資料集樣本的脈絡欄位；skipLocal：本查詢單位的本機答案已被 MVDIS 打回，這次直接走 AI
+ * @returns {Promise<{code: string|null, sampleId: string|null, local: boolean}>}
+ */
+async function solveCaptchaSample(captcha, { skipLocal = false, consensus = false, ...where } = {}) {
+    const primary = await solveCaptchaPrimary(captcha, skipLocal, where);
+    if (!consensus || !primary.code) return { code: primary.code, sampleId: primary.sampleId, local: primary.local };
+    return voteOnCaptcha(captcha, primary, where);
+}
+
+/**
+ * solveCaptchaSample 的主要辨識。另回傳圖（bitmap、已讀的原圖）與答題的 combo，供多數決沿用同一張圖。
+ * @returns {Promise<{code: string|null, sampleId: string|null, local: boolean, bitmap: object|null,
+ *   shot: {data: string, mimeType: string}|null, combo: {provider: string, model: string, keyName: string}|null}>}
+ */
+async function solveCaptchaPrimary(captcha, skipLocal, where) {
+    const bitmap = localProvider || captchaDataset || captchaPreprocess ? await captcha.bitmap() : null;
+    if (localProvider && bitmap && !skipLocal) {
+        const local = localProvider.solve(bitmap);
+        metrics.captchaAttempts.inc({ provider: localProvider.name, model: LOCAL_SOLVER_NAME });
+        if (local.accepted) {
+            console.log(`    [Local] Predicted: ${local.code} (信心 ${local.confidence.toFixed(2)})`);
+            stats.captchaLocal++;
+            metrics.captchaSuccesses.inc({ provider: localProvider.name, model: LOCAL_SOLVER_NAME });
+            let sampleId = null;
+            let shot = null;
+            if (captchaDataset) {
+                try {
+                    shot = await captcha.image();
+                    sampleId = captchaDataset.capture({ imageBase64: shot.data, bitmap, model: LOCAL_SOLVER_NAME, key: null, code: local.code, confidence: local.confidence, ...where });
+                } catch (e) {
+                    console.error('    [Dataset] 截圖失敗:', e.message);
+                }
+            }
+            return { code: local.code, sampleId, local: true, bitmap, shot, combo: null };
+        }
+        console.log(`    [Local] 信心不足（${local.code || '切字失敗'}，${local.confidence.toFixed(2)} < ${LOCAL_CAPTCHA_MIN_CONFIDENCE}），交給 AI 階梯`);
+    }
+
+    // 限流在 aiManager.generateContent 內依當下 provider 各自的 RateLimiter 排隊。
     stats.captchaAttempts++;
     
-    // 標籤必印「本次實際呼叫的模型/key」（讀 aiManager 即時狀態），不可印基礎常數
-    // MODEL_NAME——v1 曾印基礎模型、實際打升級後模型，實戰除錯被誤導。
+    // 標籤必印「本次實際呼叫的模型/key」（讀 aiManager 即時狀態），不可印階梯第一層的
+    // 基礎模型——v1 曾印基礎模型、實際打升級後模型，實戰除錯被誤導。
     console.log(`    [AI] Solving CAPTCHA (${aiManager.modelName} @ ${aiManager.currentKeyName})...`);
+    // metrics 以「實際回應的 provider／模型」為 label：呼叫途中階梯可能升級，回來後再讀一次。
+    let provider = aiManager.providerName;
+    let model = aiManager.modelName;
+    let keyName = aiManager.currentKeyName;
+    let shot = null;
+    let image = null;
     try {
-        const captchaEl = await page.$('#pickimg');
-        if (!captchaEl) throw new Error('CAPTCHA image not found');
-
-        // Quality optimization: Double the scale for better OCR accuracy
-        const imageBuffer = await captchaEl.screenshot({ 
-            encoding: 'base64',
-            type: 'jpeg',
-            quality: 100,
-            omitBackground: true
-        });
+        shot = await captcha.image();
+        image = captchaModelImage(shot, bitmap);
 
         // Minimal prompt since systemInstruction handles the constraints
         const prompt = "Characters in image:";
         
         const result = await aiManager.generateContent([
             prompt,
-            { inlineData: { data: imageBuffer, mimeType: "image/jpeg" } }
+            { inlineData: image.inlineData }
         ]);
+        provider = aiManager.providerName;
+        model = aiManager.modelName;
+        keyName = aiManager.currentKeyName;
         const response = await result.response;
         const rawText = response.text().trim();
 
@@ -496,16 +831,109 @@ async function solveCaptcha(page) {
         if (text) {
             console.log(`    [AI] Predicted: ${text} (Raw: ${rawText.replace(/\n/g, ' ')})`);
             stats.captchaSuccess++;
+            metrics.captchaSuccesses.inc({ provider, model });
         } else {
             console.log(`    [AI] 本地解析失敗，抓不到合格 4 字元候選，拒絕提交 (Raw: ${rawText.replace(/\n/g, ' ')})`);
         }
-        return text;
+        const sampleId = captchaDataset && datasetImage(shot) ? captchaDataset.capture({ imageBase64: shot.data, bitmap, model, key: keyName, rawText, code: text, preprocess: image.preprocess, ...where }) : null;
+        return { code: text, sampleId, local: false, bitmap, shot, combo: { provider, model, keyName } };
     } catch (e) {
         console.error('    [AI] Error:', e.message);
-        return null;
+        if (captchaDataset && datasetImage(shot)) {
+            captchaDataset.capture({ imageBase64: shot.data, bitmap, model: aiManager.modelName, key: aiManager.currentKeyName, error: e.message, preprocess: image ? image.preprocess : undefined, ...where });
+        }
+        return { code: null, sampleId: null, local: false, bitmap, shot, combo: null };
+    } finally {
+        metrics.captchaAttempts.inc({ provider, model });
     }
 }
 
+/**
+ * CAPTCHA 多數決（lib/captcha-consensus.cjs）：主要答案之外，同一張圖再徵詢本機 solver（有把握才算票，
+ * 不花預算）與階梯上更高層的存活 combo（每次呼叫扣 1 單位預算），票數過半才採用。
+ * 模型一律 temperature 0，同一 combo 重問只會得到同一個答案，所以每票都是不同的 combo；
+ * 湊不到第二票或預算不夠就直接採用主要答案（與關閉多數決時相同）。
+ * @returns {Promise<{code: string|null, sampleId: string|null, local: boolean}>}
+ */
+async function voteOnCaptcha(captcha, primary, where) {
+    const { voters } = captchaConsensus.config;
+    const station = where.station;
+    const codes = [primary.code];
+    const labels = [primary.local ? LOCAL_SOLVER_NAME : `${primary.combo.provider}:${primary.combo.model}`];
+
+    if (!primary.local && localProvider && primary.bitmap) {
+        const local = localProvider.solve(primary.bitmap);
+        if (local.accepted) {
+            codes.push(local.code);
+            labels.push(LOCAL_SOLVER_NAME);
+        }
+    }
+
+    // 主要答案來自本機時，目前 combo 也還沒答過；其餘名額由更高層的存活 combo 補上。
+    const combos = [];
+    if (primary.local && !aiManager.ladder.isCurrentComboDead()) {
+        combos.push({ provider: aiManager.providerName, model: aiManager.modelName, keyName: aiManager.currentKeyName });
+    }
+    const open = Math.max(0, voters - codes.length);
+    combos.push(...aiManager.ladder.alternateCombos(open).filter((c) => !combos.some((o) => o.model === c.model && o.keyName === c.keyName)));
+    combos.splice(open);
+
+    if (codes.length + combos.length < 2) {
+        metrics.captchaConsensus.inc({ result: 'skipped_voters' });
+        return { code: primary.code, sampleId: primary.sampleId, local: primary.local };
+    }
+    if (combos.length > captchaConsensus.remaining) {
+        console.log(`    [Consensus] 預算不足（剩 ${captchaConsensus.remaining}，需 ${combos.length}），直接採用 ${primary.code}`);
+        metrics.captchaConsensus.inc({ result: 'skipped_budget' });
+        return { code: primary.code, sampleId: primary.sampleId, local: primary.local };
+    }
+
+    let shot = primary.shot;
+    for (const combo of combos) {
+        if (tallyVotes(codes, voters).agreed) break; // 已過半，剩下的票不必花
+        // 上面的預算檢查之後有 await：並行的其他 worker 可能已把預算用完，扣不到款就不投了。
+        if (!captchaConsensus.charge(1)) {
+            console.log(`    [Consensus] 預算已被其他站用完，直接採用 ${primary.code}`);
+            metrics.captchaConsensus.inc({ result: 'skipped_budget' });
+            return { code: primary.code, sampleId: primary.sampleId, local: primary.local };
+        }
+        stats.captchaAttempts++;
+        metrics.captchaAttempts.inc({ provider: combo.provider, model: combo.model });
+        labels.push(`${combo.provider}:${combo.model}`);
+        try {
+            if (!shot) shot = await captcha.image();
+            const result = await aiManager.generateWith([
+                "Characters in image:",
+                { inlineData: captchaModelImage(shot, primary.bitmap).inlineData }
+            ], combo);
+            const code = extractCaptchaCode(result.response.text().trim());
+            if (code) {
+                stats.captchaSuccess++;
+                metrics.captchaSuccesses.inc({ provider: combo.provider, model: combo.model });
+            }
+            codes.push(code);
+        } catch (e) {
+            console.error(`    [Consensus] ${combo.provider}:${combo.model} 徵詢失敗:`, e.message);
+            codes.push(null);
+        }
+    }
+
+    const vote = tallyVotes(codes, Math.min(voters, codes.length));
+    captchaConsensus.recordVote(station, vote.agreed);
+    metrics.captchaConsensus.inc({ result: vote.agreed ? 'agreed' : 'disagreed' });
+    const ballot = codes.map((c, i) => `${labels[i]}=${c || '∅'}`).join(', ');
+    if (!vote.agreed) {
+        console.log(`    [Consensus] 意見分歧（${ballot}），換一張圖重來`);
+        if (captchaDataset) captchaDataset.resolve(primary.sampleId, OUTCOME_UNKNOWN);
+        return { code: null, sampleId: null, local: primary.local };
+    }
+    console.log(`    [Consensus] 採用 ${vote.code}（${vote.tally[vote.code]}/${codes.length} 票；${ballot}）`);
+    if (vote.code === primary.code) return { code: primary.code, sampleId: primary.sampleId, local: primary.local };
+    // 主要答案被否決、沒送出：資料集樣本記 unknown（不算答錯）。
+    if (captchaDataset) captchaDataset.resolve(primary.sampleId, OUTCOME_UNKNOWN);
+    return { code: vote.code, sampleId: null, local: false };
+}
+
 async function doSubmit(page) {
     const buttonData = await page.evaluate(() => {
         const selectors = [
@@ -543,6 +971,71 @@ async function doSubmit(page) {
     return "NOT_FOUND";
 }
 
+// 送出後等回應的總期限（涵蓋 POST、結果文件載入與字樣出現）；沿用舊輪詢的 15 × 2 秒。
+const QUERY_RESPONSE_TIMEOUT_MS = 30000;
+
+/**
+ * 送出查詢並等 MVDIS 回應，全程共用一個期限：
+ *   1. 表單 POST 的導航回應（取 HTTP 狀態）與新文件 domcontentloaded；
+ *   2. 新文件上出現 .number_cell／結果標題或 MVDIS_BODY_MARKERS 字樣（waitForFunction，DOM 變動即重判）；
+ *   任一階段跳出 alert（前端檢查或伺服器回傳的 alert）即停止等待。
+ * 各階段的等待都是 puppeteer 綁在導航上的事件，不再自己輪詢 page.evaluate、接 context destroyed。
+ * 期限內沒有可判定狀態為 MVDIS_NO_RESPONSE。
+ * @returns {Promise<{responseType: string, alertMsg: string|null}>}
+ */
+async function submitAndAwaitResponse(page, timeoutMs = QUERY_RESPONSE_TIMEOUT_MS) {
+    const deadline = Date.now() + timeoutMs;
+    const remaining = () => Math.max(1, deadline - Date.now());
+    let alertMsg = null;
+    let onDialog;
+    const alerted = new Promise((resolve) => {
+        onDialog = async (d) => {
+            alertMsg = d.message();
+            resolve();
+            await d.dismiss().catch(() => {});
+        };
+    });
+    page.on('dialog', onDialog);
+    try {
+        const posted = page.waitForResponse(
+            (res) => res.request().method() === 'POST' && res.request().isNavigationRequest(),
+            { timeout: remaining() },
+        ).catch(() => null);
+        const navigated = page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: remaining() }).catch(() => null);
+
+        const trigger = await doSubmit(page);
+        console.log(`    [Form] Submit triggered (${trigger}), waiting for results...`);
+
+        const [response] = await Promise.race([Promise.all([posted, navigated]), alerted.then(() => [null])]);
+        const httpStatus = response ? response.status() : null;
+        if (!alertMsg && !(httpStatus >= 500 || httpStatus === 429)) {
+            await Promise.race([
+                page.waitForFunction((markers) => {
+                    const h1 = document.querySelector('h1')?.innerText || '';
+                    const body = document.body?.innerText || '';
+                    return h1.includes('--') || document.querySelector('.number_cell') !== null || markers.some(t => body.includes(t));
+                }, { polling: 'mutation', timeout: remaining() }, MVDIS_BODY_MARKERS),
+                alerted,
+            ]).catch(() => {});
+        }
+
+        let state = null;
+        if (!alertMsg) {
+            state = await page.evaluate(() => ({
+                isResult: (document.querySelector('h1')?.innerText || '').includes('--') || document.querySelector('.number_cell') !== null,
+                body: document.body?.innerText || '',
+            })).catch((e) => {
+                console.log(`    [Wait] 讀取結果頁失敗（${e.message}），本次視為沒有回應`);
+                return null;
+            });
+        }
+        const responseType = classifyMvdisResponse({ alert: alertMsg, httpStatus, ...state }) || MVDIS_NO_RESPONSE;
+        return { responseType, alertMsg, httpStatus };
+    } finally {
+        page.off('dialog', onDialog);
+    }
+}
+
 async function parsePageInfo(page) {
     // 解析邏輯見 lib/plate-parser.cjs（與回歸測試共用，page.evaluate 序列化後在 browser 執行）
     return page.evaluate(parsePageInfoFromDoc);
@@ -556,14 +1049,186 @@ async function clearStaging() {
     if (error) console.error('    [DB] Clear Staging Error:', error.message);
 }
 
-async function reportStatus(status, message = null, key = 'plates_full_sync') {
+// --- Staging Columns ---
+// 開跑前探一次 staging 有哪些選用欄位；migration 還沒套的欄位組本輪不寫（lib/staging-columns.cjs）。
+// 沒探過（測試直接呼叫 processStation）視為全部都在。
+let stagingColumns = ALL_STAGING_COLUMN_GROUPS;
+
+async function loadStagingColumns() {
+    const { available, missing } = await detectStagingColumns(columns =>
+        supabase.from('available_plates_staging').select(columns.join(',')).limit(1));
+    stagingColumns = available;
+    for (const m of missing) {
+        console.warn(`⚠️  [Schema] available_plates_staging 沒有 ${m.columns.join('、')}：本輪不寫這些欄位（套用 supabase/migrations-draft/${m.migration} 後恢復）。`);
+    }
+    if (SWAP_MODE === SWAP_MODE_PARTIAL && !available.includes('last_verified')) {
+        console.warn('⚠️  [Schema] PLATE_SWAP_MODE=partial 但 staging 沒有 last_verified_at：沿用的舊資料無法與新爬的列區分。');
+    }
+}
+
+// --- Station Checkpoints ---
+// 讀寫失敗一律只 log、不中斷：checkpoint 壞掉頂多退回「整輪重跑」的舊行為，不該拖垮同步本身。
+
+async function resolveRunId() {
+    if (REQUESTED_RUN_ID) return REQUESTED_RUN_ID;
+    const { data, error } = await supabase
+        .from('plate_sync_checkpoints')
+        .select('run_id, updated_at')
+        .eq('shard', CHECKPOINT_SHARD);
+    if (error) {
+        console.error('    [Checkpoint] Lookup Error:', error.message);
+        return null;
+    }
+    return resolveResumeRunId(data, Date.now());
+}
+
+async function loadCheckpoints(runId) {
+    const { data, error } = await supabase
+        .from('plate_sync_checkpoints')
+        .select('*')
+        .eq('run_id', runId);
+    if (error) {
+        console.error('    [Checkpoint] Load Error:', error.message);
+        return new Map();
+    }
+    return indexCheckpoints(data);
+}
+
+async function saveCheckpoint(deptId, station, completedUnits, stagedCounts, status) {
+    const row = buildCheckpointRow({
+        runId: stats.runId,
+        shard: CHECKPOINT_SHARD,
+        deptId,
+        stationId: station.id,
+        completedUnits,
+        stagedCounts,
+        status,
+    });
+    try {
+        const { error } = await supabase.from('plate_sync_checkpoints').upsert(row, { onConflict: 'run_id,station_id' });
+        if (error) console.error('    [Checkpoint] Save Error:', error.message);
+    } catch (e) {
+        console.error('    [Checkpoint] Save Exception:', e.message);
+    }
+}
+
+async function clearCheckpoints(runId) {
+    const { error } = await supabase.from('plate_sync_checkpoints').delete().eq('run_id', runId);
+    if (error) console.error('    [Checkpoint] Clear Error:', error.message);
+}
+
+// --- Captcha AI Config ---
+// 模型階梯／退避／提示詞（lib/captcha-ai-config.cjs）。設定內容不合法直接結束；讀 system_configs
+// 失敗（網路）則 log 後沿用內建預設——設定只是調校，不值得為它整輪不跑。
+
+async function loadCaptchaAiConfig() {
+    const file = process.env[CAPTCHA_AI_CONFIG_FILE_ENV];
+    let raw = null;
+    let source = null;
+    if (file) {
+        try {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+            source = file;
+        } catch (e) {
+            console.error(`[AI] Fatal: 無法讀取 ${CAPTCHA_AI_CONFIG_FILE_ENV}=${file}: ${e.message}`);
+            process.exit(1);
+        }
+    } else {
+        try {
+            const { data, error } = await supabase
+                .from('system_configs')
+                .select('value')
+                .eq('key', CAPTCHA_AI_CONFIG_KEY)
+                .maybeSingle();
+            if (error) {
+                console.error(`    [AIConfig] Load Error（沿用內建預設）: ${error.message}`);
+                return;
+            }
+            if (data) {
+                raw = data.value;
+                source = `system_configs.${CAPTCHA_AI_CONFIG_KEY}`;
+            }
+        } catch (e) {
+            console.error(`    [AIConfig] Load Exception（沿用內建預設）: ${e.message}`);
+            return;
+        }
+    }
+    if (!source) return;
+    try {
+        aiManager.applyConfig(resolveCaptchaAiConfig(raw));
+    } catch (e) {
+        console.error(`[AI] Fatal: ${source} 設定不合法: ${e.message}`);
+        process.exit(1);
+    }
+    console.log(`⚙️  [AI] 套用 ${source}：${aiManager.ladder.ladder.map(t => `${t.provider}:${t.model}(敗${t.failuresToEscalate})`).join(' → ')}`);
+}
+
+// --- Shared Quota Ledger ---
+// AI_QUOTA_LEDGER=1 才讀寫（lib/quota-ledger.cjs）。同 checkpoint：失敗只 log，頂多退回各 shard 自己撞 429 的舊行為。
+
+async function loadQuotaLedger() {
+    if (!QUOTA_LEDGER_ENABLED || aiManager.keyFingerprints.size === 0) return;
+    const now = new Date();
+    try {
+        const { data, error } = await supabase
+            .from(QUOTA_LEDGER_TABLE)
+            .select('key_fingerprint, model, expires_at')
+            .in('key_fingerprint', [...new Set(aiManager.keyFingerprints.values())])
+            .gt('expires_at', now.toISOString());
+        if (error) {
+            console.error('    [QuotaLedger] Load Error:', error.message);
+            return;
+        }
+        const combos = deadCombosFromLedger(data, aiManager.keyFingerprints, now);
+        if (combos.length === 0) return;
+        console.log(`💀 [QuotaLedger] 其他 shard／先前執行已標死：${combos.map(c => `${c.keyName}/${c.model}`).join(', ')}`);
+        aiManager.adoptDeadCombos(combos);
+    } catch (e) {
+        console.error('    [QuotaLedger] Load Exception:', e.message);
+    }
+}
+
+/**
+ * 本行程累計的 AI 用量 upsert 進 ai_usage_daily（lib/ai-usage.cjs）。累計值可重複寫，每站結束與收尾各寫一次。
+ * 寫入失敗（多半是表還沒建）只 log 一次並停用本輪寫入，不拖累同步。
+ */
+let aiUsageSaveDisabled = false;
+async function saveAiUsage() {
+    const rows = aiManager.usage.rows();
+    if (aiUsageSaveDisabled || !supabase || rows.length === 0) return;
+    try {
+        const { error } = await supabase.from(AI_USAGE_TABLE).upsert(rows, { onConflict: 'session_id,key_name,model,quota_day' });
+        if (error) {
+            console.error('    [AIUsage] Save Error（本輪不再寫入）:', error.message);
+            aiUsageSaveDisabled = true;
+        }
+    } catch (e) {
+        console.error('    [AIUsage] Save Exception:', e.message);
+    }
+}
+
+/** 日配額死亡寫進帳本。沒有 key 值（匿名端點）的組合不記。 */
+async function recordQuotaDeath({ provider, keyName, model }) {
+    const fingerprint = aiManager.keyFingerprints.get(keyName);
+    if (!QUOTA_LEDGER_ENABLED || !supabase || !fingerprint) return;
+    const row = buildLedgerRow({ provider, model, fingerprint, keyName, shard: CHECKPOINT_SHARD, now: new Date() });
+    try {
+        const { error } = await supabase.from(QUOTA_LEDGER_TABLE).upsert(row, { onConflict: 'key_fingerprint,model,quota_day' });
+        if (error) console.error('    [QuotaLedger] Save Error:', error.message);
+    } catch (e) {
+        console.error('    [QuotaLedger] Save Exception:', e.message);
+    }
+}
+
+async function reportStatus(status, message = null, key = 'plates_full_sync', extra = {}) {
     const { error } = await supabase
         .from('sync_metadata')
         .upsert({ // Changed to upsert to create key if missing
             key: key,
             status: status,
             status_message: message,
-            last_run_at: new Date().toISOString()
+            last_run_at: new Date().toISOString(),
+            ...extra
         }, { onConflict: 'key' });
     if (error) console.error('    [DB] Report Status Error:', error.message);
 }
@@ -583,29 +1248,39 @@ async function reportServiceStatus(isMaintenance, message = null) {
     if (error) console.error('    [DB] Service Status Error:', error.message);
 }
 
+// 首頁本文 → 施工狀態（Puppeteer 與 HTTP 傳輸共用）。
+function parseMaintenanceNotice(bodyText) {
+    // 「今日施工中」為監理站施工頁的官方即時標題（mobile 為 h1、桌面為 h2，故以文字判斷不依賴標籤）
+    if (!bodyText.includes('今日施工中')) return { isMaintenance: false, message: null };
+
+    // 抽出公告全文：優先取含日期/時段關鍵字的那一段，退而取「施工」鄰近文字
+    const lines = bodyText.split('\n').map(s => s.trim()).filter(Boolean);
+    const noticeLine = lines.find(l =>
+        /\d+年\d+月\d+日/.test(l) || l.includes('時止') || l.includes('維護作業')
+    );
+    return {
+        isMaintenance: true,
+        message: noticeLine || '監理服務網系統施工維護中，選號服務暫停。'
+    };
+}
+
 // 偵測監理服務網首頁是否為「今日施工中」官方施工頁。
 // 自包 try/catch：任何失敗都回傳 isMaintenance=false（degrade 回原 preflight 流程），
 // 絕不因偵測失敗而讓爬蟲整體崩潰。
 async function checkMaintenanceNotice(page) {
     try {
         await page.goto(MVDIS_HOME_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        const result = await page.evaluate(() => {
-            const bodyText = (document.body && document.body.innerText) || '';
-            // 「今日施工中」為監理站施工頁的官方即時標題（mobile 為 h1、桌面為 h2，故以文字判斷不依賴標籤）
-            const isMaintenance = bodyText.includes('今日施工中');
-            if (!isMaintenance) return { isMaintenance: false, message: null };
-
-            // 抽出公告全文：優先取含日期/時段關鍵字的那一段，退而取「施工」鄰近文字
-            const lines = bodyText.split('\n').map(s => s.trim()).filter(Boolean);
-            const noticeLine = lines.find(l =>
-                /\d+年\d+月\d+日/.test(l) || l.includes('時止') || l.includes('維護作業')
-            );
-            return {
-                isMaintenance: true,
-                message: noticeLine || '監理服務網系統施工維護中，選號服務暫停。'
-            };
-        });
-        return result;
+        return parseMaintenanceNotice(await page.evaluate(() => (document.body && document.body.innerText) || ''));
+    } catch (e) {
+        console.log(`[Maintenance Check] 無法判斷施工狀態（${e.message}），改走正常 preflight。`);
+        return { isMaintenance: false, message: null };
+    }
+}
+
+async function checkMaintenanceNoticeHttp() {
+    try {
+        const { text } = await newHttpSession().fetchText(MVDIS_HOME_URL);
+        return parseMaintenanceNotice(text);
     } catch (e) {
         console.log(`[Maintenance Check] 無法判斷施工狀態（${e.message}），改走正常 preflight。`);
         return { isMaintenance: false, message: null };
@@ -614,6 +1289,7 @@ async function checkMaintenanceNotice(page) {
 
 async function performSwap() {
     console.log('🔄 Performing Atomic Swap...');
+    const historyEvents = await preparePlateHistory(supabase);
     const { error } = await supabase.rpc('swap_plates_data');
     if (error) {
         console.error('    [DB] Swap Error:', error.message);
@@ -635,6 +1311,7 @@ async function performSwap() {
     }
 
     console.log('✅ Production data updated successfully.');
+    await recordPlateHistory(supabase, historyEvents);
     return true;
 }
 
@@ -652,6 +1329,12 @@ const selectWithEvent = async (page, selector, value) => {
     }, selector);
 };
 
+// 讀下拉選項（value/text），窗口探查用。
+const readSelectOptions = async (page, selector) => {
+    await page.waitForSelector(selector);
+    return page.$$eval(`${selector} option`, opts => opts.map(o => ({ value: o.value, text: o.textContent })));
+};
+
 const waitForImage = async (page, selector, timeout = 10000) => {
     try {
         await page.waitForFunction(
@@ -669,6 +1352,12 @@ const waitForImage = async (page, selector, timeout = 10000) => {
 };
 
 async function preflightCheck(page) {
+    // 指向本機替身時沒有外網可測（example.com / ipinfo.io 都不相干），直接跳到 Stage 2。
+    if (IS_MVDIS_OVERRIDDEN) {
+        console.log(`🔍 Pre-flight [1/2]: skipped (MVDIS_BASE_URL=${MVDIS_BASE_URL})`);
+        return checkMvdisReachable(page);
+    }
+
     // Stage 1: Verify Chrome's network service is working at all
     console.log('🔍 Pre-flight [1/2]: Testing Chrome network (example.com)...');
     try {
@@ -698,6 +1387,10 @@ async function preflightCheck(page) {
         console.log(`[IP Check] Could not determine Chrome IP: ${e.message}`);
     }
 
+    return checkMvdisReachable(page);
+}
+
+async function checkMvdisReachable(page) {
     // Stage 2: Verify MVDIS is reachable
     console.log('🔍 Pre-flight [2/2]: Testing MVDIS connectivity...');
     for (let i = 0; i < 3; i++) {
@@ -717,203 +1410,453 @@ async function preflightCheck(page) {
     return false;
 }
 
-async function processStation(page, deptId, station) {
+// 執行期探查本站的服務窗口：讀 #selWindowNo；多窗口時逐一選取，再依矩陣裡的每組
+// 車種/能源別讀 #selPlateType，記下各窗口開放的類別。單一窗口不探類別（照舊全查，
+// 查無資料自然為 0）。任何失敗都回空陣列，buildQueryPlan 會退回窗口 01（舊行為）。
+async function discoverWindows(page, deptId, station, combos) {
+    try {
+        await page.goto(MVDIS_URL, { waitUntil: 'domcontentloaded', timeout: 90000 });
+        await dismissOverlays(page);
+        await sleep(1000);
+        await selectWithEvent(page, '#selDeptCode', deptId); await sleep(1200);
+        await selectWithEvent(page, '#selStationCode', station.id); await sleep(1200);
+        const windows = parseWindowOptions(await readSelectOptions(page, '#selWindowNo'));
+        if (windows.length <= 1) return windows.map(w => ({ ...w, plateTypes: null }));
+        const vehicles = [...new Map(combos.map(c => [vehicleKey(c.carType, c.energyType), c])).values()];
+        for (const w of windows) {
+            w.plateTypesByVehicle = {};
+            for (const v of vehicles) {
+                await selectWithEvent(page, '#selWindowNo', w.id); await sleep(800);
+                await selectWithEvent(page, '#selCarType', v.carType);
+                await selectWithEvent(page, '#selEnergyType', v.energyType); await sleep(1200);
+                const offered = (await readSelectOptions(page, '#selPlateType')).map(o => o.value).filter(val => val && val !== '0');
+                // 讀到空清單多半是下拉還沒載完，寧可全查也不要把整個窗口略過（不記錄＝不限定）。
+                if (offered.length > 0) w.plateTypesByVehicle[vehicleKey(v.carType, v.energyType)] = offered;
+            }
+        }
+        return windows;
+    } catch (e) {
+        console.log(`    [Windows] 探查失敗（${e.message}），退回窗口 ${DEFAULT_WINDOW_ID}`);
+        return [];
+    }
+}
+
+// 關閉首頁公告 / blockUI 遮罩。
+async function dismissOverlays(page) {
+    await page.evaluate(() => {
+        if (typeof $ !== 'undefined' && $.unblockUI) $.unblockUI();
+        const btn = Array.from(document.querySelectorAll('a, button, input')).find(el => el.innerText?.includes('關閉') || el.value?.includes('關閉'));
+        if (btn) btn.click();
+    });
+}
+
+// --- Query Drivers ---
+//
+// processStation 只透過 driver 跟 MVDIS 互動，傳輸可換（--transport=／PLATE_SYNC_TRANSPORT，見 lib/mvdis-http.cjs）：
+//   discoverWindows(deptId, station, combos) → 窗口清單（[]＝退回窗口 01）
+//   openForm(deptId, station, unit, quick)   → FORM_READY／FORM_RETRY（本次 attempt 作罷）／FORM_UNREACHABLE（放棄本站）
+//   loadCaptcha()                            → 一張新驗證碼的 CaptchaSource
+//   submitQuery(deptId, station, unit, code) → { responseType, alertMsg }
+//   collectPlates()                          → 結果頁（含翻頁）上的車牌
+//   snapshot()                               → 失敗快照要的 { url, html, screenshot, form }（lib/failure-snapshot.cjs）
+// createBrowserDriver 包 Puppeteer page（原流程）。createHttpDriver 包 MvdisHttpSession：頁面結構不符時丟
+// MvdisHttpError，processStation 以 fallback() 換成 Puppeteer driver 重試，該 worker 之後的站也都走 Puppeteer。
+
+const FORM_READY = 'ready';
+const FORM_RETRY = 'retry';
+const FORM_UNREACHABLE = 'unreachable';
+
+function createBrowserDriver(page) {
+    return {
+        transport: TRANSPORT_BROWSER,
+        discoverWindows: (deptId, station, combos) => discoverWindows(page, deptId, station, combos),
+        async openForm(deptId, station, unit, quick) {
+            if (quick) {
+                await page.evaluate(() => {
+                    const btn = document.querySelector('a[onclick*="doReturnWithData"]');
+                    if (btn) btn.click();
+                });
+                try {
+                    await page.waitForSelector('#selPlateType', { timeout: 10000 });
+                } catch (waitErr) {
+                    console.log(`    [Action] Quick Re-query 逾時（${waitErr.message}），退回 Full Nav 重試...`);
+                    return FORM_RETRY;
+                }
+                await selectWithEvent(page, '#selPlateType', unit.plateType);
+                await sleep(1000);
+                return FORM_READY;
+            }
+            let navOk = false;
+            for (let navTry = 0; navTry < 3; navTry++) {
+                try {
+                    await page.goto(MVDIS_URL, { waitUntil: 'domcontentloaded', timeout: 90000 });
+                    navOk = true;
+                    break;
+                } catch (navErr) {
+                    console.log(`    [Nav] Attempt ${navTry + 1}/3 failed: ${navErr.message}`);
+                    if (navTry < 2) await sleep(8000);
+                }
+            }
+            if (!navOk) return FORM_UNREACHABLE;
+            await dismissOverlays(page);
+            await sleep(1000);
+            await selectWithEvent(page, '#selDeptCode', deptId); await sleep(1200);
+            await selectWithEvent(page, '#selStationCode', station.id); await sleep(1200);
+            await selectWithEvent(page, '#selWindowNo', unit.windowId); await sleep(800);
+            await selectWithEvent(page, '#selCarType', unit.carType);
+            await selectWithEvent(page, '#selEnergyType', unit.energyType); await sleep(1200);
+            await selectWithEvent(page, '#selPlateType', unit.plateType); await sleep(800);
+            await page.evaluate((ver) => {
+                const radios = document.getElementsByName('plateVer');
+                if (radios.length > 0) (Array.from(radios).find(r => r.value === ver) || radios[0]).click();
+            }, unit.plateVersion);
+            return FORM_READY;
+        },
+        async loadCaptcha() {
+            await page.evaluate(() => {
+                const btn = document.querySelector('#pickimg + a') || document.querySelector('a[onclick*="pickimg"]');
+                if (btn) btn.click();
+            });
+            await waitForImage(page, '#pickimg');
+            await sleep(1000);
+            return browserCaptcha(page);
+        },
+        async submitQuery(deptId, station, unit, code) {
+            await page.focus('#validateStr');
+            await page.type('#validateStr', code, { delay: 50 });
+            await page.evaluate((c) => {
+                const win = document.querySelector('#selWindowNo');
+                const loc = document.querySelector('#location');
+                const meth = document.querySelector('#method');
+                if (win && loc) loc.value = win.options[win.selectedIndex]?.text || '';
+                if (meth) meth.value = 'qryPickNo';
+                if (typeof dwr !== 'undefined' && dwr.util) dwr.util.setValue('validateStr', c);
+            }, code);
+            await sleep(1000);
+            // 事件驅動等回應，見 submitAndAwaitResponse
+            return submitAndAwaitResponse(page);
+        },
+        async collectPlates() {
+            const plates = [];
+            let hasNext = true;
+            while (hasNext) {
+                const info = await parsePageInfo(page);
+                if (info.noData) break;
+                // 抽號邏輯見 lib/plate-parser.cjs（與回歸測試共用）
+                plates.push(...await page.evaluate(extractPlates));
+                hasNext = false;
+                if (info.current < info.total) {
+                    const nextBtn = await page.$('input[name="status_next_page"]') || await page.$('#next');
+                    if (nextBtn) { await nextBtn.click(); await sleep(3000); hasNext = true; }
+                }
+            }
+            return plates;
+        },
+        async snapshot() {
+            // 各項分開取：頁面掛掉時能拿多少算多少。截圖只取可視範圍（整頁 PNG 一張就上 MB）。
+            const html = await page.content().catch(() => null);
+            const screenshot = await page.screenshot({ type: 'jpeg', quality: 60 }).catch(() => null);
+            const form = await page.evaluate(() => {
+                const values = {};
+                for (const el of document.querySelectorAll('form select, form input')) {
+                    const key = el.id || el.name;
+                    if (!key || ['button', 'submit', 'image', 'password'].includes(el.type)) continue;
+                    if ((el.type === 'radio' || el.type === 'checkbox') && !el.checked) continue;
+                    values[key] = el.tagName === 'SELECT'
+                        ? { value: el.value, label: el.options[el.selectedIndex]?.text || '' }
+                        : el.value;
+                }
+                return values;
+            }).catch(() => null);
+            return { url: page.url(), html, screenshot, form };
+        },
+    };
+}
+
+function newHttpSession() {
+    return new MvdisHttpSession({ queryUrl: MVDIS_URL, headers: { 'User-Agent': BROWSER_USER_AGENT, 'Accept-Language': ACCEPT_LANGUAGE } });
+}
+
+// HTTP 傳輸：每個 worker 一個 session（驗證碼綁 session）。表單欄位直接送值，不載入下拉選項，
+// 所以沒有 Quick Re-query（每次 attempt 重新 GET 表單頁，成本只是一個請求）。窗口下拉由 DWR 載入，
+// 站點未設定 windows 時開一個 Puppeteer page 探查（每個 worker 一個、之後的站沿用），查詢仍走 HTTP；
+// 開不了瀏覽器就丟錯（該站記 FAILED），不猜窗口 01。
+// openPage：Puppeteer page 的來源（探查窗口與 fallback 用），測試可換成自己的 browser。
+function createHttpDriver(session = newHttpSession(), openPage = openBrowserPage) {
+    let discoveryPage = null;
+    const driver = {
+        transport: TRANSPORT_HTTP,
+        replacement: null, // fallback() 後的 Puppeteer driver
+        async discoverWindows(deptId, station, combos) {
+            if (!discoveryPage) {
+                console.log('    [Windows] 站點未設定 windows，HTTP 傳輸改開 Puppeteer 探查窗口');
+                discoveryPage = await openPage();
+            }
+            return discoverWindows(discoveryPage, deptId, station, combos);
+        },
+        async openForm() {
+            for (let navTry = 0; navTry < 3; navTry++) {
+                try {
+                    await session.openQueryForm();
+                    return FORM_READY;
+                } catch (navErr) {
+                    if (navErr instanceof MvdisHttpError) throw navErr;
+                    console.log(`    [Nav] Attempt ${navTry + 1}/3 failed: ${navErr.message}`);
+                    if (navTry < 2) await sleep(8000);
+                }
+            }
+            return FORM_UNREACHABLE;
+        },
+        async loadCaptcha() {
+            let shot;
+            try {
+                shot = await session.fetchCaptcha();
+            } catch (e) {
+                if (e instanceof MvdisHttpError) throw e;
+                // 連線錯誤比照截圖失敗：辨識時才丟出，本張算失敗、換下一張。
+                return { image: () => Promise.reject(e), bitmap: async () => null };
+            }
+            return { image: async () => shot, bitmap: async () => null };
+        },
+        async submitQuery(deptId, station, unit, code) {
+            const result = await session.submitQuery(queryFormFields({
+                deptId, stationId: String(station.id), windowId: unit.windowId, location: unit.windowName || station.name,
+                carType: unit.carType, energyType: unit.energyType, plateType: unit.plateType, plateVersion: unit.plateVersion, code,
+            }));
+            console.log(`    [Form] Submitted over HTTP (${result.httpStatus ?? result.error})`);
+            return result;
+        },
+        collectPlates: () => session.collectPlates(),
+        async snapshot() {
+            const last = session.lastPage;
+            return { url: last && last.url, httpStatus: last && last.status, html: last && last.html, screenshot: null, form: session.lastFields };
+        },
+        async fallback() {
+            if (!driver.replacement) {
+                metrics.transportFallbacks.inc();
+                driver.replacement = createBrowserDriver(await openPage());
+            }
+            return driver.replacement;
+        },
+    };
+    return driver;
+}
+
+// target：Puppeteer page，或 createHttpDriver() 的 driver（已退回 Puppeteer 的用其 replacement）。
+function queryDriver(target) {
+    if (!target.transport) return createBrowserDriver(target);
+    return target.replacement || target;
+}
+
+// 失敗的嘗試存快照（頁面、截圖、alert、表單選值）。取不到或寫不進去只 log，不影響重試流程。
+async function archiveFailure(driver, deptId, station, unit, attempt, details) {
+    if (!failureArchive) return;
+    let page = {};
+    try {
+        page = await driver.snapshot();
+    } catch (e) {
+        console.log(`    [Snapshot] 取頁面失敗（${e.message}），只記索引`);
+    }
+    const id = failureArchive.capture({
+        runId: stats.runId, station: String(station.id), deptId, window: unit.windowId, unit: unit.key, plateType: unit.plateType,
+        attempt, transport: driver.transport, ...page, ...details,
+    });
+    if (id) console.log(`    [Snapshot] ${id}`);
+}
+
+async function processStation(target, deptId, station, checkpoint = null) {
     const startTime = Date.now();
     console.log(`\n--- Processing Station: ${station.name} (ID: ${station.id}, Dept: ${deptId}) ---\n`);
     
-    let platesFound = 0;
     let retries = 0;
     let status = 'SUCCESS';
+    let driver = queryDriver(target);
+
+    // 查詢矩陣：站 → 監理所 → 預設（電動小客車、新式、g/h）。設定錯誤直接丟錯，由呼叫端記為 FAILED。
+    const combos = expandQueryMatrix(resolveQueryMatrix(station, DEPT_CONFIGS[deptId]));
+    assertQueryDimensionsWritable(combos, stagingColumns);
+
+    // 窗口：站點設定（windows 欄位）優先，否則執行期探查。展開成「窗口 × 組合」查詢單位。
+    const windows = configuredWindows(station) || await driver.discoverWindows(deptId, station, combos);
+    const plan = buildQueryPlan(windows, combos);
+    console.log(`    [Windows] ${windows.length > 0 ? windows.map(w => w.id).join(', ') : DEFAULT_WINDOW_ID} → ${plan.map(u => u.key).join(', ')}`);
+
+    // 續跑：上一輪已完成的單位不重跑、不重刪，筆數計入本輪統計。
+    const pendingKeys = remainingQueryUnits(plan.map(u => u.key), checkpoint);
+    const pendingUnits = plan.filter(u => pendingKeys.includes(u.key));
+    const completedUnits = plan.filter(u => !pendingKeys.includes(u.key)).map(u => u.key);
+    const stagedCounts = checkpoint ? { ...checkpoint.stagedCounts } : {};
+    let platesFound = carriedPlateCount(checkpoint);
+    if (checkpoint) {
+        console.log(`    [Checkpoint] 續跑：已完成 [${completedUnits.join(', ')}]（${platesFound} 筆保留），待跑 [${pendingKeys.join(', ')}]`);
+        stats.totalPlates += platesFound;
+    }
 
-    // 清理舊資料
-    await supabase.from('available_plates_staging').delete().eq('station_id', station.id).eq('region_id', deptId);
-    
-    const plateTypes = ['g'];
-    if (!station.no_rental) plateTypes.push('h');
+    // 清理舊資料（續跑時只清尚未完成的單位，已完成單位的 staging 列保留）
+    if (completedUnits.length === 0) {
+        await supabase.from('available_plates_staging').delete().eq('station_id', station.id).eq('region_id', deptId);
+    } else {
+        const pendingByForm = new Map();
+        for (const u of pendingUnits) {
+            const formKey = formStateKey(u);
+            if (!pendingByForm.has(formKey)) pendingByForm.set(formKey, { unit: u, types: [] });
+            pendingByForm.get(formKey).types.push(u.plateType);
+        }
+        for (const { unit: u, types } of pendingByForm.values()) {
+            let query = supabase.from('available_plates_staging').delete()
+                .eq('station_id', station.id).eq('region_id', deptId).eq('window_id', u.windowId);
+            if (stagingColumns.includes('query_dimensions')) {
+                query = query.eq('car_type', u.carType).eq('energy_type', u.energyType).eq('plate_version', u.plateVersion);
+            }
+            await query.in('plate_type', types);
+        }
+    }
 
     let isFirstQueryInStation = true;
     let stationAborted = false;
+    let abortReason; // 因 MVDIS 回應型別放棄本站時的型別（見 lib/mvdis-outcome.cjs）
+    const responseCounts = {}; // 本站各 MVDIS 回應型別次數，寫進站點統計
+    let formState = null; // 目前表單頁的 窗口/車種/能源別/版式；變了就不能走 Quick Re-query
 
-    for (const pType of plateTypes) {
+    for (const unit of pendingUnits) {
         if (stationAborted) break;
-        const typeName = pType === 'g' ? 'Private (g)' : 'Rental (h)';
+        const pType = unit.plateType;
+        const typeName = `${describeCombo(unit)} @ Window ${unit.windowId}`;
+        logger.setContext({ window: unit.windowId, plate_type: pType, attempt: undefined });
         console.log(`  > Querying: ${typeName}`);
 
         let attempts = 0;
         let success = false;
         let collectedPlates = [];
         const maxQueryAttempts = 10;
+        let localRejected = false; // 本機 solver 的答案被打回過，本單位之後直接走 AI
+        const unitFailures = {}; // 本單位各失敗型別次數（政策的 maxPerUnit 依此判斷）
 
         while (attempts < maxQueryAttempts && !success) {
             attempts++;
             if (attempts > 1) retries++;
+            logger.setContext({ attempt: attempts });
 
-            // 1. 導覽與填表
-            if (isFirstQueryInStation || attempts > 1) {
-                console.log(`    [Attempt ${attempts}] Full Nav...`);
-                let navOk = false;
-                for (let navTry = 0; navTry < 3; navTry++) {
-                    try {
-                        await page.goto(MVDIS_URL, { waitUntil: 'domcontentloaded', timeout: 90000 });
-                        navOk = true;
-                        break;
-                    } catch (navErr) {
-                        console.log(`    [Nav] Attempt ${navTry + 1}/3 failed: ${navErr.message}`);
-                        if (navTry < 2) await sleep(8000);
-                    }
-                }
-                if (!navOk) {
+            try {
+                // 1. 導覽與填表（Quick Re-query 只有 Puppeteer 有；HTTP 每次都重新取表單）
+                const quick = driver.transport === TRANSPORT_BROWSER
+                    && !(isFirstQueryInStation || attempts > 1 || formState !== formStateKey(unit));
+                console.log(quick ? '    [Action] Quick Re-query...' : `    [Attempt ${attempts}] Full Nav...`);
+                const form = await driver.openForm(deptId, station, unit, quick);
+                if (form === FORM_UNREACHABLE) {
                     console.log('    [Nav] All navigation attempts failed, skipping station.');
+                    await archiveFailure(driver, deptId, station, unit, attempts, { reason: REASON_FORM_UNREACHABLE });
                     status = 'FAILED';
                     stationAborted = true;
                     break;
                 }
-                await page.evaluate(() => {
-                    if (typeof $ !== 'undefined' && $.unblockUI) $.unblockUI();
-                    const btn = Array.from(document.querySelectorAll('a, button, input')).find(el => el.innerText?.includes('關閉') || el.value?.includes('關閉'));
-                    if (btn) btn.click();
-                });
-                await sleep(1000);
-                await selectWithEvent(page, '#selDeptCode', deptId); await sleep(1200);
-                await selectWithEvent(page, '#selStationCode', station.id); await sleep(1200);
-                await selectWithEvent(page, '#selWindowNo', '01'); await sleep(800);
-                await selectWithEvent(page, '#selCarType', 'C');
-                await selectWithEvent(page, '#selEnergyType', 'E'); await sleep(1200);
-                await selectWithEvent(page, '#selPlateType', pType); await sleep(800);
-                await page.evaluate(() => {
-                    const radios = document.getElementsByName('plateVer');
-                    if (radios.length > 0) (Array.from(radios).find(r => r.value === '2') || radios[0]).click();
-                });
-            } else {
-                console.log('    [Action] Quick Re-query...');
-                await page.evaluate(() => {
-                    const btn = document.querySelector('a[onclick*="doReturnWithData"]');
-                    if (btn) btn.click();
-                });
-                try {
-                    await page.waitForSelector('#selPlateType', { timeout: 10000 });
-                } catch (waitErr) {
-                    console.log(`    [Action] Quick Re-query 逾時（${waitErr.message}），退回 Full Nav 重試...`);
+                if (form === FORM_RETRY) {
+                    await archiveFailure(driver, deptId, station, unit, attempts, { reason: REASON_FORM_RETRY });
                     continue;
                 }
-                await selectWithEvent(page, '#selPlateType', pType);
-                await sleep(1000);
-            }
 
-            // 2. 驗證碼辨識
-            let code = null;
-            let captchaAttempts = 0;
-            while (!code && captchaAttempts < 5) {
-                captchaAttempts++;
-                await page.evaluate(() => {
-                    const btn = document.querySelector('#pickimg + a') || document.querySelector('a[onclick*="pickimg"]');
-                    if (btn) btn.click();
-                });
-                await waitForImage(page, '#pickimg');
-                await sleep(1000);
-                const rawCode = await solveCaptcha(page);
-                if (rawCode && rawCode.length === 4) code = rawCode;
-            }
-
-            if (!code) continue;
-
-            // 3. 提交表單
-            await page.focus('#validateStr');
-            await page.type('#validateStr', code, { delay: 50 });
-            await page.evaluate((c) => {
-                const win = document.querySelector('#selWindowNo');
-                const loc = document.querySelector('#location');
-                const meth = document.querySelector('#method');
-                if (win && loc) loc.value = win.options[win.selectedIndex]?.text || '';
-                if (meth) meth.value = 'qryPickNo';
-                if (typeof dwr !== 'undefined' && dwr.util) dwr.util.setValue('validateStr', c);
-            }, code);
-            await sleep(1000);
-
-            let alertMsg = null;
-            const dialogHandler = async d => { alertMsg = d.message(); await d.dismiss(); };
-            page.on('dialog', dialogHandler);
-            
-            const trigger = await doSubmit(page);
-            console.log(`    [Form] Submit triggered (${trigger}), waiting for results...`);
-
-            // 4. 暴力偵測結果 (每 2 秒檢查一次，最多 15 次 = 30秒)
-            for (let i = 0; i < 15; i++) {
-                await sleep(2000);
-                let pageInfo;
-                try {
-                    pageInfo = await page.evaluate(() => {
-                        const h1 = document.querySelector('h1')?.innerText || '';
-                        const body = document.body?.innerText || "";
-                        return {
-                            isResult: h1.includes('--') || document.querySelector('.number_cell') !== null,
-                            isNoData: body.includes('截至目前為止') || body.includes('查無資料'),
-                            isError: body.includes('驗證數字輸入錯誤') || body.includes('請輸入驗證數字')
-                        };
+                // 2. 驗證碼辨識
+                let code = null;
+                let sampleId = null;
+                let solvedLocally = false;
+                let captchaAttempts = 0;
+                while (!code && captchaAttempts < 5) {
+                    captchaAttempts++;
+                    const solved = await solveCaptchaSample(await driver.loadCaptcha(), {
+                        station: String(station.id), window: unit.windowId, plateType: pType,
+                        skipLocal: localRejected, consensus: captchaConsensus.shouldVote(String(station.id)),
                     });
-                } catch (evalErr) {
-                    if (evalErr.message && evalErr.message.includes('Execution context was destroyed')) {
-                        console.log(`    [Wait] Page navigating (context destroyed), will retry in 2s...`);
-                        continue;
+                    if (solved.code && solved.code.length === 4) {
+                        code = solved.code;
+                        sampleId = solved.sampleId;
+                        solvedLocally = solved.local;
                     }
-                    if (evalErr.name === 'ProtocolError' || (evalErr.message && evalErr.message.includes('timed out'))) {
-                        console.log(`    [Wait] Protocol timeout during result poll (${evalErr.message}), abandoning this attempt for Full Nav retry...`);
-                        break;
-                    }
-                    throw evalErr;
                 }
 
-                if (alertMsg || pageInfo.isError) {
-                    console.log(`    [Fail] Captcha Error detected.`);
-                    break; 
-                }
-                if (pageInfo.isResult || pageInfo.isNoData) {
-                    console.log(`    [Success] Results rendered (IsResult: ${pageInfo.isResult}, NoData: ${pageInfo.isNoData})`);
+                if (!code) continue;
+
+                // 3. 填入驗證碼、送出並等 MVDIS 回應；alert／頁面狀態交給 classifyMvdisResponse 分型
+                const { responseType, alertMsg, httpStatus, error: submitError } = await driver.submitQuery(deptId, station, unit, code);
+                if (isMvdisSuccess(responseType)) {
+                    console.log(`    [Success] Results rendered (${responseType})`);
                     success = true;
+                } else {
+                    console.log(`    [Fail] MVDIS ${responseType}${alertMsg ? `：${alertMsg}` : ''}`);
+                    await archiveFailure(driver, deptId, station, unit, attempts, {
+                        reason: REASON_RESPONSE, responseType, alert: alertMsg, httpStatus, error: submitError,
+                    });
+                }
+                responseCounts[responseType] = (responseCounts[responseType] || 0) + 1;
+                metrics.mvdisResponses.inc({ type: responseType });
+                const outcome = classifyCaptchaOutcome({ success, alertMsg, bodyRejected: responseType === MVDIS_WRONG_CAPTCHA });
+                if (solvedLocally && outcome === OUTCOME_REJECTED) {
+                    console.log('    [Local] 本機答案被打回，本查詢單位改走 AI 階梯');
+                    localRejected = true;
+                }
+                captchaConsensus.recordOutcome(String(station.id), outcome);
+                if (captchaDataset) captchaDataset.resolve(sampleId, outcome, { alert: alertMsg });
+                if (success) {
+                    // 4. 收結果頁（含翻頁）
+                    collectedPlates = await driver.collectPlates();
+                    continue;
+                }
+
+                // 失敗依型別處理：立即重來、退避後重來、放棄本站，或（施工）本輪其餘站一併跳過。
+                unitFailures[responseType] = (unitFailures[responseType] || 0) + 1;
+                const decision = decideMvdisAction(responseType, unitFailures[responseType]);
+                if (decision.action === ACTION_ABORT_RUN || decision.action === ACTION_ABORT_STATION) {
+                    if (decision.action === ACTION_ABORT_RUN && !mvdisRunAbort) mvdisRunAbort = { type: responseType, message: alertMsg || responseType };
+                    console.log(`\n    [Abort] ${responseType}（本單位第 ${unitFailures[responseType]} 次），放棄本站${decision.action === ACTION_ABORT_RUN ? '，本輪其餘站點一併跳過' : ''}。`);
+                    abortReason = responseType;
+                    status = 'FAILED';
+                    stationAborted = true;
                     break;
                 }
-                process.stdout.write('.'); // 打印進度點
+                if (decision.backoffMs > 0) {
+                    console.log(`\n    [Wait] ${responseType}，退避 ${Math.round(decision.backoffMs / 1000)}s 後重試...`);
+                    await sleep(decision.backoffMs);
+                } else {
+                    console.log('\n    [Wait] No confirmed state found, retrying...');
+                }
+            } catch (e) {
+                await archiveFailure(driver, deptId, station, unit, attempts, { reason: REASON_EXCEPTION, error: e.message });
+                // HTTP 傳輸遇到頁面結構不符（被擋、改版）：換 Puppeteer 從 Full Nav 重試本單位。
+                if (!(e instanceof MvdisHttpError) || !driver.fallback) throw e;
+                console.log(`    [HTTP] ${e.message}，改用 Puppeteer 重試...`);
+                driver = await driver.fallback();
+                success = false;
+                collectedPlates = [];
+                formState = null;
             }
-
-            page.off('dialog', dialogHandler);
-            if (!success) console.log('\n    [Wait] No confirmed state found, retrying...');
         }
 
         if (!success && !stationAborted) {
             // attempt 全數耗盡仍無法取得結果（OCR 連敗、ProtocolError 連命中等），
             // 該站資料不完整，必須標記 FAILED 讓 stationsFailed 計數觸發嚴格語義守門。
             console.log(`    [Fail] All ${maxQueryAttempts} attempts exhausted for ${typeName}, marking station FAILED.`);
+            if (failureArchive) console.log(`    [Snapshot] 各次失敗的頁面見 ${failureArchive.runDir(stats.runId)}（node failure_snapshots.cjs --replay）`);
             status = 'FAILED';
             stationAborted = true;
         }
 
         if (success) {
             isFirstQueryInStation = false;
-            let hasNext = true;
-            while (hasNext) {
-                const info = await parsePageInfo(page);
-                if (info.noData) { hasNext = false; continue; }
-                // 抽號邏輯見 lib/plate-parser.cjs（與回歸測試共用）
-                const plates = await page.evaluate(extractPlates);
-                if (plates.length > 0) collectedPlates.push(...plates);
-                if (info.current < info.total) {
-                    const nextBtn = await page.$('input[name="status_next_page"]') || await page.$('#next');
-                    if (nextBtn) { await nextBtn.click(); await sleep(3000); }
-                    else hasNext = false;
-                } else hasNext = false;
-            }
+            formState = formStateKey(unit);
             if (collectedPlates.length > 0) {
                 const uniquePlates = Array.from(new Map(collectedPlates.map(p => [p.no, p])).values());
                 
                 let insertRetries = 3;
                 let insertOk = false;
+                const seenAt = new Date().toISOString();
                 while (insertRetries > 0) {
                     try {
-                        const { error } = await supabase.from('available_plates_staging').insert(uniquePlates.map(p => ({
+                        const { error } = await supabase.from('available_plates_staging').insert(uniquePlates.map(p => stagingRow({
                             station_id: station.id, station_name: station.name, region_id: deptId,
-                            plate_type: pType, window_id: '01', plate_no: p.no, price: parseInt(p.price) || 0,
-                            updated_at: new Date().toISOString(), status: 'AVAILABLE'
-                        })));
+                            plate_type: pType, window_id: unit.windowId,
+                            car_type: unit.carType, energy_type: unit.energyType, plate_version: unit.plateVersion, plate_no: p.no, price: parseInt(p.price) || 0,
+                            ...vanityColumns(p.no),
+                            updated_at: seenAt, last_verified_at: seenAt, status: 'AVAILABLE'
+                        }, stagingColumns)));
                         if (!error) { insertOk = true; break; }
                         console.log(`    [Retry] DB Insert error: ${error.message}. Retries left: ${insertRetries - 1}`);
                     } catch (e) {
@@ -926,7 +1869,9 @@ async function processStation(page, deptId, station) {
                 if (insertOk) {
                     console.log(`    [DB] Staged ${uniquePlates.length} plates.`);
                     stats.totalPlates += uniquePlates.length;
+                    metrics.platesStaged.inc({ station: String(station.id), plate_type: pType }, uniquePlates.length);
                     platesFound += uniquePlates.length;
+                    stagedCounts[unit.key] = uniquePlates.length;
                 } else {
                     // insert 重試耗盡：這批車牌其實沒進 staging，不能算進成功筆數，
                     // 否則會綠燈通過但資料實際缺席（false green）。
@@ -935,46 +1880,128 @@ async function processStation(page, deptId, station) {
                     stationAborted = true;
                 }
             }
+            if (!stationAborted) {
+                completedUnits.push(unit.key);
+                if (collectedPlates.length === 0) stagedCounts[unit.key] = 0;
+                await saveCheckpoint(deptId, station, completedUnits, stagedCounts, CHECKPOINT_IN_PROGRESS);
+            }
         }
     }
+    logger.setContext({ window: undefined, plate_type: undefined, attempt: undefined });
+    await saveCheckpoint(deptId, station, completedUnits, stagedCounts, status === 'FAILED' ? CHECKPOINT_FAILED : CHECKPOINT_DONE);
+    await saveAiUsage();
     const duration = ((Date.now() - startTime) / 1000);
     console.log(`⏱️  Station ${station.name} finished in ${duration.toFixed(2)}s`);
     if (status !== 'FAILED') stats.stationsSuccess++;
     else stats.stationsFailed++;
-    stats.addStationStat({ id: station.id, name: station.name, region: getRegion(station.id), duration_sec: duration, plates_found: platesFound, retries: retries, status: status });
+    // 多數決開啟時附上該站的送出／答錯／投票計數（auto 模式據此判斷是否投票）。
+    const consensus = captchaConsensus.config.mode !== CONSENSUS_MODE_OFF ? captchaConsensus.stationStats(station.id) : undefined;
+    stats.addStationStat({ id: station.id, name: station.name, region: getRegion(station.id), duration_sec: duration, plates_found: platesFound, retries: retries, status: status, resumed: !!checkpoint, windows: new Set(plan.map(u => u.windowId)).size, consensus, mvdis_responses: responseCounts, abort_reason: abortReason, transport: driver.transport });
 }
 
 
 
 
-// --- Execution Entry ---
+// 每個 page（主 page 與各 worker context 的 page）共用的代理認證與偽裝設定。
+async function setupPage(page) {
+    // Handle Proxy Auth if provided
+    if (PROXY_URL && PROXY_URL.includes('@')) {
+        const authPart = PROXY_URL.split('://')[1].split('@')[0];
+        const [username, password] = authPart.split(':');
+        await page.authenticate({ username, password });
+    }
 
-(async () => {
-    const totalStartTime = Date.now();
-    console.log('⏳ Waiting 5s for network to stabilize...');
-    await new Promise(r => setTimeout(r, 5000));
+    // Extra Stealth Headers
+    await page.setExtraHTTPHeaders({
+        'Accept-Language': ACCEPT_LANGUAGE,
+        'Referer': 'https://www.mvdis.gov.tw/'
+    });
 
-    // Add wider jitter based on shard to avoid simultaneous hits to Supabase
-    if (TARGET_SHARD) {
-        // 2026-07-05：3→5 分片，5 個 shard 錯開 20s 間隔避免同時打 Supabase。
-        const jitterMap = { 'NORTH': 0, 'CENTRAL': 20000, 'SOUTH': 40000, 'SHARD4': 60000, 'SHARD5': 80000 };
-        const shardJitter = jitterMap[TARGET_SHARD.toUpperCase()] || 0;
-        if (shardJitter > 0) {
-            console.log(`⏳ Adding ${shardJitter/1000}s jitter for shard ${TARGET_SHARD} to prevent parallel collision...`);
-            await new Promise(r => setTimeout(r, shardJitter));
-        }
+    await page.setViewport({ width: 1920, height: 1080 });
+}
+
+// 查詢途中 MVDIS 回應施工（ACTION_ABORT_RUN）時設定；之後排到的站不再連線，直接記 FAILED。
+let mvdisRunAbort = null;
+
+async function processQueuedStation(target, item, checkpoints) {
+    const { deptId, station } = item;
+    if (item.firstInDept) {
+        console.log(`\n=== Dept ${deptId} (${TARGET_DEPTS[deptId].length} stations) ===`);
     }
-    
+    if (mvdisRunAbort) {
+        console.log(`⏭️  [Abort] MVDIS ${mvdisRunAbort.type}，跳過 ${station.name}`);
+        stats.stationsFailed++;
+        stats.addStationStat({ id: station.id, name: station.name, region: getRegion(station.id), duration_sec: 0, plates_found: 0, retries: 0, status: 'FAILED', abort_reason: mvdisRunAbort.type });
+        return;
+    }
+
+    const checkpoint = checkpoints.get(String(station.id)) || null;
+    if (checkpoint && checkpoint.status === CHECKPOINT_DONE) {
+        const carried = carriedPlateCount(checkpoint);
+        console.log(`⏭️  [Checkpoint] ${station.name} 已於本 run 完成（${carried} 筆保留在 staging），跳過。`);
+        stats.totalPlates += carried;
+        stats.stationsSuccess++;
+        stats.addStationStat({ id: station.id, name: station.name, region: getRegion(station.id), duration_sec: 0, plates_found: carried, retries: 0, status: 'SUCCESS', resumed: true });
+        return;
+    }
+
+    const stationAttemptStart = Date.now();
     try {
-        await loadStationData();
-    } catch (err) {
-        console.error('Fatal: Failed to initialize station data', err);
-        process.exit(1);
+        await processStation(target, deptId, station, checkpoint);
+    } catch (stationErr) {
+        const duration = (Date.now() - stationAttemptStart) / 1000;
+        console.error(`    [Station] ${station.name} 發生未攔截錯誤，跳過本站：${stationErr.message}`);
+        stats.stationsFailed++;
+        stats.addError('STATION:' + station.name, stationErr.message);
+        stats.addStationStat({ id: station.id, name: station.name, region: getRegion(station.id), duration_sec: duration, plates_found: 0, retries: 0, status: 'FAILED' });
+    }
+    console.log('☕ Quota protection break (2-4s)...');
+    await randomSleep(1000, 2000);
+    if (item.lastInDept) {
+        console.log('☕☕ Dept finished. Short break...');
+        await randomSleep(1500, 2500);
     }
+}
 
-    console.log(`🚀 Starting Stealth Plate Sync v2 (${MODEL_NAME})...`);
-    if (PROXY_URL) console.log(`🌐 Using Proxy: ${PROXY_URL.split('@').pop()}`);
+// 依 TARGET_DEPTS 順序把站點排成佇列，交給最多 CONCURRENCY 個 worker 並行處理。
+// Puppeteer：worker 0 沿用主 page（已過施工偵測/preflight），其餘各開一個獨立 browser context；
+// HTTP 傳輸（mainPage 為 null）：每個 worker 一個 MvdisHttpSession。兩者都是 cookie/session 隔離
+// （MVDIS 驗證碼綁 session，不可共用）。所有 worker 共用同一個 aiManager（含各 provider 的
+// RateLimiter），並行只重疊等待時間，不增加 AI 呼叫量。
+async function runStationPool(mainPage, checkpoints) {
+    const queue = [];
+    for (const deptId of Object.keys(TARGET_DEPTS)) {
+        const stations = TARGET_DEPTS[deptId];
+        stations.forEach((station, i) => {
+            queue.push({ deptId, station, firstInDept: i === 0, lastInDept: i === stations.length - 1 });
+        });
+    }
+
+    const workers = Math.min(CONCURRENCY, queue.length);
+    const targets = [];
+    if (mainPage) {
+        targets.push(mainPage);
+        for (let w = 1; w < workers; w++) targets.push(await openBrowserPage());
+    } else {
+        for (let w = 0; w < Math.max(1, workers); w++) targets.push(createHttpDriver());
+    }
+    if (targets.length > 1) {
+        console.log(`👥 ${targets.length} workers (${mainPage ? 'browser contexts' : 'HTTP sessions'}) processing ${queue.length} stations concurrently.`);
+    }
+
+    await runWorkerPool(queue, targets.length, async (item, workerIndex) => {
+        // 每站一份 log 脈絡（NDJSON 的 station 欄位）；worker 序號只在並行時帶（終端機前綴同舊版）。
+        const ctx = { station: String(item.station.id) };
+        if (targets.length > 1) ctx.worker = workerIndex + 1;
+        return logger.runWithContext(ctx, () => processQueuedStation(targets[workerIndex], item, checkpoints));
+    });
+}
 
+// --- Browser ---
+// Chromium 用到才開：HTTP 傳輸的 shard 平常不開，只有 preflight、探查未設定 windows 的站，或查詢途中退回 Puppeteer 時才啟動。
+let browserLaunch = null;
+
+function launchBrowser() {
     const launchArgs = [
         '--no-sandbox',
         '--disable-setuid-sandbox',
@@ -983,7 +2010,7 @@ async function processStation(page, deptId, station) {
         '--disable-features=NetworkServiceSandbox',  // Chrome 120+: allow network service in container
         '--window-size=1920,1080',
         '--disable-blink-features=AutomationControlled',
-        '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        `--user-agent=${BROWSER_USER_AGENT}`,
         '--disable-accelerated-2d-canvas',
         '--no-first-run',
     ];
@@ -994,36 +2021,155 @@ async function processStation(page, deptId, station) {
         launchArgs.push(`--proxy-server=${proxyHost}`);
     }
 
-    const browser = await puppeteer.launch({
+    return puppeteer.launch({
         headless: "new",
         protocolTimeout: 60000,
         args: launchArgs
     });
+}
+
+function getBrowser() {
+    if (!browserLaunch) browserLaunch = launchBrowser();
+    return browserLaunch;
+}
+
+// 主 page（預設 context，施工偵測與 preflight 用，之後當 worker 0）。
+async function openMainPage() {
+    const page = await (await getBrowser()).newPage();
+    await setupPage(page);
+    return page;
+}
+
+// 獨立 browser context 的 page（並行 worker、HTTP worker 探查窗口或退回 Puppeteer）。
+async function openBrowserPage() {
+    const context = await (await getBrowser()).createBrowserContext();
+    const page = await context.newPage();
+    await setupPage(page);
+    return page;
+}
 
+// HTTP 傳輸的 preflight：表單頁與驗證碼圖都拿得到（結構也對）才用 HTTP，否則整輪改用 Puppeteer。
+// 回傳表單頁（{ url, html }，給改版偵測用）；失敗回 null。
+async function probeHttpTransport() {
+    console.log('🔍 Pre-flight [HTTP]: Testing MVDIS form and CAPTCHA over plain HTTP...');
     try {
-        const page = await browser.newPage();
-        
-        // Handle Proxy Auth if provided
-        if (PROXY_URL && PROXY_URL.includes('@')) {
-            const authPart = PROXY_URL.split('://')[1].split('@')[0];
-            const [username, password] = authPart.split(':');
-            await page.authenticate({ username, password });
+        const session = newHttpSession();
+        await session.openQueryForm();
+        const formPage = session.lastPage;
+        const captcha = await session.fetchCaptcha();
+        console.log(`✅ MVDIS reachable over HTTP (CAPTCHA ${captcha.mimeType})`);
+        return formPage;
+    } catch (e) {
+        console.log(`❌ HTTP pre-flight failed: ${e.message}`);
+        return null;
+    }
+}
+
+// 改版偵測（lib/mvdis-layout.cjs）：Puppeteer 讀 preflight 停留的表單頁，HTTP 讀探測時的表單頁。
+// FORM_SELECTORS 與本輪要用的選項值（來自各站的查詢矩陣）一律檢查；有簽章時再比對選項集合與文字。
+// 讀不到頁面時回 null（不擋同步，照舊跑）。
+async function checkLayoutDrift(page, httpFormPage) {
+    const spec = { selectors: [...FORM_SELECTORS], optionSelectors: [...OPTION_SELECTORS] };
+    let fingerprint;
+    try {
+        fingerprint = page
+            ? await page.evaluate(fingerprintMvdisForm, spec)
+            : fingerprintMvdisForm(spec, parseMvdisHtml(httpFormPage.html, httpFormPage.url).doc);
+    } catch (e) {
+        console.log(`🧩 Layout check: skipped (${e.message})`);
+        return null;
+    }
+    const combos = [];
+    for (const [deptId, stations] of Object.entries(TARGET_DEPTS)) {
+        for (const station of stations) {
+            try {
+                combos.push(...expandQueryMatrix(resolveQueryMatrix(station, DEPT_CONFIGS[deptId])));
+            } catch {
+                // 矩陣設定錯誤由 processStation 記為該站 FAILED，這裡不重複處理
+            }
         }
-        
-        // Extra Stealth Headers
-        await page.setExtraHTTPHeaders({
-            'Accept-Language': 'zh-TW,zh;q=0.9,en-US;q=0.8,en;q=0.7',
-            'Referer': 'https://www.mvdis.gov.tw/'
-        });
+    }
+    const drift = compareLayout(layoutSignature, fingerprint, { required: requiredLayoutOptions(Object.keys(TARGET_DEPTS), combos) });
+    const summary = formatLayoutDrift(drift);
+    if (drift.breaking) {
+        console.error(`❌ MVDIS form layout changed: ${summary}`);
+    } else if (summary) {
+        console.warn(`⚠️  MVDIS form differs from signature (not blocking): ${summary}`);
+        console.warn('   → 確認頁面正常後以 node mvdis_layout.cjs --record 重錄簽章。');
+    } else if (layoutSignature) {
+        console.log('✅ MVDIS form layout matches signature');
+    } else {
+        console.log('✅ MVDIS form has every required selector and option (no signature: option/label diff skipped; record one with mvdis_layout.cjs --record)');
+    }
+    return drift;
+}
+
+// --- Execution Entry ---
 
-        await page.setViewport({ width: 1920, height: 1080 });
+async function main() {
+    const totalStartTime = Date.now();
+    console.log('⏳ Waiting 5s for network to stabilize...');
+    await new Promise(r => setTimeout(r, 5000));
+
+    // Add wider jitter based on shard to avoid simultaneous hits to Supabase
+    if (TARGET_SHARD) {
+        // 2026-07-05：3→5 分片，5 個 shard 錯開 20s 間隔避免同時打 Supabase。
+        const jitterMap = { 'NORTH': 0, 'CENTRAL': 20000, 'SOUTH': 40000, 'SHARD4': 60000, 'SHARD5': 80000 };
+        const shardJitter = jitterMap[TARGET_SHARD.toUpperCase()] || 0;
+        if (shardJitter > 0) {
+            console.log(`⏳ Adding ${shardJitter/1000}s jitter for shard ${TARGET_SHARD} to prevent parallel collision...`);
+            await new Promise(r => setTimeout(r, shardJitter));
+        }
+    }
+    
+    try {
+        await loadStationData();
+    } catch (err) {
+        console.error('Fatal: Failed to initialize station data', err);
+        process.exit(1);
+    }
+
+    // 斷點續跑：沿用未收尾 run 的 run id 與 checkpoint（見 lib/station-checkpoint.cjs）。
+    const resumeRunId = await resolveRunId();
+    if (resumeRunId) stats.runId = resumeRunId;
+    const checkpoints = resumeRunId ? await loadCheckpoints(resumeRunId) : new Map();
+    if (checkpoints.size > 0) {
+        console.log(`♻️  Resuming run ${stats.runId}: ${checkpoints.size} station checkpoint(s) found.`);
+    } else {
+        console.log(`🆔 Run ID: ${stats.runId}`);
+    }
+
+    await loadStagingColumns();
+
+    // AI 設定要在帳本之前：套用設定會重建階梯，帳本標死的 combo 才不會被洗掉。
+    await loadCaptchaAiConfig();
+    // 日配額帳本：先套用其他 shard 今天已標死的共用 key，免得開跑就再撞一次 429。
+    await loadQuotaLedger();
+
+    console.log(`🚀 Starting Stealth Plate Sync v2 (${aiManager.modelName})...`);
+    console.log(`👥 Concurrency: ${CONCURRENCY} worker(s)`);
+    if (PROXY_URL) console.log(`🌐 Using Proxy: ${PROXY_URL.split('@').pop()}`);
+
+    let transport = TRANSPORT;
+    if (transport === TRANSPORT_HTTP && PROXY_URL) {
+        // HTTP 傳輸直接連線、不經 PROXY_URL；MVDIS 要台灣 IP，繞過代理只會被擋。
+        console.warn('⚠️  PROXY_URL is set but the HTTP transport does not use it; falling back to Puppeteer.');
+        transport = TRANSPORT_BROWSER;
+    }
+    console.log(`🚚 Transport: ${transport}`);
+    if (transport === TRANSPORT_HTTP && (localProvider || captchaPreprocess)) {
+        console.log('ℹ️  HTTP 傳輸讀不到驗證碼像素：本機 solver 與 CAPTCHA_PREPROCESS 只在退回 Puppeteer 時作用。');
+    }
+
+    try {
+        let page = transport === TRANSPORT_BROWSER ? await openMainPage() : null;
 
         const syncKey = TARGET_SHARD ? `plates_sync_shard_${TARGET_SHARD}` : 'plates_full_sync';
         await reportStatus('RUNNING', null, syncKey);
 
         // 施工偵測（先於選號 preflight）：首頁不擋非台灣 IP，可在 WARP 異常時仍區分
         // 「官方施工」與「純 IP/WARP 連線問題」。偵測到施工→寫狀態給前端橫幅、正常結束（不噴 FAILED）。
-        const maintenance = await checkMaintenanceNotice(page);
+        const maintenance = page ? await checkMaintenanceNotice(page) : await checkMaintenanceNoticeHttp();
         if (maintenance.isMaintenance) {
             console.log(`🚧 偵測到監理站施工公告，跳過本次選號：${maintenance.message}`);
             await reportServiceStatus(true, maintenance.message);
@@ -1034,8 +2180,16 @@ async function processStation(page, deptId, station) {
         // 無施工：清除施工狀態，讓前端橫幅消失
         await reportServiceStatus(false, null);
 
+        // HTTP 傳輸先確認拿得到表單與驗證碼；不行就整輪改用 Puppeteer，照常走下面的 preflight。
+        const httpFormPage = page ? null : await probeHttpTransport();
+        if (!page && !httpFormPage) {
+            console.log('↩️  HTTP transport unavailable, falling back to Puppeteer for this run.');
+            metrics.transportFallbacks.inc();
+            page = await openMainPage();
+        }
+
         // Pre-flight: verify MVDIS is reachable before processing any station
-        const preflight = await preflightCheck(page);
+        const preflight = page ? await preflightCheck(page) : true;
         if (!preflight) {
             const errMsg = 'Pre-flight failed: MVDIS unreachable after 3 attempts. WARP may not be routing Taiwan traffic.';
             console.error(`❌ ${errMsg}`);
@@ -1045,35 +2199,51 @@ async function processStation(page, deptId, station) {
             throw new Error(errMsg);
         }
 
-        // ONLY clear if explicitly NOT in shard mode
-        if (TARGET_SHARD === null) {
-            await clearStaging();
+        // 改版偵測：表單頁的元素或本輪要用的選項不見了，跑下去只會是整片驗證碼「失敗」——直接結束。
+        const drift = await checkLayoutDrift(page, httpFormPage);
+        if (drift && drift.breaking) {
+            const layoutMsg = `MVDIS 表單結構改變：${formatLayoutDrift(drift)}`;
+            stats.status = LAYOUT_CHANGED;
+            stats.addError('LAYOUT', layoutMsg);
+            await reportStatus(LAYOUT_CHANGED, layoutMsg, syncKey);
+            return; // 交由 finally 關閉瀏覽器；以非 0 結束讓 workflow 亮紅燈、不進 finalize
         }
 
-        for (const deptId of Object.keys(TARGET_DEPTS)) {
-            const stations = TARGET_DEPTS[deptId];
-            console.log(`\n=== Dept ${deptId} (${stations.length} stations) ===`);
-
-            for (const station of stations) {
-                const stationAttemptStart = Date.now();
-                try {
-                    await processStation(page, deptId, station);
-                } catch (stationErr) {
-                    const duration = (Date.now() - stationAttemptStart) / 1000;
-                    console.error(`    [Station] ${station.name} 發生未攔截錯誤，跳過本站：${stationErr.message}`);
-                    stats.stationsFailed++;
-                    stats.addError('STATION:' + station.name, stationErr.message);
-                    stats.addStationStat({ id: station.id, name: station.name, region: getRegion(station.id), duration_sec: duration, plates_found: 0, retries: 0, status: 'FAILED' });
-                }
-                console.log('☕ Quota protection break (2-4s)...');
-                await randomSleep(1000, 2000);
-            }
-            console.log('☕☕ Dept finished. Short break...');
-            await randomSleep(1500, 2500);
+        // ONLY clear if explicitly NOT in shard mode（續跑時上一輪已寫入的 staging 不可清）
+        if (TARGET_SHARD === null && checkpoints.size === 0) {
+            await clearStaging();
         }
 
+        await runStationPool(page, checkpoints);
+        if (mvdisRunAbort) stats.addError('MVDIS', `${mvdisRunAbort.type}: ${mvdisRunAbort.message}`);
+
         const { count } = await supabase.from('available_plates_staging').select('*', { count: 'exact', head: true });
-        if (stats.stationsFailed > 0) {
+        const failedIds = failedStationIds(stats.stationDetails);
+        if (stats.stationsFailed > 0 && SWAP_MODE === SWAP_MODE_PARTIAL && TARGET_SHARD !== null) {
+            // 部分 swap：其餘站照常交給 Finalizer；失敗站 id 寫進 sync_metadata，由 trigger_swap.cjs
+            // 在 swap 前改用正式表上一輪的列（last_verified_at 維持舊值）。
+            const partialMsg = `${stats.stationsFailed} station(s) failed (${failedIds.join(', ')}); carrying over last-known-good data.`;
+            console.log(`⚠️ ${partialMsg}`);
+            await clearCheckpoints(stats.runId);
+            stats.status = SHARD_STATUS_PARTIAL;
+            await reportStatus(SHARD_STATUS_PARTIAL, partialMsg, syncKey, { failed_station_ids: failedIds });
+        } else if (stats.stationsFailed > 0 && SWAP_MODE === SWAP_MODE_PARTIAL) {
+            // legacy 全量模式的部分 swap：直接在這裡沿用失敗站資料後 swap。
+            console.log(`⚠️ ${stats.stationsFailed} station(s) failed (${failedIds.join(', ')}); carrying over last-known-good data.`);
+            await clearCheckpoints(stats.runId);
+            const carry = await carryOverStations(supabase, failedIds);
+            if (carry.error) {
+                const failMsg = `Carry-over failed, blocking swap: ${carry.error.message}`;
+                console.error(`❌ ${failMsg}`);
+                stats.status = 'FAILED';
+                await reportStatus('FAILED', failMsg, syncKey);
+            } else {
+                console.log(`♻️  Carried over ${carry.carried} plate(s) from ${failedIds.length} failed station(s).`);
+                const swapped = await performSwap();
+                stats.status = swapped ? SHARD_STATUS_PARTIAL : 'FAILED';
+                if (swapped) await reportStatus('COMPLETED', `同步完成，${failedIds.length} 站沿用上一輪資料（${failedIds.join(', ')}）`, syncKey);
+            }
+        } else if (stats.stationsFailed > 0) {
             // 從嚴：任一站失敗，該站車牌就會從 staging 缺席；swap 後 finalizer 的
             // REMOVED diff 會把它誤判為「已售出」，觸發假通知信給 watchlist 訂閱者。
             // 先擋守門再決定 exit code，legacy 和 shard 兩種模式都不做 swap。
@@ -1084,6 +2254,8 @@ async function processStation(page, deptId, station) {
         } else if (TARGET_SHARD === null) {
             // Only perform swap if running in full mode (legacy).
             // In Shard mode, swap is handled by a separate Finalizer Job.
+            // swap 不論成敗都會消耗 staging（熔斷也會清空），checkpoint 一併收尾，下輪從頭跑。
+            await clearCheckpoints(stats.runId);
             const swapped = await performSwap();
             if (!swapped) {
                 stats.status = 'FAILED';
@@ -1096,6 +2268,7 @@ async function processStation(page, deptId, station) {
             }
         } else {
             console.log('✨ Shard sync complete. Waiting for Finalizer to swap.');
+            await clearCheckpoints(stats.runId);
             stats.status = 'COMPLETED';
             await reportStatus('COMPLETED', null, syncKey);
         }
@@ -1107,27 +2280,48 @@ async function processStation(page, deptId, station) {
         const syncKey = TARGET_SHARD ? `plates_sync_shard_${TARGET_SHARD}` : 'plates_full_sync';
         await reportStatus('FAILED', e.message, syncKey);
     } finally {
-        if (browser) {
+        if (browserLaunch) {
             try {
-                await browser.close();
+                await (await browserLaunch).close();
             } catch (err) {
                 console.error('Error closing browser gracefully:', err.message);
             }
         }
         await stats.save();
+        await saveAiUsage();
+        if (captchaDataset) captchaDataset.flush();
+        crawlerMetrics.finish(stats.status !== 'FAILED');
         const totalDuration = ((Date.now() - totalStartTime) / 1000).toFixed(2);
         console.log(`🏁 Sync Complete. Total duration: ${totalDuration}s`);
         
         // Force kill any remaining chrome processes to prevent memory leaks on e2-micro
+        // （HTTP 傳輸全程沒開 Chromium 就不必）
         try {
             const { exec } = require('child_process');
-            if (process.platform === 'linux') {
+            if (browserLaunch && process.platform === 'linux') {
                 exec('pkill -f chrome');
             }
         } catch (e) {
             // Ignore kill errors
         }
         
-        process.exit(stats.status === 'FAILED' ? 1 : 0);
+        process.exit(stats.status === 'FAILED' || stats.status === LAYOUT_CHANGED ? 1 : 0);
     }
-})();
+}
+
+// 直接執行才跑主流程；被 require 時（端到端測試）只匯出 processStation 等供替身伺服器驅動。
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    processStation,
+    createHttpDriver,
+    checkMaintenanceNotice,
+    preflightCheck,
+    solveCaptcha,
+    setSupabase,
+    aiManager,
+    stats,
+    MVDIS_URL,
+};
@@ -33,13 +33,22 @@
  *
  * 呼叫端（AIManager）持有的狀態必須是 per-instance（per-shard/per-process），
  * 不得跨 shard 共用全域狀態或寫檔共享——三個 shard 各自獨立的 API key、各自獨立的階梯進度。
+ * 唯一例外是日配額死亡事實：AI_QUOTA_LEDGER=1 時經 lib/quota-ledger.cjs 以 key 指紋共享，
+ * 只影響持有同一把 key 的 shard，階梯進度仍各自獨立。
+ *
+ * 跨 provider（lib/captcha-providers.cjs）：每層另帶 provider，階梯可混排 Gemini 與
+ * OpenAI 相容端點。各層的 key 候選依 provider 決定（LadderState／selectAliveCombo 接受
+ * 「provider → key 名稱」），sticky 升級與 per-(key, model) 死亡語義不分 provider 一體適用。
+ * 以下函式的 ladder 參數省略時即為 MODEL_LADDER（純 Gemini，行為與先前相同）。
  */
 
+const PROVIDER_GEMINI = 'gemini';
+
 const MODEL_LADDER = Object.freeze([
-    { model: 'gemma-4-26b-a4b-it', failuresToEscalate: 3 },
-    { model: 'gemma-4-31b-it', failuresToEscalate: 2 },
-    { model: 'gemini-3.1-flash-lite', failuresToEscalate: 2 },
-    { model: 'gemini-3-flash-preview', failuresToEscalate: 1 },
+    { provider: PROVIDER_GEMINI, model: 'gemma-4-26b-a4b-it', failuresToEscalate: 3 },
+    { provider: PROVIDER_GEMINI, model: 'gemma-4-31b-it', failuresToEscalate: 2 },
+    { provider: PROVIDER_GEMINI, model: 'gemini-3.1-flash-lite', failuresToEscalate: 2 },
+    { provider: PROVIDER_GEMINI, model: 'gemini-3-flash-preview', failuresToEscalate: 1 },
 ]);
 
 const EXHAUSTED = 'EXHAUSTED';
@@ -132,28 +141,35 @@ function isServerError(error) {
 /**
  * 給定目前層級 index 與該層級累計失敗次數，回傳下一步狀態。
  *
- * @param {number} tierIndex 目前所在的階梯 index（0-based，對應 MODEL_LADDER）
+ * @param {number} tierIndex 目前所在的階梯 index（0-based，對應 ladder）
  * @param {number} failureCount 目前層級累計的 API 層失敗次數（本次失敗已計入）
+ * @param {ReadonlyArray<{model: string, failuresToEscalate: number}>} [ladder]
  * @returns {{ tierIndex: number, model: string } | 'EXHAUSTED'}
  *   - 若尚未達到該層級的升級門檻：回傳原 tierIndex（不升級）
  *   - 若達到門檻且下一層存在：回傳升級後的 tierIndex + model
  *   - 若已在最後一層且達到門檻：回傳 'EXHAUSTED'（呼叫端交給既有失敗處理/Tesseract 路徑）
  */
-function nextLadderState(tierIndex, failureCount) {
-    if (tierIndex < 0 || tierIndex >= MODEL_LADDER.length) {
+function nextLadderState(tierIndex, failureCount, ladder = MODEL_LADDER) {
+    if (tierIndex < 0 || tierIndex >= ladder.length) {
         throw new RangeError(`nextLadderState: tierIndex 超出範圍: ${tierIndex}`);
     }
 
-    const currentTier = MODEL_LADDER[tierIndex];
+    const currentTier = ladder[tierIndex];
     if (failureCount < currentTier.failuresToEscalate) {
         return { tierIndex, model: currentTier.model };
     }
 
     const nextIndex = tierIndex + 1;
-    if (nextIndex >= MODEL_LADDER.length) {
+    if (nextIndex >= ladder.length) {
         return EXHAUSTED;
     }
-    return { tierIndex: nextIndex, model: MODEL_LADDER[nextIndex].model };
+    return { tierIndex: nextIndex, model: ladder[nextIndex].model };
+}
+
+/** 某層的 key 候選：單一陣列（所有層共用）或依該層 provider 取（未設 provider 視為 gemini）。 */
+function tierKeyNames(keyNames, tier) {
+    if (Array.isArray(keyNames)) return keyNames;
+    return keyNames[tier.provider || PROVIDER_GEMINI] || [];
 }
 
 /** (key, model) 死亡矩陣的組合識別字串。 */
@@ -166,14 +182,16 @@ function comboId(keyName, model) {
  * 未被標死的 (tier, key) 組合。
  *
  * @param {number} startTierIndex 從哪一層開始找（0-based；≥ 階梯長度 → EXHAUSTED）
- * @param {string[]} keyNames 依優先序排列的 key 名稱（[0]=shard key，之後=DEFAULT key）
+ * @param {string[]|Record<string, string[]>} keyNames 依優先序排列的 key 名稱（[0]=shard key，之後=DEFAULT key）；
+ *   跨 provider 階梯傳「provider → key 名稱」
  * @param {Set<string>} deadCombos 已標死的 comboId(keyName, model) 集合
+ * @param {ReadonlyArray<{provider?: string, model: string}>} [ladder]
  * @returns {{ tierIndex: number, model: string, keyName: string } | 'EXHAUSTED'}
  */
-function selectAliveCombo(startTierIndex, keyNames, deadCombos) {
-    for (let t = Math.max(0, startTierIndex); t < MODEL_LADDER.length; t++) {
-        const model = MODEL_LADDER[t].model;
-        for (const keyName of keyNames) {
+function selectAliveCombo(startTierIndex, keyNames, deadCombos, ladder = MODEL_LADDER) {
+    for (let t = Math.max(0, startTierIndex); t < ladder.length; t++) {
+        const model = ladder[t].model;
+        for (const keyName of tierKeyNames(keyNames, ladder[t])) {
             if (!deadCombos.has(comboId(keyName, model))) {
                 return { tierIndex: t, model, keyName };
             }
@@ -232,20 +250,37 @@ function resolveShardKeys(shard, env) {
  * - sticky：tier 只升不降（markCurrentComboDead 從當前層起找、recordFailure 從下一層起找）。
  */
 class LadderState {
-    /** @param {string[]} keyNames 依優先序排列的 key 名稱，至少一把。 */
-    constructor(keyNames) {
-        if (!Array.isArray(keyNames) || keyNames.length === 0) {
-            throw new RangeError('LadderState: keyNames 至少要有一把 key');
+    /**
+     * @param {string[]|Record<string, string[]>} keyNames 依優先序排列的 key 名稱，至少一把；
+     *   跨 provider 階梯傳「provider → key 名稱」，階梯上每個 provider 都至少要有一把。
+     * @param {ReadonlyArray<{provider?: string, model: string, failuresToEscalate: number}>} [ladder]
+     */
+    constructor(keyNames, ladder = MODEL_LADDER) {
+        if (!Array.isArray(ladder) || ladder.length === 0) {
+            throw new RangeError('LadderState: ladder 至少要有一層');
+        }
+        if (Array.isArray(keyNames)) {
+            if (keyNames.length === 0) throw new RangeError('LadderState: keyNames 至少要有一把 key');
+            this.keyNames = keyNames.slice();
+        } else {
+            const missing = ladder.find((tier) => tierKeyNames(keyNames || {}, tier).length === 0);
+            if (missing) throw new RangeError(`LadderState: provider ${missing.provider || PROVIDER_GEMINI} 沒有任何 key`);
+            this.keyNames = { ...keyNames };
         }
-        this.keyNames = keyNames.slice();
+        this.ladder = ladder;
         this.deadCombos = new Set();
         this.tierIndex = 0;
-        this.keyName = this.keyNames[0];
+        this.keyName = tierKeyNames(this.keyNames, ladder[0])[0];
         this.failureCount = 0;
     }
 
     get model() {
-        return MODEL_LADDER[this.tierIndex].model;
+        return this.ladder[this.tierIndex].model;
+    }
+
+    /** 目前層的 provider（MODEL_LADDER 一律 gemini）。 */
+    get provider() {
+        return this.ladder[this.tierIndex].provider || PROVIDER_GEMINI;
     }
 
     /** 成功呼叫：連續失敗語義——重置當前層失敗計數（v1 累計語義 bug 的修正核心）。 */
@@ -265,7 +300,7 @@ class LadderState {
      */
     markCurrentComboDead() {
         this.deadCombos.add(comboId(this.keyName, this.model));
-        const next = selectAliveCombo(this.tierIndex, this.keyNames, this.deadCombos);
+        const next = selectAliveCombo(this.tierIndex, this.keyNames, this.deadCombos, this.ladder);
         if (next === EXHAUSTED) {
             return EXHAUSTED;
         }
@@ -275,6 +310,32 @@ class LadderState {
         return next;
     }
 
+    /**
+     * 目前層之上的存活 combo（每層取第一把存活 key），最多 count 個——供 CAPTCHA 多數決
+     * （lib/captcha-consensus.cjs）額外徵詢別的模型／provider。只讀，不移動目前 combo。
+     * @param {number} count
+     * @returns {Array<{ tierIndex: number, model: string, keyName: string, provider: string }>}
+     */
+    alternateCombos(count) {
+        const combos = [];
+        let from = this.tierIndex + 1;
+        while (combos.length < count) {
+            const alive = selectAliveCombo(from, this.keyNames, this.deadCombos, this.ladder);
+            if (alive === EXHAUSTED) break;
+            combos.push({ ...alive, provider: this.ladder[alive.tierIndex].provider || PROVIDER_GEMINI });
+            from = alive.tierIndex + 1;
+        }
+        return combos;
+    }
+
+    /**
+     * 標死指定 (key, model)（非目前 combo 在旁路呼叫時吃到日配額，如多數決的額外徵詢）。
+     * 目前 combo 請用 markCurrentComboDead（要重選）。
+     */
+    markComboDead(keyName, model) {
+        this.deadCombos.add(comboId(keyName, model));
+    }
+
     /**
      * 一般 API 層失敗：連續失敗計數 +1；達當前層門檻 → 從「下一層」起找存活 combo 升級
      * （自動跳過已標死的層，如今日已死的 31B）。
@@ -285,11 +346,11 @@ class LadderState {
      */
     recordFailure() {
         this.failureCount++;
-        const next = nextLadderState(this.tierIndex, this.failureCount);
+        const next = nextLadderState(this.tierIndex, this.failureCount, this.ladder);
         if (next !== EXHAUSTED && next.tierIndex === this.tierIndex) {
             return { escalated: false };
         }
-        const alive = selectAliveCombo(this.tierIndex + 1, this.keyNames, this.deadCombos);
+        const alive = selectAliveCombo(this.tierIndex + 1, this.keyNames, this.deadCombos, this.ladder);
         if (alive === EXHAUSTED) {
             return { escalated: false, exhausted: true };
         }
@@ -301,6 +362,7 @@ class LadderState {
 }
 
 module.exports = {
+    PROVIDER_GEMINI,
     MODEL_LADDER,
     EXHAUSTED,
     nextLadderState,
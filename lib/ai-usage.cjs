@@ -0,0 +1,329 @@
+'use strict';
+
+/**
+ * AI 用量記帳與日配額預測——純邏輯，與 gh-plate-sync.cjs 的 I/O（Supabase 寫入）及
+ * ai_usage.cjs 報表 CLI 分離以便測試（test/ai-usage.test.cjs）。
+ *
+ * 背景：每個 shard 每天對哪個模型打了幾次，手上只有 AI Studio 儀表板人工讀到的一個總數
+ * （lib/ai-model-ladder.cjs 開頭註解的「24h 用量 6,815 次」）。改為 AIManager 每次呼叫都記一筆：
+ *   - 依 (配額日, provider, key, model) 累計呼叫數、成功數、延遲、429 類型（classifyQuotaError 的
+ *     PER_MINUTE／PER_DAY／UNKNOWN）、5xx、其他錯誤，以及從該 combo 升級／跳層的次數。
+ *   - 每個行程一個 session，累計值 upsert 進 public.ai_usage_daily（見
+ *     supabase/migrations-draft/ai_usage_daily.sql），每站結束寫一次——shard 被 job timeout 砍掉也只少最後一站。
+ * 配額日＝太平洋時間日曆日（Gemini 日配額重置點，見 lib/quota-ledger.cjs 的 quotaPeriodDay）。
+ *
+ * 預測（forecastQuota）：
+ *   - 每把 key × 模型的日上限：AI_DAILY_LIMITS 明確設定優先；否則取「曾吃到 PerDay 429 那天的成功呼叫數」
+ *     最大值（實測值，各 shard 合計）；兩者皆無則未知，不預測。
+ *   - 各 shard 對該 combo 的日需求：回看期間（不含今天）有資料日的平均消耗；沒有歷史時用今天的速率外推。
+ *   - 共用 key（DEFAULT）以指紋合併各 shard 的消耗與需求；shard 專屬 key 只有自己。
+ *   - 今日消耗＋各 shard 需求 × 今日剩餘比例 ≥ 上限 → 預計耗盡，算出 ETA。
+ * 報表再依 shard 列出「最先耗盡的那一層」。
+ */
+
+const { quotaPeriodDay, nextQuotaReset } = require('./quota-ledger.cjs');
+const { QUOTA_PER_MINUTE, QUOTA_PER_DAY, QUOTA_UNKNOWN } = require('./ai-model-ladder.cjs');
+
+const AI_USAGE_TABLE = 'ai_usage_daily';
+const AI_DAILY_LIMITS_ENV = 'AI_DAILY_LIMITS';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// record() 的 kind：成功，或 lib/captcha-providers.cjs 的 ERROR_*（字串相同，不在此重複 require）。
+const USAGE_OK = 'ok';
+const KIND_COLUMNS = {
+    [USAGE_OK]: 'ok',
+    rate_limit: 'http_429_unknown',      // 沒帶 quotaWindow 時的退路
+    quota_exhausted: 'http_429_per_day',
+    server_error: 'server_error',
+    other: 'other_error',
+};
+const QUOTA_WINDOW_COLUMNS = {
+    [QUOTA_PER_MINUTE]: 'http_429_per_minute',
+    [QUOTA_PER_DAY]: 'http_429_per_day',
+    [QUOTA_UNKNOWN]: 'http_429_unknown',
+};
+const COUNTER_COLUMNS = [
+    'calls', 'ok', 'http_429_per_minute', 'http_429_per_day', 'http_429_unknown',
+    'server_error', 'other_error', 'escalations', 'latency_ms_sum',
+];
+
+/**
+ * 每個行程一份用量累計。
+ * @param {{sessionId: string, shard: string, fingerprints?: Map<string, string>, clock?: () => Date}} opts
+ *   fingerprints：key 名稱 → 指紋（共用 key 跨 shard 合併用；沒有時以 key 名稱識別）
+ */
+function createUsageTracker({ sessionId, shard, fingerprints = new Map(), clock = () => new Date() }) {
+    const buckets = new Map();
+
+    function bucketFor({ provider, keyName, model }) {
+        const day = quotaPeriodDay(clock());
+        const id = `${day}\u0000${keyName}\u0000${model}`;
+        if (!buckets.has(id)) {
+            const row = {
+                session_id: sessionId, shard, quota_day: day, provider, key_name: keyName,
+                key_fingerprint: fingerprints.get(keyName) || null, model, latency_ms_max: 0,
+            };
+            for (const c of COUNTER_COLUMNS) row[c] = 0;
+            buckets.set(id, row);
+        }
+        return buckets.get(id);
+    }
+
+    return {
+        /**
+         * 記一次 API 呼叫（含失敗）。
+         * @param {{provider: string, keyName: string, model: string, kind: string, quotaWindow?: string|null, latencyMs: number}} call
+         *   kind：USAGE_OK 或 classifyError 的 kind；quotaWindow：429 時的細分
+         */
+        record({ provider, keyName, model, kind, quotaWindow = null, latencyMs }) {
+            const b = bucketFor({ provider, keyName, model });
+            b.calls++;
+            const column = QUOTA_WINDOW_COLUMNS[quotaWindow] || KIND_COLUMNS[kind] || 'other_error';
+            b[column]++;
+            const ms = Math.max(0, Math.round(latencyMs) || 0);
+            b.latency_ms_sum += ms;
+            b.latency_ms_max = Math.max(b.latency_ms_max, ms);
+        },
+        /** 記一次從該 combo 離開（門檻升級或日配額跳層；同層換 key 不算）。 */
+        recordEscalation({ provider, keyName, model }) {
+            bucketFor({ provider, keyName, model }).escalations++;
+        },
+        /** 目前累計（每列一個 配額日 × key × model），可重複 upsert。 */
+        rows() {
+            const updatedAt = clock().toISOString();
+            return [...buckets.values()].map((b) => ({ ...b, updated_at: updatedAt }));
+        },
+    };
+}
+
+/**
+ * AI_DAILY_LIMITS（JSON：模型 → 每把 key 每日上限，或 "key名稱/模型" → 上限）→ 物件。格式錯誤丟錯。
+ * @param {string|undefined} value
+ * @returns {Record<string, number>}
+ */
+function parseDailyLimits(value) {
+    if (!value || !value.trim()) return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (e) {
+        throw new Error(`${AI_DAILY_LIMITS_ENV} 不是合法 JSON：${e.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${AI_DAILY_LIMITS_ENV} 必須是 {"模型": 每日上限} 物件`);
+    }
+    for (const [k, v] of Object.entries(parsed)) {
+        if (!Number.isInteger(v) || v <= 0) throw new Error(`${AI_DAILY_LIMITS_ENV}.${k} 必須是正整數，收到 ${JSON.stringify(v)}`);
+    }
+    return parsed;
+}
+
+const keyIdOf = (row) => row.key_fingerprint || row.key_name;
+// 實際送達模型、佔用配額的呼叫（429 被擋下的不算）。
+const consumedOf = (row) => row.calls - row.http_429_per_minute - row.http_429_per_day - row.http_429_unknown;
+
+/**
+ * 多個 session 的列 → 依 (配額日, shard, key, model) 加總。
+ * @param {object[]} rows ai_usage_daily 的列
+ * @returns {object[]} 同欄位，session_id 省略；另加 consumed（佔用配額的呼叫數）
+ */
+function aggregateUsage(rows) {
+    const groups = new Map();
+    for (const r of rows || []) {
+        const id = [r.quota_day, r.shard, keyIdOf(r), r.model].join('\u0000');
+        if (!groups.has(id)) {
+            const g = {
+                quota_day: r.quota_day, shard: r.shard, provider: r.provider, key_name: r.key_name,
+                key_fingerprint: r.key_fingerprint || null, model: r.model, latency_ms_max: 0,
+            };
+            for (const c of COUNTER_COLUMNS) g[c] = 0;
+            groups.set(id, g);
+        }
+        const g = groups.get(id);
+        for (const c of COUNTER_COLUMNS) g[c] += Number(r[c]) || 0;
+        g.latency_ms_max = Math.max(g.latency_ms_max, Number(r.latency_ms_max) || 0);
+    }
+    return [...groups.values()]
+        .map((g) => ({ ...g, consumed: consumedOf(g) }))
+        .sort((a, b) => a.quota_day.localeCompare(b.quota_day) || a.shard.localeCompare(b.shard)
+            || a.key_name.localeCompare(b.key_name) || a.model.localeCompare(b.model));
+}
+
+/**
+ * 每把 key × 模型的日上限。
+ * @param {object[]} usage aggregateUsage 的結果
+ * @param {Record<string, number>} overrides parseDailyLimits 的結果（"key名稱/模型" 優先於 "模型"）
+ * @returns {Map<string, {limit: number, source: 'configured'|'observed'}>} key 為 `${keyId}/${model}`
+ */
+function estimateDailyLimits(usage, overrides = {}) {
+    const limits = new Map();
+    const perDay = new Map();
+    for (const u of usage) {
+        const id = `${keyIdOf(u)}/${u.model}`;
+        const configured = overrides[`${u.key_name}/${u.model}`] ?? overrides[u.model];
+        if (configured) {
+            limits.set(id, { limit: configured, source: 'configured' });
+            continue;
+        }
+        // 同一天各 shard 合計（共用 key）；只看有 PerDay 429 的日子
+        const dayId = `${id}\u0000${u.quota_day}`;
+        const d = perDay.get(dayId) || { id, consumed: 0, died: false };
+        d.consumed += u.consumed;
+        d.died = d.died || u.http_429_per_day > 0;
+        perDay.set(dayId, d);
+    }
+    for (const d of perDay.values()) {
+        if (!d.died || limits.get(d.id)?.source === 'configured') continue;
+        const prev = limits.get(d.id);
+        if (!prev || d.consumed > prev.limit) limits.set(d.id, { limit: d.consumed, source: 'observed' });
+    }
+    return limits;
+}
+
+/**
+ * 今日（配額日）各 key × 模型的預測。
+ * @param {object[]} rows ai_usage_daily 的列（回看期間＋今天）
+ * @param {{now: Date, overrides?: Record<string, number>, ladderModels?: string[]}} opts
+ *   ladderModels：階梯順序（模型名），用來標 tier
+ * @returns {{today: string, resetsAt: string, combos: object[], shards: object[]}}
+ *   combos：依 ETA 排序（預計耗盡者在前）；shards：每個 shard 最先耗盡的 combo
+ */
+function forecastQuota(rows, { now, overrides = {}, ladderModels = [] }) {
+    const usage = aggregateUsage(rows);
+    const limits = estimateDailyLimits(usage, overrides);
+    const today = quotaPeriodDay(now);
+    const resetsAt = nextQuotaReset(now);
+    const remainingMs = Math.max(0, resetsAt - now);
+    const elapsedFraction = Math.min(1, Math.max(1 / 24, 1 - remainingMs / DAY_MS));
+
+    // (keyId/model) → 今日消耗、各 shard 需求
+    const combos = new Map();
+    const history = new Map(); // `${id}\u0000${shard}` → {consumed, days}
+    for (const u of usage) {
+        const id = `${keyIdOf(u)}/${u.model}`;
+        if (!combos.has(id)) {
+            combos.set(id, {
+                id, provider: u.provider, keyNames: new Set(), model: u.model,
+                tier: ladderModels.indexOf(u.model), usedToday: 0, diedToday: false, todayByShard: new Map(), shards: new Set(),
+            });
+        }
+        const c = combos.get(id);
+        c.keyNames.add(u.key_name);
+        c.shards.add(u.shard);
+        if (u.quota_day === today) {
+            c.usedToday += u.consumed;
+            c.diedToday = c.diedToday || u.http_429_per_day > 0;
+            c.todayByShard.set(u.shard, (c.todayByShard.get(u.shard) || 0) + u.consumed);
+        } else if (u.quota_day < today) {
+            const hid = `${id}\u0000${u.shard}`;
+            const h = history.get(hid) || { consumed: 0, days: new Set() };
+            h.consumed += u.consumed;
+            h.days.add(u.quota_day);
+            history.set(hid, h);
+        }
+    }
+
+    const results = [];
+    for (const c of combos.values()) {
+        let demandPerDay = 0;
+        const demandByShard = {};
+        for (const shard of c.shards) {
+            const h = history.get(`${c.id}\u0000${shard}`);
+            const rate = h ? h.consumed / h.days.size : (c.todayByShard.get(shard) || 0) / elapsedFraction;
+            demandByShard[shard] = Math.round(rate);
+            demandPerDay += rate;
+        }
+        const known = limits.get(c.id) || null;
+        const limit = known ? known.limit : null;
+        const projected = c.usedToday + demandPerDay * (remainingMs / DAY_MS);
+        let eta = null;
+        let exhausted = c.diedToday || (limit !== null && c.usedToday >= limit);
+        if (exhausted) {
+            eta = now;
+        } else if (limit !== null && projected >= limit && demandPerDay > 0) {
+            eta = new Date(now.getTime() + ((limit - c.usedToday) / demandPerDay) * DAY_MS);
+        }
+        results.push({
+            provider: c.provider,
+            keyNames: [...c.keyNames].sort(),
+            model: c.model,
+            tier: c.tier >= 0 ? c.tier : null,
+            shards: [...c.shards].sort(),
+            usedToday: c.usedToday,
+            limit,
+            limitSource: known ? known.source : null,
+            remaining: limit !== null ? Math.max(0, limit - c.usedToday) : null,
+            demandPerDay: Math.round(demandPerDay),
+            demandByShard,
+            projected: Math.round(projected),
+            exhausted,
+            eta: eta ? eta.toISOString() : null,
+        });
+    }
+    const etaOrder = (r) => (r.eta ? Date.parse(r.eta) : Infinity);
+    results.sort((a, b) => etaOrder(a) - etaOrder(b) || (a.tier ?? 99) - (b.tier ?? 99) || a.model.localeCompare(b.model));
+
+    const shardNames = [...new Set(results.flatMap((r) => r.shards))].sort();
+    const shards = shardNames.map((shard) => {
+        const first = results.find((r) => r.shards.includes(shard) && r.eta);
+        return { shard, first: first || null };
+    });
+    return { today, resetsAt: resetsAt.toISOString(), combos: results, shards };
+}
+
+const fmtTime = (iso, timeZone) => (iso
+    ? new Date(iso).toLocaleString('zh-TW', { timeZone, hour12: false, month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+    : '—');
+
+/**
+ * 用量表＋預測 → 文字報表。
+ * @param {object[]} usage aggregateUsage 的結果
+ * @param {ReturnType<typeof forecastQuota>} forecast
+ * @param {{timeZone?: string}} [opts] 時間顯示時區（預設台北）
+ * @returns {string}
+ */
+function formatUsageReport(usage, forecast, { timeZone = 'Asia/Taipei' } = {}) {
+    if (usage.length === 0) return '沒有 AI 用量紀錄。';
+    const lines = ['配額日\tshard\tkey\tmodel\t呼叫\t成功\t429分\t429日\t429?\t5xx\t其他\t升級\t平均ms\t最大ms'];
+    for (const u of usage) {
+        lines.push([
+            u.quota_day, u.shard, u.key_name, u.model, u.calls, u.ok, u.http_429_per_minute, u.http_429_per_day,
+            u.http_429_unknown, u.server_error, u.other_error, u.escalations,
+            u.calls > 0 ? Math.round(u.latency_ms_sum / u.calls) : '—', u.latency_ms_max,
+        ].join('\t'));
+    }
+
+    lines.push('', `📅 今日配額日 ${forecast.today}（重置：${fmtTime(forecast.resetsAt, timeZone)}）`);
+    lines.push('tier\tkey\tmodel\t已用\t上限\t剩餘\t日需求\t預估今日\t耗盡\tshards');
+    for (const c of forecast.combos) {
+        const limit = c.limit === null ? '未知' : `${c.limit}${c.limitSource === 'observed' ? '(實測)' : ''}`;
+        const eta = c.exhausted ? '已耗盡' : (c.eta ? fmtTime(c.eta, timeZone) : '—');
+        lines.push([
+            c.tier ?? '—', c.keyNames.join(','), c.model, c.usedToday, limit, c.remaining ?? '—',
+            c.demandPerDay, c.projected, eta, c.shards.join(','),
+        ].join('\t'));
+    }
+
+    lines.push('', '⏳ 各 shard 最先耗盡：');
+    for (const { shard, first } of forecast.shards) {
+        if (!first) {
+            lines.push(`   ${shard}：今日預計不會耗盡（或上限未知）`);
+            continue;
+        }
+        const when = first.exhausted ? '已耗盡' : `約 ${fmtTime(first.eta, timeZone)}`;
+        lines.push(`   ${shard}：tier ${first.tier ?? '?'} ${first.model} @ ${first.keyNames.join(',')} — ${when}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    AI_USAGE_TABLE,
+    AI_DAILY_LIMITS_ENV,
+    USAGE_OK,
+    createUsageTracker,
+    parseDailyLimits,
+    aggregateUsage,
+    estimateDailyLimits,
+    forecastQuota,
+    formatUsageReport,
+};
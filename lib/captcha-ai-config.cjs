@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * CAPTCHA AI 設定（模型階梯、退避、systemInstruction、generationConfig）的驗證與合併，
+ * 供 gh-plate-sync.cjs 的 AIManager 啟動時套用（測試：test/captcha-ai-config.test.cjs）。
+ *
+ * 背景：MODEL_LADDER 的模型與 failuresToEscalate、429／5xx 退避秒數、系統提示都寫死在程式裡，
+ * Google 下架模型或調整配額時只能改碼發版。改為可由設定覆寫，下一輪執行即生效：
+ *   - CAPTCHA_AI_CONFIG_FILE 指向 JSON 檔（本機除錯／緊急調整），有設就只用檔案；
+ *   - 否則讀 system_configs（key='captcha_ai_config'，見 supabase/migrations-draft/captcha_ai_config.sql）；
+ *   - 都沒有就用 DEFAULT_CAPTCHA_AI_CONFIG（＝先前寫死的值）。
+ * 格式（各欄位皆可省略，省略者用預設；generationConfig／backoff 逐欄合併，ladder 整條取代）：
+ *   {
+ *     "ladder": [{ "provider": "gemini", "model": "gemma-4-26b-a4b-it", "failuresToEscalate": 3 }, ...],
+ *     "backoff": { "rateLimitMs": 20000, "serverErrorMinMs": 5000, "serverErrorMaxMs": 10000 },
+ *     "systemInstruction": "...",
+ *     "generationConfig": { "temperature": 0, "maxOutputTokens": 16 }
+ *   }
+ * rateLimitMs 只在 429 沒帶 RetryInfo／Retry-After 時使用。OPENAI_CAPTCHA_* 有設而 ladder 沒排
+ * openai 層時，照舊依 OPENAI_CAPTCHA_POSITION 接上（buildCaptchaLadder）。
+ * 設定錯誤直接丟錯：寧可這輪啟動失敗，也不默默用半套設定去燒配額。
+ */
+
+const { MODEL_LADDER } = require('./ai-model-ladder.cjs');
+const { PROVIDER_GEMINI, PROVIDER_OPENAI, CAPTCHA_SYSTEM_INSTRUCTION, DEFAULT_GENERATION_CONFIG } = require('./captcha-providers.cjs');
+
+const CAPTCHA_AI_CONFIG_KEY = 'captcha_ai_config';
+const CAPTCHA_AI_CONFIG_FILE_ENV = 'CAPTCHA_AI_CONFIG_FILE';
+
+const DEFAULT_CAPTCHA_AI_CONFIG = Object.freeze({
+    ladder: MODEL_LADDER,
+    backoff: Object.freeze({ rateLimitMs: 20000, serverErrorMinMs: 5000, serverErrorMaxMs: 10000 }),
+    systemInstruction: CAPTCHA_SYSTEM_INSTRUCTION,
+    generationConfig: DEFAULT_GENERATION_CONFIG,
+});
+
+const KNOWN_PROVIDERS = [PROVIDER_GEMINI, PROVIDER_OPENAI];
+const TIER_FIELDS = ['provider', 'model', 'failuresToEscalate'];
+const BACKOFF_FIELDS = ['rateLimitMs', 'serverErrorMinMs', 'serverErrorMaxMs'];
+// 兩個 provider 都能對應的取樣參數（OpenAI 相容端點：temperature／max_tokens／top_p）。
+const GENERATION_RULES = {
+    temperature: [(v) => typeof v === 'number' && v >= 0 && v <= 2, '0~2 的數字'],
+    maxOutputTokens: [(v) => Number.isInteger(v) && v >= 1, '正整數'],
+    topP: [(v) => typeof v === 'number' && v > 0 && v <= 1, '大於 0、至多 1 的數字'],
+};
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function rejectUnknown(obj, known, path) {
+    const unknown = Object.keys(obj).filter((k) => !known.includes(k));
+    if (unknown.length > 0) throw new Error(`${path} 含未知欄位：${unknown.join(', ')}`);
+}
+
+function resolveLadder(raw) {
+    if (!Array.isArray(raw) || raw.length === 0) throw new Error('ladder 必須是非空陣列');
+    const seen = new Set();
+    return Object.freeze(raw.map((tier, i) => {
+        const path = `ladder[${i}]`;
+        if (!isPlainObject(tier)) throw new Error(`${path} 必須是物件`);
+        rejectUnknown(tier, TIER_FIELDS, path);
+        const provider = tier.provider === undefined ? PROVIDER_GEMINI : tier.provider;
+        if (!KNOWN_PROVIDERS.includes(provider)) {
+            throw new Error(`${path}.provider 必須是 ${KNOWN_PROVIDERS.join(' / ')}，收到 ${JSON.stringify(tier.provider)}`);
+        }
+        if (typeof tier.model !== 'string' || tier.model.trim() === '') throw new Error(`${path}.model 必須是非空字串`);
+        if (!(Number.isInteger(tier.failuresToEscalate) && tier.failuresToEscalate >= 1)) {
+            throw new Error(`${path}.failuresToEscalate 必須是正整數`);
+        }
+        // 同一模型排兩層會共用 (key, model) 死亡標記，階梯語義說不清，直接擋。
+        const id = `${provider}::${tier.model}`;
+        if (seen.has(id)) throw new Error(`${path} 與前面的層重複（${provider} / ${tier.model}）`);
+        seen.add(id);
+        return Object.freeze({ provider, model: tier.model, failuresToEscalate: tier.failuresToEscalate });
+    }));
+}
+
+function resolveBackoff(raw) {
+    if (!isPlainObject(raw)) throw new Error('backoff 必須是物件');
+    rejectUnknown(raw, BACKOFF_FIELDS, 'backoff');
+    const backoff = { ...DEFAULT_CAPTCHA_AI_CONFIG.backoff, ...raw };
+    for (const field of BACKOFF_FIELDS) {
+        if (!(Number.isInteger(backoff[field]) && backoff[field] >= 0)) throw new Error(`backoff.${field} 必須是非負整數（毫秒）`);
+    }
+    if (backoff.serverErrorMinMs > backoff.serverErrorMaxMs) throw new Error('backoff.serverErrorMinMs 不可大於 serverErrorMaxMs');
+    return Object.freeze(backoff);
+}
+
+function resolveGenerationConfig(raw) {
+    if (!isPlainObject(raw)) throw new Error('generationConfig 必須是物件');
+    rejectUnknown(raw, Object.keys(GENERATION_RULES), 'generationConfig');
+    const config = { ...DEFAULT_CAPTCHA_AI_CONFIG.generationConfig, ...raw };
+    for (const [field, [valid, rule]] of Object.entries(GENERATION_RULES)) {
+        if (config[field] !== undefined && !valid(config[field])) throw new Error(`generationConfig.${field} 必須是${rule}`);
+    }
+    return Object.freeze(config);
+}
+
+/**
+ * 設定 value → 驗證並與預設合併後的完整設定。
+ * @param {object|null|undefined} raw system_configs.captcha_ai_config 的 value 或設定檔內容
+ * @returns {{ladder: ReadonlyArray<{provider: string, model: string, failuresToEscalate: number}>,
+ *   backoff: {rateLimitMs: number, serverErrorMinMs: number, serverErrorMaxMs: number},
+ *   systemInstruction: string, generationConfig: object}}
+ */
+function resolveCaptchaAiConfig(raw) {
+    if (raw === null || raw === undefined) return DEFAULT_CAPTCHA_AI_CONFIG;
+    if (!isPlainObject(raw)) throw new Error(`${CAPTCHA_AI_CONFIG_KEY} 必須是物件`);
+    rejectUnknown(raw, Object.keys(DEFAULT_CAPTCHA_AI_CONFIG), CAPTCHA_AI_CONFIG_KEY);
+
+    const config = { ...DEFAULT_CAPTCHA_AI_CONFIG };
+    if (raw.ladder !== undefined) config.ladder = resolveLadder(raw.ladder);
+    if (raw.backoff !== undefined) config.backoff = resolveBackoff(raw.backoff);
+    if (raw.systemInstruction !== undefined) {
+        if (typeof raw.systemInstruction !== 'string' || raw.systemInstruction.trim() === '') {
+            throw new Error('systemInstruction 必須是非空字串');
+        }
+        config.systemInstruction = raw.systemInstruction;
+    }
+    if (raw.generationConfig !== undefined) config.generationConfig = resolveGenerationConfig(raw.generationConfig);
+    return Object.freeze(config);
+}
+
+/**
+ * 5xx 退避毫秒數：[serverErrorMinMs, serverErrorMaxMs) 內均勻取值（min＝max 時固定）。
+ * @param {{serverErrorMinMs: number, serverErrorMaxMs: number}} backoff
+ * @param {() => number} [random]
+ * @returns {number}
+ */
+function serverBackoffMs(backoff, random = Math.random) {
+    return backoff.serverErrorMinMs + Math.floor(random() * (backoff.serverErrorMaxMs - backoff.serverErrorMinMs));
+}
+
+module.exports = {
+    CAPTCHA_AI_CONFIG_KEY,
+    CAPTCHA_AI_CONFIG_FILE_ENV,
+    DEFAULT_CAPTCHA_AI_CONFIG,
+    resolveCaptchaAiConfig,
+    serverBackoffMs,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * CAPTCHA 多數決（consensus）——同一張圖交給 2～3 個 provider／模型各答一次，多數同意才送出，
+ * 意見分歧就換一張圖重來；以每輪額外 AI 呼叫的預算控管，只在答錯率高的站啟用
+ * （測試：test/captcha-consensus.test.cjs）。
+ *
+ * 背景：extractCaptchaCode 取到 4 字元就直接送出，答錯的代價是整段重導航（數十秒＋再一次
+ * AI 呼叫）。大部分站一次就過，多問幾個模型只是浪費配額；少數站（圖特別糊、雜線多）答錯率
+ * 高，在那裡多花 1～2 次呼叫換掉一次重導航才划算。
+ *
+ * CAPTCHA_CONSENSUS_MODE：
+ *   - off（預設）：行為與先前相同。
+ *   - auto：某站本輪已送出 ≥ MIN_SUBMISSIONS 次、答錯率 ≥ REJECT_RATE，且預算還夠時才投票。
+ *   - always：每次都投票（仍受預算限制；用來量測或除錯）。
+ * 投票者：主要辨識（本機 tier 0 或目前階梯 combo）＋本機 solver（有把握才算一票，不花預算）
+ * ＋階梯上更高層的存活 combo（LadderState.alternateCombos，每票花 1 單位預算）。
+ * 不對同一 combo 重問同一張圖：provider 一律 temperature 0，重問只會拿到同一個答案、白花預算；
+ * 「重新取樣」改由分歧時換一張圖達成。
+ */
+
+const CONSENSUS_MODE_OFF = 'off';
+const CONSENSUS_MODE_AUTO = 'auto';
+const CONSENSUS_MODE_ALWAYS = 'always';
+const CONSENSUS_MODES = [CONSENSUS_MODE_OFF, CONSENSUS_MODE_AUTO, CONSENSUS_MODE_ALWAYS];
+
+const DEFAULT_CONSENSUS_CONFIG = Object.freeze({
+    mode: CONSENSUS_MODE_OFF,
+    voters: 3,           // 含主要辨識；2＝兩票一致才送，3＝三票過半
+    budget: 60,          // 每輪（每個 shard 行程）最多額外 AI 呼叫次數
+    rejectRate: 0.4,     // auto：站內答錯率門檻
+    minSubmissions: 3,   // auto：站內至少送出幾次才估答錯率（樣本太少不判斷）
+});
+
+/**
+ * CAPTCHA_CONSENSUS_* → 設定。不認得的模式、超出範圍的數字直接丟錯。
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{mode: string, voters: number, budget: number, rejectRate: number, minSubmissions: number}}
+ */
+function resolveConsensusConfig(env) {
+    const config = { ...DEFAULT_CONSENSUS_CONFIG };
+    const mode = (env.CAPTCHA_CONSENSUS_MODE || '').trim().toLowerCase();
+    if (mode) {
+        if (!CONSENSUS_MODES.includes(mode)) {
+            throw new Error(`CAPTCHA_CONSENSUS_MODE 必須是 ${CONSENSUS_MODES.join(' / ')}，收到 ${JSON.stringify(env.CAPTCHA_CONSENSUS_MODE)}`);
+        }
+        config.mode = mode;
+    }
+    const read = (name, key, valid, rule) => {
+        if (env[name] === undefined || env[name] === '') return;
+        const n = Number(env[name]);
+        if (!valid(n)) throw new Error(`${name} 必須是${rule}，收到 ${JSON.stringify(env[name])}`);
+        config[key] = n;
+    };
+    read('CAPTCHA_CONSENSUS_VOTERS', 'voters', (n) => n === 2 || n === 3, ' 2 或 3');
+    read('CAPTCHA_CONSENSUS_BUDGET', 'budget', (n) => Number.isInteger(n) && n >= 0, '非負整數');
+    read('CAPTCHA_CONSENSUS_REJECT_RATE', 'rejectRate', (n) => Number.isFinite(n) && n >= 0 && n <= 1, ' 0..1 的數字');
+    read('CAPTCHA_CONSENSUS_MIN_SUBMISSIONS', 'minSubmissions', (n) => Number.isInteger(n) && n >= 1, '正整數');
+    return config;
+}
+
+/**
+ * 開票。null 票（呼叫失敗、截取不到）算投票者但不算同意。
+ * @param {Array<string|null>} codes 各投票者的答案（第一票為主要辨識）
+ * @param {number} voters 投票者總數（過半門檻依此計算）
+ * @returns {{code: string|null, agreed: boolean, needed: number, tally: Record<string, number>}}
+ *   code 為得票最多者（同票取先出現者）；agreed＝得票 ≥ 過半門檻
+ */
+function tallyVotes(codes, voters = codes.length) {
+    const tally = {};
+    for (const code of codes) if (code) tally[code] = (tally[code] || 0) + 1;
+    let code = null;
+    for (const c of codes) if (c && (code === null || tally[c] > tally[code])) code = c;
+    const needed = Math.floor(voters / 2) + 1;
+    return { code, agreed: code !== null && tally[code] >= needed, needed, tally };
+}
+
+/**
+ * 每個 shard 行程一份：各站送出／答錯計數與預算。
+ * @param {ReturnType<typeof resolveConsensusConfig>} config
+ */
+function createConsensusController(config) {
+    const stations = new Map();
+    let spent = 0;
+
+    const statFor = (station) => {
+        const key = String(station);
+        if (!stations.has(key)) stations.set(key, { submitted: 0, rejected: 0, votes: 0, agreed: 0, disagreed: 0 });
+        return stations.get(key);
+    };
+
+    return {
+        config,
+        get spent() { return spent; },
+        get remaining() { return Math.max(0, config.budget - spent); },
+
+        /** 送出後的判定（accepted／rejected，其餘忽略）。 */
+        recordOutcome(station, outcome) {
+            if (outcome !== 'accepted' && outcome !== 'rejected') return;
+            const s = statFor(station);
+            s.submitted++;
+            if (outcome === 'rejected') s.rejected++;
+        },
+
+        /** 站內答錯率；送出不足 minSubmissions 次時為 null。 */
+        rejectRate(station) {
+            const s = statFor(station);
+            return s.submitted >= config.minSubmissions ? s.rejected / s.submitted : null;
+        },
+
+        /** 這次辨識要不要投票（模式、答錯率、預算都要過；預算至少夠一票）。 */
+        shouldVote(station) {
+            if (config.mode === CONSENSUS_MODE_OFF || spent >= config.budget) return false;
+            if (config.mode === CONSENSUS_MODE_ALWAYS) return true;
+            const rate = this.rejectRate(station);
+            return rate !== null && rate >= config.rejectRate;
+        },
+
+        /** 預算夠 n 次呼叫才扣款並回 true；不夠回 false（不扣）。 */
+        charge(n) {
+            if (n > this.remaining) return false;
+            spent += n;
+            return true;
+        },
+
+        /** 記一次投票結果。 */
+        recordVote(station, agreed) {
+            const s = statFor(station);
+            s.votes++;
+            if (agreed) s.agreed++;
+            else s.disagreed++;
+        },
+
+        /** 各站統計（結束時印出／寫進站點統計）。 */
+        stationStats(station) {
+            return { ...statFor(station) };
+        },
+    };
+}
+
+module.exports = {
+    CONSENSUS_MODE_OFF,
+    CONSENSUS_MODE_AUTO,
+    CONSENSUS_MODE_ALWAYS,
+    DEFAULT_CONSENSUS_CONFIG,
+    resolveConsensusConfig,
+    tallyVotes,
+    createConsensusController,
+};
@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * CAPTCHA 標註資料集——實戰每次辨識的圖、模型／key、原始回應、截取結果與後續判定，
+ * 存成本機目錄 + 索引檔（測試：test/captcha-dataset.test.cjs）。
+ *
+ * 背景：solveCaptcha 截完 #pickimg 就丟，只剩 log 裡的 Predicted/Raw 文字，無法回頭算
+ * 「哪個模型實際上答對幾成」，也沒有日後自訓 solver 的素材。設了 CAPTCHA_DATASET_DIR 才啟用：
+ *   - `${dir}/images/${id}.jpg`：送給模型的那張截圖（原樣 JPEG）。
+ *   - `${dir}/images/${id}.pgm`：同一張圖的灰階原始像素（呼叫端有給 bitmap 時；無損、不需解碼器，
+ *     供 captcha_train.cjs 訓練本機 solver，見 lib/captcha-local-solver.cjs）。
+ *   - `${dir}/index.ndjson`：每個樣本判定後追加一行（append-only，並行 worker／多次執行共用）。
+ *     送模型前有做前處理（CAPTCHA_PREPROCESS，見 lib/captcha-preprocess.cjs）時另記 preprocess＝變體；
+ *     存下的圖一律是原圖，離線評估才能重放任何變體。
+ * 判定（outcome）：
+ *   - accepted：送出後出現結果頁或「查無資料」——答案被 MVDIS 接受，code 即正確標註。
+ *   - rejected：出現「驗證數字輸入錯誤」——答案錯，圖仍可人工補標。
+ *   - unparsed：截取不到合格 4 字元，沒有送出。
+ *   - error：模型呼叫失敗，沒有回應。
+ *   - unknown：已送出但沒等到明確結果（逾時、導航中斷、其他 alert）；不計入準確率。
+ * 準確率只看 accepted／(accepted + rejected)——這是 MVDIS 本身給的 ground truth。
+ *
+ * 彙整：`node captcha_dataset.cjs [dir]`。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readNdjsonIndex } = require('./ndjson-index.cjs');
+
+const CAPTCHA_DATASET_ENV = 'CAPTCHA_DATASET_DIR';
+const INDEX_FILE = 'index.ndjson';
+const IMAGE_DIR = 'images';
+
+const OUTCOME_ACCEPTED = 'accepted';
+const OUTCOME_REJECTED = 'rejected';
+const OUTCOME_UNPARSED = 'unparsed';
+const OUTCOME_ERROR = 'error';
+const OUTCOME_UNKNOWN = 'unknown';
+const OUTCOMES = [OUTCOME_ACCEPTED, OUTCOME_REJECTED, OUTCOME_UNPARSED, OUTCOME_ERROR, OUTCOME_UNKNOWN];
+
+// MVDIS 驗證碼答錯時的 alert／頁面文字（「請輸入驗證數字」是空白送出，不代表答錯）。
+const CAPTCHA_REJECTED_TEXT = '驗證數字輸入錯誤';
+
+/**
+ * 灰階 bitmap → binary PGM（P5）。
+ * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+ * @returns {Buffer}
+ */
+function encodePgm({ width, height, gray }) {
+    return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`, 'ascii'), Buffer.from(Uint8Array.from(gray))]);
+}
+
+/**
+ * binary PGM（P5，maxval ≤ 255）→ 灰階 bitmap。格式不符丟錯。
+ * @param {Buffer} buf
+ * @returns {{width: number, height: number, gray: Uint8Array}}
+ */
+function decodePgm(buf) {
+    const fields = [];
+    let pos = 0;
+    while (fields.length < 4) {
+        while (pos < buf.length && /\s/.test(String.fromCharCode(buf[pos]))) pos++;
+        if (buf[pos] === 0x23) { // '#' 註解到行尾
+            while (pos < buf.length && buf[pos] !== 0x0a) pos++;
+            continue;
+        }
+        const start = pos;
+        while (pos < buf.length && !/\s/.test(String.fromCharCode(buf[pos]))) pos++;
+        if (start === pos) throw new Error('PGM 標頭不完整');
+        fields.push(buf.toString('ascii', start, pos));
+    }
+    const [magic, w, h, maxval] = fields;
+    const width = Number(w);
+    const height = Number(h);
+    if (magic !== 'P5' || !(width > 0) || !(height > 0) || Number(maxval) > 255) throw new Error('不支援的 PGM 格式');
+    const gray = buf.subarray(pos + 1, pos + 1 + width * height);
+    if (gray.length !== width * height) throw new Error('PGM 像素資料不完整');
+    return { width, height, gray: Uint8Array.from(gray) };
+}
+
+/**
+ * 送出後的觀察 → outcome。
+ * @param {{success: boolean, alertMsg?: string|null, bodyRejected?: boolean}} observed
+ *   success：結果頁或查無資料已出現；alertMsg：送出期間攔到的 alert；bodyRejected：頁面出現答錯文字
+ * @returns {'accepted'|'rejected'|'unknown'}
+ */
+function classifyCaptchaOutcome({ success, alertMsg = null, bodyRejected = false }) {
+    if (success) return OUTCOME_ACCEPTED;
+    if (bodyRejected || (alertMsg && alertMsg.includes(CAPTCHA_REJECTED_TEXT))) return OUTCOME_REJECTED;
+    return OUTCOME_UNKNOWN;
+}
+
+/**
+ * 建立資料集寫入器。dir 為空時回 null（未啟用，呼叫端以 `dataset?.` 略過）。
+ * 寫檔失敗只印一行錯誤——資料集是副產品，不該讓同步失敗。
+ *
+ * @param {string|null|undefined} dir
+ * @param {{shard?: string, clock?: () => Date}} [opts]
+ */
+function createCaptchaDataset(dir, { shard = 'ALL', clock = () => new Date() } = {}) {
+    if (!dir) return null;
+
+    const pending = new Map();
+    let seq = 0;
+
+    function append(record) {
+        try {
+            fs.appendFileSync(path.join(dir, INDEX_FILE), JSON.stringify(record) + '\n');
+        } catch (e) {
+            console.error(`    [Dataset] 寫入索引失敗: ${e.message}`);
+        }
+    }
+
+    return {
+        dir,
+        /**
+         * 記下一次辨識。code 為 null（截取失敗）或帶 error（模型呼叫失敗）時當場判定寫入索引；
+         * 否則暫存，等送出後由 resolve() 補上 outcome。
+         * @param {{imageBase64: string, model: string, key: string, rawText?: string|null, code?: string|null,
+         *   error?: string|null, station?: string, window?: string, plateType?: string,
+         *   bitmap?: {width: number, height: number, gray: ArrayLike<number>}|null, confidence?: number,
+         *   preprocess?: string}} sample
+         *   confidence：本機 solver 的信心（Gemini 樣本沒有）；preprocess：送模型前套用的前處理變體
+         * @returns {string|null} 樣本 id；寫圖失敗時 null
+         */
+        capture({ imageBase64, model, key, rawText = null, code = null, error = null, station, window, plateType, bitmap = null, confidence, preprocess }) {
+            const capturedAt = clock();
+            const id = `${capturedAt.toISOString().replace(/[-:.]/g, '')}_${shard}_${process.pid}_${++seq}`;
+            const image = path.posix.join(IMAGE_DIR, `${id}.jpg`);
+            const pgm = bitmap ? path.posix.join(IMAGE_DIR, `${id}.pgm`) : undefined;
+            try {
+                fs.mkdirSync(path.join(dir, IMAGE_DIR), { recursive: true });
+                fs.writeFileSync(path.join(dir, image), Buffer.from(imageBase64, 'base64'));
+                if (pgm) fs.writeFileSync(path.join(dir, pgm), encodePgm(bitmap));
+            } catch (e) {
+                console.error(`    [Dataset] 寫入圖片失敗: ${e.message}`);
+                return null;
+            }
+            const record = {
+                id, captured_at: capturedAt.toISOString(), image, bitmap: pgm, model, key, shard,
+                station, window, plate_type: plateType, raw_text: rawText, code, confidence, preprocess,
+            };
+            if (error || !code) {
+                append({ ...record, outcome: error ? OUTCOME_ERROR : OUTCOME_UNPARSED, error: error || undefined, resolved_at: capturedAt.toISOString() });
+            } else {
+                pending.set(id, record);
+            }
+            return id;
+        },
+        /** 補上送出後的判定並寫入索引。id 不在暫存中（已判定或 null）時忽略。 */
+        resolve(id, outcome, { alert = null } = {}) {
+            const record = id ? pending.get(id) : null;
+            if (!record) return;
+            pending.delete(id);
+            append({ ...record, outcome, alert: alert || undefined, resolved_at: clock().toISOString() });
+        },
+        /** 結束前把仍未判定的樣本以 unknown 寫出（例外中斷的嘗試）。 */
+        flush() {
+            for (const id of [...pending.keys()]) this.resolve(id, OUTCOME_UNKNOWN);
+        },
+    };
+}
+
+/**
+ * 讀資料集目錄的索引（lib/ndjson-index.cjs）。
+ * @param {string} dir
+ * @returns {object[]}
+ */
+function readDatasetIndex(dir) {
+    return readNdjsonIndex(path.join(dir, INDEX_FILE));
+}
+
+/**
+ * 依模型彙整：樣本數、各 outcome 數、截取率、準確率（accepted／已判對錯）。
+ * 有前處理的樣本依「模型 × 變體」另列一行（preprocess 為變體；原圖為 null）。
+ * @param {object[]} records readDatasetIndex 的結果
+ * @returns {Array<{model: string, preprocess: string|null, samples: number, accepted: number, rejected: number, unparsed: number,
+ *   error: number, unknown: number, parseRate: number|null, accuracy: number|null}>} 依樣本數遞減
+ */
+function summarizeByModel(records) {
+    const byModel = new Map();
+    for (const r of records) {
+        const model = r.model || '(unknown)';
+        const preprocess = r.preprocess || null;
+        const id = preprocess ? `${model}\u0000${preprocess}` : model;
+        const s = byModel.get(id) || { model, preprocess, samples: 0, accepted: 0, rejected: 0, unparsed: 0, error: 0, unknown: 0 };
+        s.samples++;
+        if (OUTCOMES.includes(r.outcome)) s[r.outcome]++;
+        byModel.set(id, s);
+    }
+    return [...byModel.values()]
+        .map((s) => {
+            const answered = s.samples - s.error;
+            const judged = s.accepted + s.rejected;
+            return {
+                ...s,
+                parseRate: answered > 0 ? (answered - s.unparsed) / answered : null,
+                accuracy: judged > 0 ? s.accepted / judged : null,
+            };
+        })
+        .sort((a, b) => b.samples - a.samples || a.model.localeCompare(b.model));
+}
+
+const pct = (v) => (v === null ? '—' : `${(v * 100).toFixed(1)}%`);
+
+/**
+ * @param {ReturnType<typeof summarizeByModel>} summary
+ * @returns {string}
+ */
+function formatDatasetSummary(summary) {
+    if (summary.length === 0) return '資料集沒有樣本。';
+    const lines = ['模型\t樣本\t接受\t答錯\t未截取\t錯誤\t未判定\t截取率\t準確率'];
+    for (const s of summary) {
+        lines.push([s.preprocess ? `${s.model} [${s.preprocess}]` : s.model, s.samples, s.accepted, s.rejected, s.unparsed, s.error, s.unknown, pct(s.parseRate), pct(s.accuracy)].join('\t'));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    CAPTCHA_DATASET_ENV,
+    INDEX_FILE,
+    IMAGE_DIR,
+    OUTCOME_ACCEPTED,
+    OUTCOME_REJECTED,
+    OUTCOME_UNPARSED,
+    OUTCOME_ERROR,
+    OUTCOME_UNKNOWN,
+    CAPTCHA_REJECTED_TEXT,
+    encodePgm,
+    decodePgm,
+    classifyCaptchaOutcome,
+    createCaptchaDataset,
+    readDatasetIndex,
+    summarizeByModel,
+    formatDatasetSummary,
+};
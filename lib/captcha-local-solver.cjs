@@ -0,0 +1,381 @@
+'use strict';
+
+/**
+ * 本機古典 CAPTCHA 辨識（tier 0）——二值化、切出 4 個字元、以樣板最近鄰分類，全部純 JS、
+ * 不打任何 API（測試：test/captcha-local-solver.test.cjs）。
+ *
+ * 背景：所有 OCR 都走 lib/ai-model-ladder.cjs 的 MODEL_LADDER，日配額（RPD）是 shard
+ * 從 3 拆到 5 的主因。MVDIS 驗證碼是固定字型的 4 個英數字，古典方法足以解掉大部分；
+ * gh-plate-sync.cjs 的 solveCaptchaSample 先跑本模組，信心不足才交給 Gemini 階梯。
+ *
+ * 流程：
+ *   1. 灰階 → Otsu 門檻二值化（前景佔多數時反相，字一律為 1）。
+ *   2. 去掉面積過小的連通塊（雜點）。
+ *   3. 欄投影切段：多於 4 段先併最窄的間隙，少於 4 段從最寬段的投影谷底拆開。
+ *   4. 每段裁到字的外框、縮放成 GLYPH_WIDTH × GLYPH_HEIGHT 的 0..1 向量。
+ *   5. 與各字元樣板（訓練樣本的平均向量）比平均絕對差，取最近者。
+ * 信心＝各字元「(次近距離 − 最近距離) ／ 次近距離」的最小值（0..1）：最近兩個樣板分不開
+ * 的字就是沒把握。樣板由 captcha_train.cjs 從 CAPTCHA 標註資料集（lib/captcha-dataset.cjs）
+ * 的 accepted 樣本訓練，存成 JSON。
+ */
+
+const fs = require('fs');
+
+const GLYPH_WIDTH = 12;
+const GLYPH_HEIGHT = 16;
+const CODE_LENGTH = 4;
+const MODEL_VERSION = 1;
+
+const LOCAL_MODEL_ENV = 'CAPTCHA_LOCAL_MODEL';
+const LOCAL_MIN_CONFIDENCE_ENV = 'CAPTCHA_LOCAL_MIN_CONFIDENCE';
+const DEFAULT_MODEL_PATH = 'models/captcha-templates.json';
+// 保守起點：寧可多交給 Gemini，也不要自信地答錯（答錯會觸發整段重導航）。以 captcha_train.cjs 的保留集報告調整。
+const DEFAULT_MIN_CONFIDENCE = 0.3;
+
+/**
+ * Otsu 門檻。
+ * @param {ArrayLike<number>} gray 0..255
+ * @returns {number} 門檻值（<= 門檻為暗）
+ */
+function otsuThreshold(gray) {
+    const hist = new Array(256).fill(0);
+    for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+    const total = gray.length;
+    let sumAll = 0;
+    for (let t = 0; t < 256; t++) sumAll += t * hist[t];
+
+    let sumB = 0;
+    let weightB = 0;
+    let best = 0;
+    let threshold = 127;
+    for (let t = 0; t < 256; t++) {
+        weightB += hist[t];
+        if (weightB === 0) continue;
+        const weightF = total - weightB;
+        if (weightF === 0) break;
+        sumB += t * hist[t];
+        const meanB = sumB / weightB;
+        const meanF = (sumAll - sumB) / weightF;
+        const between = weightB * weightF * (meanB - meanF) ** 2;
+        if (between > best) {
+            best = between;
+            threshold = t;
+        }
+    }
+    return threshold;
+}
+
+/**
+ * 灰階 → 二值（1＝字）。暗的一側為字；暗的佔多數時（深底淺字）反相。
+ * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+ * @returns {{width: number, height: number, mask: Uint8Array}}
+ */
+function binarize({ width, height, gray }) {
+    const threshold = otsuThreshold(gray);
+    const mask = new Uint8Array(width * height);
+    let dark = 0;
+    for (let i = 0; i < mask.length; i++) {
+        if (gray[i] <= threshold) {
+            mask[i] = 1;
+            dark++;
+        }
+    }
+    if (dark > mask.length / 2) for (let i = 0; i < mask.length; i++) mask[i] = mask[i] ? 0 : 1;
+    return { width, height, mask };
+}
+
+/**
+ * 去掉 4-連通面積小於 minArea 的前景塊（雜點）。就地修改並回傳 mask。
+ */
+function removeSmallComponents({ width, height, mask }, minArea) {
+    const seen = new Uint8Array(mask.length);
+    const stack = [];
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        const component = [];
+        stack.push(start);
+        seen[start] = 1;
+        while (stack.length > 0) {
+            const i = stack.pop();
+            component.push(i);
+            const x = i % width;
+            const neighbours = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+            for (const n of neighbours) {
+                if (n >= 0 && n < mask.length && mask[n] && !seen[n]) {
+                    seen[n] = 1;
+                    stack.push(n);
+                }
+            }
+        }
+        if (component.length < minArea) for (const i of component) mask[i] = 0;
+    }
+    return { width, height, mask };
+}
+
+function columnProjection({ width, height, mask }) {
+    const cols = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) cols[x] += mask[y * width + x];
+    return cols;
+}
+
+/**
+ * 欄投影 → 正好 count 段 [start, end)。切不出來（空白圖、段太少無法拆）時回 null。
+ * @param {number[]} cols
+ * @param {number} [count]
+ * @returns {Array<[number, number]>|null}
+ */
+function splitColumns(cols, count = CODE_LENGTH) {
+    let runs = [];
+    let start = -1;
+    cols.forEach((v, x) => {
+        if (v > 0 && start < 0) start = x;
+        if (v === 0 && start >= 0) {
+            runs.push([start, x]);
+            start = -1;
+        }
+    });
+    if (start >= 0) runs.push([start, cols.length]);
+    if (runs.length === 0) return null;
+
+    // 太多段：併最窄的間隙（斷筆的字）
+    while (runs.length > count) {
+        let gapIdx = 0;
+        for (let i = 1; i < runs.length - 1; i++) {
+            if (runs[i + 1][0] - runs[i][1] < runs[gapIdx + 1][0] - runs[gapIdx][1]) gapIdx = i;
+        }
+        runs.splice(gapIdx, 2, [runs[gapIdx][0], runs[gapIdx + 1][1]]);
+    }
+    // 太少段：從最寬段中段的投影谷底拆開（黏在一起的字）
+    while (runs.length < count) {
+        let wideIdx = 0;
+        runs.forEach(([s, e], i) => { if (e - s > runs[wideIdx][1] - runs[wideIdx][0]) wideIdx = i; });
+        const [s, e] = runs[wideIdx];
+        if (e - s < 2) return null;
+        const lo = s + Math.floor((e - s) / 4);
+        const hi = Math.max(lo + 1, e - Math.floor((e - s) / 4));
+        let cut = lo;
+        for (let x = lo; x < hi; x++) if (cols[x] < cols[cut]) cut = x;
+        if (cut <= s) cut = s + 1;
+        runs = [...runs.slice(0, wideIdx), [s, cut], [cut, e], ...runs.slice(wideIdx + 1)];
+    }
+    return runs;
+}
+
+/**
+ * 裁出 [x0, x1) 欄內字的外框，面積取樣縮放成 GLYPH_WIDTH × GLYPH_HEIGHT。
+ * @returns {number[]} 0..1 向量（長度 GLYPH_WIDTH × GLYPH_HEIGHT）
+ */
+function normalizeGlyph({ width, height, mask }, x0, x1) {
+    let y0 = height;
+    let y1 = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = x0; x < x1; x++) {
+            if (mask[y * width + x]) {
+                y0 = Math.min(y0, y);
+                y1 = Math.max(y1, y + 1);
+            }
+        }
+    }
+    if (y1 <= y0) return new Array(GLYPH_WIDTH * GLYPH_HEIGHT).fill(0);
+
+    const cw = x1 - x0;
+    const ch = y1 - y0;
+    const vector = [];
+    for (let ty = 0; ty < GLYPH_HEIGHT; ty++) {
+        const sy0 = y0 + Math.floor((ty * ch) / GLYPH_HEIGHT);
+        const sy1 = Math.max(sy0 + 1, y0 + Math.floor(((ty + 1) * ch) / GLYPH_HEIGHT));
+        for (let tx = 0; tx < GLYPH_WIDTH; tx++) {
+            const sx0 = x0 + Math.floor((tx * cw) / GLYPH_WIDTH);
+            const sx1 = Math.max(sx0 + 1, x0 + Math.floor(((tx + 1) * cw) / GLYPH_WIDTH));
+            let on = 0;
+            for (let y = sy0; y < sy1; y++) for (let x = sx0; x < sx1; x++) on += mask[y * width + x];
+            vector.push(on / ((sy1 - sy0) * (sx1 - sx0)));
+        }
+    }
+    return vector;
+}
+
+/**
+ * 圖 → 4 個字元向量。切不出 4 段回 null。
+ * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+ * @returns {number[][]|null}
+ */
+function segmentGlyphs(bitmap) {
+    const binary = binarize(bitmap);
+    removeSmallComponents(binary, Math.max(4, Math.round(binary.width * binary.height * 0.002)));
+    const runs = splitColumns(columnProjection(binary));
+    if (!runs) return null;
+    return runs.map(([x0, x1]) => normalizeGlyph(binary, x0, x1));
+}
+
+function distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+    return sum / a.length;
+}
+
+/**
+ * 單一字元 → 最近樣板。
+ * @returns {{char: string|null, confidence: number}}
+ */
+function classifyGlyph(vector, model) {
+    let best = null;
+    let bestD = Infinity;
+    let secondD = Infinity;
+    for (const [char, t] of Object.entries(model.templates)) {
+        const d = distance(vector, t.vector);
+        if (d < bestD) {
+            secondD = bestD;
+            bestD = d;
+            best = char;
+        } else if (d < secondD) {
+            secondD = d;
+        }
+    }
+    if (best === null) return { char: null, confidence: 0 };
+    const confidence = Number.isFinite(secondD) && secondD > 0 ? (secondD - bestD) / secondD : 0;
+    return { char: best, confidence };
+}
+
+/**
+ * 本機辨識一張圖。
+ * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+ * @param {object} model loadLocalModel／trainTemplates 的結果
+ * @returns {{code: string|null, confidence: number, chars: Array<{char: string|null, confidence: number}>}}
+ *   code 在切不出 4 字時為 null（confidence 0）；是否採用由呼叫端比對門檻決定
+ */
+function solveLocally(bitmap, model) {
+    const glyphs = segmentGlyphs(bitmap);
+    if (!glyphs) return { code: null, confidence: 0, chars: [] };
+    const chars = glyphs.map((g) => classifyGlyph(g, model));
+    if (chars.some((c) => c.char === null)) return { code: null, confidence: 0, chars };
+    return {
+        code: chars.map((c) => c.char).join(''),
+        confidence: Math.min(...chars.map((c) => c.confidence)),
+        chars,
+    };
+}
+
+/**
+ * 標註樣本 → 樣板模型（每個字元取所有樣本向量的平均）。切不出 4 段或標註長度不符的樣本略過。
+ * @param {Array<{bitmap: {width: number, height: number, gray: ArrayLike<number>}, label: string}>} samples
+ * @param {{now?: Date}} [opts]
+ * @returns {{version: number, glyph: {width: number, height: number}, trained_at: string, samples: number,
+ *   skipped: number, templates: Record<string, {count: number, vector: number[]}>}}
+ */
+function trainTemplates(samples, { now = new Date() } = {}) {
+    const sums = new Map();
+    let used = 0;
+    let skipped = 0;
+    for (const { bitmap, label } of samples) {
+        const text = String(label || '').toUpperCase();
+        const glyphs = text.length === CODE_LENGTH ? segmentGlyphs(bitmap) : null;
+        if (!glyphs) {
+            skipped++;
+            continue;
+        }
+        used++;
+        glyphs.forEach((vector, i) => {
+            const entry = sums.get(text[i]) || { count: 0, sum: new Array(vector.length).fill(0) };
+            entry.count++;
+            vector.forEach((v, j) => { entry.sum[j] += v; });
+            sums.set(text[i], entry);
+        });
+    }
+    const templates = {};
+    for (const char of [...sums.keys()].sort()) {
+        const { count, sum } = sums.get(char);
+        templates[char] = { count, vector: sum.map((v) => Math.round((v / count) * 1000) / 1000) };
+    }
+    return {
+        version: MODEL_VERSION,
+        glyph: { width: GLYPH_WIDTH, height: GLYPH_HEIGHT },
+        trained_at: now.toISOString(),
+        samples: used,
+        skipped,
+        templates,
+    };
+}
+
+/**
+ * 以標註樣本評估模型：各信心門檻下的涵蓋率（本機直接採用的比例）與涵蓋範圍內的準確率。
+ * 門檻越高越少答錯、但越多交給 Gemini——用這張表挑 CAPTCHA_LOCAL_MIN_CONFIDENCE。
+ * @param {object} model
+ * @param {Array<{bitmap: object, label: string}>} samples
+ * @param {number[]} thresholds
+ * @returns {Array<{threshold: number, total: number, covered: number, correct: number,
+ *   coverage: number|null, accuracy: number|null}>}
+ */
+function evaluateLocalModel(model, samples, thresholds) {
+    const results = samples.map(({ bitmap, label }) => {
+        const { code, confidence } = solveLocally(bitmap, model);
+        return { code, confidence, correct: code !== null && code === String(label).toUpperCase() };
+    });
+    return thresholds.map((threshold) => {
+        const covered = results.filter((r) => r.code !== null && r.confidence >= threshold);
+        const correct = covered.filter((r) => r.correct).length;
+        return {
+            threshold,
+            total: results.length,
+            covered: covered.length,
+            correct,
+            coverage: results.length > 0 ? covered.length / results.length : null,
+            accuracy: covered.length > 0 ? correct / covered.length : null,
+        };
+    });
+}
+
+/**
+ * 讀樣板模型。檔案不存在回 null（tier 0 停用）；格式不符直接丟錯——壞模型不該默默當成沒有。
+ * @param {string} file
+ * @returns {object|null}
+ */
+function loadLocalModel(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+    const model = JSON.parse(text);
+    if (model.version !== MODEL_VERSION || !model.glyph || model.glyph.width !== GLYPH_WIDTH || model.glyph.height !== GLYPH_HEIGHT) {
+        throw new Error(`${file} 不是 v${MODEL_VERSION} ${GLYPH_WIDTH}×${GLYPH_HEIGHT} 樣板模型，請以 captcha_train.cjs 重新訓練`);
+    }
+    if (!model.templates || Object.keys(model.templates).length === 0) throw new Error(`${file} 沒有任何樣板`);
+    return model;
+}
+
+/**
+ * CAPTCHA_LOCAL_MIN_CONFIDENCE → 門檻（0..1）。未設定用預設；超出範圍或不是數字直接丟錯。
+ * @param {string|undefined} value
+ * @returns {number}
+ */
+function resolveMinConfidence(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return DEFAULT_MIN_CONFIDENCE;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+        throw new Error(`${LOCAL_MIN_CONFIDENCE_ENV} 必須是 0..1 的數字，收到 ${JSON.stringify(value)}`);
+    }
+    return n;
+}
+
+module.exports = {
+    GLYPH_WIDTH,
+    GLYPH_HEIGHT,
+    LOCAL_MODEL_ENV,
+    LOCAL_MIN_CONFIDENCE_ENV,
+    DEFAULT_MODEL_PATH,
+    DEFAULT_MIN_CONFIDENCE,
+    otsuThreshold,
+    binarize,
+    removeSmallComponents,
+    splitColumns,
+    segmentGlyphs,
+    classifyGlyph,
+    solveLocally,
+    trainTemplates,
+    evaluateLocalModel,
+    loadLocalModel,
+    resolveMinConfidence,
+};
@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * CAPTCHA 送模型前的影像前處理——放大、對比正規化、二值化、去干擾線，全部純 JS，輸出灰階 PNG
+ * （測試：test/captcha-preprocess.test.cjs）。
+ *
+ * 背景：solveCaptcha 一直把 #pickimg 的 JPEG 截圖原樣送給模型。圖小（約 100×30）、雜線多，
+ * 小模型常把干擾線讀成筆畫。前處理是否真的有幫助要用資料量說話，所以每個處理組合（變體）
+ * 都是一串可組合的步驟，以同一份標註資料集（lib/captcha-dataset.cjs）逐一評估：
+ *   `node captcha_preprocess.cjs`——accepted 樣本的同一張圖，各變體 × 各模型各答一次，比一次答對率。
+ * 勝出的變體以 CAPTCHA_PREPROCESS 設給 gh-plate-sync.cjs；實戰樣本另記 preprocess 欄位，
+ * captcha_dataset.cjs 的彙整依「模型 × 變體」分列，上線後仍可對照。
+ *
+ * 變體寫法：逗號分隔的步驟，依序套用，`名稱` 或 `名稱:參數`：
+ *   upscale[:N]     雙線性放大 N 倍（2～4，預設 2）
+ *   contrast[:P]    對比正規化：兩端各裁掉 P% 像素後線性拉到 0～255（預設 1）
+ *   threshold       Otsu 二值化（與本機 solver 同一門檻），輸出白底黑字
+ *   denoise[:K]     去干擾線：3×3 鄰域內黑色鄰居 ≤ K 個的黑點改白（預設 2），須在 threshold 之後
+ * 灰階是隱含的第一步（輸入即 readCaptchaBitmap 的灰階像素）；`raw`／`off`／空字串＝不處理、送原 JPEG。
+ */
+
+const zlib = require('zlib');
+const { otsuThreshold } = require('./captcha-local-solver.cjs');
+
+const PREPROCESS_ENV = 'CAPTCHA_PREPROCESS';
+const RAW_VARIANT = 'raw';
+const PNG_MIME_TYPE = 'image/png';
+
+const STEPS = {
+    upscale: { defaultArg: 2, valid: (n) => Number.isInteger(n) && n >= 2 && n <= 4, rule: '2～4 的整數' },
+    contrast: { defaultArg: 1, valid: (n) => Number.isFinite(n) && n >= 0 && n < 50, rule: '0～50 的百分比' },
+    threshold: { defaultArg: null },
+    denoise: { defaultArg: 2, valid: (n) => Number.isInteger(n) && n >= 1 && n <= 4, rule: '1～4 的整數' },
+};
+
+// captcha_preprocess.cjs 未指定 --variants 時比較的組合（原圖為對照組）。
+const DEFAULT_EVAL_VARIANTS = [
+    RAW_VARIANT,
+    'upscale:2,contrast',
+    'upscale:3,contrast,threshold',
+    'upscale:3,contrast,threshold,denoise',
+];
+
+/**
+ * 變體字串 → 步驟清單。不認得的步驟、參數不合、重複或順序不對直接丟錯。
+ * @param {string|undefined|null} spec
+ * @returns {{variant: string, steps: Array<{name: string, arg: number|null}>}|null}
+ *   null＝不處理；variant 為正規化後的字串（參數補上預設值），資料集與報表以此識別
+ */
+function parsePipeline(spec) {
+    const text = (spec || '').trim();
+    if (text === '' || text === 'off' || text === RAW_VARIANT) return null;
+    const steps = [];
+    for (const part of text.split(',').map((p) => p.trim())) {
+        const [name, rawArg, extra] = part.split(':');
+        const step = STEPS[name];
+        if (!step || extra !== undefined) throw new Error(`${PREPROCESS_ENV} 不認得的步驟 ${JSON.stringify(part)}（可用：${Object.keys(STEPS).join(', ')}）`);
+        if (steps.some((s) => s.name === name)) throw new Error(`${PREPROCESS_ENV} 步驟 ${name} 重複`);
+        let arg = step.defaultArg;
+        if (rawArg !== undefined) {
+            if (step.defaultArg === null) throw new Error(`${PREPROCESS_ENV} 步驟 ${name} 不接受參數`);
+            arg = Number(rawArg);
+            if (rawArg.trim() === '' || !step.valid(arg)) throw new Error(`${PREPROCESS_ENV} ${name} 的參數必須是${step.rule}，收到 ${JSON.stringify(rawArg)}`);
+        }
+        if (name === 'denoise' && !steps.some((s) => s.name === 'threshold')) {
+            throw new Error(`${PREPROCESS_ENV} denoise 必須在 threshold 之後`);
+        }
+        steps.push({ name, arg });
+    }
+    return {
+        variant: steps.map((s) => (s.arg === null ? s.name : `${s.name}:${s.arg}`)).join(','),
+        steps,
+    };
+}
+
+/** 雙線性放大 factor 倍。 */
+function upscale({ width, height, gray }, factor) {
+    const w = width * factor;
+    const h = height * factor;
+    const out = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+        const sy = Math.min(height - 1, Math.max(0, (y + 0.5) / factor - 0.5));
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fy = sy - y0;
+        for (let x = 0; x < w; x++) {
+            const sx = Math.min(width - 1, Math.max(0, (x + 0.5) / factor - 0.5));
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(width - 1, x0 + 1);
+            const fx = sx - x0;
+            const top = gray[y0 * width + x0] * (1 - fx) + gray[y0 * width + x1] * fx;
+            const bottom = gray[y1 * width + x0] * (1 - fx) + gray[y1 * width + x1] * fx;
+            out[y * w + x] = Math.round(top * (1 - fy) + bottom * fy);
+        }
+    }
+    return { width: w, height: h, gray: out };
+}
+
+/** 對比正規化：兩端各裁掉 clipPct% 的像素，其餘線性拉到 0～255。整張同色時原樣回傳。 */
+function stretchContrast({ width, height, gray }, clipPct) {
+    const hist = new Array(256).fill(0);
+    for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+    const clip = Math.floor(gray.length * clipPct / 100);
+    let low = 0;
+    for (let seen = 0; low < 255 && seen + hist[low] <= clip; low++) seen += hist[low];
+    let high = 255;
+    for (let seen = 0; high > 0 && seen + hist[high] <= clip; high--) seen += hist[high];
+    const out = Uint8Array.from(gray);
+    if (high <= low) return { width, height, gray: out };
+    for (let i = 0; i < out.length; i++) {
+        out[i] = Math.round(Math.min(255, Math.max(0, (gray[i] - low) * 255 / (high - low))));
+    }
+    return { width, height, gray: out };
+}
+
+/** Otsu 二值化成白底黑字（0／255）；暗的一側佔多數時（深底淺字）反相，同 binarize。 */
+function threshold({ width, height, gray }) {
+    const t = otsuThreshold(gray);
+    const out = new Uint8Array(gray.length);
+    let dark = 0;
+    for (let i = 0; i < gray.length; i++) {
+        if (gray[i] <= t) dark++;
+        else out[i] = 255;
+    }
+    if (dark > gray.length / 2) for (let i = 0; i < out.length; i++) out[i] = 255 - out[i];
+    return { width, height, gray: out };
+}
+
+/**
+ * 去干擾線：二值圖上 3×3 鄰域黑色鄰居 ≤ maxNeighbors 的黑點改白。1 像素寬的線每點只有 2 個鄰居、
+ * 孤立雜點 0～1 個，會被剝掉；字的筆畫至少 2 像素寬，內部與邊緣點的鄰居都更多，留得下來。
+ */
+function removeNoiseLines({ width, height, gray }, maxNeighbors) {
+    const out = Uint8Array.from(gray);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] !== 0) continue;
+            let neighbors = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx >= 0 && ny >= 0 && nx < width && ny < height && gray[ny * width + nx] === 0) neighbors++;
+                }
+            }
+            if (neighbors <= maxNeighbors) out[y * width + x] = 255;
+        }
+    }
+    return { width, height, gray: out };
+}
+
+const APPLY = {
+    upscale,
+    contrast: stretchContrast,
+    threshold,
+    denoise: removeNoiseLines,
+};
+
+/**
+ * 依序套用步驟。
+ * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+ * @param {ReturnType<typeof parsePipeline>} pipeline null 時原樣回傳
+ * @returns {{width: number, height: number, gray: ArrayLike<number>}}
+ */
+function applyPipeline(bitmap, pipeline) {
+    if (!pipeline) return bitmap;
+    return pipeline.steps.reduce((bm, step) => APPLY[step.name](bm, step.arg), bitmap);
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, 'ascii');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+    return Buffer.concat([head, data, crc]);
+}
+
+/**
+ * 灰階 bitmap → 8-bit 灰階 PNG（不需影像套件；zlib 為 Node 內建）。
+ * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, gray }) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 0; // color type：灰階
+    const raw = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (width + 1)] = 0; // filter：None
+        for (let x = 0; x < width; x++) raw[y * (width + 1) + 1 + x] = gray[y * width + x];
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * 前處理後的送模型影像（Gemini inlineData 形狀）。
+ * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+ * @param {NonNullable<ReturnType<typeof parsePipeline>>} pipeline
+ * @returns {{data: string, mimeType: string}}
+ */
+function preprocessCaptcha(bitmap, pipeline) {
+    return { data: encodePng(applyPipeline(bitmap, pipeline)).toString('base64'), mimeType: PNG_MIME_TYPE };
+}
+
+/**
+ * 評估結果彙整：每個「模型 × 變體」的樣本數、截取數、答對數、一次答對率，以及相對同模型 raw 的差。
+ * 樣本皆為 MVDIS 接受過的標註，答對＝送出即會被接受，答對率即一次通過率。
+ * @param {Array<{model: string, variant: string, label: string, code: string|null, error?: string|null}>} results
+ * @param {string[]} [variantOrder] 報表中變體的順序（預設依首次出現）
+ * @returns {Array<{model: string, variant: string, samples: number, parsed: number, correct: number, errors: number,
+ *   accuracy: number|null, vsRaw: number|null}>}
+ */
+function summarizePreprocessEval(results, variantOrder = []) {
+    const rows = new Map();
+    const order = [...variantOrder];
+    for (const r of results) {
+        if (!order.includes(r.variant)) order.push(r.variant);
+        const id = `${r.model}\u0000${r.variant}`;
+        const row = rows.get(id) || { model: r.model, variant: r.variant, samples: 0, parsed: 0, correct: 0, errors: 0 };
+        row.samples++;
+        if (r.error) row.errors++;
+        if (r.code) row.parsed++;
+        if (r.code && r.code === r.label) row.correct++;
+        rows.set(id, row);
+    }
+    const summary = [...rows.values()].map((row) => {
+        const answered = row.samples - row.errors;
+        return { ...row, accuracy: answered > 0 ? row.correct / answered : null };
+    });
+    for (const row of summary) {
+        const raw = summary.find((s) => s.model === row.model && s.variant === RAW_VARIANT);
+        row.vsRaw = raw && row.variant !== RAW_VARIANT && raw.accuracy !== null && row.accuracy !== null ? row.accuracy - raw.accuracy : null;
+    }
+    return summary.sort((a, b) => a.model.localeCompare(b.model) || order.indexOf(a.variant) - order.indexOf(b.variant));
+}
+
+const pct = (v) => (v === null ? '—' : `${(v * 100).toFixed(1)}%`);
+const pts = (v) => (v === null ? '—' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}pt`);
+
+/**
+ * @param {ReturnType<typeof summarizePreprocessEval>} summary
+ * @returns {string}
+ */
+function formatPreprocessEval(summary) {
+    if (summary.length === 0) return '沒有評估結果。';
+    const lines = ['模型\t變體\t樣本\t截取\t答對\t錯誤\t答對率\t對照 raw'];
+    for (const s of summary) {
+        lines.push([s.model, s.variant, s.samples, s.parsed, s.correct, s.errors, pct(s.accuracy), pts(s.vsRaw)].join('\t'));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    PREPROCESS_ENV,
+    RAW_VARIANT,
+    PNG_MIME_TYPE,
+    DEFAULT_EVAL_VARIANTS,
+    parsePipeline,
+    upscale,
+    stretchContrast,
+    threshold,
+    removeNoiseLines,
+    applyPipeline,
+    encodePng,
+    preprocessCaptcha,
+    summarizePreprocessEval,
+    formatPreprocessEval,
+};
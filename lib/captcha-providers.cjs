@@ -0,0 +1,346 @@
+'use strict';
+
+/**
+ * CAPTCHA 辨識 provider——把 solveCaptcha 背後的 AI 呼叫從 @google/generative-ai 抽離，
+ * 供 gh-plate-sync.cjs 的 AIManager 依階梯切換（測試：test/captcha-providers.test.cjs）。
+ *
+ * 背景：AIManager 原本直接 new GoogleGenerativeAI，Gemini 一掛（全區 5xx、配額政策改動）
+ * 車牌同步就整個停。改為 provider 介面，階梯（lib/ai-model-ladder.cjs）每層標明 provider：
+ *   - gemini：原本的 Gemini/Gemma（MODEL_LADDER）。
+ *   - openai：任何 OpenAI 相容的 /chat/completions 端點（如自架 vision model），設了
+ *     OPENAI_CAPTCHA_BASE_URL 與 OPENAI_CAPTCHA_MODEL 才加進階梯（OPENAI_CAPTCHA_POSITION=last
+ *     預設接在 Gemini 後面當備援；first 則優先使用）。
+ *   - local：本機樣板 solver（lib/captcha-local-solver.cjs）。它是 tier 0、不進階梯——
+ *     信心不足是「交棒」不是 API 失敗，不該計入升級門檻。
+ *
+ * 階梯 provider 的介面：
+ *   name            'gemini' | 'openai'
+ *   keyNames        依優先序的 key 名稱（per-(key, model) 死亡矩陣的 key）
+ *   limiter         本 provider 自己的 RateLimiter（各端點 RPM 不同）
+ *   generate(request, {model, keyName}) → Promise<string> 原始回應文字
+ *   classifyError(e) → {kind, retryAfterMs, quotaWindow}：kind 為下列 ERROR_*，AIManager 依此走
+ *                   標死／退避重試／計數升級（語義與原本 Gemini 的 429/5xx 分流相同）；
+ *                   quotaWindow 為 429 的細分（QUOTA_PER_MINUTE／PER_DAY／UNKNOWN，非 429 為 null），供用量統計
+ * request＝{prompt, imageBase64, mimeType}。
+ */
+
+const { PROVIDER_GEMINI, MODEL_LADDER, classifyQuotaError, isServerError, QUOTA_PER_DAY, QUOTA_PER_MINUTE } = require('./ai-model-ladder.cjs');
+const { solveLocally } = require('./captcha-local-solver.cjs');
+
+const PROVIDER_OPENAI = 'openai';
+const PROVIDER_LOCAL = 'local';
+
+// classifyError 的 kind（同時是 plate_sync_ai_errors_total 的 kind label）。
+const ERROR_QUOTA_EXHAUSTED = 'quota_exhausted'; // 日配額：標死 (key, model)
+const ERROR_RATE_LIMIT = 'rate_limit';           // 分鐘級限流：退避後同 combo 重試 1 次
+const ERROR_SERVER = 'server_error';             // 5xx：退避 5-10 秒同 combo 重試 1 次
+const ERROR_OTHER = 'other';                     // 其餘：計入升級門檻
+
+// 2026-07-05：26B 實戰會把整段思考碎念吐進回應（例："M8L_ (Wait, let me
+// look closer)... Let's try: MN8L.MN8L"）。補一句更直白的硬約束；
+// 解析端另有 lib/captcha-parser.cjs 做嚴格截取兜底，兩層防禦。所有 provider 共用。
+const CAPTCHA_SYSTEM_INSTRUCTION = "You are a specialized CAPTCHA solver. Your ONLY task is to output the 4 characters found in the image. DO NOT explain. DO NOT use thinking process. DO NOT output anything except the 4 characters. 只輸出驗證碼的4個字元，禁止任何其他文字或解釋。";
+// temperature:0 壓制隨機性、減少模型「碎碎念」的空間；max tokens 壓到剛好夠放 4 字元的量
+// （留一點餘裕給模型可能加的前綴），物理上斬斷長篇思考過程。
+const CAPTCHA_TEMPERATURE = 0;
+const CAPTCHA_MAX_OUTPUT_TOKENS = 16;
+// 以上為內建預設；執行時可由 lib/captcha-ai-config.cjs 的設定覆寫（provider.configure）。
+const DEFAULT_GENERATION_CONFIG = Object.freeze({ temperature: CAPTCHA_TEMPERATURE, maxOutputTokens: CAPTCHA_MAX_OUTPUT_TOKENS });
+
+const OPENAI_DEFAULT_RATE_LIMIT_PER_MIN = 30;
+const OPENAI_DEFAULT_TIMEOUT_MS = 30000;
+const OPENAI_DEFAULT_FAILURES_TO_ESCALATE = 2;
+const OPENAI_ANONYMOUS_KEY = `${PROVIDER_OPENAI}:anonymous`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// --- Rate Limiter ---
+// 並行 worker 共用同一個 limiter：wait() 以 promise 鏈排隊逐一取 token，
+// 避免多個 worker 同時看到 tokens<=0、各自睡完又各自重置而超發。
+class RateLimiter {
+    constructor(limit, interval, { now = Date.now, wait = sleep } = {}) {
+        this.limit = limit;
+        this.interval = interval;
+        this.tokens = limit;
+        this.now = now;
+        this.sleep = wait;
+        this.lastRefill = now();
+        this.queue = Promise.resolve();
+    }
+
+    wait() {
+        const turn = this.queue.then(() => this.take());
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    async take() {
+        const now = this.now();
+        if (now - this.lastRefill > this.interval) {
+            this.tokens = this.limit;
+            this.lastRefill = now;
+        }
+
+        if (this.tokens <= 0) {
+            const waitTime = this.interval - (now - this.lastRefill) + 1000;
+            console.log(`    [RateLimit] Quota exhausted. Waiting ${Math.ceil(waitTime/1000)}s...`);
+            await this.sleep(waitTime);
+            this.tokens = this.limit;
+            this.lastRefill = this.now();
+        }
+        this.tokens--;
+    }
+}
+
+/**
+ * Gemini SDK 的 payload（[prompt, {inlineData}]）→ provider 中立的 request。
+ * AIManager.generateContent 沿用 SDK 的呼叫形狀，呼叫端與端到端測試的替身不必改。
+ * @param {Array<string|{inlineData: {data: string, mimeType: string}}>} payload
+ * @returns {{prompt: string, imageBase64: string|null, mimeType: string}}
+ */
+function toCaptchaRequest(payload) {
+    const parts = Array.isArray(payload) ? payload : [payload];
+    const prompt = parts.filter((p) => typeof p === 'string').join('\n');
+    const image = parts.find((p) => p && typeof p === 'object' && p.inlineData);
+    return {
+        prompt,
+        imageBase64: image ? image.inlineData.data : null,
+        mimeType: image ? image.inlineData.mimeType : 'image/jpeg',
+    };
+}
+
+/**
+ * Gemini／Gemma（@google/generative-ai）。SDK 建構子由呼叫端注入（測試可換假物件）。
+ * @param {{keysByName: Map<string, string>, GoogleGenerativeAI: Function, rateLimitPerMin: number}} opts
+ */
+function createGeminiProvider({ keysByName, GoogleGenerativeAI, rateLimitPerMin }) {
+    const clients = new Map();
+    let prompt = { systemInstruction: CAPTCHA_SYSTEM_INSTRUCTION, generationConfig: DEFAULT_GENERATION_CONFIG };
+    function modelFor(keyName, model) {
+        const id = `${keyName}::${model}`;
+        if (!clients.has(id)) {
+            clients.set(id, new GoogleGenerativeAI(keysByName.get(keyName)).getGenerativeModel({
+                model,
+                systemInstruction: prompt.systemInstruction,
+                generationConfig: { ...prompt.generationConfig },
+            }));
+        }
+        return clients.get(id);
+    }
+
+    return {
+        name: PROVIDER_GEMINI,
+        keyNames: Array.from(keysByName.keys()),
+        limiter: new RateLimiter(rateLimitPerMin, 60000),
+        /** 換 systemInstruction／generationConfig（SDK client 綁定建立時的設定，清掉快取重建）。 */
+        configure({ systemInstruction, generationConfig }) {
+            prompt = { systemInstruction, generationConfig };
+            clients.clear();
+        },
+        async generate(request, { model, keyName }) {
+            const result = await modelFor(keyName, model).generateContent([
+                request.prompt,
+                { inlineData: { data: request.imageBase64, mimeType: request.mimeType } },
+            ]);
+            const response = await result.response;
+            return response.text();
+        },
+        /** 429 分流沿用 classifyQuotaError：只有明確 PerDay 才標死，其餘 429 視同分鐘級。 */
+        classifyError(error) {
+            const quota = classifyQuotaError(error);
+            if (quota.isQuotaError) {
+                return {
+                    kind: quota.quotaWindow === QUOTA_PER_DAY ? ERROR_QUOTA_EXHAUSTED : ERROR_RATE_LIMIT,
+                    retryAfterMs: quota.retryAfterMs,
+                    quotaWindow: quota.quotaWindow,
+                };
+            }
+            return { kind: isServerError(error) ? ERROR_SERVER : ERROR_OTHER, retryAfterMs: null, quotaWindow: null };
+        },
+    };
+}
+
+/**
+ * OpenAI 相容端點的錯誤 → kind。
+ * 429 且 error.code 為 insufficient_quota 或訊息帶 per-day／daily 字樣＝日配額（標死）；
+ * 其餘 429＝分鐘級（Retry-After 標頭給退避秒數）；5xx＝暫時性。
+ * @param {Error & {status?: number, code?: string, retryAfterMs?: number|null}} error
+ * @returns {{kind: string, retryAfterMs: number|null, quotaWindow: string|null}}
+ */
+function classifyOpenAIError(error) {
+    const status = error && error.status;
+    const message = (error && error.message) || '';
+    if (status === 429) {
+        const daily = (error.code === 'insufficient_quota') || /per[_\s-]?day|daily/i.test(message);
+        return daily
+            ? { kind: ERROR_QUOTA_EXHAUSTED, retryAfterMs: null, quotaWindow: QUOTA_PER_DAY }
+            : { kind: ERROR_RATE_LIMIT, retryAfterMs: error.retryAfterMs ?? null, quotaWindow: QUOTA_PER_MINUTE };
+    }
+    if (typeof status === 'number' && status >= 500 && status < 600) return { kind: ERROR_SERVER, retryAfterMs: null, quotaWindow: null };
+    return { kind: ERROR_OTHER, retryAfterMs: null, quotaWindow: null };
+}
+
+/** Retry-After 標頭（秒數或 HTTP 日期）→ ms。 */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds * 1000));
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * OpenAI 相容 /chat/completions（vision，image_url 以 data URL 內嵌）。
+ * @param {{baseUrl: string, keyName: string, apiKey?: string|null, rateLimitPerMin?: number,
+ *   timeoutMs?: number, fetchImpl?: typeof fetch}} opts
+ */
+function createOpenAICompatibleProvider({
+    baseUrl,
+    keyName,
+    apiKey = null,
+    rateLimitPerMin = OPENAI_DEFAULT_RATE_LIMIT_PER_MIN,
+    timeoutMs = OPENAI_DEFAULT_TIMEOUT_MS,
+    fetchImpl = globalThis.fetch,
+}) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    let prompt = { systemInstruction: CAPTCHA_SYSTEM_INSTRUCTION, generationConfig: DEFAULT_GENERATION_CONFIG };
+    return {
+        name: PROVIDER_OPENAI,
+        keyNames: [keyName],
+        limiter: new RateLimiter(rateLimitPerMin, 60000),
+        /** 換 system 訊息與取樣參數（generationConfig 欄位對應到 OpenAI 的 temperature／max_tokens／top_p）。 */
+        configure({ systemInstruction, generationConfig }) {
+            prompt = { systemInstruction, generationConfig };
+        },
+        async generate(request, { model }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+            const { temperature, maxOutputTokens, topP } = prompt.generationConfig;
+            const res = await fetchImpl(url, {
+                method: 'POST',
+                headers,
+                signal: AbortSignal.timeout(timeoutMs),
+                body: JSON.stringify({
+                    model,
+                    temperature,
+                    max_tokens: maxOutputTokens,
+                    top_p: topP,
+                    messages: [
+                        { role: 'system', content: prompt.systemInstruction },
+                        {
+                            role: 'user',
+                            content: [
+                                { type: 'text', text: request.prompt },
+                                { type: 'image_url', image_url: { url: `data:${request.mimeType};base64,${request.imageBase64}` } },
+                            ],
+                        },
+                    ],
+                }),
+            });
+            const text = await res.text();
+            let body = null;
+            try {
+                body = JSON.parse(text);
+            } catch {
+                // 非 JSON（代理錯誤頁等）：留給下方錯誤訊息
+            }
+            if (!res.ok) {
+                const err = new Error(`[${res.status}] ${(body && body.error && body.error.message) || text.slice(0, 200)}`);
+                err.status = res.status;
+                err.code = body && body.error ? body.error.code : undefined;
+                err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+                throw err;
+            }
+            const content = body && body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+            if (typeof content !== 'string') throw new Error('OpenAI 相容端點回應缺 choices[0].message.content');
+            return content;
+        },
+        classifyError: classifyOpenAIError,
+    };
+}
+
+/**
+ * OPENAI_CAPTCHA_* → OpenAI 相容 provider 設定。沒設 BASE_URL 回 null（不啟用）；
+ * 設了卻缺 MODEL、位置或數字打錯直接丟錯（半套設定不該默默當成沒設）。
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {null|{baseUrl: string, model: string, keyName: string, apiKey: string|null, position: 'first'|'last',
+ *   rateLimitPerMin: number, failuresToEscalate: number}}
+ */
+function resolveOpenAIProviderConfig(env) {
+    const baseUrl = (env.OPENAI_CAPTCHA_BASE_URL || '').trim();
+    if (!baseUrl) return null;
+    const model = (env.OPENAI_CAPTCHA_MODEL || '').trim();
+    if (!model) throw new Error('設了 OPENAI_CAPTCHA_BASE_URL 就必須設 OPENAI_CAPTCHA_MODEL');
+    const position = (env.OPENAI_CAPTCHA_POSITION || 'last').trim().toLowerCase();
+    if (position !== 'first' && position !== 'last') {
+        throw new Error(`OPENAI_CAPTCHA_POSITION 必須是 first / last，收到 ${JSON.stringify(env.OPENAI_CAPTCHA_POSITION)}`);
+    }
+    const positiveInt = (name, fallback) => {
+        if (env[name] === undefined || env[name] === '') return fallback;
+        const n = Number(env[name]);
+        if (!Number.isInteger(n) || n <= 0) throw new Error(`${name} 必須是正整數，收到 ${JSON.stringify(env[name])}`);
+        return n;
+    };
+    const apiKey = env.OPENAI_CAPTCHA_API_KEY || null;
+    return {
+        baseUrl,
+        model,
+        keyName: apiKey ? 'OPENAI_CAPTCHA_API_KEY' : OPENAI_ANONYMOUS_KEY,
+        apiKey,
+        position,
+        rateLimitPerMin: positiveInt('OPENAI_CAPTCHA_RATE_LIMIT_PER_MIN', OPENAI_DEFAULT_RATE_LIMIT_PER_MIN),
+        failuresToEscalate: positiveInt('OPENAI_CAPTCHA_FAILURES_TO_ESCALATE', OPENAI_DEFAULT_FAILURES_TO_ESCALATE),
+    };
+}
+
+/**
+ * 組出實際使用的階梯：MODEL_LADDER（或設定檔的階梯）前或後接上 OpenAI 相容層。
+ * @param {ReturnType<typeof resolveOpenAIProviderConfig>} openaiConfig
+ * @param {ReadonlyArray<object>} [base]
+ * @returns {ReadonlyArray<{provider: string, model: string, failuresToEscalate: number}>}
+ */
+function buildCaptchaLadder(openaiConfig, base = MODEL_LADDER) {
+    // 設定檔的階梯已自行排入 OpenAI 相容層（lib/captcha-ai-config.cjs）時照用，不再另接。
+    if (!openaiConfig || base.some((tier) => tier.provider === PROVIDER_OPENAI)) return base;
+    const tier = { provider: PROVIDER_OPENAI, model: openaiConfig.model, failuresToEscalate: openaiConfig.failuresToEscalate };
+    return Object.freeze(openaiConfig.position === 'first' ? [tier, ...base] : [...base, tier]);
+}
+
+/**
+ * 本機樣板 solver 包成 provider（tier 0，不進階梯）。
+ * @param {{model: object, minConfidence: number}} opts model 為 loadLocalModel 的結果
+ */
+function createLocalProvider({ model, minConfidence }) {
+    return {
+        name: PROVIDER_LOCAL,
+        /**
+         * @param {{width: number, height: number, gray: ArrayLike<number>}} bitmap
+         * @returns {{code: string|null, confidence: number, accepted: boolean}} accepted＝信心達門檻、可直接送出
+         */
+        solve(bitmap) {
+            const { code, confidence } = solveLocally(bitmap, model);
+            return { code, confidence, accepted: code !== null && confidence >= minConfidence };
+        },
+    };
+}
+
+module.exports = {
+    PROVIDER_GEMINI,
+    PROVIDER_OPENAI,
+    PROVIDER_LOCAL,
+    ERROR_QUOTA_EXHAUSTED,
+    ERROR_RATE_LIMIT,
+    ERROR_SERVER,
+    ERROR_OTHER,
+    CAPTCHA_SYSTEM_INSTRUCTION,
+    DEFAULT_GENERATION_CONFIG,
+    RateLimiter,
+    toCaptchaRequest,
+    createGeminiProvider,
+    classifyOpenAIError,
+    parseRetryAfter,
+    createOpenAICompatibleProvider,
+    resolveOpenAIProviderConfig,
+    buildCaptchaLadder,
+    createLocalProvider,
+};
@@ -0,0 +1,283 @@
+'use strict';
+
+/**
+ * 查詢失敗快照——processStation 每次失敗的嘗試存下頁面 HTML、截圖、alert 文字與當下表單選值，
+ * 依 run 分目錄並寫索引；事後可離線重放解析與結果判定（測試：test/failure-snapshot.test.cjs）。
+ *
+ * 背景：一個單位 10 次嘗試用完只剩一行 log，MVDIS 改版或被擋時看不到當時的頁面，只能猜。
+ * FAILURE_SNAPSHOT_DIR 設定根目錄（預設 failure_snapshots/，設 off 關閉），每個 run 一個子目錄：
+ *   - `${root}/${runId}/snapshots/${id}.html`：失敗當下的頁面（Puppeteer 為 page.content()，HTTP 為回應原文）。
+ *   - `${root}/${runId}/snapshots/${id}.jpg`：Puppeteer 的可視範圍截圖（HTTP 傳輸沒有）。
+ *   - `${root}/${runId}/index.ndjson`：每次失敗一行（站、窗口、單位、第幾次、原因、回應型別、alert、
+ *     網址、表單選值、檔名）。append-only，並行 worker 共用。
+ * 原因（reason）：response（送出後 MVDIS 回了失敗型別，見 lib/mvdis-outcome.cjs）、form_retry（Quick
+ * Re-query 等不到表單）、form_unreachable（表單頁連三次打不開）、exception（嘗試中丟例外）。
+ * 驗證碼沒解出來（沒送出）不算——頁面就是表單，沒有可重放的 MVDIS 回應。
+ * 每個 run 最多存 maxSnapshots 份檔案（預設 200；AI 或站台整片掛掉時不灌爆磁碟），之後只寫索引行。
+ *
+ * 重放：replaySnapshot 以線上同一套 lib/plate-parser.cjs 與 lib/mvdis-outcome.cjs 重跑，
+ * promoteSnapshot 把快照連同重放結果存成 test/fixtures/snapshots/ 的回歸 fixture（test/plate-parser.test.cjs
+ * 逐一比對）。CLI：`node failure_snapshots.cjs`。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readNdjsonIndex } = require('./ndjson-index.cjs');
+const { extractPlates, parsePageInfoFromDoc } = require('./plate-parser.cjs');
+const { MVDIS_NO_RESPONSE, classifyMvdisResponse } = require('./mvdis-outcome.cjs');
+const { parseMvdisHtml, readMvdisState } = require('./mvdis-http.cjs');
+
+const FAILURE_SNAPSHOT_ENV = 'FAILURE_SNAPSHOT_DIR';
+const DEFAULT_SNAPSHOT_ROOT = 'failure_snapshots';
+const INDEX_FILE = 'index.ndjson';
+const SNAPSHOT_DIR = 'snapshots';
+const DEFAULT_MAX_SNAPSHOTS = 200;
+
+const REASON_RESPONSE = 'response';
+const REASON_FORM_RETRY = 'form_retry';
+const REASON_FORM_UNREACHABLE = 'form_unreachable';
+const REASON_EXCEPTION = 'exception';
+
+// 重放時快照沒有網址（寫檔前就失敗）用的假網址，只影響 jsdom 的相對連結解析。
+const REPLAY_BASE_URL = 'https://www.mvdis.gov.tw/';
+
+/**
+ * FAILURE_SNAPSHOT_DIR → 根目錄；未設定用預設，off／false／0 關閉（回 null）。
+ * @param {string|undefined|null} raw
+ * @returns {string|null}
+ */
+function resolveSnapshotRoot(raw) {
+    const text = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (text === '') return DEFAULT_SNAPSHOT_ROOT;
+    if (['off', 'false', '0'].includes(text.toLowerCase())) return null;
+    return text;
+}
+
+// run id 直接當目錄名：只留安全字元（--run-id= 可由人手打）。
+const runDirName = (runId) => String(runId || 'run').replace(/[^\w.-]+/g, '_');
+
+/**
+ * 建立失敗快照寫入器。root 為 null 時回 null（關閉，呼叫端以 `archive?.` 略過）。
+ * 存檔或寫索引失敗只印一行錯誤（capture 回 null），不丟給 processStation——重試流程照走。
+ *
+ * @param {string|null} root
+ * @param {{shard?: string, maxSnapshots?: number, clock?: () => Date}} [opts]
+ */
+function createFailureArchive(root, { shard = 'ALL', maxSnapshots = DEFAULT_MAX_SNAPSHOTS, clock = () => new Date() } = {}) {
+    if (!root) return null;
+
+    const saved = new Map(); // run 目錄 → 已存檔份數
+    let seq = 0;
+
+    return {
+        root,
+        /** 該 run 的快照目錄。 */
+        runDir: (runId) => path.join(root, runDirName(runId)),
+        /**
+         * 記下一次失敗的嘗試。
+         * @param {{runId: string, station: string, deptId?: string, window?: string, unit?: string, plateType?: string,
+         *   attempt?: number, transport?: string, reason: string, responseType?: string|null, alert?: string|null,
+         *   error?: string|null, url?: string|null, httpStatus?: number|null, html?: string|null,
+         *   screenshot?: Uint8Array|null, form?: object|null}} snapshot
+         *   form：表單欄位 → 值（Puppeteer 的下拉為 { value, label }）
+         * @returns {string|null} 快照 id；寫索引失敗時 null
+         */
+        capture({ runId, station, deptId, window, unit, plateType, attempt, transport, reason, responseType = null, alert = null, error = null, url = null, httpStatus = null, html = null, screenshot = null, form = null }) {
+            const dir = path.join(root, runDirName(runId));
+            const capturedAt = clock();
+            const id = `${capturedAt.toISOString().replace(/[-:.]/g, '')}_${shard}_${station}_${process.pid}_${++seq}`;
+            const count = saved.get(dir) || 0;
+            const keepFiles = count < maxSnapshots && (html !== null || screenshot !== null);
+            let htmlFile;
+            let screenshotFile;
+            if (keepFiles) {
+                try {
+                    fs.mkdirSync(path.join(dir, SNAPSHOT_DIR), { recursive: true });
+                    if (html !== null) {
+                        htmlFile = path.posix.join(SNAPSHOT_DIR, `${id}.html`);
+                        fs.writeFileSync(path.join(dir, htmlFile), html);
+                    }
+                    if (screenshot) {
+                        screenshotFile = path.posix.join(SNAPSHOT_DIR, `${id}.jpg`);
+                        fs.writeFileSync(path.join(dir, screenshotFile), screenshot);
+                    }
+                    saved.set(dir, count + 1);
+                } catch (e) {
+                    console.error(`    [Snapshot] 寫入快照失敗: ${e.message}`);
+                }
+            }
+            const record = {
+                id, captured_at: capturedAt.toISOString(), run_id: runId, shard, station, dept: deptId, window, unit,
+                plate_type: plateType, attempt, transport, reason, response_type: responseType || undefined,
+                alert: alert || undefined, error: error || undefined, url: url || undefined, http_status: httpStatus ?? undefined,
+                form: form || undefined, html: htmlFile, screenshot: screenshotFile,
+                truncated: !keepFiles && (html !== null || screenshot !== null) ? true : undefined,
+            };
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.appendFileSync(path.join(dir, INDEX_FILE), JSON.stringify(record) + '\n');
+            } catch (e) {
+                console.error(`    [Snapshot] 寫入索引失敗: ${e.message}`);
+                return null;
+            }
+            return id;
+        },
+    };
+}
+
+/**
+ * 讀 run 目錄的索引（lib/ndjson-index.cjs）。
+ * @param {string} dir
+ * @returns {object[]}
+ */
+function readSnapshotIndex(dir) {
+    return readNdjsonIndex(path.join(dir, INDEX_FILE));
+}
+
+/**
+ * 根目錄或 run 目錄 → 要讀的 run 目錄：本身有索引就是它，否則取最近修改的子目錄（最新一輪）。
+ * @param {string} dir
+ * @returns {string|null}
+ */
+function resolveRunDir(dir) {
+    if (fs.existsSync(path.join(dir, INDEX_FILE))) return dir;
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return null;
+    }
+    const runs = entries
+        .filter((e) => e.isDirectory() && fs.existsSync(path.join(dir, e.name, INDEX_FILE)))
+        .map((e) => ({ dir: path.join(dir, e.name), mtime: fs.statSync(path.join(dir, e.name, INDEX_FILE)).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime);
+    return runs.length > 0 ? runs[0].dir : null;
+}
+
+/**
+ * 以線上同一套解析與判定重跑一份快照 HTML。alert 以快照記下的對話框文字為準，沒有再看 HTML 裡的 alert script。
+ * @param {string} html
+ * @param {{alert?: string|null, httpStatus?: number|null, url?: string|null}} [context]
+ * @returns {{responseType: string, alert: string|null, isResult: boolean, plates: Array<{no: string, price: string}>,
+ *   pageInfo: ReturnType<typeof parsePageInfoFromDoc>}}
+ */
+function replaySnapshot(html, { alert = null, httpStatus = null, url = null } = {}) {
+    const parsed = parseMvdisHtml(html, url || REPLAY_BASE_URL);
+    const effectiveAlert = alert || parsed.alert;
+    const state = readMvdisState(parsed.doc);
+    return {
+        responseType: classifyMvdisResponse({ alert: effectiveAlert, httpStatus, ...state }) || MVDIS_NO_RESPONSE,
+        alert: effectiveAlert,
+        isResult: state.isResult,
+        plates: extractPlates(parsed.doc),
+        pageInfo: parsePageInfoFromDoc(parsed.doc),
+    };
+}
+
+/**
+ * 重放 run 目錄裡有 HTML 的快照。changed：重放出的回應型別與當時記下的不同（解析或規則改過之後）。
+ * @param {string} dir run 目錄
+ * @param {{ids?: string[]}} [opts] 只重放這些 id
+ * @returns {Array<{record: object, recorded: string|null, changed: boolean} & ReturnType<typeof replaySnapshot>>}
+ */
+function replayArchive(dir, { ids = null } = {}) {
+    const results = [];
+    for (const record of readSnapshotIndex(dir)) {
+        if (!record.html || (ids && !ids.includes(record.id))) continue;
+        let html;
+        try {
+            html = fs.readFileSync(path.join(dir, record.html), 'utf8');
+        } catch {
+            continue;
+        }
+        const replayed = replaySnapshot(html, { alert: record.alert, httpStatus: record.http_status, url: record.url });
+        const recorded = record.response_type || null;
+        results.push({ record, recorded, ...replayed, changed: recorded !== null && recorded !== replayed.responseType });
+    }
+    return results;
+}
+
+/**
+ * @param {ReturnType<typeof replayArchive>} results
+ * @returns {string}
+ */
+function formatReplay(results) {
+    if (results.length === 0) return '沒有可重放的快照。';
+    const lines = ['快照\t站\t單位\t原因\t當時\t重放\t車牌\t頁次'];
+    for (const r of results) {
+        lines.push([
+            r.record.id, r.record.station, r.record.unit || '—', r.record.reason, r.recorded || '—',
+            r.changed ? `${r.responseType} ⚠️` : r.responseType, r.plates.length,
+            r.pageInfo.noData ? '查無資料' : `${r.pageInfo.current}/${r.pageInfo.total}`,
+        ].join('\t'));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 依原因 × 回應型別彙整失敗次數（多的在前）。
+ * @param {object[]} records readSnapshotIndex 的結果
+ * @returns {Array<{reason: string, responseType: string|null, count: number, stations: string[]}>}
+ */
+function summarizeSnapshots(records) {
+    const groups = new Map();
+    for (const r of records) {
+        const key = `${r.reason}\u0000${r.response_type || ''}`;
+        const g = groups.get(key) || { reason: r.reason, responseType: r.response_type || null, count: 0, stations: new Set() };
+        g.count++;
+        if (r.station) g.stations.add(String(r.station));
+        groups.set(key, g);
+    }
+    return [...groups.values()]
+        .map((g) => ({ ...g, stations: [...g.stations].sort() }))
+        .sort((a, b) => b.count - a.count || a.reason.localeCompare(b.reason));
+}
+
+/**
+ * 快照 → 回歸 fixture：`${fixturesDir}/${name}.html`（原樣）與 `${name}.json`（重放脈絡與目前的重放結果）。
+ * json 的 expected 是「現在的程式」跑出來的；修好解析後把它改成正確答案，test/plate-parser.test.cjs 即鎖住。
+ * @param {string} dir run 目錄
+ * @param {string} id 快照 id
+ * @param {string} fixturesDir
+ * @param {string} [name] fixture 檔名（不含副檔名），預設為 id
+ * @returns {{html: string, json: string}} 寫出的兩個檔案路徑
+ */
+function promoteSnapshot(dir, id, fixturesDir, name = id) {
+    const record = readSnapshotIndex(dir).find((r) => r.id === id);
+    if (!record) throw new Error(`${dir} 沒有快照 ${id}`);
+    if (!record.html) throw new Error(`快照 ${id} 沒有存 HTML${record.truncated ? '（超過每輪上限）' : ''}`);
+    const html = fs.readFileSync(path.join(dir, record.html), 'utf8');
+    const context = { alert: record.alert || null, httpStatus: record.http_status ?? null, url: record.url || null };
+    const replayed = replaySnapshot(html, context);
+    const fixture = {
+        source: { id: record.id, run_id: record.run_id, station: record.station, unit: record.unit, reason: record.reason, captured_at: record.captured_at },
+        ...context,
+        expected: { responseType: replayed.responseType, plates: replayed.plates, pageInfo: replayed.pageInfo },
+    };
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    const out = { html: path.join(fixturesDir, `${name}.html`), json: path.join(fixturesDir, `${name}.json`) };
+    fs.writeFileSync(out.html, html);
+    fs.writeFileSync(out.json, JSON.stringify(fixture, null, 2) + '\n');
+    return out;
+}
+
+module.exports = {
+    FAILURE_SNAPSHOT_ENV,
+    DEFAULT_SNAPSHOT_ROOT,
+    INDEX_FILE,
+    SNAPSHOT_DIR,
+    DEFAULT_MAX_SNAPSHOTS,
+    REASON_RESPONSE,
+    REASON_FORM_RETRY,
+    REASON_FORM_UNREACHABLE,
+    REASON_EXCEPTION,
+    resolveSnapshotRoot,
+    createFailureArchive,
+    readSnapshotIndex,
+    resolveRunDir,
+    replaySnapshot,
+    replayArchive,
+    formatReplay,
+    summarizeSnapshots,
+    promoteSnapshot,
+};
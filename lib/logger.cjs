@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * 共用結構化 logger——每行一個 JSON 事件（NDJSON）寫入 logs/，終端機仍輸出人看的文字
+ * （測試：test/logger.test.cjs）。
+ *
+ * 背景：gh-plate-sync.cjs 原本自己 monkey-patch console.log/error 寫每日文字檔，內容是
+ * 帶 emoji 的自由文字，跨站、跨 shard、跨腳本（標牌公告、競標、測速照相）的失敗很難 grep
+ * 或彙整。改由本模組統一：
+ *   - 事件欄位：ts、level、script、run_id、shard、station、plate_type、attempt、ai_model、ai_key、msg
+ *     （沒有值的欄位省略，不寫 null）。
+ *   - 脈絡：runWithContext() 以 AsyncLocalStorage 綁定（並行 worker 各自一份），setContext()
+ *     在目前脈絡上補欄位（如換車牌類別、第幾次嘗試）；addContextProvider() 掛全域取值函式
+ *     （如目前的 AI model/key，每行 log 當下才讀）。
+ *   - patchConsole()：既有的 console.log/warn/error 呼叫不必改寫就會變成事件。
+ *   - 檔名 `${script}_${shard}_${YYYY-MM-DD}.ndjson`，保留 7 天（同舊版文字檔，舊的 crawler_*.log 一併清）。
+ *
+ * 查詢範例：`jq -c 'select(.level=="error" and .station=="26")' logs/*.ndjson`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_DIR = 'logs';
+const RETENTION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// 事件欄位的固定順序（其餘欄位接在後面），讓 NDJSON 逐行比對時好讀。
+const CONTEXT_FIELDS = ['run_id', 'shard', 'worker', 'station', 'window', 'plate_type', 'attempt', 'ai_model', 'ai_key'];
+
+// 保留期間清理的檔名前綴：本模組的 .ndjson 與舊版 gh-plate-sync 的每日文字檔。
+const LEGACY_LOG_PREFIX = 'crawler_';
+
+function logFileName(script, shard, date) {
+  return `${script}_${shard || 'ALL'}_${date.toISOString().slice(0, 10)}.ndjson`;
+}
+
+/**
+ * 組一筆事件：固定欄位在前、值為 undefined/null 的欄位省略。
+ * @param {{ts: string, level: string, script: string, msg: string}} head
+ * @param {object} context 脈絡欄位（run_id、station…）
+ * @param {object} [fields] 呼叫端附加欄位
+ * @returns {object}
+ */
+function buildEvent(head, context, fields = {}) {
+  const event = { ts: head.ts, level: head.level, script: head.script };
+  const merged = { ...context, ...fields };
+  for (const key of CONTEXT_FIELDS) {
+    if (merged[key] !== undefined && merged[key] !== null) event[key] = merged[key];
+  }
+  event.msg = head.msg;
+  for (const [key, value] of Object.entries(merged)) {
+    if (CONTEXT_FIELDS.includes(key) || value === undefined || value === null) continue;
+    event[key] = value instanceof Error ? { name: value.name, message: value.message } : value;
+  }
+  return event;
+}
+
+/**
+ * 終端機文字：並行 worker 時前綴「[W序號 #站號]」（與舊版相同），warn/error 另加等級標記。
+ * @param {object} event buildEvent 的結果
+ * @param {{levelTags?: boolean}} [opts] levelTags=false 不加等級標記（終端機維持腳本原本的文字）
+ * @returns {string}
+ */
+function formatConsoleLine(event, { levelTags = true } = {}) {
+  const prefix = event.worker !== undefined && event.station !== undefined ? `[W${event.worker} #${event.station}] ` : '';
+  const tag = !levelTags ? '' : event.level === 'error' ? '[ERROR] ' : event.level === 'warn' ? '[WARN] ' : '';
+  return `${tag}${prefix}${event.msg}`;
+}
+
+/**
+ * 刪除超過保留期限的 log 檔（依 mtime）。任何 I/O 失敗都吞掉——清不掉不該讓腳本起不來。
+ * @param {string} dir
+ * @param {{now?: number, retentionDays?: number}} [opts]
+ * @returns {string[]} 已刪除的檔名
+ */
+function pruneOldLogs(dir, { now = Date.now(), retentionDays = RETENTION_DAYS } = {}) {
+  const removed = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir);
+  } catch {
+    return removed;
+  }
+  const cutoff = now - retentionDays * DAY_MS;
+  for (const f of files) {
+    if (!f.endsWith('.ndjson') && !f.startsWith(LEGACY_LOG_PREFIX)) continue;
+    const fp = path.join(dir, f);
+    try {
+      if (fs.statSync(fp).mtimeMs < cutoff) {
+        fs.unlinkSync(fp);
+        removed.push(f);
+      }
+    } catch {
+      // 另一個 shard 同時清掉了，略過
+    }
+  }
+  return removed;
+}
+
+/**
+ * 建立 logger。
+ *
+ * @param {object} opts
+ * @param {string} opts.script 腳本代號（檔名與事件的 script 欄位），如 'plate-sync'
+ * @param {string} [opts.shard] shard 名稱，預設 'ALL'
+ * @param {string|null} [opts.dir] log 目錄；null 表示不寫檔（只輸出終端機）
+ * @param {NodeJS.WritableStream} [opts.stdout] info/debug 的輸出
+ * @param {NodeJS.WritableStream} [opts.stderr] warn/error 的輸出
+ * @param {boolean} [opts.levelTags] 終端機 warn/error 是否加 [WARN]／[ERROR]（gh-plate-sync 舊版就有；其他腳本原本沒有）
+ * @param {() => Date} [opts.clock]
+ */
+function createLogger({
+  script,
+  shard = 'ALL',
+  dir = LOG_DIR,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  levelTags = true,
+  clock = () => new Date(),
+} = {}) {
+  if (!script) throw new Error('createLogger: script 必填');
+
+  const storage = new AsyncLocalStorage();
+  const base = { shard };
+  const providers = [];
+  let file = null;
+
+  if (dir) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      pruneOldLogs(dir, { now: clock().getTime() });
+      file = fs.createWriteStream(path.join(dir, logFileName(script, shard, clock())), { flags: 'a' });
+    } catch {
+      file = null; // 寫不了檔仍要有終端機輸出
+    }
+  }
+
+  function currentContext() {
+    const ctx = { ...base };
+    for (const provide of providers) {
+      try {
+        Object.assign(ctx, provide() || {});
+      } catch {
+        // 取值函式出錯不該讓 log 本身失敗
+      }
+    }
+    return Object.assign(ctx, storage.getStore() || {});
+  }
+
+  function emit(level, msg, fields) {
+    const event = buildEvent({ ts: clock().toISOString(), level, script, msg: String(msg) }, currentContext(), fields);
+    if (file) file.write(JSON.stringify(event) + '\n');
+    (level === 'warn' || level === 'error' ? stderr : stdout).write(formatConsoleLine(event, { levelTags }) + '\n');
+    return event;
+  }
+
+  const logger = {
+    script,
+    /** 設定整個行程共用的欄位（如確定 run id 之後）。 */
+    setBase(fields) {
+      Object.assign(base, fields);
+    },
+    /** 掛一個每行 log 當下才取值的脈絡來源（如目前的 AI model/key）。 */
+    addContextProvider(fn) {
+      providers.push(fn);
+    },
+    /** 在 fn 期間（含其中所有 async 延續）綁定脈絡；巢狀呼叫會繼承外層欄位。 */
+    runWithContext(fields, fn) {
+      return storage.run({ ...(storage.getStore() || {}), ...fields }, fn);
+    },
+    /** 在目前脈絡補／改欄位；不在 runWithContext 內時改 base。 */
+    setContext(fields) {
+      const store = storage.getStore();
+      Object.assign(store || base, fields);
+    },
+    /** 把 console.log/info/warn/error 導向本 logger（既有呼叫不必改寫）。 */
+    patchConsole(target = console) {
+      target.log = (...args) => emit('info', util.format(...args));
+      target.info = (...args) => emit('info', util.format(...args));
+      target.warn = (...args) => emit('warn', util.format(...args));
+      target.error = (...args) => emit('error', util.format(...args));
+      return logger;
+    },
+    /** 結束前把檔案 flush 完。 */
+    close() {
+      return new Promise((resolve) => (file ? file.end(resolve) : resolve()));
+    },
+  };
+  for (const level of LEVELS) {
+    logger[level] = (msg, fields) => emit(level, msg, fields);
+  }
+  return logger;
+}
+
+module.exports = {
+  LOG_DIR,
+  RETENTION_DAYS,
+  CONTEXT_FIELDS,
+  logFileName,
+  buildEvent,
+  formatConsoleLine,
+  pruneOldLogs,
+  createLogger,
+};
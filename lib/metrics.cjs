@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * 爬蟲執行統計的 Prometheus／OpenMetrics 匯出——零依賴的 counter／gauge／histogram 與
+ * 文字格式輸出（測試：test/metrics.test.cjs）。
+ *
+ * 背景：SyncStats.save 只寫一列 sync_logs，要做告警或儀表板得自己從 JSON 欄位撈。改為每支
+ * 爬蟲另外輸出 metrics：
+ *   - 結束時寫 textfile（node-exporter textfile collector 直接收）：
+ *     `${METRICS_TEXTFILE_DIR || 'logs'}/${script}_${shard}.prom`，先寫暫存檔再 rename，
+ *     collector 不會讀到寫一半的檔。
+ *   - 設了 METRICS_PORT 時，執行期間另開 `/metrics` 給本機 Prometheus 直接 scrape（unref，不擋行程結束）。
+ * 輸出同時相容 Prometheus text format 0.0.4 與 OpenMetrics：counter 一律 `_total` 結尾、
+ * 結尾 `# EOF`（舊 parser 視為註解）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const DEFAULT_TEXTFILE_DIR = 'logs';
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// 秒：站點耗時從數十秒到數十分鐘都有（重試、CAPTCHA 退避）。
+const DEFAULT_DURATION_BUCKETS = [15, 30, 60, 120, 300, 600, 900, 1200, 1800, 2700];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return Number.isFinite(n) ? String(n) : 'NaN';
+}
+
+/** 只保留宣告過的 label，順序固定，同一組值永遠對到同一條序列。 */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => (labels && labels[name] !== undefined ? String(labels[name]) : '')));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels && labels[name] !== undefined ? String(labels[name]) : '';
+  return picked;
+}
+
+/**
+ * 建立 registry。constLabels（如 script、shard）加在每一條序列上。
+ * @param {{constLabels?: Record<string, string>}} [opts]
+ */
+function createRegistry({ constLabels = {} } = {}) {
+  const metrics = new Map();
+
+  function register(metric) {
+    if (metrics.has(metric.name)) throw new Error(`metric ${metric.name} 重複註冊`);
+    metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+      name, help, type: 'counter', labelNames, series,
+      inc(labels = {}, value = 1) {
+        if (value < 0) throw new Error(`counter ${name} 不可遞減`);
+        const key = seriesKey(labelNames, labels);
+        const s = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        s.value += value;
+        series.set(key, s);
+      },
+      get(labels = {}) {
+        const s = series.get(seriesKey(labelNames, labels));
+        return s ? s.value : 0;
+      },
+    });
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+      name, help, type: 'gauge', labelNames, series,
+      set(labels, value) {
+        series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+      },
+      get(labels = {}) {
+        const s = series.get(seriesKey(labelNames, labels));
+        return s ? s.value : undefined;
+      },
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_DURATION_BUCKETS, labelNames = []) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    return register({
+      name, help, type: 'histogram', labelNames, series, bounds,
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        const s = series.get(key) || { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+        series.set(key, s);
+      },
+    });
+  }
+
+  /** @returns {string} OpenMetrics 文字（含結尾 # EOF） */
+  function render() {
+    const lines = [];
+    for (const m of metrics.values()) {
+      const family = m.type === 'counter' ? m.name.replace(/_total$/, '') : m.name;
+      lines.push(`# TYPE ${family} ${m.type}`);
+      lines.push(`# HELP ${family} ${m.help}`);
+      for (const s of m.series.values()) {
+        const labels = { ...constLabels, ...s.labels };
+        if (m.type === 'counter') {
+          lines.push(`${family}_total${formatLabels(labels)} ${formatNumber(s.value)}`);
+        } else if (m.type === 'gauge') {
+          lines.push(`${m.name}${formatLabels(labels)} ${formatNumber(s.value)}`);
+        } else {
+          m.bounds.forEach((le, i) => lines.push(`${m.name}_bucket${formatLabels({ ...labels, le: formatNumber(le) })} ${s.counts[i]}`));
+          lines.push(`${m.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${s.count}`);
+          lines.push(`${m.name}_sum${formatLabels(labels)} ${formatNumber(s.sum)}`);
+          lines.push(`${m.name}_count${formatLabels(labels)} ${s.count}`);
+        }
+      }
+    }
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, metrics };
+}
+
+function textfilePath(script, shard, dir = process.env.METRICS_TEXTFILE_DIR || DEFAULT_TEXTFILE_DIR) {
+  return path.join(dir, `${script}_${shard || 'ALL'}.prom`);
+}
+
+/**
+ * 原子寫入 textfile（暫存檔 + rename）。失敗只回 error，不丟——metrics 不該讓同步失敗。
+ * @returns {{file: string|null, error: Error|null}}
+ */
+function writeTextfile(registry, file) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, registry.render());
+    fs.renameSync(tmp, file);
+    return { file, error: null };
+  } catch (error) {
+    return { file: null, error };
+  }
+}
+
+/**
+ * 執行期間提供 /metrics。port 為空時不開（回 null）。server 已 unref，不會拖住行程結束。
+ * @param {ReturnType<typeof createRegistry>} registry
+ * @param {string|number|undefined} port
+ * @returns {import('http').Server|null}
+ */
+function serveMetrics(registry, port) {
+  const n = parseInt(port, 10);
+  if (!Number.isInteger(n) || n <= 0) return null;
+  const server = http.createServer((req, res) => {
+    if (req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(registry.render());
+  });
+  server.on('error', (e) => console.error(`    [Metrics] /metrics 無法啟動（port ${n}）:`, e.message));
+  server.listen(n);
+  server.unref();
+  return server;
+}
+
+/**
+ * 每支爬蟲共用的外框：registry（constLabels script/shard）、執行層級 gauge、選配的 /metrics，
+ * 與結束時寫 textfile 的 finish()。各爬蟲再往 registry 註冊自己的 counter／histogram。
+ *
+ * @param {{script: string, shard?: string, port?: string|number, textfileDir?: string, startedAt?: number}} opts
+ */
+function createCrawlerMetrics({ script, shard = 'ALL', port = process.env.METRICS_PORT, textfileDir, startedAt = Date.now() }) {
+  const registry = createRegistry({ constLabels: { script, shard } });
+  const runDuration = registry.gauge('crawler_run_duration_seconds', '本輪執行秒數');
+  const lastRun = registry.gauge('crawler_last_run_timestamp_seconds', '本輪結束時間（Unix 秒）');
+  const runSuccess = registry.gauge('crawler_run_success', '本輪是否成功（1/0）');
+  const server = serveMetrics(registry, port);
+
+  return {
+    registry,
+    /** 通用筆數（stage 如 scraped／upserted）與錯誤（kind 如 upsert／scrape）計數，各爬蟲自行決定 label 值。 */
+    records: registry.counter('crawler_records_total', '處理的資料筆數（依階段）', ['stage']),
+    errors: registry.counter('crawler_errors_total', '錯誤次數（依種類）', ['kind']),
+    /**
+     * 記錄本輪結果並寫 textfile。
+     * @param {boolean} success
+     * @returns {{file: string|null, error: Error|null}}
+     */
+    finish(success, now = Date.now()) {
+      runDuration.set({}, Math.round((now - startedAt) / 10) / 100);
+      lastRun.set({}, Math.floor(now / 1000));
+      runSuccess.set({}, success ? 1 : 0);
+      const result = writeTextfile(registry, textfileDir ? path.join(textfileDir, `${script}_${shard}.prom`) : textfilePath(script, shard));
+      if (result.error) console.error('    [Metrics] 寫入 textfile 失敗:', result.error.message);
+      else console.log(`📈 [Metrics] ${result.file}`);
+      if (server) server.close();
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_DURATION_BUCKETS,
+  CONTENT_TYPE,
+  createRegistry,
+  textfilePath,
+  writeTextfile,
+  serveMetrics,
+  createCrawlerMetrics,
+};
@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+ * MVDIS 選號查詢的純 HTTP 傳輸（不開 Chromium），供 gh-plate-sync.cjs 依 shard 選用
+ * （測試：test/mvdis-http.test.cjs，對 test/support/mvdis-stand-in.cjs 實打）。
+ *
+ * 背景：Puppeteer + stealth 在 e2-micro 上吃掉大半記憶體，收尾還得 pkill chrome。選號流程其實只需要：
+ *   1. GET queryPickNo 表單頁：建立 cookie session，讀表單 action、隱藏欄位與 #pickimg 圖址；
+ *   2. GET 驗證碼圖（同一 session，題目綁 session）；
+ *   3. POST 表單：processStation 在瀏覽器裡設的那些欄位（method=qryPickNo、validateStr、各下拉、plateVer、location）；
+ *   4. 回應以 jsdom 解析：alert 取自回應裡的 `<script>alert('…')</script>`，分型沿用 lib/mvdis-outcome.cjs，
+ *      車牌與分頁沿用 lib/plate-parser.cjs；翻頁 POST method=qryPickNo&pageNo=N（沿用 session 內
+ *      已通過驗證碼的查詢，不再輸入驗證碼）。
+ * 下拉連動（DWR）只是填選項，送出時伺服器只看欄位值，所以不載入選項；也因此這裡無法探查窗口——
+ * 站點設定沒寫 windows（lib/station-windows.cjs）時，gh-plate-sync.cjs 另開 Puppeteer page 探查。cookie 只服務單一主機，不看 Path／Domain。
+ *
+ * 頁面結構不如預期（表單頁非 2xx、找不到表單或驗證碼圖、驗證碼不是圖片、翻頁沒有前進）丟 MvdisHttpError，
+ * 由呼叫端改用 Puppeteer；連線錯誤與逾時照一般 MVDIS 失敗處理（送出時回 NO_RESPONSE）。
+ */
+
+const { JSDOM } = require('jsdom');
+const { extractPlates, parsePageInfoFromDoc } = require('./plate-parser.cjs');
+const { MVDIS_NO_RESPONSE, classifyMvdisResponse } = require('./mvdis-outcome.cjs');
+
+const TRANSPORT_ENV = 'PLATE_SYNC_TRANSPORT';
+const TRANSPORT_BROWSER = 'browser';
+const TRANSPORT_HTTP = 'http';
+const TRANSPORTS = [TRANSPORT_BROWSER, TRANSPORT_HTTP];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+
+// 回應裡整段只有一個 alert 呼叫的 <script>（伺服器回傳的訊息）；函式裡的前端檢查 alert 不算。
+const ALERT_SCRIPT = /^\s*(?:window\.)?alert\(\s*(['"])((?:\\.|(?!\1)[^\\])*)\1\s*\)\s*;?\s*$/;
+
+class MvdisHttpError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MvdisHttpError';
+    }
+}
+
+/**
+ * --transport= 或 PLATE_SYNC_TRANSPORT → 本 shard 的傳輸。可直接寫 http／browser（每個 shard 一樣），
+ * 或逐 shard 指定 `SOUTH=http,SHARD4=http,*=browser`（* 為其餘 shard 與不分 shard 的全量模式）。
+ * 未設定為 browser；不認得的值直接丟錯（打錯字不該默默換傳輸）。
+ * @param {string|undefined|null} raw
+ * @param {string|null} shard
+ * @returns {'browser'|'http'}
+ */
+function resolveTransport(raw, shard) {
+    if (raw === undefined || raw === null || String(raw).trim() === '') return TRANSPORT_BROWSER;
+    const check = (value) => {
+        const transport = value.trim().toLowerCase();
+        if (!TRANSPORTS.includes(transport)) {
+            throw new Error(`${TRANSPORT_ENV} 的傳輸必須是 ${TRANSPORTS.join(' / ')}，收到 ${JSON.stringify(value.trim())}`);
+        }
+        return transport;
+    };
+    const text = String(raw).trim();
+    if (!text.includes('=')) return check(text);
+    const byShard = new Map();
+    for (const entry of text.split(',')) {
+        if (!entry.trim()) continue;
+        const parts = entry.split('=');
+        if (parts.length !== 2 || !parts[0].trim()) {
+            throw new Error(`${TRANSPORT_ENV} 的項目必須是 SHARD=傳輸，收到 ${JSON.stringify(entry.trim())}`);
+        }
+        byShard.set(parts[0].trim().toUpperCase(), check(parts[1]));
+    }
+    return (shard && byShard.get(String(shard).toUpperCase())) || byShard.get('*') || TRANSPORT_BROWSER;
+}
+
+/**
+ * 查詢單位 → 表單欄位（與 processStation 在瀏覽器裡選的值一致；location 為窗口名稱）。
+ * @param {{deptId: string, stationId: string, windowId: string, location: string, carType: string,
+ *   energyType: string, plateType: string, plateVersion: string, code: string}} query
+ * @returns {Record<string, string>}
+ */
+function queryFormFields({ deptId, stationId, windowId, location, carType, energyType, plateType, plateVersion, code }) {
+    return {
+        method: 'qryPickNo',
+        location,
+        selDeptCode: deptId,
+        selStationCode: stationId,
+        selWindowNo: windowId,
+        selCarType: carType,
+        selEnergyType: energyType,
+        selPlateType: plateType,
+        plateVer: plateVersion,
+        validateStr: code,
+    };
+}
+
+function unescapeJsString(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (_, esc) => {
+        if (esc.length > 1) return String.fromCharCode(parseInt(esc.slice(1), 16));
+        return { n: '\n', r: '\r', t: '\t' }[esc] ?? esc;
+    });
+}
+
+/**
+ * 回應 HTML → { doc, alert }。alert 取自整段只有 alert 呼叫的 <script>；之後移除 script／style，
+ * body 文字才不會混進前端程式裡的字樣（如檢查用的「請輸入驗證數字」）。
+ * @param {string} html
+ * @param {string} url
+ * @returns {{doc: Document, alert: string|null}}
+ */
+function parseMvdisHtml(html, url) {
+    const doc = new JSDOM(html, { url }).window.document;
+    let alert = null;
+    for (const script of doc.querySelectorAll('script')) {
+        const match = ALERT_SCRIPT.exec(script.textContent || '');
+        if (match && alert === null) alert = unescapeJsString(match[2]);
+    }
+    for (const el of doc.querySelectorAll('script, style, noscript')) el.remove();
+    return { doc, alert };
+}
+
+function bodyText(doc) {
+    return (doc.body && doc.body.textContent) || '';
+}
+
+/**
+ * 送出後的頁面 → classifyMvdisResponse 要的頁面狀態（結果頁判定同 gh-plate-sync.cjs 的 submitAndAwaitResponse）。
+ * 失敗快照重放（lib/failure-snapshot.cjs）也用這個。
+ * @param {Document} doc parseMvdisHtml 的結果（script 已移除）
+ * @returns {{isResult: boolean, body: string}}
+ */
+function readMvdisState(doc) {
+    const isResult = (doc.querySelector('h1')?.textContent || '').includes('--') || doc.querySelector('.number_cell') !== null;
+    return { isResult, body: bodyText(doc) };
+}
+
+function hiddenFields(form) {
+    const fields = {};
+    for (const input of form.querySelectorAll('input[type="hidden"][name]')) fields[input.name] = input.value;
+    return fields;
+}
+
+function setCookiesFrom(jar, headers) {
+    const lines = typeof headers.getSetCookie === 'function' ? headers.getSetCookie() : [headers.get('set-cookie')].filter(Boolean);
+    for (const line of lines) {
+        const pair = line.split(';')[0];
+        const eq = pair.indexOf('=');
+        if (eq <= 0) continue;
+        const name = pair.slice(0, eq).trim();
+        const value = pair.slice(eq + 1).trim();
+        if (value === '' || /;\s*max-age=0(?:;|$)/i.test(line)) jar.delete(name);
+        else jar.set(name, value);
+    }
+}
+
+/**
+ * 一個 cookie session（等同一個 browser context）：驗證碼與翻頁都綁 session，worker 之間不可共用。
+ */
+class MvdisHttpSession {
+    /**
+     * @param {{queryUrl: string, headers?: Record<string, string>, timeoutMs?: number, fetchImpl?: typeof fetch}} opts
+     *   queryUrl：queryPickNo 表單頁；headers：每個請求都帶（User-Agent、Accept-Language 等）
+     */
+    constructor({ queryUrl, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, fetchImpl = globalThis.fetch }) {
+        this.queryUrl = queryUrl;
+        this.headers = headers;
+        this.timeoutMs = timeoutMs;
+        this.fetchImpl = fetchImpl;
+        this.cookies = new Map();
+        this.form = null; // 最近一次表單頁：{ action, fields, captchaUrl, url }
+        this.result = null; // 最近一次成功查詢的結果頁：{ doc, url }
+        this.lastPage = null; // 最近一次收到的非圖片回應：{ url, status, html }（失敗快照用）
+        this.lastFields = null; // 最近一次送出的表單欄位
+    }
+
+    /**
+     * 帶 cookie 發請求並自行跟隨轉址（中途的 Set-Cookie 也要收）。連線錯誤與逾時照原樣丟出。
+     * @returns {Promise<{status: number, url: string, contentType: string, body: Buffer}>}
+     */
+    async request(url, { method = 'GET', form = null, referer = null } = {}) {
+        let target = url;
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            const headers = { ...this.headers };
+            if (this.cookies.size > 0) headers.Cookie = [...this.cookies].map(([k, v]) => `${k}=${v}`).join('; ');
+            if (referer) headers.Referer = referer;
+            let body;
+            if (form) {
+                headers['Content-Type'] = 'application/x-www-form-urlencoded';
+                body = new URLSearchParams(form).toString();
+            }
+            const res = await this.fetchImpl(target, { method, headers, body, redirect: 'manual', signal: AbortSignal.timeout(this.timeoutMs) });
+            setCookiesFrom(this.cookies, res.headers);
+            const location = res.headers.get('location');
+            if (res.status >= 300 && res.status < 400 && location) {
+                referer = target;
+                target = new URL(location, target).href;
+                // 303 與 POST 的 301/302 照瀏覽器慣例改成 GET。
+                if (res.status !== 307 && res.status !== 308) {
+                    method = 'GET';
+                    form = null;
+                }
+                continue;
+            }
+            const result = {
+                status: res.status,
+                url: target,
+                contentType: (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase(),
+                body: Buffer.from(await res.arrayBuffer()),
+            };
+            if (!result.contentType.startsWith('image/')) this.lastPage = { url: target, status: res.status, html: result.body.toString('utf8') };
+            return result;
+        }
+        throw new MvdisHttpError(`${url} 轉址超過 ${MAX_REDIRECTS} 次`);
+    }
+
+    /** 任一頁的本文文字（首頁施工公告偵測用）。 */
+    async fetchText(url) {
+        const res = await this.request(url);
+        return { status: res.status, text: bodyText(parseMvdisHtml(res.body.toString('utf8'), res.url).doc) };
+    }
+
+    /**
+     * 載入表單頁（同時建立／延續 session）。
+     * @returns {Promise<{action: string, fields: Record<string, string>, captchaUrl: string, url: string}>}
+     */
+    async openQueryForm() {
+        const res = await this.request(this.queryUrl);
+        if (res.status < 200 || res.status >= 300) throw new MvdisHttpError(`表單頁 HTTP ${res.status}`);
+        const { doc } = parseMvdisHtml(res.body.toString('utf8'), res.url);
+        const input = doc.querySelector('#validateStr');
+        const img = doc.querySelector('#pickimg');
+        if (!input || !input.form || !img || !img.getAttribute('src')) {
+            throw new MvdisHttpError('表單頁找不到 #validateStr 所在的表單或 #pickimg');
+        }
+        this.form = {
+            action: new URL(input.form.getAttribute('action') || res.url, res.url).href,
+            fields: hiddenFields(input.form),
+            captchaUrl: new URL(img.getAttribute('src'), res.url).href,
+            url: res.url,
+        };
+        return this.form;
+    }
+
+    /**
+     * 取一張新驗證碼（圖址帶 t 參數時換成現在時間，同頁面「換一張」）。
+     * @returns {Promise<{data: string, mimeType: string}>} base64 與圖片型別
+     */
+    async fetchCaptcha() {
+        if (!this.form) throw new MvdisHttpError('尚未載入表單頁');
+        const url = new URL(this.form.captchaUrl);
+        if (url.searchParams.has('t')) url.searchParams.set('t', String(Date.now()));
+        const res = await this.request(url.href, { referer: this.form.url });
+        if (res.status < 200 || res.status >= 300 || !res.contentType.startsWith('image/')) {
+            throw new MvdisHttpError(`驗證碼回應不是圖片（HTTP ${res.status}，${res.contentType || '無 Content-Type'}）`);
+        }
+        return { data: res.body.toString('base64'), mimeType: res.contentType };
+    }
+
+    /**
+     * 送出查詢並分型。連線錯誤或逾時回 NO_RESPONSE（error 帶原因）。
+     * @param {Record<string, string>} fields queryFormFields() 的結果
+     * @returns {Promise<{responseType: string, alertMsg: string|null, httpStatus: number|null, error?: string}>}
+     */
+    async submitQuery(fields) {
+        if (!this.form) throw new MvdisHttpError('尚未載入表單頁');
+        this.result = null;
+        this.lastFields = { ...this.form.fields, ...fields };
+        let res;
+        try {
+            res = await this.request(this.form.action, { method: 'POST', form: this.lastFields, referer: this.form.url });
+        } catch (e) {
+            if (e instanceof MvdisHttpError) throw e;
+            return { responseType: MVDIS_NO_RESPONSE, alertMsg: null, httpStatus: null, error: e.message };
+        }
+        const { doc, alert } = parseMvdisHtml(res.body.toString('utf8'), res.url);
+        const state = readMvdisState(doc);
+        const responseType = classifyMvdisResponse({ alert, httpStatus: res.status, ...state }) || MVDIS_NO_RESPONSE;
+        if (!alert && state.isResult) this.result = { doc, url: res.url };
+        return { responseType, alertMsg: alert, httpStatus: res.status };
+    }
+
+    /**
+     * 最近一次成功查詢的所有車牌（逐頁 POST 翻頁）。
+     * @returns {Promise<Array<{no: string, price: string}>>}
+     */
+    async collectPlates() {
+        if (!this.result) return [];
+        const plates = [];
+        let { doc, url } = this.result;
+        for (;;) {
+            const info = parsePageInfoFromDoc(doc);
+            if (info.noData) break;
+            plates.push(...extractPlates(doc));
+            if (info.current >= info.total) break;
+            const pageInput = doc.querySelector('input[name="pageNo"]');
+            const form = (pageInput && pageInput.form) || doc.querySelector('form[method="post" i]');
+            if (!form) throw new MvdisHttpError(`結果頁第 ${info.current} 頁找不到翻頁表單`);
+            const res = await this.request(new URL(form.getAttribute('action') || url, url).href, {
+                method: 'POST',
+                form: { ...hiddenFields(form), method: 'qryPickNo', pageNo: String(info.current + 1) },
+                referer: url,
+            });
+            ({ doc } = parseMvdisHtml(res.body.toString('utf8'), res.url));
+            url = res.url;
+            const next = parsePageInfoFromDoc(doc);
+            if (next.noData || next.current <= info.current) {
+                throw new MvdisHttpError(`翻頁沒有前進（第 ${info.current} 頁之後回 HTTP ${res.status}、第 ${next.current} 頁）`);
+            }
+        }
+        return plates;
+    }
+}
+
+module.exports = {
+    TRANSPORT_ENV,
+    TRANSPORT_BROWSER,
+    TRANSPORT_HTTP,
+    MvdisHttpError,
+    MvdisHttpSession,
+    resolveTransport,
+    queryFormFields,
+    parseMvdisHtml,
+    readMvdisState,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * MVDIS 表單頁結構指紋與改版偵測（測試：test/mvdis-layout.test.cjs）。
+ *
+ * 背景：爬蟲靠一長串 selector 操作表單（#selDeptCode、#selStationCode、#selWindowNo、#selPlateType、
+ * #pickimg、#validateStr…）。監理服務網改版時這些元素不見或選項換了值，舊版只會表現成十次驗證碼
+ * 「失敗」、每站 FAILED，要翻 log 才猜得到是改版。preflight 之後先對表單頁取指紋：
+ *   - selectors：FORM_SELECTORS 裡目前頁面上找得到的；
+ *   - options：各下拉與 plateVer radio 的選項（value／文字，略過「請選擇」）。
+ * 一律檢查（不需要簽章）：
+ *   - FORM_SELECTORS 有任何一個不見、本輪要用的選項值（監理所、車種、能源別、版式）不在頁面上
+ *     → 結構改變（breaking），gh-plate-sync.cjs 以 LAYOUT_CHANGED 狀態結束、不跑任何站。
+ * 有存下的簽章（models/mvdis-layout-signature.json）時再比對選項集合與文字：
+ *   - 簽章有選項的下拉整組變空 → breaking；
+ *   - 其餘差異（多了選項、本輪用不到的選項不見、選項文字改了）只列出來提醒重錄簽章。
+ * 站、窗口、車牌類別的選項由 DWR 依前一欄載入，初始頁上是空的：簽章不記，也不列入本輪要用的選項值。
+ * repo 不附預設簽章（選號頁只接受台灣 IP）：在能連線的機器上以 `node mvdis_layout.cjs --record`
+ * 由線上頁面錄製後 commit；沒有簽章時只少了選項集合與文字的比對。
+ * 結果頁的 selector（.number_cell、input[name="status_next_page"]、a[onclick*="doReturnWithData"]）
+ * preflight 看不到，由失敗快照與解析 fixture 把關（lib/failure-snapshot.cjs）。
+ *
+ * fingerprintMvdisForm 與 lib/plate-parser.cjs 一樣同時在 page.evaluate 與 jsdom 裡跑：
+ * 函式本體只能用自己的參數與 document，helper 定義在函式內。
+ */
+
+const fs = require('fs');
+
+const LAYOUT_CHANGED = 'LAYOUT_CHANGED';
+const LAYOUT_SIGNATURE_ENV = 'MVDIS_LAYOUT_SIGNATURE';
+const DEFAULT_SIGNATURE_PATH = 'models/mvdis-layout-signature.json';
+
+const PLATE_VERSION_SELECTOR = 'input[name="plateVer"]';
+
+// 表單頁上爬蟲實際操作的元素（#method／#location 是送出前要填的隱藏欄位），缺一個就是改版。
+const FORM_SELECTORS = Object.freeze([
+    '#selDeptCode',
+    '#selStationCode',
+    '#selWindowNo',
+    '#selCarType',
+    '#selEnergyType',
+    '#selPlateType',
+    PLATE_VERSION_SELECTOR,
+    '#pickimg',
+    '#validateStr',
+    '#method',
+    '#location',
+]);
+
+// 取選項集合的元素：select 取 option，radio 群組取各 radio。
+const OPTION_SELECTORS = Object.freeze([
+    '#selDeptCode',
+    '#selStationCode',
+    '#selWindowNo',
+    '#selCarType',
+    '#selEnergyType',
+    '#selPlateType',
+    PLATE_VERSION_SELECTOR,
+]);
+
+/** @typedef {{selectors: string[], options: Record<string, Array<{value: string, label: string|null}>>}} LayoutFingerprint */
+
+/**
+ * 表單頁 → 指紋。
+ * @param {{selectors: readonly string[], optionSelectors: readonly string[]}} spec
+ * @param {Document} [rootDoc] 測試／HTTP 傳輸傳入 jsdom document；page.evaluate 時不傳，用 browser document。
+ * @returns {LayoutFingerprint}
+ */
+function fingerprintMvdisForm(spec, rootDoc) {
+    const d = rootDoc || (typeof document !== 'undefined' ? document : null);
+    if (!d) return { selectors: [], options: {} };
+    const txt = (el) => (el == null ? '' : ((el.innerText != null ? el.innerText : el.textContent) || '')).trim();
+    const isPlaceholder = (value, label) => value === '' || label.includes('請選擇');
+    const selectors = spec.selectors.filter((sel) => d.querySelector(sel) !== null);
+    const options = {};
+    for (const sel of spec.optionSelectors) {
+        const els = Array.from(d.querySelectorAll(sel));
+        if (els.length === 0) continue;
+        const items = els[0].tagName === 'SELECT'
+            ? Array.from(els[0].options).map((o) => ({ value: o.value, label: txt(o) }))
+            : els.map((el) => ({ value: el.value, label: txt((el.labels && el.labels[0]) || el.parentElement) }));
+        options[sel] = items.filter((it) => !isPlaceholder(it.value, it.label));
+    }
+    return { selectors, options };
+}
+
+/**
+ * @typedef {{recorded_at?: string|null, source?: string, options: LayoutFingerprint['options']}} LayoutSignature
+ */
+
+/**
+ * 讀簽章檔。檔案不存在回 null（不比對選項集合與文字）；格式不對直接丟錯（壞簽章不該默默放行）。
+ * @param {string} file
+ * @returns {LayoutSignature|null}
+ */
+function loadLayoutSignature(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+    const signature = JSON.parse(text);
+    const validItems = (items) => Array.isArray(items) && items.every((it) => it && typeof it.value === 'string');
+    if (!signature.options || typeof signature.options !== 'object' || !Object.values(signature.options).every(validItems)) {
+        throw new Error(`${file} 不是 MVDIS 表單簽章（需要 options 物件），請以 mvdis_layout.cjs --record 重錄`);
+    }
+    return signature;
+}
+
+/**
+ * 指紋 → 簽章（--record 寫檔用）。只記選項；selector 一律對 FORM_SELECTORS 檢查。
+ * @param {LayoutFingerprint} fingerprint
+ * @param {{source: string, clock?: () => Date}} opts
+ * @returns {LayoutSignature}
+ */
+function buildLayoutSignature(fingerprint, { source, clock = () => new Date() }) {
+    return { recorded_at: clock().toISOString(), source, options: fingerprint.options };
+}
+
+/**
+ * 本輪要查的監理所與查詢組合 → 頁面上必須有的選項值（依選項 selector 分組；都是初始頁就有選項的欄位）。
+ * @param {string[]} deptIds
+ * @param {Array<{carType: string, energyType: string, plateVersion: string}>} combos expandQueryMatrix 的結果（各站合併）
+ * @returns {Record<string, string[]>}
+ */
+function requiredLayoutOptions(deptIds, combos) {
+    const uniq = (values) => [...new Set(values.map(String))].sort();
+    return {
+        '#selDeptCode': uniq(deptIds),
+        '#selCarType': uniq(combos.map((c) => c.carType)),
+        '#selEnergyType': uniq(combos.map((c) => c.energyType)),
+        [PLATE_VERSION_SELECTOR]: uniq(combos.map((c) => c.plateVersion)),
+    };
+}
+
+/**
+ * @typedef {{selector: string, missing: boolean, removed: string[], added: string[],
+ *   relabeled: Array<{value: string, from: string, to: string}>, requiredMissing: string[]}} OptionDrift
+ *   missing：簽章有選項、頁面整組沒有；requiredMissing：本輪要用卻不在頁面上的值
+ *   （removed／added／relabeled／missing 要有簽章才比）
+ * @typedef {{breaking: boolean, missingSelectors: string[], options: OptionDrift[]}} LayoutDrift
+ */
+
+/**
+ * 目前指紋 vs FORM_SELECTORS、本輪要用的選項值，以及（有的話）簽章的選項。
+ * @param {LayoutSignature|null} signature 沒有簽章傳 null
+ * @param {LayoutFingerprint} fingerprint
+ * @param {{required?: Record<string, string[]>}} [opts] required：requiredLayoutOptions 的結果
+ * @returns {LayoutDrift}
+ */
+function compareLayout(signature, fingerprint, { required = {} } = {}) {
+    const present = new Set(fingerprint.selectors);
+    const missingSelectors = FORM_SELECTORS.filter((sel) => !present.has(sel));
+    const signatureOptions = signature ? signature.options : {};
+    const options = [];
+    for (const selector of [...new Set([...Object.keys(signatureOptions), ...Object.keys(required)])]) {
+        if (missingSelectors.includes(selector)) continue; // 元素整個不見已列在 missingSelectors
+        const expected = signatureOptions[selector] || [];
+        const actual = fingerprint.options[selector] || [];
+        const actualByValue = new Map(actual.map((it) => [it.value, it]));
+        const expectedValues = new Set(expected.map((it) => it.value));
+        const drift = {
+            selector,
+            missing: expected.length > 0 && actual.length === 0,
+            removed: expected.filter((it) => !actualByValue.has(it.value)).map((it) => it.value),
+            // 簽章沒記這組選項（錄製時是空的）就不列「多了」，只檢查本輪要用的值。
+            added: expected.length > 0 ? actual.filter((it) => !expectedValues.has(it.value)).map((it) => it.value) : [],
+            relabeled: expected
+                .filter((it) => it.label && actualByValue.has(it.value) && actualByValue.get(it.value).label !== it.label)
+                .map((it) => ({ value: it.value, from: it.label, to: actualByValue.get(it.value).label })),
+            requiredMissing: (required[selector] || []).filter((v) => !actualByValue.has(v)),
+        };
+        if (drift.missing || drift.removed.length || drift.added.length || drift.relabeled.length || drift.requiredMissing.length) {
+            options.push(drift);
+        }
+    }
+    const breaking = missingSelectors.length > 0 || options.some((o) => o.missing || o.requiredMissing.length > 0);
+    return { breaking, missingSelectors, options };
+}
+
+/**
+ * 差異 → 一行摘要（log 與 sync_metadata.status_message 用）；沒有差異回空字串。
+ * @param {LayoutDrift} drift
+ * @returns {string}
+ */
+function formatLayoutDrift(drift) {
+    const parts = [];
+    if (drift.missingSelectors.length > 0) parts.push(`找不到 ${drift.missingSelectors.join('、')}`);
+    for (const o of drift.options) {
+        const notes = [];
+        if (o.missing) notes.push('選項整組消失');
+        else if (o.requiredMissing.length > 0) notes.push(`缺本輪要用的 ${o.requiredMissing.join('/')}`);
+        const otherRemoved = o.missing ? [] : o.removed.filter((v) => !o.requiredMissing.includes(v));
+        if (otherRemoved.length > 0) notes.push(`少了 ${otherRemoved.join('/')}`);
+        if (o.added.length > 0) notes.push(`多了 ${o.added.join('/')}`);
+        if (o.relabeled.length > 0) notes.push(`改名 ${o.relabeled.map((r) => `${r.value}:${r.from}→${r.to}`).join('/')}`);
+        parts.push(`${o.selector} ${notes.join('、')}`);
+    }
+    return parts.join('；');
+}
+
+module.exports = {
+    LAYOUT_CHANGED,
+    LAYOUT_SIGNATURE_ENV,
+    DEFAULT_SIGNATURE_PATH,
+    FORM_SELECTORS,
+    OPTION_SELECTORS,
+    fingerprintMvdisForm,
+    loadLayoutSignature,
+    buildLayoutSignature,
+    requiredLayoutOptions,
+    compareLayout,
+    formatLayoutDrift,
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * MVDIS 送出查詢後的回應分類（alert 文字與頁面狀態 → 型別）與各型別的重試／退避／放棄政策，
+ * 供 gh-plate-sync.cjs 的 processStation 使用（測試：test/mvdis-outcome.test.cjs）。
+ *
+ * 背景：舊版把所有 dialog 與 body 比對到的錯誤一律當「驗證碼錯」立刻重導航重試。系統忙碌時
+ * 立刻重打只會更忙；查詢被限流時十次重試全撞同一面牆；站本身暫停選號或中途開始施工時，
+ * 重試到 attempts 耗盡才 FAILED，白燒 AI 配額與時間。分類後：
+ *   WRONG_CAPTCHA    「驗證數字輸入錯誤」：照舊立即重來（換圖）。
+ *   CAPTCHA_MISSING  「請輸入驗證數字」：字沒打進欄位（表單異常），立即重來；同一單位連續 3 次放棄本站。
+ *   SESSION_EXPIRED  逾時／請重新操作：重導航即重建 session，稍等 2～5 秒。
+ *   SYSTEM_BUSY      系統忙碌／請稍後再試：退避 15～30 秒。
+ *   QUERY_THROTTLED  查詢過於頻繁／次數上限：退避 60～120 秒，同一單位第 3 次放棄本站。
+ *   STATION_CLOSED   本站暫停／未開放選號：不重試，本站 FAILED（partial 模式沿用上一輪資料）。
+ *   MAINTENANCE      施工／維護：不重試，本輪其餘站一併跳過（首頁施工偵測之後才開始的施工）。
+ *   UNKNOWN_ALERT    不認得的 alert：照舊立即重來，原文記進站點統計，日後補規則。
+ *   NO_RESPONSE      30 秒內沒有任何可判定的狀態（逾時、導航中斷）：照舊立即重來。
+ * 成功型別 RESULT／NO_DATA 不在政策表裡。表單 POST 回應為 429／5xx 時不看頁面，直接判為限流／忙碌。
+ *
+ * 文字規則：「驗證數字輸入錯誤」「請輸入驗證數字」「今日施工中」與結果頁判定沿用既有爬蟲實測的字樣；
+ * 其餘型別的字樣是依監理服務網常見措辭寫的關鍵字，只比對 alert（頁面本文的說明文字容易誤中），
+ * 比對不到就落到 UNKNOWN_ALERT（行為與舊版相同），不會因規則缺漏而變差。
+ */
+
+const MVDIS_RESULT = 'RESULT';
+const MVDIS_NO_DATA = 'NO_DATA';
+const MVDIS_WRONG_CAPTCHA = 'WRONG_CAPTCHA';
+const MVDIS_CAPTCHA_MISSING = 'CAPTCHA_MISSING';
+const MVDIS_SESSION_EXPIRED = 'SESSION_EXPIRED';
+const MVDIS_SYSTEM_BUSY = 'SYSTEM_BUSY';
+const MVDIS_QUERY_THROTTLED = 'QUERY_THROTTLED';
+const MVDIS_STATION_CLOSED = 'STATION_CLOSED';
+const MVDIS_MAINTENANCE = 'MAINTENANCE';
+const MVDIS_UNKNOWN_ALERT = 'UNKNOWN_ALERT';
+const MVDIS_NO_RESPONSE = 'NO_RESPONSE';
+
+const ACTION_RETRY = 'retry';
+const ACTION_ABORT_STATION = 'abort_station';
+const ACTION_ABORT_RUN = 'abort_run';
+
+// 依序比對，先中先贏：施工／暫停／限流的訊息常附「請稍後再試」，要排在 SYSTEM_BUSY 之前。
+const ALERT_RULES = [
+    [MVDIS_WRONG_CAPTCHA, /驗證(數字|碼)輸入錯誤|驗證(數字|碼)錯誤/],
+    [MVDIS_CAPTCHA_MISSING, /請輸入驗證(數字|碼)/],
+    [MVDIS_MAINTENANCE, /施工|系統維護|維護作業|維修|停機/],
+    [MVDIS_STATION_CLOSED, /(暫停|停止|未開放|不開放|不提供)(辦理)?.{0,6}選號|本(站|所).{0,10}(暫停|停止|未開放)/],
+    [MVDIS_QUERY_THROTTLED, /頻繁|查詢次數|次數過多|超過.{0,6}(上限|限制)/],
+    [MVDIS_SESSION_EXPIRED, /逾時|過期|已失效|重新(登入|操作|查詢|整理)|連線已中斷|session/i],
+    [MVDIS_SYSTEM_BUSY, /忙碌|繁忙|稍後再試|稍候再試|系統(錯誤|異常)|連線人數/],
+];
+
+// 頁面本文只認實測過的字樣。
+const BODY_NO_DATA = ['截至目前為止', '查無資料'];
+const BODY_WRONG_CAPTCHA = '驗證數字輸入錯誤';
+const BODY_CAPTCHA_MISSING = '請輸入驗證數字';
+const BODY_MAINTENANCE = '今日施工中';
+// 結果文件上「已可判定」的本文字樣（gh-plate-sync.cjs 以 waitForFunction 等這些字樣或 .number_cell 出現）。
+const MVDIS_BODY_MARKERS = Object.freeze([...BODY_NO_DATA, BODY_WRONG_CAPTCHA, BODY_CAPTCHA_MISSING, BODY_MAINTENANCE]);
+
+/**
+ * @typedef {{action: string, backoffMs?: [number, number], maxPerUnit?: number|null}} MvdisPolicy
+ *   maxPerUnit：同一查詢單位內此型別出現超過幾次就改為放棄本站（null＝只受 attempts 上限約束）
+ */
+/** @type {Readonly<Record<string, MvdisPolicy>>} */
+const MVDIS_POLICIES = Object.freeze({
+    [MVDIS_WRONG_CAPTCHA]: { action: ACTION_RETRY, backoffMs: [0, 0], maxPerUnit: null },
+    [MVDIS_CAPTCHA_MISSING]: { action: ACTION_RETRY, backoffMs: [0, 0], maxPerUnit: 2 },
+    [MVDIS_SESSION_EXPIRED]: { action: ACTION_RETRY, backoffMs: [2000, 5000], maxPerUnit: 3 },
+    [MVDIS_SYSTEM_BUSY]: { action: ACTION_RETRY, backoffMs: [15000, 30000], maxPerUnit: 4 },
+    [MVDIS_QUERY_THROTTLED]: { action: ACTION_RETRY, backoffMs: [60000, 120000], maxPerUnit: 2 },
+    [MVDIS_STATION_CLOSED]: { action: ACTION_ABORT_STATION },
+    [MVDIS_MAINTENANCE]: { action: ACTION_ABORT_RUN },
+    [MVDIS_UNKNOWN_ALERT]: { action: ACTION_RETRY, backoffMs: [0, 0], maxPerUnit: null },
+    [MVDIS_NO_RESPONSE]: { action: ACTION_RETRY, backoffMs: [0, 0], maxPerUnit: null },
+});
+
+/**
+ * alert 文字 → 型別（不認得為 UNKNOWN_ALERT）。
+ * @param {string} text
+ * @returns {string}
+ */
+function classifyMvdisAlert(text) {
+    for (const [type, pattern] of ALERT_RULES) if (pattern.test(text)) return type;
+    return MVDIS_UNKNOWN_ALERT;
+}
+
+/**
+ * 送出後觀察到的狀態 → 型別。alert 一出現即可判定；其次看表單 POST 的 HTTP 狀態，再看頁面，
+ * 還沒有可判定的狀態回 null。
+ * @param {{alert?: string|null, body?: string, isResult?: boolean, httpStatus?: number|null}} state
+ * @returns {string|null}
+ */
+function classifyMvdisResponse({ alert = null, body = '', isResult = false, httpStatus = null }) {
+    if (alert) return classifyMvdisAlert(alert);
+    if (httpStatus === 429) return MVDIS_QUERY_THROTTLED;
+    if (httpStatus >= 500) return MVDIS_SYSTEM_BUSY;
+    if (isResult) return MVDIS_RESULT;
+    if (BODY_NO_DATA.some((t) => body.includes(t))) return MVDIS_NO_DATA;
+    if (body.includes(BODY_WRONG_CAPTCHA)) return MVDIS_WRONG_CAPTCHA;
+    if (body.includes(BODY_CAPTCHA_MISSING)) return MVDIS_CAPTCHA_MISSING;
+    if (body.includes(BODY_MAINTENANCE)) return MVDIS_MAINTENANCE;
+    return null;
+}
+
+/** RESULT／NO_DATA：查詢成功（有結果頁或確定沒有號碼）。 */
+function isMvdisSuccess(type) {
+    return type === MVDIS_RESULT || type === MVDIS_NO_DATA;
+}
+
+/**
+ * 失敗型別 → 這次該怎麼辦。
+ * @param {string} type
+ * @param {number} occurrences 本查詢單位內此型別已出現幾次（含這次）
+ * @param {() => number} [random]
+ * @returns {{action: string, backoffMs: number}}
+ */
+function decideMvdisAction(type, occurrences, random = Math.random) {
+    const policy = MVDIS_POLICIES[type] || MVDIS_POLICIES[MVDIS_UNKNOWN_ALERT];
+    if (policy.action !== ACTION_RETRY) return { action: policy.action, backoffMs: 0 };
+    if (policy.maxPerUnit !== null && occurrences > policy.maxPerUnit) return { action: ACTION_ABORT_STATION, backoffMs: 0 };
+    const [min, max] = policy.backoffMs;
+    return { action: ACTION_RETRY, backoffMs: min + Math.floor(random() * (max - min)) };
+}
+
+module.exports = {
+    MVDIS_RESULT,
+    MVDIS_NO_DATA,
+    MVDIS_WRONG_CAPTCHA,
+    MVDIS_CAPTCHA_MISSING,
+    MVDIS_SESSION_EXPIRED,
+    MVDIS_SYSTEM_BUSY,
+    MVDIS_QUERY_THROTTLED,
+    MVDIS_STATION_CLOSED,
+    MVDIS_MAINTENANCE,
+    MVDIS_UNKNOWN_ALERT,
+    MVDIS_NO_RESPONSE,
+    ACTION_RETRY,
+    ACTION_ABORT_STATION,
+    ACTION_ABORT_RUN,
+    MVDIS_POLICIES,
+    MVDIS_BODY_MARKERS,
+    classifyMvdisAlert,
+    classifyMvdisResponse,
+    isMvdisSuccess,
+    decideMvdisAction,
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * append-only NDJSON 索引檔的讀取（測試：test/ndjson-index.test.cjs）。
+ *
+ * CAPTCHA 資料集（lib/captcha-dataset.cjs）與失敗快照（lib/failure-snapshot.cjs）都是一筆一行、
+ * 並行 worker 共用同一個 index.ndjson。程序被砍時最後一行可能只寫一半，讀的時候略過壞行即可。
+ */
+
+const fs = require('fs');
+
+/**
+ * 讀索引檔，依寫入順序回傳。壞行（寫到一半被砍）與空行略過；檔案不存在回空陣列。
+ * @param {string} file
+ * @returns {object[]}
+ */
+function readNdjsonIndex(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch {
+        return [];
+    }
+    const records = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            // 略過
+        }
+    }
+    return records;
+}
+
+module.exports = {
+    readNdjsonIndex,
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * 部分 swap：成功的站照常發布，失敗的站沿用正式表上一輪的資料（last-known-good），
+ * 供 gh-plate-sync.cjs（shard 回報／legacy performSwap）與 trigger_swap.cjs 共用
+ * （測試：test/partial-swap.test.cjs）。
+ *
+ * 背景：嚴格模式下任一站失敗，shard 就回報 FAILED、整輪不 swap——失敗站的車牌若從
+ * staging 缺席，swap 後的 REMOVED diff 會被當成「已售出」寄出假通知。代價是一個不穩的站
+ * 就凍結其他 29 站的新資料。PLATE_SWAP_MODE=partial 時改為：
+ *   1. shard：有站失敗時回報 PARTIAL（仍 exit 0），失敗站 id 寫進
+ *      sync_metadata.failed_station_ids（見 supabase/migrations-draft/plate_partial_swap.sql）。
+ *   2. swap 前：失敗站在 staging 的殘缺列整站刪掉，改從 available_plates 複製上一輪的列進
+ *      staging。複製列保留原本的 last_verified_at（新爬的列是爬到當下），前端據此標示「資料可能過期」。
+ *   3. swap 後：processSoldNotifications 略過沿用站——它們的下架不是本輪實際觀察到的。
+ * 預設仍是 strict（行為與舊版相同）。
+ */
+
+const SWAP_MODE_STRICT = 'strict';
+const SWAP_MODE_PARTIAL = 'partial';
+const SWAP_MODES = [SWAP_MODE_STRICT, SWAP_MODE_PARTIAL];
+
+// shard 的 sync_metadata.status：本輪有站失敗、但其餘站已寫入 staging，可部分 swap。
+const SHARD_STATUS_PARTIAL = 'PARTIAL';
+
+const CARRY_PAGE_SIZE = 1000;
+const CARRY_INSERT_CHUNK_SIZE = 500;
+
+/**
+ * PLATE_SWAP_MODE → 模式。未設定為 strict；不認得的值直接丟錯（打錯字不該默默退回 strict 或放行）。
+ * @param {string|undefined|null} value
+ * @returns {'strict'|'partial'}
+ */
+function resolveSwapMode(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return SWAP_MODE_STRICT;
+    const mode = String(value).trim().toLowerCase();
+    if (!SWAP_MODES.includes(mode)) {
+        throw new Error(`PLATE_SWAP_MODE 必須是 ${SWAP_MODES.join(' / ')}，收到 ${JSON.stringify(value)}`);
+    }
+    return mode;
+}
+
+/**
+ * SyncStats.stationDetails → 本輪失敗的站 id（去重、保留順序）。
+ * @param {Array<{id: string, status: string}>} stationDetails
+ * @returns {string[]}
+ */
+function failedStationIds(stationDetails) {
+    const ids = [];
+    for (const s of stationDetails || []) {
+        if (s.status === 'FAILED' && !ids.includes(String(s.id))) ids.push(String(s.id));
+    }
+    return ids;
+}
+
+/**
+ * 各 shard 的 sync_metadata 列 → 需要沿用上一輪資料的站 id（PARTIAL shard 的 failed_station_ids 聯集）。
+ * @param {Array<{status: string, failed_station_ids?: string[]|null}>} shardMetas
+ * @returns {string[]}
+ */
+function collectCarryOverStations(shardMetas) {
+    const ids = [];
+    for (const meta of shardMetas || []) {
+        if (!meta || meta.status !== SHARD_STATUS_PARTIAL) continue;
+        for (const id of meta.failed_station_ids || []) {
+            if (!ids.includes(String(id))) ids.push(String(id));
+        }
+    }
+    return ids;
+}
+
+/** 正式表列 → staging 列：去掉自動編號 id，其餘（含 last_verified_at）原樣保留。 */
+function toCarryOverRow(row) {
+    const { id, ...rest } = row;
+    return rest;
+}
+
+/**
+ * 失敗站改用上一輪資料：刪掉 staging 中這些站的列，再把 available_plates 的列分頁複製進 staging。
+ * 任何一步失敗回 error（呼叫端應中止 swap——staging 裡的失敗站此時可能是空的）。
+ *
+ * @param {object} supabase
+ * @param {string[]} stationIds
+ * @returns {Promise<{carried: number, stationNames: string[], error: {message: string}|null}>}
+ *   stationNames 為沿用站的站名（plate_changes 只有 station_name，通知端以此略過）。
+ */
+async function carryOverStations(supabase, stationIds, { pageSize = CARRY_PAGE_SIZE, chunkSize = CARRY_INSERT_CHUNK_SIZE } = {}) {
+    if (!stationIds || stationIds.length === 0) return { carried: 0, stationNames: [], error: null };
+
+    const { error: deleteError } = await supabase
+        .from('available_plates_staging')
+        .delete()
+        .in('station_id', stationIds);
+    if (deleteError) return { carried: 0, stationNames: [], error: { message: `清除失敗站 staging：${deleteError.message}` } };
+
+    const names = new Set();
+    let carried = 0;
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+            .from('available_plates')
+            .select('*')
+            .in('station_id', stationIds)
+            // 以主鍵排序：同一 plate_no 可能分屬不同窗口／車種／能源別／版式，其他欄位組合不唯一，分頁會漏列或重複。
+            .order('id', { ascending: true })
+            .range(from, from + pageSize - 1);
+        if (error) return { carried, stationNames: [...names], error: { message: `讀取正式表：${error.message}` } };
+
+        const rows = (data || []).map(toCarryOverRow);
+        for (const row of rows) if (row.station_name) names.add(row.station_name);
+        for (let i = 0; i < rows.length; i += chunkSize) {
+            const chunk = rows.slice(i, i + chunkSize);
+            const { error: insertError } = await supabase.from('available_plates_staging').insert(chunk);
+            if (insertError) return { carried, stationNames: [...names], error: { message: `寫入 staging：${insertError.message}` } };
+            carried += chunk.length;
+        }
+        if (!data || data.length < pageSize) break;
+    }
+    return { carried, stationNames: [...names], error: null };
+}
+
+/**
+ * plate_changes 的 REMOVED 列 → 排除沿用站（以站名比對）。
+ * @param {Array<{station_name?: string|null}>} removed
+ * @param {Iterable<string>} carriedStationNames
+ * @returns {Array<object>}
+ */
+function excludeCarriedStations(removed, carriedStationNames) {
+    const skip = new Set(carriedStationNames || []);
+    if (skip.size === 0) return removed || [];
+    return (removed || []).filter((r) => !skip.has(r.station_name));
+}
+
+module.exports = {
+    SWAP_MODE_STRICT,
+    SWAP_MODE_PARTIAL,
+    SHARD_STATUS_PARTIAL,
+    resolveSwapMode,
+    failedStationIds,
+    collectCarryOverStations,
+    toCarryOverRow,
+    carryOverStations,
+    excludeCarriedStations,
+};
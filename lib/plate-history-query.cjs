@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * 現貨車牌歷史查詢——從 plate_history 事件序列（lib/plate-history.cjs 寫入）回答
+ * 「這張牌掛了幾天」「價格怎麼變」（測試：test/plate-history-query.test.cjs）。
+ *
+ * 純函式 summarizePlateHistory 負責推導；fetchPlateHistory 負責讀 DB（注入 supabase client），
+ * CLI 見 plate_history.cjs。
+ *
+ * 上架期間（listing）：LISTED 開始、REMOVED 結束；下架後又 LISTED 即為新的一段。
+ * 仍在架的牌以 asOf（最近一次成功 swap 的時間）為末見時間。
+ */
+
+const { PLATE_HISTORY_TABLE, EVENT_LISTED, EVENT_PRICE_CHANGED, EVENT_REMOVED, plateKey } = require('./plate-history.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromIso, toIso) {
+    const ms = new Date(toIso).getTime() - new Date(fromIso).getTime();
+    return Number.isFinite(ms) ? Math.round((Math.max(0, ms) / DAY_MS) * 10) / 10 : null;
+}
+
+/**
+ * 單一張牌（同一 plateKey）的事件 → 摘要。
+ *
+ * @param {Array<object>} events plate_history 列（順序不拘）
+ * @param {string} asOf 最近一次成功 swap 的時間（ISO）；仍在架的牌以此為末見
+ * @returns {object|null} 無事件回 null
+ */
+function summarizePlateHistory(events, asOf) {
+    if (!events || events.length === 0) return null;
+    const sorted = events.slice().sort((a, b) => new Date(a.observed_at) - new Date(b.observed_at));
+    const first = sorted[0];
+
+    const listings = [];
+    const priceChanges = [];
+    let open = null;
+    let currentPrice = null;
+    let lastSeenAt = null;
+
+    for (const e of sorted) {
+        if (e.event === EVENT_LISTED) {
+            if (!open) {
+                open = { listedAt: e.observed_at, removedAt: null, listedPrice: e.price };
+                listings.push(open);
+            }
+            currentPrice = e.price;
+        } else if (e.event === EVENT_PRICE_CHANGED) {
+            priceChanges.push({ at: e.observed_at, from: e.previous_price, to: e.price });
+            currentPrice = e.price;
+        } else if (e.event === EVENT_REMOVED) {
+            if (open) {
+                open.removedAt = e.observed_at;
+                open = null;
+            }
+            lastSeenAt = e.last_seen_at || e.observed_at;
+        }
+    }
+
+    const isListed = open !== null;
+    if (isListed) lastSeenAt = asOf;
+    for (const l of listings) l.days = daysBetween(l.listedAt, l.removedAt || asOf);
+    const latest = listings[listings.length - 1] || null;
+
+    return {
+        stationId: first.station_id,
+        stationName: sorted.reduce((name, e) => e.station_name || name, null),
+        plateType: first.plate_type,
+        plateNo: first.plate_no,
+        isListed,
+        firstSeenAt: listings.length > 0 ? listings[0].listedAt : first.observed_at,
+        lastSeenAt,
+        removedAt: isListed ? null : (latest && latest.removedAt) || null,
+        currentPrice,
+        priceChanges,
+        listings,
+        daysOnMarket: latest ? latest.days : null,
+        totalDaysOnMarket: Math.round(listings.reduce((sum, l) => sum + (l.days || 0), 0) * 10) / 10,
+    };
+}
+
+/**
+ * 多張牌的事件 → 依 plateKey 分組的摘要陣列（依站、類別排序）。
+ * @param {Array<object>} events
+ * @param {string} asOf
+ * @returns {Array<object>}
+ */
+function summarizeByPlate(events, asOf) {
+    const groups = new Map();
+    for (const e of events || []) {
+        const key = plateKey(e);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(e);
+    }
+    return [...groups.keys()].sort().map((key) => summarizePlateHistory(groups.get(key), asOf));
+}
+
+/**
+ * 讀某號碼的歷史並摘要。stationId / plateType 可省略（同號碼在多站出現時全列）。
+ * asOf 取 sync_metadata.plates_full_sync.last_run_at，讀不到就用現在時間。
+ *
+ * @param {object} supabase
+ * @param {{plateNo: string, stationId?: string, plateType?: string}} query
+ * @returns {Promise<{summaries: Array<object>|null, error: {message: string}|null}>}
+ */
+async function fetchPlateHistory(supabase, { plateNo, stationId, plateType }) {
+    let q = supabase.from(PLATE_HISTORY_TABLE).select('*').eq('plate_no', plateNo);
+    if (stationId) q = q.eq('station_id', stationId);
+    if (plateType) q = q.eq('plate_type', plateType);
+    const { data, error } = await q.order('observed_at', { ascending: true });
+    if (error) return { summaries: null, error };
+
+    const { data: meta } = await supabase
+        .from('sync_metadata')
+        .select('last_run_at')
+        .eq('key', 'plates_full_sync')
+        .maybeSingle();
+    const asOf = (meta && meta.last_run_at) || new Date().toISOString();
+    return { summaries: summarizeByPlate(data, asOf), error: null };
+}
+
+module.exports = {
+    daysBetween,
+    summarizePlateHistory,
+    summarizeByPlate,
+    fetchPlateHistory,
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * 現貨車牌上架／價格／下架歷史（append-only）——swap 前後快照比對，供 trigger_swap.cjs
+ * 與 gh-plate-sync.cjs（legacy 非 shard 模式的 performSwap）共用（測試：test/plate-history.test.cjs）。
+ *
+ * 背景：每次 swap 都整表覆寫 available_plates，一張牌掛了多久、價格怎麼變都留不下來。
+ * 改為 swap 前讀「正式表（上一輪）」與「staging（這一輪）」兩份快照，以
+ * (station_id, plate_type, plate_no) 為 key 比對，產生事件寫進 public.plate_history
+ * （見 supabase/migrations-draft/plate_history.sql）：
+ *   - LISTED：staging 有、正式表沒有（首次出現或下架後重新上架）。
+ *   - PRICE_CHANGED：兩邊都有但價格不同（previous_price 記舊價）。
+ *   - REMOVED：正式表有、staging 沒有；last_seen_at 記正式表列的 updated_at。
+ * 只增不改：查詢端（lib/plate-history-query.cjs）從事件序列推回首見／末見／價格變動／下架時間。
+ *
+ * 順序：prepare（swap 前讀快照＋比對）→ swap → 回讀確認沒被熔斷 → record（寫事件）。
+ * 歷史是附加資訊，任何讀寫失敗只 log、不擋 swap。
+ */
+
+const PLATE_HISTORY_TABLE = 'plate_history';
+
+const EVENT_LISTED = 'LISTED';
+const EVENT_PRICE_CHANGED = 'PRICE_CHANGED';
+const EVENT_REMOVED = 'REMOVED';
+
+// PostgREST 預設單次最多回 1000 列，快照必須分頁讀完，否則比對會把第 1001 筆之後全當成下架。
+const SNAPSHOT_PAGE_SIZE = 1000;
+const INSERT_CHUNK_SIZE = 500;
+
+const SNAPSHOT_COLUMNS = 'station_id, station_name, plate_type, plate_no, price, updated_at';
+
+/** 歷史的身分 key：同站同類別同號碼視為同一張牌（不同窗口／查詢維度重複出現只算一次）。 */
+function plateKey(row) {
+    return `${row.station_id}|${row.plate_type}|${row.plate_no}`;
+}
+
+function toPrice(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * 快照列 → key 索引。同 key 重複時保留第一筆。
+ * @param {Array<object>} rows
+ * @returns {Map<string, object>}
+ */
+function indexSnapshot(rows) {
+    const byKey = new Map();
+    for (const row of rows || []) {
+        const key = plateKey(row);
+        if (!byKey.has(key)) byKey.set(key, row);
+    }
+    return byKey;
+}
+
+/**
+ * 比對上一輪（正式表）與這一輪（staging）快照，產生 plate_history 事件列。
+ *
+ * @param {Array<object>} before available_plates 快照
+ * @param {Array<object>} after available_plates_staging 快照
+ * @param {string} observedAt 本次 swap 時間（ISO）
+ * @returns {Array<object>} plate_history 列
+ */
+function diffPlateSnapshots(before, after, observedAt) {
+    const prev = indexSnapshot(before);
+    const next = indexSnapshot(after);
+    const events = [];
+    const base = (row) => ({
+        station_id: row.station_id,
+        station_name: row.station_name || null,
+        plate_type: row.plate_type,
+        plate_no: row.plate_no,
+        observed_at: observedAt,
+    });
+
+    for (const [key, row] of next) {
+        const old = prev.get(key);
+        if (!old) {
+            events.push({ ...base(row), event: EVENT_LISTED, price: toPrice(row.price), previous_price: null, last_seen_at: null });
+        } else if (toPrice(old.price) !== toPrice(row.price)) {
+            events.push({ ...base(row), event: EVENT_PRICE_CHANGED, price: toPrice(row.price), previous_price: toPrice(old.price), last_seen_at: null });
+        }
+    }
+    for (const [key, row] of prev) {
+        if (next.has(key)) continue;
+        events.push({ ...base(row), event: EVENT_REMOVED, price: toPrice(row.price), previous_price: null, last_seen_at: row.updated_at || null });
+    }
+    return events;
+}
+
+/**
+ * 分頁讀完整張表的快照。排序固定，分頁之間才不會漏列或重複。
+ * @returns {Promise<{rows: Array<object>|null, error: {message: string}|null}>}
+ */
+async function fetchPlateSnapshot(supabase, table, pageSize = SNAPSHOT_PAGE_SIZE) {
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(SNAPSHOT_COLUMNS)
+            .order('station_id', { ascending: true })
+            .order('plate_type', { ascending: true })
+            .order('plate_no', { ascending: true })
+            .range(from, from + pageSize - 1);
+        if (error) return { rows: null, error };
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) return { rows, error: null };
+    }
+}
+
+/**
+ * 讀 swap 前後兩份快照（正式表＝上一輪、staging＝這一輪）。trigger_swap.cjs 讀一次，
+ * 同時餵給 diff 報告（lib/swap-diff.cjs）與歷史事件。
+ * @returns {Promise<{live: Array<object>, staged: Array<object>}|{error: {message: string}}>}
+ */
+async function fetchSwapSnapshots(supabase) {
+    const live = await fetchPlateSnapshot(supabase, 'available_plates');
+    if (live.error) return { error: { message: `available_plates: ${live.error.message}` } };
+    const staged = await fetchPlateSnapshot(supabase, 'available_plates_staging');
+    if (staged.error) return { error: { message: `available_plates_staging: ${staged.error.message}` } };
+    return { live: live.rows, staged: staged.rows };
+}
+
+/**
+ * swap 前呼叫：讀兩份快照（或沿用呼叫端已讀的 snapshots）並比對。失敗回 null（本輪不記歷史）。
+ * @param {object} supabase
+ * @param {string} [observedAt]
+ * @param {{live: Array<object>, staged: Array<object>}|null} [snapshots]
+ * @returns {Promise<Array<object>|null>}
+ */
+async function preparePlateHistory(supabase, observedAt = new Date().toISOString(), snapshots = null) {
+    try {
+        const snap = snapshots || await fetchSwapSnapshots(supabase);
+        if (snap.error) {
+            console.error('    [History] 讀取快照失敗，本輪不記歷史:', snap.error.message);
+            return null;
+        }
+        const events = diffPlateSnapshots(snap.live, snap.staged, observedAt);
+        const counts = events.reduce((acc, e) => ({ ...acc, [e.event]: (acc[e.event] || 0) + 1 }), {});
+        console.log(`📜 [History] ${snap.live.length} → ${snap.staged.length} 筆：上架 ${counts[EVENT_LISTED] || 0}、變價 ${counts[EVENT_PRICE_CHANGED] || 0}、下架 ${counts[EVENT_REMOVED] || 0}`);
+        return events;
+    } catch (e) {
+        console.error('    [History] 快照比對例外，本輪不記歷史:', e.message);
+        return null;
+    }
+}
+
+/**
+ * swap 成功（且回讀確認沒被熔斷）後呼叫：分批寫入事件。
+ * @param {object} supabase
+ * @param {Array<object>|null} events preparePlateHistory 的結果
+ * @returns {Promise<number>} 成功寫入的事件數
+ */
+async function recordPlateHistory(supabase, events, chunkSize = INSERT_CHUNK_SIZE) {
+    if (!events || events.length === 0) return 0;
+    let written = 0;
+    for (let i = 0; i < events.length; i += chunkSize) {
+        const chunk = events.slice(i, i + chunkSize);
+        try {
+            const { error } = await supabase.from(PLATE_HISTORY_TABLE).insert(chunk);
+            if (error) {
+                console.error(`    [History] 寫入失敗（第 ${i + 1}~${i + chunk.length} 筆）:`, error.message);
+                continue;
+            }
+            written += chunk.length;
+        } catch (e) {
+            console.error(`    [History] 寫入例外（第 ${i + 1}~${i + chunk.length} 筆）:`, e.message);
+        }
+    }
+    console.log(`📜 [History] 已寫入 ${written}/${events.length} 筆歷史事件。`);
+    return written;
+}
+
+module.exports = {
+    PLATE_HISTORY_TABLE,
+    EVENT_LISTED,
+    EVENT_PRICE_CHANGED,
+    EVENT_REMOVED,
+    plateKey,
+    diffPlateSnapshots,
+    fetchPlateSnapshot,
+    fetchSwapSnapshots,
+    preparePlateHistory,
+    recordPlateHistory,
+};
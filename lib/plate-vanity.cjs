@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * 車牌號碼「好號」特徵與綜合評分——純函式、零 I/O（測試：test/plate-vanity.test.cjs）。
+ *
+ * gh-plate-sync.cjs 寫 staging 時以 vanityColumns() 一併存下特徵與分數
+ * （available_plates_staging.vanity_features / vanity_score，見
+ * supabase/migrations-draft/plate_vanity.sql），下游搜尋、訂閱、排序直接讀欄位，
+ * 不必各自重算、也不會各算各的。
+ *
+ * 特徵只看數字段（EAA-8888 → '8888'；機車 123-ABC → '123'）：
+ *   maxRepeat        最長連續相同數字（8888 → 4）
+ *   allSame          全部同一數字
+ *   ascendingRun     最長 +1 連號（1234 → 4）；descendingRun 同理（9876 → 4）
+ *   palindrome       回文（1221、8008）
+ *   noFour           不含 4
+ *   count6/8/9       6、8、9 的個數
+ *   aabb / abab      1122 型、1212 型（A≠B，僅 4 碼）
+ *
+ * 評分（0~100，權重改動時調升 VANITY_SCORE_VERSION，下游可據此判斷要不要重算）：
+ *   全同 +40；否則連續 3 碼以上相同 +20
+ *   整段順／倒連號（≥3 碼）+25；否則 3 碼以上連號 +10
+ *   回文（非全同）+15
+ *   AABB／ABAB +15
+ *   吉利數字 8 每個 +4、6/9 每個 +3（合計上限 20）
+ *   不含 4 +5；含 4 每個 -10
+ */
+
+const VANITY_SCORE_VERSION = 1;
+
+/** 取車牌的數字段：優先取「整段都是數字」的最長一段，否則串起所有數字。 */
+function plateDigits(plateNo) {
+  const parts = String(plateNo || '').toUpperCase().split('-');
+  const numeric = parts.filter((p) => /^\d+$/.test(p)).sort((a, b) => b.length - a.length);
+  if (numeric.length > 0) return numeric[0];
+  return String(plateNo || '').replace(/\D/g, '');
+}
+
+function longestRun(digits, step) {
+  if (!digits) return 0;
+  let best = 1;
+  let cur = 1;
+  for (let i = 1; i < digits.length; i++) {
+    cur = Number(digits[i]) - Number(digits[i - 1]) === step ? cur + 1 : 1;
+    if (cur > best) best = cur;
+  }
+  return best;
+}
+
+function countOf(digits, d) {
+  return digits.split('').filter((c) => c === d).length;
+}
+
+/**
+ * 計算號碼特徵。
+ * @param {string} plateNo 如 'EAA-8888'
+ * @returns {{digits: string, maxRepeat: number, allSame: boolean, ascendingRun: number, descendingRun: number,
+ *   palindrome: boolean, noFour: boolean, count6: number, count8: number, count9: number, aabb: boolean, abab: boolean}}
+ */
+function plateFeatures(plateNo) {
+  const digits = plateDigits(plateNo);
+  const n = digits.length;
+  const is4 = n === 4;
+  return {
+    digits,
+    maxRepeat: longestRun(digits, 0),
+    allSame: n >= 2 && new Set(digits).size === 1,
+    ascendingRun: longestRun(digits, 1),
+    descendingRun: longestRun(digits, -1),
+    palindrome: n >= 2 && digits === digits.split('').reverse().join(''),
+    noFour: !digits.includes('4'),
+    count6: countOf(digits, '6'),
+    count8: countOf(digits, '8'),
+    count9: countOf(digits, '9'),
+    aabb: is4 && digits[0] === digits[1] && digits[2] === digits[3] && digits[0] !== digits[2],
+    abab: is4 && digits[0] === digits[2] && digits[1] === digits[3] && digits[0] !== digits[1],
+  };
+}
+
+/**
+ * 特徵 → 綜合好號分數（0~100 整數），權重見檔頭。
+ * @param {ReturnType<typeof plateFeatures>} f
+ * @returns {number}
+ */
+function vanityScore(f) {
+  const n = f.digits.length;
+  if (n === 0) return 0;
+  let score = 0;
+  if (f.allSame) score += 40;
+  else if (f.maxRepeat >= 3) score += 20;
+
+  const straight = Math.max(f.ascendingRun, f.descendingRun);
+  if (straight === n && n >= 3) score += 25;
+  else if (straight >= 3) score += 10;
+
+  if (f.palindrome && !f.allSame) score += 15;
+  if (f.aabb || f.abab) score += 15;
+  score += Math.min(20, f.count8 * 4 + (f.count6 + f.count9) * 3);
+  score += f.noFour ? 5 : -10 * countOf(f.digits, '4');
+  return Math.max(0, Math.min(100, score));
+}
+
+/**
+ * 一次算好特徵與分數。
+ * @param {string} plateNo
+ * @returns {{features: ReturnType<typeof plateFeatures>, score: number, version: number}}
+ */
+function scorePlate(plateNo) {
+  const features = plateFeatures(plateNo);
+  return { features, score: vanityScore(features), version: VANITY_SCORE_VERSION };
+}
+
+/**
+ * staging 列要帶的欄位（jsonb 欄位名採 snake_case，與 DB 慣例一致）。
+ * @param {string} plateNo
+ * @returns {{vanity_score: number, vanity_features: object}}
+ */
+function vanityColumns(plateNo) {
+  const { features: f, score, version } = scorePlate(plateNo);
+  return {
+    vanity_score: score,
+    vanity_features: {
+      version,
+      digits: f.digits,
+      max_repeat: f.maxRepeat,
+      all_same: f.allSame,
+      ascending_run: f.ascendingRun,
+      descending_run: f.descendingRun,
+      palindrome: f.palindrome,
+      no_four: f.noFour,
+      count_6: f.count6,
+      count_8: f.count8,
+      count_9: f.count9,
+      aabb: f.aabb,
+      abab: f.abab,
+    },
+  };
+}
+
+module.exports = {
+  VANITY_SCORE_VERSION,
+  plateDigits,
+  plateFeatures,
+  vanityScore,
+  scorePlate,
+  vanityColumns,
+};
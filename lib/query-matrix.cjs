@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * 選號查詢矩陣（車種 × 能源別 × 車牌類別 × 號牌版式）純邏輯，供 gh-plate-sync.cjs 使用
+ * （測試：test/query-matrix.test.cjs）。
+ *
+ * 背景：舊版 processStation 寫死 #selCarType='C'、#selEnergyType='E'、plateVer='2'，
+ * 只看得到電動小客車的號牌。改為由站點設定（system_configs.mvdis_stations）宣告要查的
+ * 組合，同一條管線也能追蹤非電動車與機車號牌；每個組合以自己的維度寫入 staging
+ * （car_type / energy_type / plate_version，見 supabase/migrations-draft/plate_query_dimensions.sql）。
+ *
+ * 設定格式（各維度皆可省略，逐維度 站 → 監理所 → DEFAULT_QUERY_MATRIX 取值）：
+ *   { "car_types": ["C","M"], "energy_types": ["E","G"], "plate_types": ["g","h"], "plate_versions": ["2"] }
+ * 放在站點物件或監理所物件的 query_matrix 欄位。no_rental 站一律剔除 'h'。
+ */
+
+// 與 MVDIS 表單下拉／radio 的 value 對應。
+const CAR_TYPES = { C: '汽車', M: '機車' };
+const ENERGY_TYPES = { E: '電動', G: '非電動' };
+const PLATE_VERSIONS = { '1': '舊式', '2': '新式' };
+
+// 預設矩陣＝舊版寫死的查法（電動小客車、新式號牌、自用＋租賃）。
+const DEFAULT_QUERY_MATRIX = Object.freeze({
+    car_types: Object.freeze(['C']),
+    energy_types: Object.freeze(['E']),
+    plate_types: Object.freeze(['g', 'h']),
+    plate_versions: Object.freeze(['2']),
+});
+
+const DIMENSIONS = ['car_types', 'energy_types', 'plate_types', 'plate_versions'];
+const ALLOWED = { car_types: CAR_TYPES, energy_types: ENERGY_TYPES, plate_versions: PLATE_VERSIONS };
+
+function pickDimension(dim, ...sources) {
+    for (const src of sources) {
+        if (src && src[dim] !== undefined) return src[dim];
+    }
+    return DEFAULT_QUERY_MATRIX[dim];
+}
+
+/**
+ * 決定本站的查詢矩陣並驗證。設定錯誤（非陣列、空陣列、MVDIS 沒有的代碼）直接丟錯——
+ * 由呼叫端把該站記為 FAILED，不默默退回預設而漏查。
+ *
+ * @param {{query_matrix?: object, no_rental?: boolean}} station
+ * @param {{query_matrix?: object}|null} [dept]
+ * @returns {{car_types: string[], energy_types: string[], plate_types: string[], plate_versions: string[]}}
+ */
+function resolveQueryMatrix(station, dept = null) {
+    const matrix = {};
+    for (const dim of DIMENSIONS) {
+        const raw = pickDimension(dim, station && station.query_matrix, dept && dept.query_matrix);
+        if (!Array.isArray(raw) || raw.length === 0) {
+            throw new Error(`query_matrix.${dim} 必須是非空陣列`);
+        }
+        const values = [...new Set(raw.map((v) => String(v).trim()))];
+        const allowed = ALLOWED[dim];
+        const unknown = values.filter((v) => !v || (allowed && !Object.prototype.hasOwnProperty.call(allowed, v)));
+        if (unknown.length > 0) {
+            throw new Error(`query_matrix.${dim} 含未知代碼：${unknown.map((v) => JSON.stringify(v)).join(', ')}`);
+        }
+        matrix[dim] = values;
+    }
+    if (station && station.no_rental) matrix.plate_types = matrix.plate_types.filter((t) => t !== 'h');
+    return matrix;
+}
+
+/**
+ * 矩陣展開成查詢組合。排序 車種 → 能源別 → 版式 → 類別：類別在最內層，
+ * 同一表單狀態下只換 #selPlateType 就能走 Quick Re-query。
+ *
+ * @param {{car_types: string[], energy_types: string[], plate_types: string[], plate_versions: string[]}} matrix
+ * @returns {Array<{carType: string, energyType: string, plateType: string, plateVersion: string}>}
+ */
+function expandQueryMatrix(matrix) {
+    const combos = [];
+    for (const carType of matrix.car_types) {
+        for (const energyType of matrix.energy_types) {
+            for (const plateVersion of matrix.plate_versions) {
+                for (const plateType of matrix.plate_types) {
+                    combos.push({ carType, energyType, plateType, plateVersion });
+                }
+            }
+        }
+    }
+    return combos;
+}
+
+/** 車種＋能源別 key（如 'C:E'）。#selPlateType 的選項依此而變，窗口探查以此分組。 */
+function vehicleKey(carType, energyType) {
+    return `${carType}:${energyType}`;
+}
+
+/** log 用的組合名稱，如「Private (g) 汽車/電動/新式」。 */
+function describeCombo({ carType, energyType, plateType, plateVersion }) {
+    const typeName = plateType === 'g' ? 'Private (g)' : plateType === 'h' ? 'Rental (h)' : `Type (${plateType})`;
+    return `${typeName} ${CAR_TYPES[carType] || carType}/${ENERGY_TYPES[energyType] || energyType}/${PLATE_VERSIONS[plateVersion] || plateVersion}`;
+}
+
+module.exports = {
+    CAR_TYPES,
+    ENERGY_TYPES,
+    PLATE_VERSIONS,
+    DEFAULT_QUERY_MATRIX,
+    resolveQueryMatrix,
+    expandQueryMatrix,
+    vehicleKey,
+    describeCombo,
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * 跨 shard 共用的日配額帳本（quota ledger）純邏輯——與 gh-plate-sync.cjs 的 I/O（Supabase 讀寫、log）
+ * 分離以便測試（test/quota-ledger.test.cjs）。
+ *
+ * 背景：LadderState 的 (key, model) 死亡矩陣只活在單一行程裡。DEFAULT key（GEMINI_API_KEY）
+ * 五個 shard 共用，某個 shard 吃到它的日配額 429 後，其他四個 shard 還要各自再撞一次才知道。
+ * 設了 AI_QUOTA_LEDGER=1 時改為：
+ *   - 標死 combo 時 upsert 一列 public.ai_quota_ledger（見 supabase/migrations-draft/ai_quota_ledger.sql），
+ *     主鍵為 key 指紋 × 模型 × UTC 日。
+ *   - 啟動時讀回「自己持有的 key」仍未過期的列，先標死再開始跑。
+ * key 以 API key 值的 sha256 前 16 碼（指紋）識別，不存 key 本身；各 shard 的專屬 key 值互不相同，
+ * 指紋也就不同——別的 shard 標死的專屬 key 永遠不會套到自己身上，shard key 隔離不變。
+ * 沒有 key 值的組合（OpenAI 相容端點匿名模式）不進帳本。
+ *
+ * 過期：Gemini 日配額在太平洋時間午夜重置，不是 UTC 午夜。每列另記 expires_at（下一次太平洋時間
+ * 午夜），讀取只看 expires_at 之後仍有效的列；同一 UTC 日內重置後又死一次，upsert 會把 expires_at
+ * 往後推。
+ */
+
+const crypto = require('crypto');
+
+const QUOTA_LEDGER_ENV = 'AI_QUOTA_LEDGER';
+const QUOTA_LEDGER_TABLE = 'ai_quota_ledger';
+const QUOTA_RESET_TIME_ZONE = 'America/Los_Angeles';
+
+/**
+ * AI_QUOTA_LEDGER → 是否啟用。只認 1/true/on（大小寫不拘），其餘非空值直接丟錯，免得打錯字默默停用。
+ * @param {string|undefined} value
+ * @returns {boolean}
+ */
+function resolveLedgerEnabled(value) {
+    const v = (value || '').trim().toLowerCase();
+    if (v === '' || v === '0' || v === 'false' || v === 'off') return false;
+    if (v === '1' || v === 'true' || v === 'on') return true;
+    throw new Error(`${QUOTA_LEDGER_ENV} 必須是 1/true/on 或 0/false/off，收到 ${JSON.stringify(value)}`);
+}
+
+/**
+ * API key 值 → 指紋（sha256 前 16 碼 hex）。
+ * @param {string} apiKey
+ * @returns {string}
+ */
+function keyFingerprint(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16);
+}
+
+/** UTC 日（YYYY-MM-DD）。 */
+function quotaDay(now) {
+    return now.toISOString().slice(0, 10);
+}
+
+/** 該時區牆上時間與 UTC 的差（ms，牆上 − UTC）。 */
+function zoneOffsetMs(date, timeZone) {
+    const parts = {};
+    const fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    for (const p of fmt.formatToParts(date)) parts[p.type] = Number(p.value);
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * 下一次日配額重置（timeZone 的下一個午夜）。
+ * @param {Date} now
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function nextQuotaReset(now, timeZone = QUOTA_RESET_TIME_ZONE) {
+    const wallNow = new Date(now.getTime() + zoneOffsetMs(now, timeZone));
+    const wallMidnight = Date.UTC(wallNow.getUTCFullYear(), wallNow.getUTCMonth(), wallNow.getUTCDate() + 1);
+    // 以午夜那一刻的時差換回 UTC（日光節約在凌晨 2 點切換，不能沿用 now 的時差）。
+    const guess = new Date(wallMidnight - zoneOffsetMs(now, timeZone));
+    return new Date(wallMidnight - zoneOffsetMs(guess, timeZone));
+}
+
+/**
+ * 日配額的「配額日」：timeZone（預設太平洋時間）的日曆日（YYYY-MM-DD）。用量統計依此分桶，
+ * 與配額實際重置的時間點對齊（帳本主鍵仍用 UTC 日）。
+ * @param {Date} now
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function quotaPeriodDay(now, timeZone = QUOTA_RESET_TIME_ZONE) {
+    return new Date(now.getTime() + zoneOffsetMs(now, timeZone)).toISOString().slice(0, 10);
+}
+
+/**
+ * 建立一列帳本。
+ * @param {{provider: string, model: string, fingerprint: string, keyName: string, shard: string, now: Date}} death
+ */
+function buildLedgerRow({ provider, model, fingerprint, keyName, shard, now }) {
+    return {
+        key_fingerprint: fingerprint,
+        model,
+        quota_day: quotaDay(now),
+        provider,
+        key_name: keyName,
+        reported_by: shard,
+        dead_at: now.toISOString(),
+        expires_at: nextQuotaReset(now).toISOString(),
+    };
+}
+
+/**
+ * 帳本列 → 本 shard 要標死的 (keyName, model)。只取自己持有的指紋且尚未過期的列；
+ * 同一指紋對到多個 key 名稱（同一把 key 設在兩個變數）時全部標死。
+ * @param {Array<{key_fingerprint: string, model: string, expires_at: string}>} rows
+ * @param {Map<string, string>} fingerprints key 名稱 → 指紋
+ * @param {Date} now
+ * @returns {Array<{keyName: string, model: string}>}
+ */
+function deadCombosFromLedger(rows, fingerprints, now) {
+    const namesByFingerprint = new Map();
+    for (const [keyName, fp] of fingerprints) {
+        if (!namesByFingerprint.has(fp)) namesByFingerprint.set(fp, []);
+        namesByFingerprint.get(fp).push(keyName);
+    }
+    const combos = [];
+    const seen = new Set();
+    for (const row of rows || []) {
+        const names = namesByFingerprint.get(row.key_fingerprint);
+        if (!names || !(new Date(row.expires_at) > now)) continue;
+        for (const keyName of names) {
+            const id = `${keyName}::${row.model}`;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            combos.push({ keyName, model: row.model });
+        }
+    }
+    return combos;
+}
+
+module.exports = {
+    QUOTA_LEDGER_ENV,
+    QUOTA_LEDGER_TABLE,
+    QUOTA_RESET_TIME_ZONE,
+    resolveLedgerEnabled,
+    keyFingerprint,
+    quotaDay,
+    nextQuotaReset,
+    quotaPeriodDay,
+    buildLedgerRow,
+    deadCombosFromLedger,
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * available_plates_staging 選用欄位的 schema 偵測（測試：test/staging-columns.test.cjs）。
+ *
+ * 背景：查詢維度、好號評分、last_verified_at 三組欄位都還在 supabase/migrations-draft/，
+ * 正式庫未必已套用。staging insert 帶了不存在的欄位時 PostgREST 整批拒收，每站都會 FAILED。
+ * gh-plate-sync.cjs 開跑前以 select 逐組探一次：
+ *   - 欄位在 → 照寫；
+ *   - 欄位不存在（42703／PGRST204）→ 這一輪寫 staging 時略過該組欄位，並提示要套哪個 migration；
+ *   - 其他錯誤（連線等）→ 當作存在，維持原本行為（insert 自己會重試、失敗時標 FAILED）。
+ * 三組欄位在新 schema 上都有預設值或可為 null，略過不會讓 insert 失敗。唯一的例外是查詢維度：
+ * 沒有 car_type 等欄位時非預設組合（機車、非電動、舊式）寫進去會與預設組合混在一起，
+ * 由 assertQueryDimensionsWritable 直接丟錯（該站記 FAILED）。
+ */
+
+const { DEFAULT_QUERY_MATRIX } = require('./query-matrix.cjs');
+
+const STAGING_COLUMN_GROUPS = Object.freeze({
+    query_dimensions: Object.freeze({ columns: Object.freeze(['car_type', 'energy_type', 'plate_version']), migration: 'plate_query_dimensions.sql' }),
+    vanity: Object.freeze({ columns: Object.freeze(['vanity_score', 'vanity_features']), migration: 'plate_vanity.sql' }),
+    last_verified: Object.freeze({ columns: Object.freeze(['last_verified_at']), migration: 'plate_partial_swap.sql' }),
+});
+
+const ALL_STAGING_COLUMN_GROUPS = Object.freeze(Object.keys(STAGING_COLUMN_GROUPS));
+
+/** PostgREST／Postgres 的「欄位不存在」錯誤（select 回 42703，insert 回 PGRST204）。 */
+function isMissingColumnError(error) {
+    if (!error) return false;
+    if (error.code === '42703' || error.code === 'PGRST204') return true;
+    return /column .* does not exist|could not find the .* column/i.test(error.message || '');
+}
+
+/**
+ * 逐組探測欄位是否存在。
+ * @param {(columns: string[]) => Promise<{error: object|null}>} probe 例：cols => supabase.from(t).select(cols.join(',')).limit(1)
+ * @returns {Promise<{available: string[], missing: Array<{group: string, columns: string[], migration: string}>}>}
+ */
+async function detectStagingColumns(probe) {
+    const available = [];
+    const missing = [];
+    for (const group of ALL_STAGING_COLUMN_GROUPS) {
+        const { columns, migration } = STAGING_COLUMN_GROUPS[group];
+        let error;
+        try {
+            ({ error } = await probe(columns.slice()));
+        } catch (e) {
+            error = e;
+        }
+        if (isMissingColumnError(error)) missing.push({ group, columns: columns.slice(), migration });
+        else available.push(group);
+    }
+    return { available, missing };
+}
+
+/**
+ * staging 列 → 去掉本輪不可寫的欄位組。
+ * @param {object} row
+ * @param {readonly string[]} available detectStagingColumns 的 available
+ * @returns {object}
+ */
+function stagingRow(row, available) {
+    const out = { ...row };
+    for (const group of ALL_STAGING_COLUMN_GROUPS) {
+        if (available.includes(group)) continue;
+        for (const col of STAGING_COLUMN_GROUPS[group].columns) delete out[col];
+    }
+    return out;
+}
+
+/**
+ * 查詢維度欄位不存在時，只允許預設組合（即欄位預設值 C/E/2）。
+ * @param {Array<{carType: string, energyType: string, plateVersion: string}>} combos
+ * @param {readonly string[]} available
+ */
+function assertQueryDimensionsWritable(combos, available) {
+    if (available.includes('query_dimensions')) return;
+    const isDefault = (c) => c.carType === DEFAULT_QUERY_MATRIX.car_types[0]
+        && c.energyType === DEFAULT_QUERY_MATRIX.energy_types[0]
+        && c.plateVersion === DEFAULT_QUERY_MATRIX.plate_versions[0];
+    if (!combos.every(isDefault)) {
+        throw new Error(`查詢矩陣含非預設的車種／能源別／版式，但 staging 沒有 car_type 等欄位——先套 supabase/migrations-draft/${STAGING_COLUMN_GROUPS.query_dimensions.migration}`);
+    }
+}
+
+module.exports = {
+    STAGING_COLUMN_GROUPS,
+    ALL_STAGING_COLUMN_GROUPS,
+    isMissingColumnError,
+    detectStagingColumns,
+    stagingRow,
+    assertQueryDimensionsWritable,
+};
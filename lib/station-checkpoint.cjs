@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * 站點斷點續跑（checkpoint）純邏輯——與 gh-plate-sync.cjs 的 I/O（Supabase 讀寫、log）
+ * 分離以便測試（test/station-checkpoint.test.cjs）。
+ *
+ * 背景：workflow 每個 shard 45 分鐘逾時就被砍，下一輪觸發又從 TARGET_DEPTS 第一站重跑，
+ * 慢 shard（NORTH/SOUTH）永遠跑不完。改為每完成一個查詢單位就寫一筆 checkpoint
+ * （public.plate_sync_checkpoints，見 supabase/migrations-draft/plate_sync_checkpoints.sql），
+ * 下一輪以同一個 run id 續跑：
+ *   - status=DONE 的站整站跳過，staging 裡該站的列原封不動（絕不重刪）。
+ *   - 其餘站只重跑「尚未完成」的查詢單位，也只清那幾個單位的 staging 列。
+ *
+ * 查詢單位＝窗口 × 查詢組合（key 為 `${windowId}:${carType}:${energyType}:${plateType}:${plateVersion}`，
+ * 見 lib/station-windows.cjs）。
+ *
+ * run id 決定（resolveResumeRunId）：明確指定（--run-id= / PLATE_SYNC_RUN_ID）優先；
+ * 否則找同 shard 在 RESUME_WINDOW_MS 內最近一次「未收尾」的 run 續用；都沒有才開新 run。
+ * shard 全站成功收尾時由呼叫端刪掉該 run 的 checkpoint，所以「還查得到」即代表未收尾。
+ */
+
+const CHECKPOINT_IN_PROGRESS = 'IN_PROGRESS';
+const CHECKPOINT_DONE = 'DONE';
+const CHECKPOINT_FAILED = 'FAILED';
+
+// 續跑窗口：與 trigger_swap.cjs 的 SHARD_FRESHNESS_WINDOW_MS 一致（2 小時）。
+// 超過窗口的 checkpoint 代表 staging 已舊，寧可整輪重跑也不要拼接過期資料。
+const RESUME_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * 從同 shard 的 checkpoint 列挑出可續跑的 run id（最近一次更新、且仍在窗口內）。
+ *
+ * @param {Array<{run_id: string, updated_at: string}>} rows 同 shard 的 checkpoint 列
+ * @param {number} now 現在時間（ms，測試可注入）
+ * @param {number} [windowMs]
+ * @returns {string|null} 可續跑的 run id；無則 null（呼叫端開新 run）
+ */
+function resolveResumeRunId(rows, now, windowMs = RESUME_WINDOW_MS) {
+    let latest = null;
+    let latestAt = -Infinity;
+    for (const row of rows || []) {
+        const at = new Date(row.updated_at).getTime();
+        if (!Number.isFinite(at) || now - at > windowMs) continue;
+        if (at > latestAt) {
+            latest = row.run_id;
+            latestAt = at;
+        }
+    }
+    return latest;
+}
+
+/**
+ * 把 checkpoint 列整理成 stationId → 續跑計畫。
+ *
+ * @param {Array<object>} rows 同一 run 的 checkpoint 列
+ * @returns {Map<string, {status: string, completedUnits: string[], stagedCounts: Record<string, number>}>}
+ */
+function indexCheckpoints(rows) {
+    const byStation = new Map();
+    for (const row of rows || []) {
+        byStation.set(String(row.station_id), {
+            status: row.status,
+            completedUnits: Array.isArray(row.completed_plate_types) ? row.completed_plate_types.slice() : [],
+            stagedCounts: { ...(row.staged_counts || {}) },
+        });
+    }
+    return byStation;
+}
+
+/**
+ * 本站還要跑哪些查詢單位（保留原順序）。無 checkpoint 即全部。
+ * @param {string[]} unitKeys 查詢單位 key（見 queryUnitKey）
+ * @param {{completedUnits: string[]}|null|undefined} checkpoint
+ * @returns {string[]}
+ */
+function remainingQueryUnits(unitKeys, checkpoint) {
+    if (!checkpoint) return unitKeys.slice();
+    const done = new Set(checkpoint.completedUnits);
+    return unitKeys.filter((k) => !done.has(k));
+}
+
+/** 上一輪已寫進 staging 的筆數合計（續跑時計入本輪統計，sync_logs 才不會少算）。 */
+function carriedPlateCount(checkpoint) {
+    if (!checkpoint) return 0;
+    return Object.values(checkpoint.stagedCounts).reduce((sum, n) => sum + (Number(n) || 0), 0);
+}
+
+/**
+ * 組 upsert 用的 checkpoint 列（onConflict: run_id,station_id）。
+ * completed_plate_types 欄位沿用舊名，內容為查詢單位 key。
+ * @returns {object}
+ */
+function buildCheckpointRow({ runId, shard, deptId, stationId, completedUnits, stagedCounts, status }) {
+    return {
+        run_id: runId,
+        shard: shard || 'ALL',
+        region_id: deptId,
+        station_id: stationId,
+        completed_plate_types: completedUnits.slice(),
+        staged_counts: { ...stagedCounts },
+        status,
+        updated_at: new Date().toISOString(),
+    };
+}
+
+module.exports = {
+    CHECKPOINT_IN_PROGRESS,
+    CHECKPOINT_DONE,
+    CHECKPOINT_FAILED,
+    RESUME_WINDOW_MS,
+    resolveResumeRunId,
+    indexCheckpoints,
+    remainingQueryUnits,
+    carriedPlateCount,
+    buildCheckpointRow,
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * 站點服務窗口（#selWindowNo）× 查詢矩陣組合 → 查詢計畫純邏輯，供 gh-plate-sync.cjs 使用
+ * （測試：test/station-windows.test.cjs）。
+ *
+ * 背景：舊版 processStation 寫死窗口 '01'，staging 的 window_id 也一律記 '01'。
+ * investigate_options.cjs 的掃描結果顯示部分站有多個窗口，且各窗口開放的車牌類別
+ * （g/h）不同——只查 01 會漏掉其他窗口的庫存。改為每站先決定窗口清單，再展開成
+ * 「窗口 × 查詢組合」的查詢單位逐一爬（組合＝車種 × 能源別 × 類別 × 版式，見 lib/query-matrix.cjs）：
+ *   - 站點設定（system_configs.mvdis_stations）有 windows 欄位就直接用，省掉探查導覽；
+ *     格式可為 ["01","02"] 或 [{"id":"02","plate_types":["g"]}]。
+ *   - 否則執行期讀 #selWindowNo 選項，逐窗口 × 車種/能源別讀 #selPlateType 選項
+ *     （plateTypesByVehicle，I/O 在 gh-plate-sync.cjs）。
+ *   - 探查失敗或讀不到任何窗口時退回 DEFAULT_WINDOW_ID（與舊行為一致）。
+ */
+
+const { vehicleKey } = require('./query-matrix.cjs');
+
+const DEFAULT_WINDOW_ID = '01';
+
+/**
+ * 查詢單位 key：`${windowId}:${carType}:${energyType}:${plateType}:${plateVersion}`（如 '01:C:E:g:2'）。
+ * checkpoint 的完成清單與 staged_counts 皆以此為 key。
+ * @param {string} windowId
+ * @param {{carType: string, energyType: string, plateType: string, plateVersion: string}} combo
+ * @returns {string}
+ */
+function queryUnitKey(windowId, combo) {
+    return [windowId, combo.carType, combo.energyType, combo.plateType, combo.plateVersion].join(':');
+}
+
+/**
+ * 下拉選項（{value, text}）→ 窗口清單。略過 placeholder（value '0' 或空）並去重，保留原順序。
+ * @param {Array<{value: string, text?: string}>} options
+ * @returns {Array<{id: string, name: string|null}>}
+ */
+function parseWindowOptions(options) {
+    const seen = new Set();
+    const windows = [];
+    for (const opt of options || []) {
+        const id = String(opt.value ?? '').trim();
+        if (!id || id === '0' || seen.has(id)) continue;
+        seen.add(id);
+        windows.push({ id, name: opt.text ? String(opt.text).trim() : null });
+    }
+    return windows;
+}
+
+/**
+ * 站點設定裡的 windows 欄位 → 窗口清單；未設定（或格式不對、空陣列）回 null 代表需要執行期探查。
+ * plateTypes 為 null 表示該窗口未限定類別（沿用站點層級的 g/h 判斷）。
+ *
+ * @param {{windows?: Array<string|{id: string, name?: string, plate_types?: string[]}>}} station
+ * @returns {Array<{id: string, name: string|null, plateTypes: string[]|null}>|null}
+ */
+function configuredWindows(station) {
+    if (!station || !Array.isArray(station.windows)) return null;
+    const windows = [];
+    const seen = new Set();
+    for (const w of station.windows) {
+        const id = String(typeof w === 'object' && w !== null ? w.id ?? '' : w ?? '').trim();
+        if (!id || seen.has(id)) continue;
+        seen.add(id);
+        const plateTypes = typeof w === 'object' && Array.isArray(w.plate_types) ? w.plate_types.map(String) : null;
+        windows.push({ id, name: (typeof w === 'object' && w.name) || null, plateTypes });
+    }
+    return windows.length > 0 ? windows : null;
+}
+
+/**
+ * 窗口清單 × 查詢組合 → 查詢單位（窗口優先、組合維持 expandQueryMatrix 的順序，
+ * 同一表單狀態內可用 Quick Re-query 換類別）。
+ * 窗口開放的類別：先看 plateTypesByVehicle[車種:能源別]（探查結果），再看 plateTypes（設定），
+ * 都沒有就不限定；有列出時取交集，一個組合都不剩的窗口整個略過。
+ * windows 為空時退回單一 DEFAULT_WINDOW_ID 窗口。
+ *
+ * @param {Array<{id: string, name?: string|null, plateTypes?: string[]|null, plateTypesByVehicle?: Record<string, string[]>}>} windows
+ * @param {Array<{carType: string, energyType: string, plateType: string, plateVersion: string}>} combos
+ * @returns {Array<{key: string, windowId: string, windowName: string|null, carType: string, energyType: string, plateType: string, plateVersion: string}>}
+ */
+function buildQueryPlan(windows, combos) {
+    const list = windows && windows.length > 0 ? windows : [{ id: DEFAULT_WINDOW_ID, name: null, plateTypes: null }];
+    const units = [];
+    for (const w of list) {
+        for (const combo of combos) {
+            const byVehicle = w.plateTypesByVehicle && w.plateTypesByVehicle[vehicleKey(combo.carType, combo.energyType)];
+            const offered = Array.isArray(byVehicle) ? byVehicle : Array.isArray(w.plateTypes) ? w.plateTypes : null;
+            if (offered && !offered.includes(combo.plateType)) continue;
+            units.push({ key: queryUnitKey(w.id, combo), windowId: w.id, windowName: w.name || null, ...combo });
+        }
+    }
+    return units;
+}
+
+/** 同一表單狀態（窗口＋車種＋能源別＋版式）才能只換類別走 Quick Re-query。 */
+function formStateKey(unit) {
+    return [unit.windowId, unit.carType, unit.energyType, unit.plateVersion].join(':');
+}
+
+module.exports = {
+    DEFAULT_WINDOW_ID,
+    queryUnitKey,
+    parseWindowOptions,
+    configuredWindows,
+    buildQueryPlan,
+    formStateKey,
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * swap 前差異報告：staging（這一輪）vs available_plates（正式表），逐 站 × 車牌類別
+ * 分類為 ADDED / REMOVED / PRICE_CHANGED（測試：test/swap-diff.test.cjs）。
+ *
+ * 背景：trigger_swap.cjs 只看總筆數與全域 20% 下降比例，某一站整站掉光也可能被其他站的
+ * 增加蓋過。報告讓發布前看得到「哪一站少了哪些牌」：
+ *   - 正常 swap：印出有變動的站（摘要）。
+ *   - `node trigger_swap.cjs --dry-run [--out=FILE]`：只印／存報告，不 swap。
+ *
+ * 比對身分與 plate_history 同一套（lib/plate-history.cjs 的 diffPlateSnapshots），
+ * 報告與歷史事件永遠一致。
+ */
+
+const { EVENT_LISTED, EVENT_PRICE_CHANGED, EVENT_REMOVED, diffPlateSnapshots } = require('./plate-history.cjs');
+
+const CHANGE_ADDED = 'ADDED';
+const CHANGE_REMOVED = 'REMOVED';
+const CHANGE_PRICE_CHANGED = 'PRICE_CHANGED';
+
+// 文字報告每組最多列出幾個號碼（完整清單在 --out 的 JSON 裡）。
+const TEXT_PLATE_LIMIT = 10;
+
+function groupKey(row) {
+    return `${row.station_id}|${row.plate_type}`;
+}
+
+function toPrice(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * 建立差異報告。
+ *
+ * @param {Array<object>} live available_plates 快照
+ * @param {Array<object>} staged available_plates_staging 快照
+ * @param {string} [generatedAt]
+ * @returns {{generatedAt: string, totals: object, groups: Array<object>}}
+ *   groups 依 REMOVED 數由多到少、再依站／類別排序；只有 before 與 after 都為 0 的組不會出現。
+ */
+function buildSwapDiffReport(live, staged, generatedAt = new Date().toISOString()) {
+    const groups = new Map();
+    const ensure = (row) => {
+        const key = groupKey(row);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                station_id: row.station_id,
+                station_name: row.station_name || null,
+                plate_type: row.plate_type,
+                before: 0,
+                after: 0,
+                added: [],
+                removed: [],
+                price_changed: [],
+            });
+        }
+        const g = groups.get(key);
+        if (!g.station_name && row.station_name) g.station_name = row.station_name;
+        return g;
+    };
+
+    // before/after 以 plate key 去重後計數，與 diff 的身分一致。
+    const countUnique = (rows, field) => {
+        const seen = new Set();
+        for (const row of rows || []) {
+            const id = `${groupKey(row)}|${row.plate_no}`;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            ensure(row)[field]++;
+        }
+    };
+    countUnique(live, 'before');
+    countUnique(staged, 'after');
+
+    for (const e of diffPlateSnapshots(live, staged, generatedAt)) {
+        const g = ensure(e);
+        if (e.event === EVENT_LISTED) g.added.push({ plate_no: e.plate_no, price: e.price });
+        else if (e.event === EVENT_REMOVED) g.removed.push({ plate_no: e.plate_no, price: e.price });
+        else if (e.event === EVENT_PRICE_CHANGED) g.price_changed.push({ plate_no: e.plate_no, from: e.previous_price, to: toPrice(e.price) });
+    }
+
+    const list = [...groups.values()].map((g) => ({
+        ...g,
+        drop_ratio: g.before > 0 ? Math.max(0, (g.before - g.after) / g.before) : 0,
+    }));
+    list.sort((a, b) => b.removed.length - a.removed.length
+        || String(a.station_id).localeCompare(String(b.station_id))
+        || String(a.plate_type).localeCompare(String(b.plate_type)));
+
+    const totals = list.reduce((t, g) => ({
+        before: t.before + g.before,
+        after: t.after + g.after,
+        added: t.added + g.added.length,
+        removed: t.removed + g.removed.length,
+        price_changed: t.price_changed + g.price_changed.length,
+    }), { before: 0, after: 0, added: 0, removed: 0, price_changed: 0 });
+
+    return { generatedAt, totals, groups: list };
+}
+
+function plateList(items) {
+    const shown = items.slice(0, TEXT_PLATE_LIMIT).map((p) => p.plate_no).join(', ');
+    return items.length > TEXT_PLATE_LIMIT ? `${shown} …（共 ${items.length}）` : shown;
+}
+
+/**
+ * 報告 → 終端機文字。changedOnly（預設 true）只列有變動的組。
+ * @param {ReturnType<typeof buildSwapDiffReport>} report
+ * @param {{changedOnly?: boolean}} [opts]
+ * @returns {string}
+ */
+function formatSwapDiffReport(report, { changedOnly = true } = {}) {
+    const t = report.totals;
+    const lines = [`📋 Swap diff（staging vs 正式表）：${t.before} → ${t.after}（新增 ${t.added}／下架 ${t.removed}／變價 ${t.price_changed}）`];
+    const groups = changedOnly
+        ? report.groups.filter((g) => g.added.length + g.removed.length + g.price_changed.length > 0)
+        : report.groups;
+    if (groups.length === 0) lines.push('   （無變動）');
+    for (const g of groups) {
+        const drop = g.drop_ratio > 0 ? `  ↓${(g.drop_ratio * 100).toFixed(1)}%` : '';
+        lines.push(`   站 ${g.station_id} ${g.station_name || ''} [${g.plate_type}] ${g.before} → ${g.after}  +${g.added.length} -${g.removed.length} 💲${g.price_changed.length}${drop}`);
+        if (g.removed.length > 0) lines.push(`      ${CHANGE_REMOVED}: ${plateList(g.removed)}`);
+        if (g.added.length > 0) lines.push(`      ${CHANGE_ADDED}: ${plateList(g.added)}`);
+        if (g.price_changed.length > 0) {
+            lines.push(`      ${CHANGE_PRICE_CHANGED}: ${g.price_changed.slice(0, TEXT_PLATE_LIMIT).map((p) => `${p.plate_no} ${p.from}→${p.to}`).join(', ')}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    CHANGE_ADDED,
+    CHANGE_REMOVED,
+    CHANGE_PRICE_CHANGED,
+    buildSwapDiffReport,
+    formatSwapDiffReport,
+};
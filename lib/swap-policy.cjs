@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * swap 放行政策：逐站（與站 × 車牌類別）的最低筆數與最大下降比例，供 trigger_swap.cjs 使用
+ * （測試：test/swap-policy.test.cjs）。
+ *
+ * 背景：舊版只有全表的 MIN_STAGING_COUNT（50）與 MAX_DROP_RATIO（20%）。金門、連江這類
+ * 小站整站掉光只占全表幾筆，全域比例看不出來；反過來大站正常賣掉一批卻可能讓全表下降
+ * 超過 20%，整輪卡住。改為依 lib/swap-diff.cjs 的逐組前後筆數逐站判定，每站給出
+ * pass/fail 與「哪一條規則、由哪一層設定」觸發。
+ *
+ * 設定放 system_configs（key='plate_swap_policy'），沒有就用 DEFAULT_SWAP_POLICY：
+ *   {
+ *     "total":       { "min_count": 50 },                        // 全表（取代 MIN_STAGING_COUNT）
+ *     "defaults":    { "max_drop_ratio": 0.5 },                  // 每站整體
+ *     "plate_types": { "h": { "max_drop_ratio": 0.8 } },         // 每站的某類別
+ *     "stations":    { "26": { "min_count": 1, "plate_types": { "g": { "allow_empty": true } } } }
+ *   }
+ * 規則欄位：
+ *   min_count              staging 筆數下限（after < min_count 即觸發）
+ *   max_drop_ratio         相對正式表的最大下降比例（0~1；null 表示不檢查）
+ *   drop_ratio_min_before  正式表筆數未達此值時不看比例（小站賣 1 張就 33% 的雜訊）
+ *   allow_empty            false 時「正式表有、staging 掉到 0」一律觸發（不受 drop_ratio_min_before 影響）
+ * 站層級規則＝內建 ← defaults ← stations[id]；類別層級只有明確設定才檢查：
+ *   plate_types[type] ← stations[id].plate_types[type]。
+ *
+ * 注意：DB 端 swap_plates_data() 自帶的全表 20% 熔斷（函式本體不在本 repo）仍然有效。
+ */
+
+const SWAP_POLICY_CONFIG_KEY = 'plate_swap_policy';
+
+const RULE_EMPTY = 'EMPTY';
+const RULE_MIN_COUNT = 'MIN_COUNT';
+const RULE_MAX_DROP_RATIO = 'MAX_DROP_RATIO';
+
+const SCOPE_TOTAL = 'total';
+const SCOPE_STATION = 'station';
+const SCOPE_PLATE_TYPE = 'plate_type';
+
+const DEFAULT_SWAP_POLICY = Object.freeze({
+    total: Object.freeze({ min_count: 50, max_drop_ratio: null }),
+    defaults: Object.freeze({ min_count: 0, max_drop_ratio: 0.5, drop_ratio_min_before: 10, allow_empty: false }),
+    plate_types: Object.freeze({}),
+    stations: Object.freeze({}),
+});
+
+const RULE_FIELDS = ['min_count', 'max_drop_ratio', 'drop_ratio_min_before', 'allow_empty'];
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** 驗證單一規則物件（欄位皆可省略）；錯誤訊息帶設定路徑。 */
+function validateRules(rules, path) {
+    if (!isPlainObject(rules)) throw new Error(`${path} 必須是物件`);
+    for (const [field, value] of Object.entries(rules)) {
+        if (field === 'plate_types') continue;
+        if (!RULE_FIELDS.includes(field)) throw new Error(`${path}.${field} 不是已知的規則欄位`);
+        if (field === 'allow_empty') {
+            if (typeof value !== 'boolean') throw new Error(`${path}.allow_empty 必須是 true/false`);
+        } else if (field === 'max_drop_ratio') {
+            if (value !== null && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+                throw new Error(`${path}.max_drop_ratio 必須是 0~1 的數字或 null`);
+            }
+        } else if (!(Number.isInteger(value) && value >= 0)) {
+            throw new Error(`${path}.${field} 必須是非負整數`);
+        }
+    }
+}
+
+/**
+ * 設定 value → 驗證後的政策。各層保持原樣（不先與 DEFAULT_SWAP_POLICY 合併），
+ * 判定時才疊加，違規才能指出實際生效的是哪一層。
+ * 設定錯誤直接丟錯：寧可這輪不 swap，也不默默用錯的門檻放行。
+ *
+ * @param {object|null|undefined} raw system_configs.plate_swap_policy 的 value
+ * @returns {{total: object, defaults: object, plate_types: object, stations: object}}
+ */
+function resolveSwapPolicy(raw) {
+    if (raw === null || raw === undefined) return { total: {}, defaults: {}, plate_types: {}, stations: {} };
+    if (!isPlainObject(raw)) throw new Error(`${SWAP_POLICY_CONFIG_KEY} 必須是物件`);
+    const known = ['total', 'defaults', 'plate_types', 'stations'];
+    const unknown = Object.keys(raw).filter((k) => !known.includes(k));
+    if (unknown.length > 0) throw new Error(`${SWAP_POLICY_CONFIG_KEY} 含未知欄位：${unknown.join(', ')}`);
+
+    const total = raw.total || {};
+    validateRules(total, 'total');
+    const defaults = raw.defaults || {};
+    validateRules(defaults, 'defaults');
+
+    const plateTypes = raw.plate_types || {};
+    if (!isPlainObject(plateTypes)) throw new Error('plate_types 必須是物件');
+    for (const [type, rules] of Object.entries(plateTypes)) validateRules(rules, `plate_types.${type}`);
+
+    const stations = raw.stations || {};
+    if (!isPlainObject(stations)) throw new Error('stations 必須是物件');
+    for (const [id, rules] of Object.entries(stations)) {
+        validateRules(rules, `stations.${id}`);
+        const nested = rules.plate_types || {};
+        if (!isPlainObject(nested)) throw new Error(`stations.${id}.plate_types 必須是物件`);
+        for (const [type, r] of Object.entries(nested)) validateRules(r, `stations.${id}.plate_types.${type}`);
+    }
+
+    return { total, defaults, plate_types: plateTypes, stations };
+}
+
+/**
+ * 依序疊加規則層，記下每個欄位最後來自哪一層（判定結果要說出是哪條設定擋下的）。
+ * @param {Array<[string, object|undefined]>} layers [來源路徑, 規則物件]
+ * @returns {{rules: object, sources: object}}
+ */
+function mergeRuleLayers(layers) {
+    const rules = {};
+    const sources = {};
+    for (const [source, layer] of layers) {
+        if (!layer) continue;
+        for (const field of RULE_FIELDS) {
+            if (layer[field] === undefined) continue;
+            rules[field] = layer[field];
+            sources[field] = source;
+        }
+    }
+    return { rules, sources };
+}
+
+/**
+ * 單一範圍（全表／站／站 × 類別）的前後筆數套規則，回傳違規清單。
+ * @returns {Array<{rule: string, scope: string, station_id: string|null, plate_type: string|null, source: string, limit: number|boolean, actual: number}>}
+ */
+function checkRules({ before, after }, { rules, sources }, where) {
+    const violations = [];
+    const push = (rule, field, limit, actual) => violations.push({ rule, ...where, source: `${sources[field]}.${field}`, limit, actual });
+
+    if (rules.allow_empty === false && before > 0 && after === 0) {
+        push(RULE_EMPTY, 'allow_empty', false, 0);
+    }
+    if (Number.isInteger(rules.min_count) && after < rules.min_count) {
+        push(RULE_MIN_COUNT, 'min_count', rules.min_count, after);
+    }
+    const minBefore = rules.drop_ratio_min_before || 0;
+    if (typeof rules.max_drop_ratio === 'number' && before > 0 && before >= minBefore) {
+        const ratio = Math.max(0, (before - after) / before);
+        if (ratio > rules.max_drop_ratio) push(RULE_MAX_DROP_RATIO, 'max_drop_ratio', rules.max_drop_ratio, Math.round(ratio * 1000) / 1000);
+    }
+    return violations;
+}
+
+/**
+ * 全表筆數判定（trigger_swap.cjs 以 count 查詢取得筆數，不依賴快照）。
+ * @param {{before: number, after: number}} counts
+ * @param {ReturnType<typeof resolveSwapPolicy>} policy
+ * @returns {Array<object>} 違規清單（空陣列＝通過）
+ */
+function evaluateTotal(counts, policy) {
+    const merged = mergeRuleLayers([['builtin', DEFAULT_SWAP_POLICY.total], ['total', policy.total]]);
+    return checkRules(counts, merged, { scope: SCOPE_TOTAL, station_id: null, plate_type: null });
+}
+
+/**
+ * 差異報告（lib/swap-diff.cjs）→ 逐站判定。
+ *
+ * @param {{groups: Array<{station_id: string, station_name: string|null, plate_type: string, before: number, after: number}>}} report
+ * @param {ReturnType<typeof resolveSwapPolicy>} policy
+ * @returns {{pass: boolean, stations: Array<{station_id: string, station_name: string|null, before: number, after: number, pass: boolean, violations: Array<object>}>}}
+ *   stations 依站號排序；pass 為所有站皆通過。
+ */
+function evaluateSwapPolicy(report, policy) {
+    const byStation = new Map();
+    for (const g of report.groups || []) {
+        const id = String(g.station_id);
+        if (!byStation.has(id)) byStation.set(id, { station_id: id, station_name: g.station_name || null, before: 0, after: 0, groups: [] });
+        const s = byStation.get(id);
+        s.before += g.before;
+        s.after += g.after;
+        s.groups.push(g);
+    }
+
+    const stations = [...byStation.values()]
+        .sort((a, b) => a.station_id.localeCompare(b.station_id, undefined, { numeric: true }))
+        .map((s) => {
+            const stationRules = policy.stations[s.station_id] || {};
+            const violations = checkRules(s, mergeRuleLayers([
+                ['builtin', DEFAULT_SWAP_POLICY.defaults],
+                ['defaults', policy.defaults],
+                [`stations.${s.station_id}`, stationRules],
+            ]), { scope: SCOPE_STATION, station_id: s.station_id, plate_type: null });
+
+            for (const g of s.groups) {
+                const merged = mergeRuleLayers([
+                    [`plate_types.${g.plate_type}`, policy.plate_types[g.plate_type]],
+                    [`stations.${s.station_id}.plate_types.${g.plate_type}`, stationRules.plate_types && stationRules.plate_types[g.plate_type]],
+                ]);
+                if (Object.keys(merged.rules).length === 0) continue;
+                violations.push(...checkRules(g, merged, { scope: SCOPE_PLATE_TYPE, station_id: s.station_id, plate_type: g.plate_type }));
+            }
+            return { station_id: s.station_id, station_name: s.station_name, before: s.before, after: s.after, pass: violations.length === 0, violations };
+        });
+
+    return { pass: stations.every((s) => s.pass), stations };
+}
+
+/** 違規 → 一行說明。 */
+function describeViolation(v) {
+    const where = v.scope === SCOPE_TOTAL ? '全表' : v.scope === SCOPE_PLATE_TYPE ? `站 ${v.station_id} [${v.plate_type}]` : `站 ${v.station_id}`;
+    if (v.rule === RULE_EMPTY) return `${where}：${RULE_EMPTY} 正式表有資料、staging 為 0（${v.source}）`;
+    if (v.rule === RULE_MIN_COUNT) return `${where}：${RULE_MIN_COUNT} ${v.actual} < ${v.limit}（${v.source}）`;
+    return `${where}：${RULE_MAX_DROP_RATIO} 下降 ${(v.actual * 100).toFixed(1)}% > ${(v.limit * 100).toFixed(1)}%（${v.source}）`;
+}
+
+/**
+ * 判定結果 → 終端機文字（只列未通過的站）。
+ * @param {ReturnType<typeof evaluateSwapPolicy>} verdict
+ * @returns {string}
+ */
+function formatSwapPolicyVerdict(verdict) {
+    const failed = verdict.stations.filter((s) => !s.pass);
+    const lines = [`🛡️ Swap policy：${verdict.stations.length - failed.length}/${verdict.stations.length} 站通過`];
+    for (const s of failed) {
+        lines.push(`   ❌ 站 ${s.station_id} ${s.station_name || ''} ${s.before} → ${s.after}`);
+        for (const v of s.violations) lines.push(`      ${describeViolation(v)}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    SWAP_POLICY_CONFIG_KEY,
+    RULE_EMPTY,
+    RULE_MIN_COUNT,
+    RULE_MAX_DROP_RATIO,
+    SCOPE_TOTAL,
+    SCOPE_STATION,
+    SCOPE_PLATE_TYPE,
+    DEFAULT_SWAP_POLICY,
+    resolveSwapPolicy,
+    evaluateTotal,
+    evaluateSwapPolicy,
+    describeViolation,
+    formatSwapPolicyVerdict,
+};
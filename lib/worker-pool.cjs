@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * 有界並行 worker pool——純邏輯、零 I/O，供 gh-plate-sync.cjs 在單一 shard 內以多個
+ * browser context 並行處理站點（測試：test/worker-pool.test.cjs）。
+ *
+ * 背景：單站耗時大半花在 sleep 與等待 MVDIS 回應，CPU/網路都閒著。並行度受兩個硬限制：
+ *   - AI 配額：所有 worker 共用同一個 AIManager，各 provider 的 RateLimiter（lib/captcha-providers.cjs）
+ *     也跟著共用，並行不會多打配額，只是把「等待」重疊起來。
+ *   - 記憶體：每個 browser context 約多一個 renderer，e2-micro 上仍建議維持 1。
+ * 因此並行度以 MAX_CONCURRENCY 封頂，預設 1（與舊版逐站行為完全一致）。
+ */
+
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 4;
+
+/**
+ * 解析並行度設定（--concurrency= 或 PLATE_SYNC_CONCURRENCY），夾在 1..MAX_CONCURRENCY。
+ * 非數字／空值一律回預設值——設定打錯寧可退回逐站，也不要意外開滿。
+ *
+ * @param {string|number|null|undefined} raw
+ * @returns {number}
+ */
+function resolveConcurrency(raw) {
+    const n = parseInt(raw, 10);
+    if (!Number.isFinite(n) || n < 1) return DEFAULT_CONCURRENCY;
+    return Math.min(n, MAX_CONCURRENCY);
+}
+
+/**
+ * 依 items 原順序派發給最多 concurrency 個 worker（先到先領下一個），全部完成才 resolve。
+ *
+ * worker 應自行吞掉單一 item 的錯誤（例如單站失敗記入 stats）；若仍有 worker 丟錯，
+ * 其餘 worker 照常跑完手上與剩下的 item，最後才以第一個錯誤 reject——絕不留下
+ * 還在背景操作 browser 的孤兒 worker。
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, workerIndex: number, itemIndex: number) => Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(items, concurrency, worker) {
+    const size = Math.max(1, Math.min(concurrency, items.length));
+    let next = 0;
+
+    async function loop(workerIndex) {
+        while (next < items.length) {
+            const itemIndex = next++;
+            await worker(items[itemIndex], workerIndex, itemIndex);
+        }
+    }
+
+    const results = await Promise.allSettled(Array.from({ length: size }, (_, w) => loop(w)));
+    const failed = results.find((r) => r.status === 'rejected');
+    if (failed) throw failed.reason;
+}
+
+module.exports = { DEFAULT_CONCURRENCY, MAX_CONCURRENCY, resolveConcurrency, runWorkerPool };
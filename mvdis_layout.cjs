@@ -0,0 +1,71 @@
+/**
+ * MVDIS 表單頁改版偵測 CLI：以純 HTTP 取 queryPickNo 表單頁的指紋，對照簽章或重錄簽章（lib/mvdis-layout.cjs）。
+ *
+ * 用法：
+ *   node mvdis_layout.cjs                       檢查表單元素並對照 MVDIS_LAYOUT_SIGNATURE（預設 models/mvdis-layout-signature.json），結構改變時 exit 1
+ *   node mvdis_layout.cjs --json                輸出指紋與差異 JSON
+ *   node mvdis_layout.cjs --record [--out=path] 以目前頁面重錄簽章（先確認頁面與爬蟲都正常再錄）
+ *
+ * MVDIS_BASE_URL 可指向本機替身（npm run mvdis:stand-in）；選號頁只接受台灣 IP。
+ * 這裡不知道本輪要查哪些站，只檢查 FORM_SELECTORS 與簽章的選項（沒有簽章時只查 FORM_SELECTORS）；
+ * gh-plate-sync.cjs 的 preflight 另外檢查本輪要用的選項值。
+ * 由前端 script 產生的下拉選項 HTTP 取不到：簽章不記、比對也不檢查（與 preflight 同規則）。
+ */
+const fs = require('fs');
+const path = require('path');
+const { MvdisHttpSession, parseMvdisHtml } = require('./lib/mvdis-http.cjs');
+const {
+    LAYOUT_SIGNATURE_ENV,
+    DEFAULT_SIGNATURE_PATH,
+    FORM_SELECTORS,
+    OPTION_SELECTORS,
+    fingerprintMvdisForm,
+    loadLayoutSignature,
+    buildLayoutSignature,
+    compareLayout,
+    formatLayoutDrift,
+} = require('./lib/mvdis-layout.cjs');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+};
+const signatureFile = argValue('out') || process.env[LAYOUT_SIGNATURE_ENV] || DEFAULT_SIGNATURE_PATH;
+const baseUrl = (process.env.MVDIS_BASE_URL || 'https://www.mvdis.gov.tw').replace(/\/+$/, '');
+const queryUrl = `${baseUrl}/m3-emv-plate/webpickno/queryPickNo`;
+
+async function main() {
+    const session = new MvdisHttpSession({ queryUrl });
+    const res = await session.request(queryUrl);
+    if (res.status < 200 || res.status >= 300) throw new Error(`表單頁 HTTP ${res.status}，不是可比對的頁面`);
+    const { doc } = parseMvdisHtml(res.body.toString('utf8'), res.url);
+    const fingerprint = fingerprintMvdisForm({ selectors: FORM_SELECTORS, optionSelectors: OPTION_SELECTORS }, doc);
+
+    if (args.includes('--record')) {
+        const missing = FORM_SELECTORS.filter(sel => !fingerprint.selectors.includes(sel));
+        if (missing.length > 0) console.warn(`⚠️  目前頁面找不到 ${missing.join('、')}，同步會以 LAYOUT_CHANGED 結束。`);
+        fs.mkdirSync(path.dirname(signatureFile), { recursive: true });
+        fs.writeFileSync(signatureFile, JSON.stringify(buildLayoutSignature(fingerprint, { source: queryUrl }), null, 2) + '\n');
+        console.log(`🧩 簽章寫到 ${signatureFile}：${Object.keys(fingerprint.options).length} 組選項`);
+        return;
+    }
+
+    const signature = loadLayoutSignature(signatureFile);
+    const drift = compareLayout(signature, fingerprint);
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ fingerprint, drift }, null, 2));
+    } else {
+        const summary = formatLayoutDrift(drift);
+        const source = signature ? `${signatureFile}（${signature.recorded_at || '未錄製'}）` : `${signatureFile} 不存在，只檢查表單元素（--record 錄一份）`;
+        console.log(`📄 ${queryUrl}\n🧩 ${source}\n`);
+        console.log(summary ? `${drift.breaking ? '❌ 結構改變' : '⚠️  有差異（不影響同步）'}：${summary}` : `✅ ${signature ? '與簽章一致' : '表單元素都在'}`);
+    }
+    if (drift.breaking) process.exitCode = 1;
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
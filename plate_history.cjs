@@ -0,0 +1,67 @@
+/**
+ * 現貨車牌歷史查詢 CLI：「這張牌掛了幾天？」「價格怎麼變？」
+ *
+ * 用法：
+ *   node plate_history.cjs EBP-1571                    所有站、類別
+ *   node plate_history.cjs EBP-1571 --station=20 --type=g
+ *   node plate_history.cjs EBP-1571 --json             輸出 JSON（給其他工具吃）
+ *
+ * 資料來源：public.plate_history（trigger_swap.cjs 每次 swap 寫入，見 lib/plate-history.cjs）；
+ * 推導邏輯見 lib/plate-history-query.cjs。
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { fetchPlateHistory } = require('./lib/plate-history-query.cjs');
+require('dotenv').config();
+
+const url = process.env.VITE_SUPABASE_URL;
+// 唯讀查詢：沒有 Service Role 也可用 Anon Key
+const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+
+const args = process.argv.slice(2);
+const argValue = (name) => (args.find(a => a.startsWith(`--${name}=`)) || '').split('=')[1] || null;
+const plateNo = args.find(a => !a.startsWith('--'));
+
+if (!plateNo) {
+    console.error('用法：node plate_history.cjs <plate_no> [--station=<id>] [--type=<g|h>] [--json]');
+    process.exit(1);
+}
+if (!url || !key) {
+    console.error('Error: VITE_SUPABASE_URL or keys not found in .env');
+    process.exit(1);
+}
+
+const fmt = (iso) => (iso ? new Date(iso).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei', hour12: false }) : '—');
+
+async function main() {
+    const supabase = createClient(url, key);
+    const { summaries, error } = await fetchPlateHistory(supabase, {
+        plateNo: plateNo.toUpperCase(),
+        stationId: argValue('station'),
+        plateType: argValue('type'),
+    });
+    if (error) {
+        console.error('Database Error:', error.message);
+        process.exit(1);
+    }
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(summaries, null, 2));
+        return;
+    }
+    if (summaries.length === 0) {
+        console.log(`查無 ${plateNo} 的歷史紀錄。`);
+        return;
+    }
+
+    for (const s of summaries) {
+        console.log(`\n🚗 ${s.plateNo}（${s.stationName || s.stationId} / ${s.plateType}）${s.isListed ? '🟢 在架中' : '⚪ 已下架'}`);
+        console.log(`   首見：${fmt(s.firstSeenAt)}　末見：${fmt(s.lastSeenAt)}　下架：${fmt(s.removedAt)}`);
+        console.log(`   本次上架 ${s.daysOnMarket ?? '—'} 天（累計 ${s.totalDaysOnMarket} 天，共 ${s.listings.length} 次上架）　目前價格：NT$ ${s.currentPrice ?? '—'}`);
+        if (s.priceChanges.length === 0) {
+            console.log('   價格未曾變動。');
+        } else {
+            for (const c of s.priceChanges) console.log(`   💲 ${fmt(c.at)}：${c.from} → ${c.to}`);
+        }
+    }
+}
+
+main();
@@ -48,6 +48,11 @@ const {
   dedupeAgainstExisting,
 } = require('./lib/speed-camera-writer.cjs');
 const { createGeocoder } = require('./lib/geocoder.cjs');
+const { createLogger } = require('./lib/logger.cjs');
+const { createCrawlerMetrics } = require('./lib/metrics.cjs');
+
+// 進度與錯誤一律走 stderr（dry-run 的 JSON 佔用 stdout），NDJSON 等級依實際嚴重度。見 lib/logger.cjs。
+let logger = createLogger({ script: 'speed-camera', dir: null, stdout: process.stderr, levelTags: false });
 
 // 單輪 --write 最多對 Nominatim 呼叫的 geocode 次數上限（見 fillMissingCoords）。
 // 台南首次回填 72 筆超過此上限時，需分多輪執行才能補完（下一輪起，已補到座標的
@@ -155,7 +160,7 @@ const STALE_OK_DAYS = Number(process.env.SPEEDCAM_STALE_OK_DAYS) || 60;
 function logClassificationCounts(sourceName, records) {
   const counts = { confirmed: 0, rejected: 0, unknown: 0 };
   for (const record of records) counts[record.speed_status] = (counts[record.speed_status] || 0) + 1;
-  console.error(
+  logger.info(
     `[speed-camera-sync] ${sourceName} 測速分類：確認 ${counts.confirmed}／排除 ${counts.rejected}／待確認 ${counts.unknown}`
   );
 }
@@ -163,7 +168,7 @@ function logClassificationCounts(sourceName, records) {
 function collapseSourceRecords(records, sourceName) {
   const result = collapseSourceConflictDuplicates(records, NATIONAL_NPA_DEDUPE_THRESHOLD_M);
   if (result.duplicateCount > 0) {
-    console.error(
+    logger.info(
       `[speed-camera-sync] ${sourceName} 同來源 conflict key 去重：合併 ` +
         `${result.duplicateCount} 筆` +
         (result.speedLimitConflictCount > 0
@@ -216,7 +221,7 @@ async function fetchWithRetry(url, logLabel, maxAttempts, retryDelaysMs) {
       return await fetchBufferOnce(url);
     } catch (err) {
       lastErr = err;
-      console.error(`[speed-camera-sync] ${logLabel} 重試 ${attempt}/${maxAttempts} 失敗：${err.message}`);
+      logger.warn(`[speed-camera-sync] ${logLabel} 重試 ${attempt}/${maxAttempts} 失敗：${err.message}`);
       if (attempt < maxAttempts) {
         const delay = Array.isArray(retryDelaysMs) ? retryDelaysMs[attempt - 1] : retryDelaysMs;
         await sleep(delay);
@@ -249,7 +254,7 @@ async function fetchSourceBuffer(source) {
     for (const fallback of source.fallbackUrls || []) {
       if (totalAttempts >= MAX_TOTAL_ATTEMPTS) break;
       const host = new URL(fallback.url).host;
-      console.error(`[speed-camera-sync] ${source.name} 主來源失敗，改用鏡像 ${host} ...`);
+      logger.warn(`[speed-camera-sync] ${source.name} 主來源失敗，改用鏡像 ${host} ...`);
 
       const attemptsLeft = Math.min(FALLBACK_MAX_ATTEMPTS, MAX_TOTAL_ATTEMPTS - totalAttempts);
       try {
@@ -322,11 +327,11 @@ async function syncAll() {
   const collectedPoints = [];
 
   for (const source of SOURCES) {
-    console.error(`[speed-camera-sync] 下載 ${source.name} ...`);
+    logger.info(`[speed-camera-sync] 下載 ${source.name} ...`);
     try {
       const { buffer, parse } = await fetchSourceBuffer(source);
       let records = await parse(buffer, fetchedAt);
-      console.error(`[speed-camera-sync] ${source.name} 解析出 ${records.length} 筆`);
+      logger.info(`[speed-camera-sync] ${source.name} 解析出 ${records.length} 筆`);
       logClassificationCounts(source.name, records);
       records = collapseSourceRecords(records, source.name);
 
@@ -338,7 +343,7 @@ async function syncAll() {
           NATIONAL_NPA_DEDUPE_THRESHOLD_M
         );
         records = kept;
-        console.error(
+        logger.info(
           `[speed-camera-sync] ${source.name} 聯集去重：原始 ${before} 筆 → 與既有源重疊丟棄 ${droppedCount} 筆 → 保留 ${records.length} 筆`
         );
       } else {
@@ -351,7 +356,7 @@ async function syncAll() {
 
       results.push(...records);
     } catch (err) {
-      console.error(`[speed-camera-sync] ${source.name} 失敗：${err.message}`);
+      logger.error(`[speed-camera-sync] ${source.name} 失敗：${err.message}`);
     }
   }
 
@@ -381,10 +386,10 @@ async function writeAll(supabase, opts = {}) {
   for (const source of SOURCES) {
     const result = { name: source.name, ok: false, stale: false, staleDays: null, written: 0, staleDeleted: 0, error: null };
     try {
-      console.error(`[speed-camera-sync] 下載 ${source.name} ...`);
+      logger.info(`[speed-camera-sync] 下載 ${source.name} ...`);
       const { buffer, parse } = await fetchSourceBuffer(source);
       let records = await parse(buffer, batchFetchedAt);
-      console.error(`[speed-camera-sync] ${source.name} 解析出 ${records.length} 筆`);
+      logger.info(`[speed-camera-sync] ${source.name} 解析出 ${records.length} 筆`);
       logClassificationCounts(source.name, records);
 
       if (records.length === 0) {
@@ -402,7 +407,7 @@ async function writeAll(supabase, opts = {}) {
           GEOCODE_MAX_CALLS_PER_RUN
         );
         records = fillResult.records;
-        console.error(
+        logger.info(
           `[speed-camera-sync] ${source.name} geocode 補值：沿用 DB ${fillResult.reusedFromDb} 筆、` +
             `新查 ${fillResult.geocodeAttempted} 筆（成功 ${fillResult.geocodeSucceeded}）、` +
             `超過單輪上限未處理 ${fillResult.skippedOverCap} 筆`
@@ -419,7 +424,7 @@ async function writeAll(supabase, opts = {}) {
           NATIONAL_NPA_DEDUPE_THRESHOLD_M
         );
         records = kept;
-        console.error(
+        logger.info(
           `[speed-camera-sync] ${source.name} 聯集去重：原始 ${before} 筆 → 與既有源重疊丟棄 ${droppedCount} 筆 → 保留 ${records.length} 筆`
         );
       } else {
@@ -451,12 +456,12 @@ async function writeAll(supabase, opts = {}) {
       result.staleDeleted = staleRows ? staleRows.length : 0;
 
       result.ok = true;
-      console.error(
+      logger.info(
         `[speed-camera-sync] ${source.name} 寫入完成：upsert ${result.written} 筆，清除 stale ${result.staleDeleted} 筆`
       );
     } catch (err) {
       result.error = err.message;
-      console.error(`[speed-camera-sync] ${source.name} 寫入失敗：${err.message}`);
+      logger.error(`[speed-camera-sync] ${source.name} 寫入失敗：${err.message}`);
 
       // 來源新鮮度黃燈：抓取全敗時查 DB 庫存新鮮度，仍新鮮則不計入失敗。
       const staleDays = await getStaleDaysForSource(supabase, source.name);
@@ -464,7 +469,7 @@ async function writeAll(supabase, opts = {}) {
         result.ok = true;
         result.stale = true;
         result.staleDays = staleDays;
-        console.error(
+        logger.warn(
           `[speed-camera-sync] ⚠️ ${source.name} 抓取失敗但庫存資料仍新鮮（${staleDays.toFixed(1)} 天前），視為可容忍`
         );
       }
@@ -510,7 +515,13 @@ async function writeSyncLog(supabase, summary, startTime) {
     { onConflict: 'run_id' }
   );
 
-  if (error) console.error(`[speed-camera-sync] 寫入 sync_logs 失敗：${error.message}`);
+  if (error) logger.error(`[speed-camera-sync] 寫入 sync_logs 失敗：${error.message}`);
+}
+
+// 非零結束前先把 NDJSON flush 完，否則最後幾行（多半就是失敗原因）來不及寫進檔案。
+async function exitWithFailure() {
+  await logger.close();
+  process.exit(1);
 }
 
 async function runWriteMode() {
@@ -519,12 +530,15 @@ async function runWriteMode() {
   const SUPABASE_URL = process.env.VITE_SUPABASE_URL;
   const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
   if (!SUPABASE_URL || !SUPABASE_KEY) {
-    console.error('[speed-camera-sync] --write 模式需要 VITE_SUPABASE_URL 與 SUPABASE_SERVICE_ROLE_KEY。');
-    process.exit(1);
+    logger.error('[speed-camera-sync] --write 模式需要 VITE_SUPABASE_URL 與 SUPABASE_SERVICE_ROLE_KEY。');
+    await exitWithFailure();
   }
 
   const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { auth: { persistSession: false } });
   const startTime = new Date();
+  // 結束時寫 logs/speed-camera_ALL.prom（METRICS_TEXTFILE_DIR／METRICS_PORT 見 lib/metrics.cjs）。
+  const metrics = createCrawlerMetrics({ script: 'speed-camera', startedAt: startTime.getTime() });
+  const sourceStatus = metrics.registry.gauge('speed_camera_source_status', '各 source 本輪結果（ok／stale＝黃燈／failed，值恆為 1）', ['source', 'status']);
 
   const summary = await writeAll(supabase);
   await writeSyncLog(supabase, summary, startTime);
@@ -533,7 +547,15 @@ async function runWriteMode() {
   const staleSources = summary.sourceResults.filter((r) => r.ok && r.stale);
   const failedSources = summary.sourceResults.filter((r) => !r.ok);
 
-  console.error(
+  for (const r of summary.sourceResults) {
+    sourceStatus.set({ source: r.name, status: !r.ok ? 'failed' : r.stale ? 'stale' : 'ok' }, 1);
+    metrics.records.inc({ stage: 'upserted' }, r.written);
+    metrics.records.inc({ stage: 'stale_deleted' }, r.staleDeleted);
+    if (!r.ok) metrics.errors.inc({ kind: 'source' });
+  }
+  metrics.finish(failedSources.length === 0);
+
+  logger.info(
     `[speed-camera-sync] 摘要：成功 ${okSources.length}／黃燈 ${staleSources.length}／失敗 ${failedSources.length}` +
       (staleSources.length > 0
         ? `（黃燈來源：${staleSources.map((r) => `${r.name} ${r.staleDays.toFixed(1)}天前`).join('、')}）`
@@ -541,12 +563,12 @@ async function runWriteMode() {
   );
 
   if (failedSources.length > 0) {
-    console.error(
+    logger.error(
       `[speed-camera-sync] ${failedSources.length}/${summary.sourceResults.length} 個 source 寫入失敗，以非零 exit 結束。`
     );
-    process.exit(1);
+    await exitWithFailure();
   }
-  console.error('[speed-camera-sync] 全部 source 寫入成功（含黃燈容忍）。');
+  logger.info('[speed-camera-sync] 全部 source 寫入成功（含黃燈容忍）。');
 }
 
 async function main() {
@@ -562,8 +584,8 @@ async function main() {
   }
 
   if (!isDryRun) {
-    console.error('[speed-camera-sync] 目前只支援 --dry-run（不寫任何 DB）或 --write。');
-    process.exit(1);
+    logger.error('[speed-camera-sync] 目前只支援 --dry-run（不寫任何 DB）或 --write。');
+    await exitWithFailure();
   }
 
   const records = await syncAll();
@@ -571,16 +593,19 @@ async function main() {
 
   if (outFile) {
     fs.writeFileSync(outFile, json, 'utf8');
-    console.error(`[speed-camera-sync] 已輸出 ${records.length} 筆到 ${outFile}`);
+    logger.info(`[speed-camera-sync] 已輸出 ${records.length} 筆到 ${outFile}`);
   } else {
     process.stdout.write(json + '\n');
   }
 }
 
 if (require.main === module) {
-  main().catch((err) => {
-    console.error('[speed-camera-sync] 致命錯誤：', err);
-    process.exit(1);
+  // 直接執行時才寫 NDJSON（logs/speed-camera_ALL_<日期>.ndjson，保留 7 天）：測試 require 本檔不該寫 logs/。
+  logger = createLogger({ script: 'speed-camera', stdout: process.stderr, levelTags: false });
+  logger.setBase({ run_id: `run_${Date.now()}` });
+  main().catch(async (err) => {
+    logger.error(`[speed-camera-sync] 致命錯誤：${(err && err.stack) || err}`);
+    await exitWithFailure();
   });
 }
 
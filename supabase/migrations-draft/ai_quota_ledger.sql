@@ -0,0 +1,41 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：gh-plate-sync.cjs 跨 shard 共用的日配額帳本（lib/quota-ledger.cjs）。某個 shard 吃到
+-- 共用 DEFAULT key 的日配額 429 後寫一列，其他 shard 啟動時讀回、直接跳過該 (key, model)，
+-- 不必各自再撞一次。僅在 AI_QUOTA_LEDGER=1 時讀寫。
+--
+-- 生命週期：
+--   - 標死時 upsert（主鍵 key 指紋 × 模型 × UTC 日）；同日重置後又死一次會更新 dead_at／expires_at。
+--   - expires_at＝下一次太平洋時間午夜（Gemini 日配額重置點），讀取只看未過期的列。
+--   - 過期列無人讀，可定期清掉（見下方註解的 delete）。
+--
+-- 不存 API key 本身：key_fingerprint 是 key 值 sha256 的前 16 碼；key_name 只是環境變數名稱。
+--
+-- 部署順序：先套本 SQL 再設 AI_QUOTA_LEDGER=1。反過來也無害——表不存在時讀寫只 log 錯誤，
+-- 退回各 shard 自己發現的舊行為。
+
+create table if not exists public.ai_quota_ledger (
+  key_fingerprint text not null,
+  model text not null,
+  quota_day date not null,
+  provider text not null,
+  key_name text not null,
+  reported_by text not null,
+  dead_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  primary key (key_fingerprint, model, quota_day)
+);
+
+comment on table public.ai_quota_ledger is
+  'AI 日配額死亡帳本（per key 指紋 × model × UTC 日），跨 shard 共用。見 tesla-radar-crawler/lib/quota-ledger.cjs。';
+comment on column public.ai_quota_ledger.key_fingerprint is
+  'API key 值 sha256 前 16 碼；各 shard 只讀自己持有 key 的指紋，shard 專屬 key 互不影響。';
+comment on column public.ai_quota_ledger.expires_at is
+  '下一次日配額重置（太平洋時間午夜），之後該列不再生效。';
+
+create index if not exists ai_quota_ledger_expires_idx
+  on public.ai_quota_ledger (expires_at desc);
+
+-- 定期清理（選用）：
+-- delete from public.ai_quota_ledger where expires_at < now() - interval '7 days';
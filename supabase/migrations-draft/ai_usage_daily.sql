@@ -0,0 +1,52 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：gh-plate-sync.cjs 的 AI 用量記帳（lib/ai-usage.cjs）。每個爬蟲行程（session）依
+-- 配額日 × key × 模型累計呼叫數、成功數、延遲、429 類型、5xx、其他錯誤與升級次數；
+-- ai_usage.cjs 據此出報表並預測今日哪個 shard 會先用完哪一層。
+--
+-- 生命週期：
+--   - 每站結束與收尾時 upsert 累計值（主鍵 session_id × key_name × model × quota_day，重寫無害）。
+--   - quota_day＝太平洋時間日曆日（Gemini 日配額重置點）。
+--   - 報表只讀近幾天；舊列可定期清掉（見下方註解的 delete）。
+--
+-- 不存 API key 本身：key_fingerprint 是 key 值 sha256 的前 16 碼（與 ai_quota_ledger 相同），
+-- 共用的 DEFAULT key 據此跨 shard 合併；key_name 只是環境變數名稱。
+--
+-- 部署順序：先套本 SQL 再 push 程式碼。反過來也無害——表不存在時第一次寫入失敗即停用本輪記帳，
+-- 同步照常。
+
+create table if not exists public.ai_usage_daily (
+  session_id text not null,
+  shard text not null,
+  quota_day date not null,
+  provider text not null,
+  key_name text not null,
+  key_fingerprint text,
+  model text not null,
+  calls integer not null default 0,
+  ok integer not null default 0,
+  http_429_per_minute integer not null default 0,
+  http_429_per_day integer not null default 0,
+  http_429_unknown integer not null default 0,
+  server_error integer not null default 0,
+  other_error integer not null default 0,
+  escalations integer not null default 0,
+  latency_ms_sum bigint not null default 0,
+  latency_ms_max integer not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (session_id, key_name, model, quota_day)
+);
+
+comment on table public.ai_usage_daily is
+  'AI 呼叫用量（per 爬蟲行程 × 配額日 × key × model 累計）。見 tesla-radar-crawler/lib/ai-usage.cjs。';
+comment on column public.ai_usage_daily.quota_day is
+  '太平洋時間日曆日（Gemini 日配額在太平洋時間午夜重置）。';
+comment on column public.ai_usage_daily.escalations is
+  '從此 combo 升級或日配額跳層的次數（同層換 key 不算）。';
+
+create index if not exists ai_usage_daily_day_idx
+  on public.ai_usage_daily (quota_day desc, shard);
+
+-- 定期清理（選用）：
+-- delete from public.ai_usage_daily where quota_day < current_date - 60;
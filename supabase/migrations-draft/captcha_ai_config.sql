@@ -0,0 +1,27 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：gh-plate-sync.cjs 的 CAPTCHA AI 設定（tesla-radar-crawler/lib/captcha-ai-config.cjs）
+-- 設定列 system_configs.captcha_ai_config。欄位見 lib/captcha-ai-config.cjs 檔頭：
+--   ladder             模型階梯（provider、model、failuresToEscalate），整條取代內建階梯
+--   backoff            429 無 RetryInfo 時的退避、5xx 退避區間（毫秒）
+--   systemInstruction  系統提示詞
+--   generationConfig   temperature、maxOutputTokens、topP
+--
+-- 不套本 SQL 也能跑：沒有這列時使用內建預設。各欄位皆可省略（省略者用預設），
+-- 下一輪執行即生效；設定不合法時該 shard 啟動即 exit 1。
+-- 本機除錯可改用 CAPTCHA_AI_CONFIG_FILE 指向同格式的 JSON 檔（有設就不讀這列）。
+--
+-- 下列值＝內建階梯與退避（systemInstruction、generationConfig 省略＝沿用程式內建）。
+
+insert into public.system_configs (key, value)
+values ('captcha_ai_config', '{
+  "ladder": [
+    { "provider": "gemini", "model": "gemma-4-26b-a4b-it", "failuresToEscalate": 3 },
+    { "provider": "gemini", "model": "gemma-4-31b-it", "failuresToEscalate": 2 },
+    { "provider": "gemini", "model": "gemini-3.1-flash-lite", "failuresToEscalate": 2 },
+    { "provider": "gemini", "model": "gemini-3-flash-preview", "failuresToEscalate": 1 }
+  ],
+  "backoff": { "rateLimitMs": 20000, "serverErrorMinMs": 5000, "serverErrorMaxMs": 10000 }
+}'::jsonb)
+on conflict (key) do update set value = excluded.value;
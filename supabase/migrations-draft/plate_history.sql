@@ -0,0 +1,52 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：現貨車牌上架／變價／下架歷史（append-only），見 tesla-radar-crawler/lib/plate-history.cjs。
+-- swap_plates_data() 每次整表覆寫 available_plates，一張牌掛了多久、價格怎麼變都留不下來；
+-- trigger_swap.cjs（與 legacy 模式的 gh-plate-sync.cjs performSwap）在 swap 前比對
+-- 正式表 vs staging 快照，swap 成功後把事件寫進本表。查詢：lib/plate-history-query.cjs、
+-- `npm run plate:history -- <plate_no>`。
+--
+-- 事件：
+--   LISTED         首次出現或下架後重新上架（price＝上架價）
+--   PRICE_CHANGED  仍在架但價格變了（previous_price＝舊價）
+--   REMOVED        從清單消失（last_seen_at＝最後一次還在正式表的 updated_at）
+--
+-- 只 insert 不 update／delete。身分 key：(station_id, plate_type, plate_no)。
+--
+-- 部署順序：先套本 SQL（含下方回填）再 push 程式碼。反過來也無害——表不存在時
+-- 歷史寫入只 log 錯誤，不擋 swap；但那幾輪的變化會漏記。
+
+create table if not exists public.plate_history (
+  id bigserial primary key,
+  station_id text not null,
+  station_name text,
+  plate_type text not null,
+  plate_no text not null,
+  event text not null check (event in ('LISTED', 'PRICE_CHANGED', 'REMOVED')),
+  price integer,
+  previous_price integer,
+  last_seen_at timestamptz,
+  observed_at timestamptz not null default now()
+);
+
+comment on table public.plate_history is
+  '現貨車牌上架／變價／下架事件（append-only）。見 tesla-radar-crawler/lib/plate-history.cjs。';
+comment on column public.plate_history.observed_at is
+  '偵測到事件的 swap 時間。';
+comment on column public.plate_history.last_seen_at is
+  '僅 REMOVED：該牌最後一次仍在正式表的時間（正式表列的 updated_at）。';
+
+create index if not exists plate_history_plate_idx
+  on public.plate_history (plate_no, station_id, plate_type, observed_at);
+create index if not exists plate_history_observed_idx
+  on public.plate_history (observed_at desc);
+
+-- 回填：目前在架的牌各補一筆 LISTED，否則既有的牌永遠沒有「首見」事件（比對只看兩輪差異）。
+-- observed_at 用正式表的 updated_at——只是「最晚在此時已在架」的下限，真正首見時間已不可考。
+insert into public.plate_history (station_id, station_name, plate_type, plate_no, event, price, observed_at)
+select distinct on (station_id, plate_type, plate_no)
+  station_id, station_name, plate_type, plate_no, 'LISTED', price, coalesce(updated_at, now())
+from public.available_plates
+where not exists (select 1 from public.plate_history)
+order by station_id, plate_type, plate_no, updated_at;
@@ -0,0 +1,35 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：部分 swap（tesla-radar-crawler/lib/partial-swap.cjs，PLATE_SWAP_MODE=partial）。
+--   last_verified_at    該列最後一次實際在監理服務網上看到的時間。新爬的列＝爬到當下；
+--                       失敗站沿用的上一輪列保留舊值，前端可據此標示「資料可能過期」。
+--   failed_station_ids  shard 回報 PARTIAL 時本輪失敗的站 id，trigger_swap.cjs 據此把這些站
+--                       從正式表複製回 staging 後再 swap。
+--
+-- 部署順序：先套本 SQL 再設 PLATE_SWAP_MODE=partial（workflow 目前未設＝strict，不會讀寫
+-- failed_station_ids）。last_verified_at 未套用時 gh-plate-sync.cjs 開跑前偵測到，staging insert
+-- 略過該欄（lib/staging-columns.cjs）。
+--
+-- ⚠️ swap_plates_data() 的函式本體不在本 repo：若它以明列欄位的 insert ... select
+-- 從 staging 搬到 available_plates，需一併把 last_verified_at 加進欄位清單。
+
+alter table public.available_plates_staging
+  add column if not exists last_verified_at timestamptz;
+
+alter table public.available_plates
+  add column if not exists last_verified_at timestamptz;
+
+-- 既有正式表列：最後一次看到的時間就是上一輪 swap 寫入時的 updated_at。
+update public.available_plates
+set last_verified_at = updated_at
+where last_verified_at is null;
+
+comment on column public.available_plates.last_verified_at is
+  '最後一次實際在監理服務網看到此列的時間。部分 swap 沿用上一輪資料的站會維持舊值。見 tesla-radar-crawler/lib/partial-swap.cjs。';
+
+alter table public.sync_metadata
+  add column if not exists failed_station_ids text[];
+
+comment on column public.sync_metadata.failed_station_ids is
+  'shard 狀態為 PARTIAL 時本輪失敗（改沿用上一輪資料）的站 id。';
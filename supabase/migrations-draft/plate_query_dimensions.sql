@@ -0,0 +1,34 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：gh-plate-sync.cjs 查詢矩陣（lib/query-matrix.cjs）。每個 車種 × 能源別 × 類別 × 版式
+-- 組合以自己的維度寫入 staging，同一條管線可追蹤非電動車與機車號牌。
+-- available_plates_staging 與 available_plates 各加三欄：
+--   car_type      'C' 汽車 / 'M' 機車          （#selCarType）
+--   energy_type   'E' 電動 / 'G' 非電動        （#selEnergyType）
+--   plate_version '1' 舊式 / '2' 新式          （plateVer radio）
+-- 預設值＝舊版寫死的查法（C/E/2），既有列不需回填。
+--
+-- 部署順序：先套本 SQL 再在站點設定加非預設組合。未套用時 gh-plate-sync.cjs 開跑前偵測到，
+-- staging insert 略過這三欄（即預設值 C/E/2）；設了非預設組合的站直接 FAILED（lib/staging-columns.cjs）。
+--
+-- ⚠️ swap_plates_data() 的函式本體不在本 repo：若它以明列欄位的 insert ... select
+-- 從 staging 搬到 available_plates，需一併把這三欄加進欄位清單，否則線上表一律落回預設值。
+
+alter table public.available_plates_staging
+  add column if not exists car_type text not null default 'C',
+  add column if not exists energy_type text not null default 'E',
+  add column if not exists plate_version text not null default '2';
+
+alter table public.available_plates
+  add column if not exists car_type text not null default 'C',
+  add column if not exists energy_type text not null default 'E',
+  add column if not exists plate_version text not null default '2';
+
+comment on column public.available_plates_staging.car_type is '車種：C 汽車 / M 機車（MVDIS #selCarType）。見 tesla-radar-crawler/lib/query-matrix.cjs。';
+comment on column public.available_plates_staging.energy_type is '能源別：E 電動 / G 非電動（MVDIS #selEnergyType）。';
+comment on column public.available_plates_staging.plate_version is '號牌版式：1 舊式 / 2 新式（MVDIS plateVer）。';
+comment on column public.available_plates.car_type is '車種：C 汽車 / M 機車（MVDIS #selCarType）。見 tesla-radar-crawler/lib/query-matrix.cjs。';
+comment on column public.available_plates.energy_type is '能源別：E 電動 / G 非電動（MVDIS #selEnergyType）。';
+comment on column public.available_plates.plate_version is '號牌版式：1 舊式 / 2 新式（MVDIS plateVer）。';
+
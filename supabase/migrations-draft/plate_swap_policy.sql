@@ -0,0 +1,27 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：trigger_swap.cjs 的逐站 swap 政策（tesla-radar-crawler/lib/swap-policy.cjs）
+-- 設定列 system_configs.plate_swap_policy。欄位與疊加順序見 lib/swap-policy.cjs 檔頭：
+--   total        全表門檻（min_count 取代舊的 MIN_STAGING_COUNT=50）
+--   defaults     每站整體（max_drop_ratio、drop_ratio_min_before、allow_empty、min_count）
+--   plate_types  每站某類別（只有列出的類別才檢查）
+--   stations     個別站覆寫，可再巢狀 plate_types
+--
+-- 不套本 SQL 也能跑：沒有這列時使用內建預設（全表 ≥50 筆；每站不可整站掉光、
+-- 正式表 ≥10 筆的站下降不得超過 50%）。設定不合法時 trigger_swap.cjs 直接 exit 1、不 swap。
+--
+-- 下列值＝內建預設，外加租賃車牌（h）放寬比例；金門（26）、連江（28）庫存少，
+-- 比例門檻不適用，改以 min_count 擋整站掉光。
+
+insert into public.system_configs (key, value)
+values ('plate_swap_policy', '{
+  "total": { "min_count": 50 },
+  "defaults": { "max_drop_ratio": 0.5, "drop_ratio_min_before": 10, "allow_empty": false },
+  "plate_types": { "h": { "max_drop_ratio": 0.8, "drop_ratio_min_before": 10 } },
+  "stations": {
+    "26": { "min_count": 1 },
+    "28": { "min_count": 1 }
+  }
+}'::jsonb)
+on conflict (key) do update set value = excluded.value;
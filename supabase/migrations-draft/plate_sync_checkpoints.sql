@@ -0,0 +1,36 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：gh-plate-sync.cjs 站點斷點續跑（lib/station-checkpoint.cjs）。shard 被 45 分鐘
+-- job timeout 砍掉後，下一輪以同一個 run id 從第一個未完成的站續跑，已完成站的
+-- available_plates_staging 列不重刪。
+--
+-- 生命週期：
+--   - 每完成一個查詢單位（窗口 × 查詢矩陣組合）upsert 一次（status=IN_PROGRESS），整站結束再寫 DONE／FAILED。
+--   - shard 全站成功收尾（或 legacy 模式 swap 後）刪除該 run 的全部列。
+--   - 查得到列＝未收尾；下一輪只續用 2 小時內更新過的 run（RESUME_WINDOW_MS）。
+--
+-- 部署順序：先套本 SQL 再 push 程式碼。反過來也無害——表不存在時 checkpoint 讀寫只
+-- log 錯誤，退回「整輪重跑」舊行為。
+
+create table if not exists public.plate_sync_checkpoints (
+  run_id text not null,
+  shard text not null,
+  region_id text not null,
+  station_id text not null,
+  completed_plate_types jsonb not null default '[]'::jsonb,
+  staged_counts jsonb not null default '{}'::jsonb,
+  status text not null check (status in ('IN_PROGRESS', 'DONE', 'FAILED')),
+  updated_at timestamptz not null default now(),
+  primary key (run_id, station_id)
+);
+
+comment on table public.plate_sync_checkpoints is
+  '車牌同步站點斷點（per run × station）。見 tesla-radar-crawler/lib/station-checkpoint.cjs。';
+comment on column public.plate_sync_checkpoints.completed_plate_types is
+  '本 run 已完成且已寫入 staging 的查詢單位 窗口:車種:能源別:類別:版式（如 ["01:C:E:g:2"]），續跑時跳過。';
+comment on column public.plate_sync_checkpoints.staged_counts is
+  '各查詢單位寫入 staging 的筆數（如 {"01:C:E:g:2":12,"01:C:E:h:2":0}），續跑時計入 sync_logs 統計。';
+
+create index if not exists plate_sync_checkpoints_shard_idx
+  on public.plate_sync_checkpoints (shard, updated_at desc);
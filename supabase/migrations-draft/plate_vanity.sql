@@ -0,0 +1,35 @@
+-- ⚠️ 草稿／審查用 SQL，不由本 repo 自動套用。正式套用由主對話走閘門手動執行
+-- （Supabase SQL editor 或 execute_sql）。
+--
+-- 目的：好號特徵與評分隨 staging 一起寫入（tesla-radar-crawler/lib/plate-vanity.cjs），
+-- 下游搜尋／訂閱／排序直接讀欄位，不必各自重算。
+--   vanity_score     0~100 綜合分數（權重見 lib/plate-vanity.cjs 檔頭）
+--   vanity_features  {"version":1,"digits":"8888","max_repeat":4,"all_same":true,
+--                     "ascending_run":1,"descending_run":1,"palindrome":true,"no_four":true,
+--                     "count_6":0,"count_8":4,"count_9":0,"aabb":false,"abab":false}
+-- 權重改版時 version 會調升；舊列在下一輪同步自然被覆寫。
+--
+-- 部署順序：先套本 SQL 再 push 程式碼。反過來也無害——gh-plate-sync.cjs 開跑前偵測到欄位
+-- 不存在時 staging insert 略過這兩欄（lib/staging-columns.cjs），那幾輪沒有評分。
+--
+-- ⚠️ swap_plates_data() 的函式本體不在本 repo：若它以明列欄位的 insert ... select
+-- 從 staging 搬到 available_plates，需一併把這兩欄加進欄位清單。
+
+alter table public.available_plates_staging
+  add column if not exists vanity_score integer,
+  add column if not exists vanity_features jsonb;
+
+alter table public.available_plates
+  add column if not exists vanity_score integer,
+  add column if not exists vanity_features jsonb;
+
+comment on column public.available_plates.vanity_score is
+  '好號綜合分數 0~100。見 tesla-radar-crawler/lib/plate-vanity.cjs。';
+comment on column public.available_plates.vanity_features is
+  '好號特徵（連號、重複、回文、無 4、6/8/9 個數、AABB/ABAB），snake_case 鍵。';
+
+-- 「依好號排序」與 jsonb 條件查詢（如 vanity_features @> '{"no_four": true}'）。
+create index if not exists available_plates_vanity_score_idx
+  on public.available_plates (vanity_score desc);
+create index if not exists available_plates_vanity_features_idx
+  on public.available_plates using gin (vanity_features jsonb_path_ops);
@@ -367,3 +367,30 @@ test('LadderState：最後一層達門檻且無處可升 → escalated:false + e
 test('LadderState：keyNames 為空 → 建構時拋 RangeError', () => {
     assert.throws(() => new LadderState([]), RangeError);
 });
+
+test('LadderState.alternateCombos：回傳目前層之上的存活 combo（每層第一把存活 key），不移動目前 combo', () => {
+    const s = new LadderState(['GEMINI_API_KEY_NORTH', 'GEMINI_API_KEY']);
+    s.deadCombos.add(comboId('GEMINI_API_KEY_NORTH', 'gemma-4-31b-it'));
+    s.deadCombos.add(comboId('GEMINI_API_KEY_NORTH', 'gemini-3.1-flash-lite'));
+    s.deadCombos.add(comboId('GEMINI_API_KEY', 'gemini-3.1-flash-lite')); // 整層死，跳過
+    assert.deepEqual(s.alternateCombos(2), [
+        { tierIndex: 1, model: 'gemma-4-31b-it', keyName: 'GEMINI_API_KEY', provider: 'gemini' },
+        { tierIndex: 3, model: 'gemini-3-flash-preview', keyName: 'GEMINI_API_KEY_NORTH', provider: 'gemini' },
+    ]);
+    assert.equal(s.alternateCombos(1).length, 1);
+    assert.equal(s.tierIndex, 0);
+    assert.equal(s.keyName, 'GEMINI_API_KEY_NORTH');
+    s.tierIndex = MODEL_LADDER.length - 1;
+    assert.deepEqual(s.alternateCombos(2), []); // 最後一層之上沒有別人
+});
+
+test('LadderState.markComboDead：旁路標死非目前 combo，之後升級與徵詢都跳過它', () => {
+    const s = new LadderState(['GEMINI_API_KEY']);
+    s.markComboDead('GEMINI_API_KEY', 'gemma-4-31b-it');
+    assert.equal(s.model, MODEL_LADDER[0].model); // 目前 combo 不動
+    assert.equal(s.alternateCombos(1)[0].model, 'gemini-3.1-flash-lite');
+    s.recordFailure();
+    s.recordFailure();
+    s.recordFailure();
+    assert.equal(s.model, 'gemini-3.1-flash-lite');
+});
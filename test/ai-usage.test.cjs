@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * AI 用量記帳與日配額預測純邏輯測試（lib/ai-usage.cjs）。Supabase 讀寫在 gh-plate-sync.cjs／ai_usage.cjs，不在此測。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    USAGE_OK,
+    createUsageTracker,
+    parseDailyLimits,
+    aggregateUsage,
+    estimateDailyLimits,
+    forecastQuota,
+    formatUsageReport,
+} = require('../lib/ai-usage.cjs');
+const { QUOTA_PER_MINUTE, QUOTA_PER_DAY, QUOTA_UNKNOWN } = require('../lib/ai-model-ladder.cjs');
+
+const LADDER_MODELS = ['gemma-4-26b-a4b-it', 'gemma-4-31b-it', 'gemini-3.1-flash-lite', 'gemini-3-flash-preview'];
+
+/** 一列 ai_usage_daily（未給的計數為 0）。 */
+function usageRow(fields) {
+    return {
+        session_id: 's', provider: 'gemini', key_fingerprint: null, calls: 0, ok: 0,
+        http_429_per_minute: 0, http_429_per_day: 0, http_429_unknown: 0, server_error: 0, other_error: 0,
+        escalations: 0, latency_ms_sum: 0, latency_ms_max: 0, ...fields,
+    };
+}
+
+test('createUsageTracker：依 key × model 累計呼叫、429 類型、5xx、延遲與升級', () => {
+    let now = new Date('2026-07-10T19:00:00Z');
+    const tracker = createUsageTracker({
+        sessionId: 'NORTH_1', shard: 'NORTH', clock: () => now,
+        fingerprints: new Map([['GEMINI_API_KEY', 'fp-d']]),
+    });
+    const combo = { provider: 'gemini', keyName: 'GEMINI_API_KEY', model: 'gemma-4-26b-a4b-it' };
+    tracker.record({ ...combo, kind: USAGE_OK, latencyMs: 800 });
+    tracker.record({ ...combo, kind: USAGE_OK, latencyMs: 1200 });
+    tracker.record({ ...combo, kind: 'rate_limit', quotaWindow: QUOTA_PER_MINUTE, latencyMs: 100 });
+    tracker.record({ ...combo, kind: 'rate_limit', quotaWindow: QUOTA_UNKNOWN, latencyMs: 100 });
+    tracker.record({ ...combo, kind: 'quota_exhausted', quotaWindow: QUOTA_PER_DAY, latencyMs: 100 });
+    tracker.record({ ...combo, kind: 'server_error', latencyMs: 3000 });
+    tracker.record({ ...combo, kind: 'other', latencyMs: 0 });
+    tracker.recordEscalation(combo);
+
+    const [row] = tracker.rows();
+    assert.deepEqual(row, {
+        session_id: 'NORTH_1', shard: 'NORTH', quota_day: '2026-07-10', provider: 'gemini',
+        key_name: 'GEMINI_API_KEY', key_fingerprint: 'fp-d', model: 'gemma-4-26b-a4b-it',
+        calls: 7, ok: 2, http_429_per_minute: 1, http_429_per_day: 1, http_429_unknown: 1,
+        server_error: 1, other_error: 1, escalations: 1, latency_ms_sum: 5300, latency_ms_max: 3000,
+        updated_at: '2026-07-10T19:00:00.000Z',
+    });
+
+    // 太平洋時間午夜（07:00Z）後換到下一個配額日
+    now = new Date('2026-07-11T07:30:00Z');
+    tracker.record({ ...combo, kind: USAGE_OK, latencyMs: 500 });
+    assert.deepEqual(tracker.rows().map(r => [r.quota_day, r.calls]), [['2026-07-10', 7], ['2026-07-11', 1]]);
+});
+
+test('parseDailyLimits：JSON 物件、正整數；格式錯誤丟錯', () => {
+    assert.deepEqual(parseDailyLimits(undefined), {});
+    assert.deepEqual(parseDailyLimits('{"gemma-4-26b-a4b-it":1500}'), { 'gemma-4-26b-a4b-it': 1500 });
+    assert.throws(() => parseDailyLimits('{oops'), /AI_DAILY_LIMITS/);
+    assert.throws(() => parseDailyLimits('[1]'), /AI_DAILY_LIMITS/);
+    assert.throws(() => parseDailyLimits('{"m":0}'), /AI_DAILY_LIMITS\.m/);
+});
+
+test('aggregateUsage：多個 session 加總，consumed 不含被 429 擋下的呼叫', () => {
+    const usage = aggregateUsage([
+        usageRow({ session_id: 'a', quota_day: '2026-07-10', shard: 'NORTH', key_name: 'K', model: 'm', calls: 10, ok: 8, http_429_per_minute: 2, latency_ms_max: 900 }),
+        usageRow({ session_id: 'b', quota_day: '2026-07-10', shard: 'NORTH', key_name: 'K', model: 'm', calls: 5, ok: 4, server_error: 1, latency_ms_max: 1500 }),
+    ]);
+    assert.equal(usage.length, 1);
+    assert.equal(usage[0].calls, 15);
+    assert.equal(usage[0].consumed, 13);
+    assert.equal(usage[0].latency_ms_max, 1500);
+});
+
+test('estimateDailyLimits：設定值優先；否則取吃到 PerDay 429 那天各 shard 合計的實際用量', () => {
+    const usage = aggregateUsage([
+        usageRow({ quota_day: '2026-07-08', shard: 'NORTH', key_name: 'GEMINI_API_KEY', key_fingerprint: 'fp-d', model: 'm', calls: 400, ok: 400 }),
+        usageRow({ quota_day: '2026-07-08', shard: 'CENTRAL', key_name: 'GEMINI_API_KEY', key_fingerprint: 'fp-d', model: 'm', calls: 605, ok: 600, http_429_per_day: 5 }),
+        usageRow({ quota_day: '2026-07-09', shard: 'NORTH', key_name: 'GEMINI_API_KEY', key_fingerprint: 'fp-d', model: 'm', calls: 1200, ok: 1200 }), // 沒死：不當上限
+        usageRow({ quota_day: '2026-07-09', shard: 'SOUTH', key_name: 'GEMINI_API_KEY_SOUTH', key_fingerprint: 'fp-s', model: 'x', calls: 30, ok: 20, http_429_per_day: 10 }),
+    ]);
+    assert.deepEqual(Object.fromEntries(estimateDailyLimits(usage)), {
+        'fp-d/m': { limit: 1000, source: 'observed' },
+        'fp-s/x': { limit: 20, source: 'observed' },
+    });
+    assert.deepEqual(estimateDailyLimits(usage, { x: 50 }).get('fp-s/x'), { limit: 50, source: 'configured' });
+    assert.deepEqual(estimateDailyLimits(usage, { 'GEMINI_API_KEY_SOUTH/x': 25, x: 50 }).get('fp-s/x'), { limit: 25, source: 'configured' });
+});
+
+test('forecastQuota：共用 key 合併各 shard 需求算 ETA，並列出各 shard 最先耗盡的一層', () => {
+    const D = { key_name: 'GEMINI_API_KEY', key_fingerprint: 'fp-d', model: 'gemma-4-26b-a4b-it' };
+    const rows = [
+        // 歷史：07-08 共用 key 在 1000 次時死亡（實測上限）；兩 shard 平均各 400／日
+        usageRow({ ...D, quota_day: '2026-07-08', shard: 'NORTH', calls: 400, ok: 400 }),
+        usageRow({ ...D, quota_day: '2026-07-08', shard: 'CENTRAL', calls: 605, ok: 600, http_429_per_day: 5 }),
+        usageRow({ ...D, quota_day: '2026-07-09', shard: 'NORTH', calls: 400, ok: 400 }),
+        usageRow({ ...D, quota_day: '2026-07-09', shard: 'CENTRAL', calls: 200, ok: 200 }),
+        usageRow({ key_name: 'GEMINI_API_KEY_NORTH', key_fingerprint: 'fp-n', model: 'gemma-4-26b-a4b-it', quota_day: '2026-07-09', shard: 'NORTH', calls: 100, ok: 100 }),
+        // 今天
+        usageRow({ ...D, quota_day: '2026-07-10', shard: 'NORTH', calls: 400, ok: 400 }),
+        usageRow({ ...D, quota_day: '2026-07-10', shard: 'CENTRAL', calls: 300, ok: 300 }),
+        usageRow({ key_name: 'GEMINI_API_KEY_NORTH', key_fingerprint: 'fp-n', model: 'gemma-4-26b-a4b-it', quota_day: '2026-07-10', shard: 'NORTH', calls: 50, ok: 50 }),
+        usageRow({ key_name: 'GEMINI_API_KEY_SOUTH', key_fingerprint: 'fp-s', model: 'gemini-3-flash-preview', quota_day: '2026-07-10', shard: 'SOUTH', calls: 15, ok: 15 }),
+    ];
+    // 太平洋時間 07-10 12:00，配額日剩一半
+    const forecast = forecastQuota(rows, {
+        now: new Date('2026-07-10T19:00:00Z'),
+        overrides: { 'gemini-3-flash-preview': 20 },
+        ladderModels: LADDER_MODELS,
+    });
+    assert.equal(forecast.today, '2026-07-10');
+    assert.equal(forecast.resetsAt, '2026-07-11T07:00:00.000Z');
+
+    const [south, shared, northKey] = forecast.combos;
+    // SOUTH 無歷史：今天半天 15 次 → 日需求 30；剩 5 次 → 4 小時後
+    assert.deepEqual(
+        { model: south.model, tier: south.tier, used: south.usedToday, limit: south.limit, source: south.limitSource, demand: south.demandPerDay, eta: south.eta },
+        { model: 'gemini-3-flash-preview', tier: 3, used: 15, limit: 20, source: 'configured', demand: 30, eta: '2026-07-10T23:00:00.000Z' },
+    );
+    // 共用 key：已用 700／上限 1000（實測），兩 shard 合計 800／日 → 剩 300 約 9 小時
+    assert.deepEqual(shared.shards, ['CENTRAL', 'NORTH']);
+    assert.deepEqual(shared.demandByShard, { CENTRAL: 400, NORTH: 400 });
+    assert.equal(shared.usedToday, 700);
+    assert.equal(shared.limit, 1000);
+    assert.equal(shared.limitSource, 'observed');
+    assert.equal(shared.projected, 1100);
+    assert.equal(shared.eta, '2026-07-11T04:00:00.000Z');
+    // NORTH 專屬 key 上限未知：不預測
+    assert.deepEqual(northKey.keyNames, ['GEMINI_API_KEY_NORTH']);
+    assert.equal(northKey.limit, null);
+    assert.equal(northKey.eta, null);
+
+    assert.deepEqual(forecast.shards.map(s => [s.shard, s.first && s.first.model]), [
+        ['CENTRAL', 'gemma-4-26b-a4b-it'],
+        ['NORTH', 'gemma-4-26b-a4b-it'],
+        ['SOUTH', 'gemini-3-flash-preview'],
+    ]);
+});
+
+test('forecastQuota：今天已吃到 PerDay 429 → 標記已耗盡', () => {
+    const forecast = forecastQuota([
+        usageRow({ quota_day: '2026-07-10', shard: 'NORTH', key_name: 'K', model: 'gemma-4-31b-it', calls: 12, ok: 10, http_429_per_day: 2 }),
+    ], { now: new Date('2026-07-10T19:00:00Z'), ladderModels: LADDER_MODELS });
+    assert.equal(forecast.combos[0].exhausted, true);
+    assert.equal(forecast.combos[0].eta, '2026-07-10T19:00:00.000Z');
+    assert.equal(forecast.combos[0].limit, 10);
+});
+
+test('formatUsageReport：無資料提示；有資料時含用量表與各 shard 最先耗盡', () => {
+    assert.equal(formatUsageReport([], { combos: [], shards: [] }), '沒有 AI 用量紀錄。');
+    const rows = [usageRow({ quota_day: '2026-07-10', shard: 'NORTH', key_name: 'K', model: 'gemma-4-31b-it', calls: 12, ok: 10, http_429_per_day: 2, latency_ms_sum: 1200 })];
+    const text = formatUsageReport(aggregateUsage(rows), forecastQuota(rows, { now: new Date('2026-07-10T19:00:00Z'), ladderModels: LADDER_MODELS }));
+    assert.match(text, /2026-07-10\tNORTH\tK\tgemma-4-31b-it\t12\t10\t0\t2\t0\t0\t0\t0\t100\t0/);
+    assert.match(text, /NORTH：tier 1 gemma-4-31b-it @ K — 已耗盡/);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * CAPTCHA AI 設定測試（lib/captcha-ai-config.cjs）與 provider.configure（lib/captcha-providers.cjs）。
+ * 設定以 system_configs.captcha_ai_config 的形狀手寫；SDK 與 fetch 皆為假物件。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CAPTCHA_AI_CONFIG, resolveCaptchaAiConfig, serverBackoffMs } = require('../lib/captcha-ai-config.cjs');
+const { MODEL_LADDER, LadderState } = require('../lib/ai-model-ladder.cjs');
+const {
+    CAPTCHA_SYSTEM_INSTRUCTION,
+    createGeminiProvider,
+    createOpenAICompatibleProvider,
+    buildCaptchaLadder,
+} = require('../lib/captcha-providers.cjs');
+
+const REQUEST = { prompt: 'Characters in image:', imageBase64: 'aW1n', mimeType: 'image/jpeg' };
+
+test('resolveCaptchaAiConfig：沒有設定即內建預設（先前寫死的階梯、退避與提示詞）', () => {
+    assert.equal(resolveCaptchaAiConfig(null), DEFAULT_CAPTCHA_AI_CONFIG);
+    assert.equal(resolveCaptchaAiConfig(undefined).ladder, MODEL_LADDER);
+    const config = resolveCaptchaAiConfig({});
+    assert.deepEqual(config.backoff, { rateLimitMs: 20000, serverErrorMinMs: 5000, serverErrorMaxMs: 10000 });
+    assert.equal(config.systemInstruction, CAPTCHA_SYSTEM_INSTRUCTION);
+    assert.deepEqual(config.generationConfig, { temperature: 0, maxOutputTokens: 16 });
+});
+
+test('resolveCaptchaAiConfig：ladder 整條取代（provider 省略＝gemini），backoff／generationConfig 逐欄合併', () => {
+    const config = resolveCaptchaAiConfig({
+        ladder: [{ model: 'gemini-3.1-flash-lite', failuresToEscalate: 4 }, { provider: 'openai', model: 'qwen', failuresToEscalate: 1 }],
+        backoff: { rateLimitMs: 30000 },
+        systemInstruction: 'Output the 4 characters only.',
+        generationConfig: { maxOutputTokens: 8 },
+    });
+    assert.deepEqual(config.ladder, [
+        { provider: 'gemini', model: 'gemini-3.1-flash-lite', failuresToEscalate: 4 },
+        { provider: 'openai', model: 'qwen', failuresToEscalate: 1 },
+    ]);
+    assert.deepEqual(config.backoff, { rateLimitMs: 30000, serverErrorMinMs: 5000, serverErrorMaxMs: 10000 });
+    assert.equal(config.systemInstruction, 'Output the 4 characters only.');
+    assert.deepEqual(config.generationConfig, { temperature: 0, maxOutputTokens: 8 });
+});
+
+test('resolveCaptchaAiConfig：不合法設定丟錯且訊息帶設定路徑', () => {
+    const cases = [
+        [[], /captcha_ai_config 必須是物件/],
+        [{ ladders: [] }, /含未知欄位：ladders/],
+        [{ ladder: [] }, /ladder 必須是非空陣列/],
+        [{ ladder: [{ model: 'm', failuresToEscalate: 0 }] }, /ladder\[0\]\.failuresToEscalate 必須是正整數/],
+        [{ ladder: [{ provider: 'claude', model: 'm', failuresToEscalate: 1 }] }, /ladder\[0\]\.provider/],
+        [{ ladder: [{ model: ' ', failuresToEscalate: 1 }] }, /ladder\[0\]\.model 必須是非空字串/],
+        [{ ladder: [{ model: 'm', failuresToEscalate: 1, retries: 2 }] }, /ladder\[0\] 含未知欄位：retries/],
+        [{ ladder: [{ model: 'm', failuresToEscalate: 1 }, { provider: 'gemini', model: 'm', failuresToEscalate: 2 }] }, /ladder\[1\] 與前面的層重複/],
+        [{ backoff: { rateLimitMs: -1 } }, /backoff\.rateLimitMs 必須是非負整數/],
+        [{ backoff: { serverErrorMinMs: 12000 } }, /serverErrorMinMs 不可大於 serverErrorMaxMs/],
+        [{ systemInstruction: '' }, /systemInstruction 必須是非空字串/],
+        [{ generationConfig: { temperature: 3 } }, /generationConfig\.temperature 必須是 ?0~2/],
+        [{ generationConfig: { topK: 5 } }, /generationConfig 含未知欄位：topK/],
+    ];
+    for (const [raw, pattern] of cases) assert.throws(() => resolveCaptchaAiConfig(raw), pattern, JSON.stringify(raw));
+});
+
+test('serverBackoffMs：在 [min, max) 內取值，min＝max 時固定', () => {
+    const backoff = { serverErrorMinMs: 5000, serverErrorMaxMs: 10000 };
+    assert.equal(serverBackoffMs(backoff, () => 0), 5000);
+    assert.equal(serverBackoffMs(backoff, () => 0.999), 9995);
+    assert.equal(serverBackoffMs({ serverErrorMinMs: 3000, serverErrorMaxMs: 3000 }, () => 0.5), 3000);
+});
+
+test('buildCaptchaLadder：設定階梯已排 openai 層時不再另接 OPENAI_CAPTCHA_* 那層', () => {
+    const openai = { model: 'qwen', failuresToEscalate: 2, position: 'last' };
+    const { ladder } = resolveCaptchaAiConfig({ ladder: [{ provider: 'openai', model: 'llava', failuresToEscalate: 1 }, { model: 'gemma-4-31b-it', failuresToEscalate: 2 }] });
+    assert.equal(buildCaptchaLadder(openai, ladder), ladder);
+    const geminiOnly = resolveCaptchaAiConfig({ ladder: [{ model: 'gemma-4-31b-it', failuresToEscalate: 2 }] }).ladder;
+    assert.deepEqual(buildCaptchaLadder(openai, geminiOnly).map(t => t.model), ['gemma-4-31b-it', 'qwen']);
+    // 階梯排了沒有 key 的 provider → LadderState 直接丟錯（gh-plate-sync 啟動即 exit 1）。
+    assert.throws(() => new LadderState({ gemini: ['GEMINI_API_KEY'] }, ladder), /provider openai 沒有任何 key/);
+});
+
+test('provider.configure：Gemini 重建 client 帶新提示詞，OpenAI 換 system 訊息與取樣參數', async () => {
+    const created = [];
+    class FakeSDK {
+        getGenerativeModel(opts) {
+            created.push(opts);
+            return { generateContent: async () => ({ response: Promise.resolve({ text: () => 'AB12' }) }) };
+        }
+    }
+    const gemini = createGeminiProvider({ keysByName: new Map([['GEMINI_API_KEY', 'k']]), GoogleGenerativeAI: FakeSDK, rateLimitPerMin: 12 });
+    const call = { model: 'gemma-4-26b-a4b-it', keyName: 'GEMINI_API_KEY' };
+    await gemini.generate(REQUEST, call);
+    gemini.configure({ systemInstruction: 'new prompt', generationConfig: { temperature: 0.2, maxOutputTokens: 8 } });
+    await gemini.generate(REQUEST, call);
+    assert.equal(created.length, 2, 'configure 後同一 (key, model) 要重建 client');
+    assert.equal(created[1].systemInstruction, 'new prompt');
+    assert.deepEqual(created[1].generationConfig, { temperature: 0.2, maxOutputTokens: 8 });
+
+    const bodies = [];
+    const fetchImpl = async (url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return { ok: true, status: 200, headers: { get: () => null }, text: async () => JSON.stringify({ choices: [{ message: { content: 'AB12' } }] }) };
+    };
+    const openai = createOpenAICompatibleProvider({ baseUrl: 'http://vision.local/v1', keyName: 'openai:anonymous', fetchImpl });
+    openai.configure({ systemInstruction: 'new prompt', generationConfig: { temperature: 0.2, maxOutputTokens: 8, topP: 0.9 } });
+    await openai.generate(REQUEST, { model: 'qwen', keyName: 'openai:anonymous' });
+    assert.equal(bodies[0].messages[0].content, 'new prompt');
+    assert.deepEqual([bodies[0].temperature, bodies[0].max_tokens, bodies[0].top_p], [0.2, 8, 0.9]);
+});
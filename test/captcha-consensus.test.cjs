@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * CAPTCHA 多數決純邏輯測試（lib/captcha-consensus.cjs）：設定解析、開票、依站答錯率與預算決定是否投票。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CONSENSUS_MODE_OFF,
+    CONSENSUS_MODE_AUTO,
+    CONSENSUS_MODE_ALWAYS,
+    DEFAULT_CONSENSUS_CONFIG,
+    resolveConsensusConfig,
+    tallyVotes,
+    createConsensusController,
+} = require('../lib/captcha-consensus.cjs');
+
+test('resolveConsensusConfig：未設定 → 預設（off）', () => {
+    assert.deepEqual(resolveConsensusConfig({}), DEFAULT_CONSENSUS_CONFIG);
+    assert.equal(DEFAULT_CONSENSUS_CONFIG.mode, CONSENSUS_MODE_OFF);
+});
+
+test('resolveConsensusConfig：讀取各欄位，模式不分大小寫', () => {
+    assert.deepEqual(resolveConsensusConfig({
+        CAPTCHA_CONSENSUS_MODE: ' Auto ',
+        CAPTCHA_CONSENSUS_VOTERS: '2',
+        CAPTCHA_CONSENSUS_BUDGET: '0',
+        CAPTCHA_CONSENSUS_REJECT_RATE: '0.25',
+        CAPTCHA_CONSENSUS_MIN_SUBMISSIONS: '5',
+    }), { mode: CONSENSUS_MODE_AUTO, voters: 2, budget: 0, rejectRate: 0.25, minSubmissions: 5 });
+});
+
+test('resolveConsensusConfig：不認得的模式或超出範圍的數字 → 丟錯', () => {
+    assert.throws(() => resolveConsensusConfig({ CAPTCHA_CONSENSUS_MODE: 'sometimes' }), /CAPTCHA_CONSENSUS_MODE/);
+    assert.throws(() => resolveConsensusConfig({ CAPTCHA_CONSENSUS_VOTERS: '4' }), /CAPTCHA_CONSENSUS_VOTERS/);
+    assert.throws(() => resolveConsensusConfig({ CAPTCHA_CONSENSUS_BUDGET: '-1' }), /CAPTCHA_CONSENSUS_BUDGET/);
+    assert.throws(() => resolveConsensusConfig({ CAPTCHA_CONSENSUS_REJECT_RATE: '1.5' }), /CAPTCHA_CONSENSUS_REJECT_RATE/);
+    assert.throws(() => resolveConsensusConfig({ CAPTCHA_CONSENSUS_MIN_SUBMISSIONS: '0' }), /CAPTCHA_CONSENSUS_MIN_SUBMISSIONS/);
+});
+
+test('tallyVotes：三票過半（2 票）即同意；null 票不算同意', () => {
+    assert.deepEqual(tallyVotes(['AB12', 'AB12', 'XB12'], 3), { code: 'AB12', agreed: true, needed: 2, tally: { AB12: 2, XB12: 1 } });
+    assert.equal(tallyVotes(['AB12', null, 'XB12'], 3).agreed, false);
+    assert.equal(tallyVotes(['AB12', null, null], 3).code, 'AB12');
+    assert.deepEqual(tallyVotes([null, null], 2), { code: null, agreed: false, needed: 2, tally: {} });
+});
+
+test('tallyVotes：兩票須一致；同票取先出現者；以 voters 而非已投票數計算門檻', () => {
+    assert.equal(tallyVotes(['AB12', 'AB12'], 2).agreed, true);
+    const split = tallyVotes(['AB12', 'XB12'], 2);
+    assert.equal(split.agreed, false);
+    assert.equal(split.code, 'AB12');
+    assert.equal(tallyVotes(['AB12', 'AB12'], 3).agreed, true); // 3 票制已有 2 票一致，第三票不必投
+    assert.equal(tallyVotes(['AB12'], 3).agreed, false);
+});
+
+test('createConsensusController：off 永不投票；always 只受預算限制', () => {
+    const off = createConsensusController({ ...DEFAULT_CONSENSUS_CONFIG });
+    assert.equal(off.shouldVote('21'), false);
+
+    const always = createConsensusController({ ...DEFAULT_CONSENSUS_CONFIG, mode: CONSENSUS_MODE_ALWAYS, budget: 3 });
+    assert.equal(always.shouldVote('21'), true);
+    assert.equal(always.charge(2), true);
+    assert.equal(always.remaining, 1);
+    assert.equal(always.charge(2), false); // 不夠就不扣
+    assert.equal(always.spent, 2);
+    assert.equal(always.charge(1), true);
+    assert.equal(always.shouldVote('21'), false); // 預算用完
+});
+
+test('createConsensusController：auto 依站內答錯率啟用，樣本不足時不判斷', () => {
+    const c = createConsensusController({ ...DEFAULT_CONSENSUS_CONFIG, mode: CONSENSUS_MODE_AUTO, rejectRate: 0.5, minSubmissions: 2 });
+    c.recordOutcome('21', 'rejected');
+    assert.equal(c.rejectRate('21'), null);
+    assert.equal(c.shouldVote('21'), false);
+    c.recordOutcome('21', 'unknown'); // 沒有明確判定的不計
+    c.recordOutcome('21', 'accepted');
+    assert.equal(c.rejectRate('21'), 0.5);
+    assert.equal(c.shouldVote('21'), true);
+    assert.equal(c.shouldVote(21), true); // 站號數字／字串同一站
+    c.recordOutcome('21', 'accepted');
+    assert.equal(c.shouldVote('21'), false);
+    assert.equal(c.shouldVote('30'), false); // 各站獨立
+});
+
+test('createConsensusController：recordVote 累計至 stationStats', () => {
+    const c = createConsensusController({ ...DEFAULT_CONSENSUS_CONFIG, mode: CONSENSUS_MODE_ALWAYS });
+    c.recordOutcome('21', 'rejected');
+    c.recordVote('21', true);
+    c.recordVote('21', false);
+    assert.deepEqual(c.stationStats('21'), { submitted: 1, rejected: 1, votes: 2, agreed: 1, disagreed: 1 });
+    assert.deepEqual(c.stationStats('30'), { submitted: 0, rejected: 0, votes: 0, agreed: 0, disagreed: 0 });
+});
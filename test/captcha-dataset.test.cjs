@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * CAPTCHA 標註資料集測試（lib/captcha-dataset.cjs）。
+ * 只寫 os.tmpdir() 的暫存目錄。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    classifyCaptchaOutcome,
+    createCaptchaDataset,
+    readDatasetIndex,
+    summarizeByModel,
+    formatDatasetSummary,
+    encodePgm,
+    decodePgm,
+} = require('../lib/captcha-dataset.cjs');
+
+const IMAGE = Buffer.from('fake-jpeg').toString('base64');
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'captcha-dataset-test-'));
+}
+
+function fixedClock(iso) {
+    return () => new Date(iso);
+}
+
+test('classifyCaptchaOutcome：結果頁＝accepted、答錯 alert 或頁面文字＝rejected、其餘 unknown', () => {
+    assert.equal(classifyCaptchaOutcome({ success: true, alertMsg: null }), 'accepted');
+    assert.equal(classifyCaptchaOutcome({ success: false, alertMsg: '驗證數字輸入錯誤，請重新輸入' }), 'rejected');
+    assert.equal(classifyCaptchaOutcome({ success: false, bodyRejected: true }), 'rejected');
+    // 空白送出／其他系統訊息不代表答錯
+    assert.equal(classifyCaptchaOutcome({ success: false, alertMsg: '請輸入驗證數字' }), 'unknown');
+    assert.equal(classifyCaptchaOutcome({ success: false }), 'unknown');
+});
+
+test('createCaptchaDataset：未設目錄時不啟用', () => {
+    assert.equal(createCaptchaDataset(undefined), null);
+    assert.equal(createCaptchaDataset(''), null);
+});
+
+test('capture＋resolve：存圖、送出後才寫索引，截取失敗與模型錯誤當場判定', () => {
+    const dir = tmpDir();
+    const dataset = createCaptchaDataset(dir, { shard: 'NORTH', clock: fixedClock('2026-10-19T03:00:00.000Z') });
+
+    const submitted = dataset.capture({ imageBase64: IMAGE, model: 'gemma-3-27b-it', key: 'GEMINI_API_KEY_NORTH', rawText: 'AB12', code: 'AB12', station: '20', window: '01', plateType: 'g' });
+    const unparsed = dataset.capture({ imageBase64: IMAGE, model: 'gemma-3-27b-it', key: 'GEMINI_API_KEY_NORTH', rawText: 'I think...', code: null });
+    dataset.capture({ imageBase64: IMAGE, model: 'gemini-2.5-flash', key: 'GEMINI_API_KEY', error: '503' });
+
+    assert.equal(fs.readFileSync(path.join(dir, 'images', `${submitted}.jpg`), 'utf8'), 'fake-jpeg');
+    assert.deepEqual(readDatasetIndex(dir).map(r => [r.id === unparsed, r.outcome]), [[true, 'unparsed'], [false, 'error']]);
+
+    dataset.resolve(submitted, 'rejected', { alert: '驗證數字輸入錯誤' });
+    dataset.resolve(submitted, 'accepted'); // 已判定，忽略
+    dataset.resolve(null, 'accepted');
+
+    const records = readDatasetIndex(dir);
+    assert.equal(records.length, 3);
+    const last = records[2];
+    assert.equal(last.id, submitted);
+    assert.equal(last.image, `images/${submitted}.jpg`);
+    assert.deepEqual(
+        [last.outcome, last.code, last.raw_text, last.model, last.key, last.shard, last.station, last.window, last.plate_type, last.alert],
+        ['rejected', 'AB12', 'AB12', 'gemma-3-27b-it', 'GEMINI_API_KEY_NORTH', 'NORTH', '20', '01', 'g', '驗證數字輸入錯誤'],
+    );
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('flush：未判定的樣本以 unknown 寫出', () => {
+    const dir = tmpDir();
+    const dataset = createCaptchaDataset(dir);
+    dataset.capture({ imageBase64: IMAGE, model: 'm', key: 'k', rawText: 'ZZ99', code: 'ZZ99' });
+    assert.deepEqual(readDatasetIndex(dir), []);
+    dataset.flush();
+    assert.deepEqual(readDatasetIndex(dir).map(r => r.outcome), ['unknown']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('readDatasetIndex：略過壞行；目錄不存在回空陣列', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, 'index.ndjson'), '{"id":"a","outcome":"accepted"}\n{"id":"b","outc\n');
+    assert.deepEqual(readDatasetIndex(dir).map(r => r.id), ['a']);
+    assert.deepEqual(readDatasetIndex(path.join(dir, 'missing')), []);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('summarizeByModel：準確率只看 accepted／rejected，截取率不計模型錯誤', () => {
+    const records = [
+        { model: 'a', outcome: 'accepted' },
+        { model: 'a', outcome: 'accepted' },
+        { model: 'a', outcome: 'accepted' },
+        { model: 'a', outcome: 'rejected' },
+        { model: 'a', outcome: 'unparsed' },
+        { model: 'a', outcome: 'unknown' },
+        { model: 'a', outcome: 'error' },
+        { model: 'b', outcome: 'error' },
+    ];
+    const [a, b] = summarizeByModel(records);
+    assert.deepEqual(
+        { model: a.model, samples: a.samples, accepted: a.accepted, rejected: a.rejected, unparsed: a.unparsed, unknown: a.unknown, error: a.error },
+        { model: 'a', samples: 7, accepted: 3, rejected: 1, unparsed: 1, unknown: 1, error: 1 },
+    );
+    assert.equal(a.accuracy, 0.75);
+    assert.equal(a.parseRate, 5 / 6);
+    assert.equal(b.accuracy, null);
+    assert.equal(b.parseRate, null);
+
+    const text = formatDatasetSummary([a, b]);
+    assert.match(text, /^a\t7\t3\t1\t1\t1\t1\t83\.3%\t75\.0%$/m);
+    assert.match(text, /^b\t1\t0\t0\t0\t1\t0\t—\t—$/m);
+    assert.equal(formatDatasetSummary([]), '資料集沒有樣本。');
+});
+
+test('summarizeByModel：有前處理的樣本依模型 × 變體分列', () => {
+    const records = [
+        { model: 'a', outcome: 'accepted' },
+        { model: 'a', outcome: 'rejected', preprocess: 'upscale:3,threshold' },
+        { model: 'a', outcome: 'accepted', preprocess: 'upscale:3,threshold' },
+        { model: 'a', outcome: 'accepted', preprocess: 'upscale:3,threshold' },
+    ];
+    const summary = summarizeByModel(records);
+    assert.deepEqual(summary.map((s) => [s.model, s.preprocess, s.samples, s.accuracy]), [
+        ['a', 'upscale:3,threshold', 3, 2 / 3],
+        ['a', null, 1, 1],
+    ]);
+    assert.match(formatDatasetSummary(summary), /^a \[upscale:3,threshold\]\t3\t2\t1\t/m);
+});
+
+test('encodePgm／decodePgm：灰階像素無損往返；含註解的標頭也讀得懂；格式不符丟錯', () => {
+    const bitmap = { width: 3, height: 2, gray: [0, 64, 128, 192, 255, 7] };
+    const decoded = decodePgm(encodePgm(bitmap));
+    assert.deepEqual({ ...decoded, gray: [...decoded.gray] }, bitmap);
+
+    const commented = Buffer.concat([Buffer.from('P5\n# made by hand\n3 2\n255\n'), Buffer.from(bitmap.gray)]);
+    assert.deepEqual([...decodePgm(commented).gray], bitmap.gray);
+
+    assert.throws(() => decodePgm(Buffer.from('P2\n3 2\n255\n0 0 0')), /不支援/);
+    assert.throws(() => decodePgm(Buffer.concat([Buffer.from('P5\n3 2\n255\n'), Buffer.from([1, 2])])), /不完整/);
+});
+
+test('capture：有 bitmap 時另存 PGM 並記在索引', () => {
+    const dir = tmpDir();
+    const dataset = createCaptchaDataset(dir);
+    const bitmap = { width: 2, height: 2, gray: [10, 20, 30, 40] };
+    const id = dataset.capture({ imageBase64: IMAGE, bitmap, model: 'local-templates', key: null, code: 'AB12', confidence: 0.6 });
+    dataset.resolve(id, 'accepted');
+
+    const [record] = readDatasetIndex(dir);
+    assert.equal(record.bitmap, `images/${id}.pgm`);
+    assert.equal(record.confidence, 0.6);
+    assert.deepEqual([...decodePgm(fs.readFileSync(path.join(dir, record.bitmap))).gray], bitmap.gray);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * 本機 CAPTCHA solver 測試（lib/captcha-local-solver.cjs）。
+ * 以 5×7 點陣字合成驗證碼圖（放大、加雜點），不依賴任何實際截圖。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    otsuThreshold,
+    binarize,
+    splitColumns,
+    segmentGlyphs,
+    solveLocally,
+    trainTemplates,
+    evaluateLocalModel,
+    loadLocalModel,
+    resolveMinConfidence,
+    DEFAULT_MIN_CONFIDENCE,
+} = require('../lib/captcha-local-solver.cjs');
+
+const FONT = {
+    A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+    B: ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+    C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+    '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+    '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+};
+
+/** 合成一張 4 字驗證碼：白底黑字、每字放大 scale 倍、字距 gap，左上角加一顆雜點。 */
+function render(code, { scale = 3, gap = 4, margin = 5, noise = true, dark = 20, light = 230 } = {}) {
+    const width = margin * 2 + code.length * 5 * scale + (code.length - 1) * gap;
+    const height = margin * 2 + 7 * scale;
+    const gray = new Array(width * height).fill(light);
+    [...code].forEach((ch, k) => {
+        const x0 = margin + k * (5 * scale + gap);
+        FONT[ch].forEach((row, ry) => {
+            [...row].forEach((bit, rx) => {
+                if (bit !== '1') return;
+                for (let dy = 0; dy < scale; dy++) {
+                    for (let dx = 0; dx < scale; dx++) gray[(margin + ry * scale + dy) * width + x0 + rx * scale + dx] = dark;
+                }
+            });
+        });
+    });
+    if (noise) gray[width + 1] = dark;
+    return { width, height, gray };
+}
+
+const TRAIN = ['AB17', 'C8A1', '7BC8', '81A7', 'BC18'].map(label => ({ label, bitmap: render(label) }));
+
+test('otsuThreshold／binarize：字為 1；深底淺字時反相', () => {
+    const light = render('AB17');
+    const t = otsuThreshold(light.gray);
+    assert.ok(t >= 20 && t < 230);
+    const mask = binarize(light).mask;
+    assert.equal(mask[0], 0);
+
+    const inverted = render('AB17', { dark: 230, light: 20 });
+    assert.deepEqual(binarize(inverted).mask, mask);
+});
+
+test('splitColumns：斷筆的段併回、黏字從谷底拆開、空白回 null', () => {
+    // 5 段（第 2 字斷成兩截，間隙最窄）→ 4 段
+    const broken = [0, 2, 2, 0, 0, 0, 2, 0, 2, 0, 0, 0, 2, 2, 0, 0, 0, 2, 2];
+    assert.deepEqual(splitColumns(broken), [[1, 3], [6, 9], [12, 14], [17, 19]]);
+    // 3 段（前兩字黏在一起，中間投影低）→ 4 段
+    const glued = [3, 3, 3, 1, 3, 3, 3, 0, 0, 3, 3, 0, 0, 3, 3];
+    assert.deepEqual(splitColumns(glued), [[0, 3], [3, 7], [9, 11], [13, 15]]);
+    assert.equal(splitColumns([0, 0, 0]), null);
+});
+
+test('segmentGlyphs：雜點不成段，切出 4 個固定長度向量', () => {
+    const glyphs = segmentGlyphs(render('AB17'));
+    assert.equal(glyphs.length, 4);
+    for (const g of glyphs) assert.equal(g.length, 12 * 16);
+});
+
+test('trainTemplates＋solveLocally：沒看過的組合也能逐字辨識，信心高', () => {
+    const model = trainTemplates(TRAIN, { now: new Date('2026-10-19T00:00:00Z') });
+    assert.equal(model.samples, 5);
+    assert.deepEqual(Object.keys(model.templates), ['1', '7', '8', 'A', 'B', 'C']);
+
+    const result = solveLocally(render('CA87', { scale: 4, gap: 6 }), model);
+    assert.equal(result.code, 'CA87');
+    assert.ok(result.confidence > DEFAULT_MIN_CONFIDENCE, `confidence ${result.confidence}`);
+});
+
+test('trainTemplates：標註長度不符或切不出 4 段的樣本略過', () => {
+    const model = trainTemplates([
+        { label: 'AB1', bitmap: render('AB17') },
+        { label: 'AB17', bitmap: { width: 10, height: 10, gray: new Array(100).fill(255) } },
+        TRAIN[0],
+    ]);
+    assert.equal(model.samples, 1);
+    assert.equal(model.skipped, 2);
+});
+
+test('solveLocally：空白圖回 null、信心 0', () => {
+    const model = trainTemplates(TRAIN);
+    const result = solveLocally({ width: 20, height: 10, gray: new Array(200).fill(255) }, model);
+    assert.equal(result.code, null);
+    assert.equal(result.confidence, 0);
+});
+
+test('evaluateLocalModel：各門檻的涵蓋率與準確率', () => {
+    const model = trainTemplates(TRAIN);
+    const samples = [
+        { label: 'A18C', bitmap: render('A18C') },
+        { label: 'WRONG', bitmap: render('B7B7') },
+    ];
+    const [loose, strict] = evaluateLocalModel(model, samples, [0, 1.01]);
+    assert.deepEqual(loose, { threshold: 0, total: 2, covered: 2, correct: 1, coverage: 1, accuracy: 0.5 });
+    assert.deepEqual(strict, { threshold: 1.01, total: 2, covered: 0, correct: 0, coverage: 0, accuracy: null });
+});
+
+test('loadLocalModel：檔案不存在回 null（停用），格式不符丟錯', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captcha-local-test-'));
+    assert.equal(loadLocalModel(path.join(dir, 'missing.json')), null);
+
+    const good = path.join(dir, 'good.json');
+    fs.writeFileSync(good, JSON.stringify(trainTemplates(TRAIN)));
+    assert.equal(Object.keys(loadLocalModel(good).templates).length, 6);
+
+    const stale = path.join(dir, 'stale.json');
+    fs.writeFileSync(stale, JSON.stringify({ ...trainTemplates(TRAIN), glyph: { width: 8, height: 8 } }));
+    assert.throws(() => loadLocalModel(stale), /重新訓練/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('resolveMinConfidence：預設、合法值、超出範圍丟錯', () => {
+    assert.equal(resolveMinConfidence(undefined), DEFAULT_MIN_CONFIDENCE);
+    assert.equal(resolveMinConfidence(' '), DEFAULT_MIN_CONFIDENCE);
+    assert.equal(resolveMinConfidence('0.45'), 0.45);
+    assert.throws(() => resolveMinConfidence('1.5'), /0\.\.1/);
+    assert.throws(() => resolveMinConfidence('high'), /0\.\.1/);
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * CAPTCHA 前處理測試（lib/captcha-preprocess.cjs）。bitmap 皆為手寫的小灰階陣列；PNG 以 zlib 解回驗證。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const {
+    RAW_VARIANT,
+    parsePipeline,
+    upscale,
+    stretchContrast,
+    threshold,
+    removeNoiseLines,
+    applyPipeline,
+    encodePng,
+    preprocessCaptcha,
+    summarizePreprocessEval,
+    formatPreprocessEval,
+} = require('../lib/captcha-preprocess.cjs');
+
+/** 字元陣列 → bitmap：'#'＝黑（0），'.'＝白（255）。 */
+function bitmapOf(rows) {
+    const gray = [];
+    for (const row of rows) for (const ch of row) gray.push(ch === '#' ? 0 : 255);
+    return { width: rows[0].length, height: rows.length, gray };
+}
+
+function render({ width, gray }) {
+    const rows = [];
+    for (let i = 0; i < gray.length; i += width) rows.push([...gray.slice(i, i + width)].map((v) => (v === 0 ? '#' : '.')).join(''));
+    return rows;
+}
+
+test('parsePipeline：空值／off／raw 不處理；參數補預設並正規化成變體名稱', () => {
+    assert.equal(parsePipeline(undefined), null);
+    assert.equal(parsePipeline(' off '), null);
+    assert.equal(parsePipeline(RAW_VARIANT), null);
+    const pipeline = parsePipeline('upscale:3, contrast ,threshold,denoise');
+    assert.equal(pipeline.variant, 'upscale:3,contrast:1,threshold,denoise:2');
+    assert.deepEqual(pipeline.steps.map((s) => s.name), ['upscale', 'contrast', 'threshold', 'denoise']);
+    assert.equal(parsePipeline(pipeline.variant).variant, pipeline.variant);
+});
+
+test('parsePipeline：不認得的步驟、參數超出範圍、重複、denoise 在 threshold 前皆丟錯', () => {
+    assert.throws(() => parsePipeline('sharpen'), /不認得的步驟 "sharpen"/);
+    assert.throws(() => parsePipeline('upscale:5'), /upscale 的參數必須是2～4 的整數/);
+    assert.throws(() => parsePipeline('upscale:'), /upscale 的參數/);
+    assert.throws(() => parsePipeline('threshold:3'), /threshold 不接受參數/);
+    assert.throws(() => parsePipeline('contrast,contrast:2'), /contrast 重複/);
+    assert.throws(() => parsePipeline('denoise,threshold'), /denoise 必須在 threshold 之後/);
+});
+
+test('upscale：尺寸放大 N 倍，同色區塊維持原值、邊界線性過渡', () => {
+    const out = upscale({ width: 2, height: 1, gray: [0, 255] }, 2);
+    assert.deepEqual([out.width, out.height], [4, 2]);
+    assert.deepEqual([...out.gray.slice(0, 4)], [0, 64, 191, 255]);
+    assert.deepEqual([...out.gray.slice(4)], [...out.gray.slice(0, 4)]);
+});
+
+test('stretchContrast：灰濛濛的圖拉到 0～255；裁掉兩端離群像素；整張同色原樣回傳', () => {
+    assert.deepEqual([...stretchContrast({ width: 4, height: 1, gray: [100, 120, 140, 160] }, 0).gray], [0, 85, 170, 255]);
+    const gray = [...new Array(98).fill(100), 0, 255];
+    const out = stretchContrast({ width: 100, height: 1, gray: [...gray.slice(0, 49), 200, ...gray.slice(49)] }, 1);
+    assert.equal(out.gray[0], 0, '裁掉 0 與 255 兩個離群點後，100 成為最暗');
+    assert.equal(out.gray[49], 255);
+    assert.deepEqual([...stretchContrast({ width: 2, height: 1, gray: [80, 80] }, 1).gray], [80, 80]);
+});
+
+test('threshold：輸出白底黑字；深底淺字時反相', () => {
+    assert.deepEqual([...threshold({ width: 4, height: 1, gray: [30, 40, 200, 220] }).gray], [0, 0, 255, 255]);
+    assert.deepEqual([...threshold({ width: 4, height: 1, gray: [10, 20, 30, 230] }).gray], [255, 255, 255, 0]);
+});
+
+test('removeNoiseLines：剝掉 1 像素寬的斜線與雜點，留下 2 像素寬以上的筆畫', () => {
+    const input = bitmapOf([
+        '#.........',
+        '.#...##...',
+        '..#..##...',
+        '...#.##..#',
+        '....###...',
+        '.....##...',
+    ]);
+    assert.deepEqual(render(removeNoiseLines(input, 2)), [
+        '..........',
+        '.....##...',
+        '.....##...',
+        '.....##...',
+        '....###...',
+        '.....##...',
+    ]);
+});
+
+test('applyPipeline／encodePng：依序套用；PNG 標頭、IHDR 與像素可由 zlib 解回', () => {
+    const bitmap = { width: 3, height: 2, gray: [20, 30, 220, 25, 210, 230] };
+    assert.equal(applyPipeline(bitmap, null), bitmap);
+    const processed = applyPipeline(bitmap, parsePipeline('upscale:2,threshold'));
+    assert.deepEqual([processed.width, processed.height], [6, 4]);
+
+    const png = encodePng(bitmap);
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.equal(png.toString('ascii', 12, 16), 'IHDR');
+    assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20), png[24], png[25]], [3, 2, 8, 0]);
+    if (zlib.crc32) assert.equal(png.readUInt32BE(29), zlib.crc32(png.subarray(12, 29)));
+    const idatLength = png.readUInt32BE(33);
+    assert.equal(png.toString('ascii', 37, 41), 'IDAT');
+    assert.deepEqual([...zlib.inflateSync(png.subarray(41, 41 + idatLength))], [0, 20, 30, 220, 0, 25, 210, 230]);
+    assert.equal(png.toString('ascii', png.length - 8, png.length - 4), 'IEND');
+
+    const image = preprocessCaptcha(bitmap, parsePipeline('contrast'));
+    assert.equal(image.mimeType, 'image/png');
+    assert.equal(Buffer.from(image.data, 'base64').toString('ascii', 1, 4), 'PNG');
+});
+
+test('summarizePreprocessEval：模型 × 變體的一次答對率，對照同模型 raw；錯誤不計入分母', () => {
+    const results = [
+        { model: 'gemma', variant: 'raw', label: 'AB12', code: 'AB12' },
+        { model: 'gemma', variant: 'raw', label: 'CD34', code: 'CD3A' },
+        { model: 'gemma', variant: 'upscale:3,threshold', label: 'AB12', code: 'AB12' },
+        { model: 'gemma', variant: 'upscale:3,threshold', label: 'CD34', code: 'CD34' },
+        { model: 'flash', variant: 'upscale:3,threshold', label: 'AB12', code: null, error: '429' },
+        { model: 'flash', variant: 'upscale:3,threshold', label: 'CD34', code: null },
+    ];
+    const summary = summarizePreprocessEval(results, ['raw', 'upscale:3,threshold']);
+    assert.deepEqual(summary.map((s) => [s.model, s.variant, s.samples, s.parsed, s.correct, s.errors, s.accuracy, s.vsRaw]), [
+        ['flash', 'upscale:3,threshold', 2, 0, 0, 1, 0, null],
+        ['gemma', 'raw', 2, 2, 1, 0, 0.5, null],
+        ['gemma', 'upscale:3,threshold', 2, 2, 2, 0, 1, 0.5],
+    ]);
+    const text = formatPreprocessEval(summary);
+    assert.match(text, /^gemma\tupscale:3,threshold\t2\t2\t2\t0\t100\.0%\t\+50\.0pt$/m);
+    assert.match(text, /^gemma\traw\t2\t2\t1\t0\t50\.0%\t—$/m);
+    assert.equal(formatPreprocessEval([]), '沒有評估結果。');
+});
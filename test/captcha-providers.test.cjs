@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * CAPTCHA provider 測試（lib/captcha-providers.cjs）與跨 provider 階梯語義（lib/ai-model-ladder.cjs）。
+ * Gemini SDK 與 fetch 皆以假物件注入，不打真實 API。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    PROVIDER_OPENAI,
+    ERROR_QUOTA_EXHAUSTED,
+    ERROR_RATE_LIMIT,
+    ERROR_SERVER,
+    ERROR_OTHER,
+    CAPTCHA_SYSTEM_INSTRUCTION,
+    RateLimiter,
+    toCaptchaRequest,
+    createGeminiProvider,
+    parseRetryAfter,
+    createOpenAICompatibleProvider,
+    resolveOpenAIProviderConfig,
+    buildCaptchaLadder,
+    createLocalProvider,
+} = require('../lib/captcha-providers.cjs');
+const { MODEL_LADDER, EXHAUSTED, LadderState, QUOTA_PER_MINUTE, QUOTA_PER_DAY, QUOTA_UNKNOWN } = require('../lib/ai-model-ladder.cjs');
+const { trainTemplates } = require('../lib/captcha-local-solver.cjs');
+
+const REQUEST = { prompt: 'Characters in image:', imageBase64: 'aW1n', mimeType: 'image/jpeg' };
+
+function httpError(status, message, extra = {}) {
+    return Object.assign(new Error(message), { status }, extra);
+}
+
+test('toCaptchaRequest：Gemini SDK payload → provider 中立 request', () => {
+    assert.deepEqual(
+        toCaptchaRequest(['Characters in image:', { inlineData: { data: 'aW1n', mimeType: 'image/png' } }]),
+        { prompt: 'Characters in image:', imageBase64: 'aW1n', mimeType: 'image/png' },
+    );
+    assert.deepEqual(toCaptchaRequest('hi'), { prompt: 'hi', imageBase64: null, mimeType: 'image/jpeg' });
+});
+
+test('Gemini provider：每個 (key, model) 建一次 client，帶共用的 system instruction', async () => {
+    const created = [];
+    class FakeSDK {
+        constructor(apiKey) { this.apiKey = apiKey; }
+        getGenerativeModel(opts) {
+            created.push({ apiKey: this.apiKey, ...opts });
+            return { generateContent: async (parts) => ({ response: Promise.resolve({ text: () => `${opts.model}:${parts[1].inlineData.data}` }) }) };
+        }
+    }
+    const provider = createGeminiProvider({
+        keysByName: new Map([['GEMINI_API_KEY_NORTH', 'k-north'], ['GEMINI_API_KEY', 'k-default']]),
+        GoogleGenerativeAI: FakeSDK,
+        rateLimitPerMin: 12,
+    });
+    assert.deepEqual(provider.keyNames, ['GEMINI_API_KEY_NORTH', 'GEMINI_API_KEY']);
+    assert.equal(await provider.generate(REQUEST, { model: 'gemma-4-26b-a4b-it', keyName: 'GEMINI_API_KEY_NORTH' }), 'gemma-4-26b-a4b-it:aW1n');
+    await provider.generate(REQUEST, { model: 'gemma-4-26b-a4b-it', keyName: 'GEMINI_API_KEY_NORTH' });
+    await provider.generate(REQUEST, { model: 'gemma-4-26b-a4b-it', keyName: 'GEMINI_API_KEY' });
+    assert.deepEqual(created.map(c => c.apiKey), ['k-north', 'k-default']);
+    assert.equal(created[0].systemInstruction, CAPTCHA_SYSTEM_INSTRUCTION);
+    assert.deepEqual(created[0].generationConfig, { temperature: 0, maxOutputTokens: 16 });
+});
+
+test('Gemini provider.classifyError：PerDay 標死、其餘 429 分鐘級、5xx、其他', () => {
+    const { classifyError } = createGeminiProvider({ keysByName: new Map([['K', 'v']]), GoogleGenerativeAI: class {}, rateLimitPerMin: 1 });
+    assert.deepEqual(
+        classifyError(httpError(429, 'quota', { errorDetails: [{ violations: [{ quotaId: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier' }] }] })),
+        { kind: ERROR_QUOTA_EXHAUSTED, retryAfterMs: null, quotaWindow: QUOTA_PER_DAY },
+    );
+    assert.deepEqual(
+        classifyError(httpError(429, 'Resource exhausted', { errorDetails: [{ retryDelay: '7s' }] })),
+        { kind: ERROR_RATE_LIMIT, retryAfterMs: 7000, quotaWindow: QUOTA_UNKNOWN },
+    );
+    assert.deepEqual(classifyError(httpError(503, 'unavailable')), { kind: ERROR_SERVER, retryAfterMs: null, quotaWindow: null });
+    assert.equal(classifyError(new Error('network timeout')).kind, ERROR_OTHER);
+});
+
+function fakeFetch(responses) {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+        calls.push({ url, init, body: JSON.parse(init.body) });
+        const r = responses.shift();
+        return {
+            ok: r.status >= 200 && r.status < 300,
+            status: r.status,
+            headers: { get: (name) => (r.headers || {})[name.toLowerCase()] || null },
+            text: async () => (typeof r.body === 'string' ? r.body : JSON.stringify(r.body)),
+        };
+    };
+    return { calls, fetchImpl };
+}
+
+test('OpenAI 相容 provider：chat/completions 內嵌 data URL、帶 Bearer key、回傳 message.content', async () => {
+    const { calls, fetchImpl } = fakeFetch([{ status: 200, body: { choices: [{ message: { content: 'AB12' } }] } }]);
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://vision.local/v1/', keyName: 'OPENAI_CAPTCHA_API_KEY', apiKey: 'sk-test', fetchImpl });
+    assert.equal(provider.name, PROVIDER_OPENAI);
+    assert.deepEqual(provider.keyNames, ['OPENAI_CAPTCHA_API_KEY']);
+
+    assert.equal(await provider.generate(REQUEST, { model: 'qwen2.5-vl', keyName: 'OPENAI_CAPTCHA_API_KEY' }), 'AB12');
+    const [call] = calls;
+    assert.equal(call.url, 'http://vision.local/v1/chat/completions');
+    assert.equal(call.init.headers.Authorization, 'Bearer sk-test');
+    assert.equal(call.body.model, 'qwen2.5-vl');
+    assert.equal(call.body.temperature, 0);
+    assert.equal(call.body.messages[0].content, CAPTCHA_SYSTEM_INSTRUCTION);
+    assert.deepEqual(call.body.messages[1].content[1], { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,aW1n' } });
+});
+
+test('OpenAI 相容 provider：錯誤帶 status／code／Retry-After，分類為限流、日配額、5xx', async () => {
+    const { fetchImpl } = fakeFetch([
+        { status: 429, headers: { 'retry-after': '12' }, body: { error: { message: 'Rate limit reached', code: 'rate_limit_exceeded' } } },
+        { status: 429, body: { error: { message: 'You exceeded your current quota', code: 'insufficient_quota' } } },
+        { status: 502, body: '<html>bad gateway</html>' },
+        { status: 200, body: { choices: [] } },
+    ]);
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://vision.local/v1', keyName: 'openai:anonymous', fetchImpl });
+    const opts = { model: 'm', keyName: 'openai:anonymous' };
+
+    const limited = await provider.generate(REQUEST, opts).catch(e => e);
+    assert.deepEqual(provider.classifyError(limited), { kind: ERROR_RATE_LIMIT, retryAfterMs: 12000, quotaWindow: QUOTA_PER_MINUTE });
+    const quota = await provider.generate(REQUEST, opts).catch(e => e);
+    assert.deepEqual(provider.classifyError(quota), { kind: ERROR_QUOTA_EXHAUSTED, retryAfterMs: null, quotaWindow: QUOTA_PER_DAY });
+    const gateway = await provider.generate(REQUEST, opts).catch(e => e);
+    assert.match(gateway.message, /^\[502\] <html>/);
+    assert.equal(provider.classifyError(gateway).kind, ERROR_SERVER);
+    await assert.rejects(provider.generate(REQUEST, opts), /choices\[0\]/);
+});
+
+test('parseRetryAfter：秒數或 HTTP 日期', () => {
+    assert.equal(parseRetryAfter('1.5'), 1500);
+    assert.equal(parseRetryAfter('Mon, 19 Oct 2026 03:00:30 GMT', Date.parse('2026-10-19T03:00:00Z')), 30000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('resolveOpenAIProviderConfig：沒設不啟用、半套設定丟錯、無 key 用匿名 key 名稱', () => {
+    assert.equal(resolveOpenAIProviderConfig({}), null);
+    assert.throws(() => resolveOpenAIProviderConfig({ OPENAI_CAPTCHA_BASE_URL: 'http://x/v1' }), /OPENAI_CAPTCHA_MODEL/);
+    assert.throws(() => resolveOpenAIProviderConfig({ OPENAI_CAPTCHA_BASE_URL: 'http://x/v1', OPENAI_CAPTCHA_MODEL: 'm', OPENAI_CAPTCHA_POSITION: 'middle' }), /first \/ last/);
+    assert.throws(() => resolveOpenAIProviderConfig({ OPENAI_CAPTCHA_BASE_URL: 'http://x/v1', OPENAI_CAPTCHA_MODEL: 'm', OPENAI_CAPTCHA_RATE_LIMIT_PER_MIN: '0' }), /正整數/);
+
+    assert.deepEqual(resolveOpenAIProviderConfig({ OPENAI_CAPTCHA_BASE_URL: 'http://x/v1', OPENAI_CAPTCHA_MODEL: 'm' }), {
+        baseUrl: 'http://x/v1', model: 'm', keyName: 'openai:anonymous', apiKey: null, position: 'last', rateLimitPerMin: 30, failuresToEscalate: 2,
+    });
+    const withKey = resolveOpenAIProviderConfig({ OPENAI_CAPTCHA_BASE_URL: 'http://x/v1', OPENAI_CAPTCHA_MODEL: 'm', OPENAI_CAPTCHA_API_KEY: 'sk', OPENAI_CAPTCHA_POSITION: 'FIRST' });
+    assert.equal(withKey.keyName, 'OPENAI_CAPTCHA_API_KEY');
+    assert.equal(withKey.position, 'first');
+});
+
+test('buildCaptchaLadder：沒設 OpenAI 即 MODEL_LADDER；last 接在最後、first 放最前', () => {
+    assert.equal(buildCaptchaLadder(null), MODEL_LADDER);
+    const config = { model: 'qwen', failuresToEscalate: 2, position: 'last' };
+    assert.deepEqual(buildCaptchaLadder(config).map(t => t.provider), ['gemini', 'gemini', 'gemini', 'gemini', 'openai']);
+    assert.deepEqual(buildCaptchaLadder({ ...config, position: 'first' })[0], { provider: 'openai', model: 'qwen', failuresToEscalate: 2 });
+});
+
+test('跨 provider 階梯：Gemini 全部日配額死亡 → 跳到 OpenAI 層；OpenAI 也死才 EXHAUSTED', () => {
+    const ladder = buildCaptchaLadder({ model: 'qwen', failuresToEscalate: 2, position: 'last' });
+    const state = new LadderState({ gemini: ['GEMINI_API_KEY'], openai: ['openai:anonymous'] }, ladder);
+    assert.equal(state.provider, 'gemini');
+    for (let i = 0; i < MODEL_LADDER.length - 1; i++) state.markCurrentComboDead();
+    const next = state.markCurrentComboDead();
+    assert.deepEqual(next, { tierIndex: 4, model: 'qwen', keyName: 'openai:anonymous' });
+    assert.equal(state.provider, 'openai');
+    assert.equal(state.markCurrentComboDead(), EXHAUSTED);
+});
+
+test('跨 provider 階梯：OpenAI 放最前時連續失敗達門檻 sticky 升到 Gemini，不回頭', () => {
+    const ladder = buildCaptchaLadder({ model: 'qwen', failuresToEscalate: 2, position: 'first' });
+    const state = new LadderState({ gemini: ['GEMINI_API_KEY_NORTH', 'GEMINI_API_KEY'], openai: ['OPENAI_CAPTCHA_API_KEY'] }, ladder);
+    assert.equal(state.keyName, 'OPENAI_CAPTCHA_API_KEY');
+    assert.deepEqual(state.recordFailure(), { escalated: false });
+    state.recordSuccess();
+    assert.deepEqual(state.recordFailure(), { escalated: false }); // 成功重置，連續失敗才算
+    const up = state.recordFailure();
+    assert.deepEqual(up, { escalated: true, combo: { tierIndex: 1, model: 'gemma-4-26b-a4b-it', keyName: 'GEMINI_API_KEY_NORTH' } });
+    assert.equal(state.provider, 'gemini');
+});
+
+test('LadderState：階梯上的 provider 沒有 key 直接丟錯', () => {
+    const ladder = buildCaptchaLadder({ model: 'qwen', failuresToEscalate: 2, position: 'last' });
+    assert.throws(() => new LadderState({ gemini: ['GEMINI_API_KEY'] }, ladder), /provider openai/);
+});
+
+test('RateLimiter：token 用完才等到下個區間', async () => {
+    let now = 0;
+    const sleeps = [];
+    const limiter = new RateLimiter(2, 60000, { now: () => now, wait: async (ms) => { sleeps.push(ms); now += ms; } });
+    const origLog = console.log;
+    console.log = () => {};
+    try {
+        await limiter.wait();
+        await limiter.wait();
+        assert.deepEqual(sleeps, []);
+        now = 10000;
+        await limiter.wait();
+    } finally {
+        console.log = origLog;
+    }
+    assert.deepEqual(sleeps, [51000]);
+});
+
+test('本機 provider：信心達門檻才 accepted', () => {
+    // A＝實心方塊、B＝空心方塊，各 6×10，字距 3
+    const width = 4 * 6 + 3 * 3 + 4;
+    const height = 14;
+    const gray = new Array(width * height).fill(255);
+    [...'ABAB'].forEach((ch, k) => {
+        const x0 = 2 + k * 9;
+        for (let y = 2; y < 12; y++) {
+            for (let x = x0; x < x0 + 6; x++) {
+                const edge = y === 2 || y === 11 || x === x0 || x === x0 + 5;
+                if (ch === 'A' || edge) gray[y * width + x] = 0;
+            }
+        }
+    });
+    const bitmap = { width, height, gray };
+    const model = trainTemplates([{ bitmap, label: 'ABAB' }]);
+
+    assert.deepEqual(createLocalProvider({ model, minConfidence: 0.3 }).solve(bitmap), { code: 'ABAB', confidence: 1, accepted: true });
+    assert.equal(createLocalProvider({ model, minConfidence: 1.01 }).solve(bitmap).accepted, false);
+    assert.equal(createLocalProvider({ model, minConfidence: 0 }).solve({ width: 4, height: 4, gray: new Array(16).fill(255) }).accepted, false);
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * 查詢失敗快照測試（lib/failure-snapshot.cjs）。只寫 os.tmpdir() 的暫存目錄；重放用 test/fixtures 的真實結構 HTML。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_SNAPSHOT_ROOT,
+    REASON_RESPONSE,
+    REASON_EXCEPTION,
+    resolveSnapshotRoot,
+    createFailureArchive,
+    readSnapshotIndex,
+    resolveRunDir,
+    replaySnapshot,
+    replayArchive,
+    formatReplay,
+    summarizeSnapshots,
+    promoteSnapshot,
+} = require('../lib/failure-snapshot.cjs');
+
+const RESULT_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'mvdis-plates-page1.html'), 'utf8');
+const NO_DATA_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'mvdis-no-data.html'), 'utf8');
+const ALERT_HTML = '<html><body><form id="queryForm"><input id="validateStr"></form><script>alert("驗證數字輸入錯誤");</script></body></html>';
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'failure-snapshot-test-'));
+}
+
+function fixedClock(iso) {
+    return () => new Date(iso);
+}
+
+test('resolveSnapshotRoot：未設定用預設目錄，off／false／0 關閉，其餘原樣', () => {
+    assert.equal(resolveSnapshotRoot(undefined), DEFAULT_SNAPSHOT_ROOT);
+    assert.equal(resolveSnapshotRoot('  '), DEFAULT_SNAPSHOT_ROOT);
+    assert.equal(resolveSnapshotRoot('OFF'), null);
+    assert.equal(resolveSnapshotRoot('0'), null);
+    assert.equal(resolveSnapshotRoot(' /tmp/snaps '), '/tmp/snaps');
+    assert.equal(createFailureArchive(null), null);
+});
+
+test('createFailureArchive：每個 run 一個目錄，存 HTML／截圖並寫索引；超過上限只寫索引', () => {
+    const root = tmpDir();
+    const archive = createFailureArchive(root, { shard: 'SOUTH', maxSnapshots: 1, clock: fixedClock('2026-10-19T01:02:03.004Z') });
+    const base = { runId: 'run/1', station: '73', deptId: '7', window: '01', unit: '01:C:E:g:2', plateType: 'g', transport: 'browser' };
+
+    const first = archive.capture({
+        ...base, attempt: 1, reason: REASON_RESPONSE, responseType: 'WRONG_CAPTCHA', alert: '驗證數字輸入錯誤',
+        url: 'https://www.mvdis.gov.tw/q', html: ALERT_HTML, screenshot: Uint8Array.from([0xff, 0xd8, 0xff]),
+        form: { selDeptCode: { value: '7', label: '高雄市區監理所' }, validateStr: 'AB12' },
+    });
+    assert.match(first, /^20261019T010203004Z_SOUTH_73_\d+_1$/);
+    const dir = archive.runDir('run/1');
+    assert.equal(path.basename(dir), 'run_1', 'run id 的斜線不可變成子目錄');
+
+    const second = archive.capture({ ...base, attempt: 2, reason: REASON_EXCEPTION, error: 'Navigation timeout', html: '<p>blank</p>' });
+    archive.capture({ ...base, attempt: 3, reason: 'form_unreachable' });
+
+    const records = readSnapshotIndex(dir);
+    assert.equal(records.length, 3);
+    assert.equal(records[0].html, `snapshots/${first}.html`);
+    assert.equal(records[0].screenshot, `snapshots/${first}.jpg`);
+    assert.equal(fs.readFileSync(path.join(dir, records[0].html), 'utf8'), ALERT_HTML);
+    assert.deepEqual([...fs.readFileSync(path.join(dir, records[0].screenshot))], [0xff, 0xd8, 0xff]);
+    assert.deepEqual(records[0].form.selDeptCode, { value: '7', label: '高雄市區監理所' });
+    assert.equal(records[0].run_id, 'run/1');
+    assert.equal(records[0].truncated, undefined);
+
+    assert.equal(records[1].id, second);
+    assert.equal(records[1].error, 'Navigation timeout');
+    assert.equal(records[1].html, undefined, '超過每輪上限不存檔');
+    assert.equal(records[1].truncated, true);
+    assert.equal(records[2].truncated, undefined, '本來就沒有頁面的不算截斷');
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'snapshots')).sort(), [`${first}.html`, `${first}.jpg`]);
+
+    assert.equal(resolveRunDir(root), dir, '根目錄 → 最新一輪');
+    assert.equal(resolveRunDir(dir), dir);
+    assert.equal(resolveRunDir(path.join(root, 'missing')), null);
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('replaySnapshot：結果頁抽車牌、查無資料、alert（對話框或 HTML 內）與 HTTP 狀態照線上規則分型', () => {
+    const result = replaySnapshot(RESULT_HTML);
+    assert.equal(result.responseType, 'RESULT');
+    assert.equal(result.plates.length, 5);
+    assert.equal(result.plates[0].no, 'EBP-1571');
+
+    const noData = replaySnapshot(NO_DATA_HTML);
+    assert.equal(noData.responseType, 'RESULT', 'h1 帶 -- 即為結果頁（與線上判定相同）');
+    assert.equal(noData.pageInfo.noData, true);
+    assert.deepEqual(noData.plates, []);
+
+    assert.equal(replaySnapshot(ALERT_HTML).responseType, 'WRONG_CAPTCHA');
+    assert.equal(replaySnapshot(ALERT_HTML).alert, '驗證數字輸入錯誤');
+    assert.equal(replaySnapshot('<p>表單</p>', { alert: '系統忙碌中，請稍後再試' }).responseType, 'SYSTEM_BUSY');
+    assert.equal(replaySnapshot('<h1>Service Unavailable</h1>', { httpStatus: 503 }).responseType, 'SYSTEM_BUSY');
+    assert.equal(replaySnapshot('<p>請稍候</p>').responseType, 'NO_RESPONSE');
+});
+
+test('replayArchive／formatReplay／summarizeSnapshots：判定與當時不同的標 changed，沒有 HTML 的略過', () => {
+    const root = tmpDir();
+    const archive = createFailureArchive(root, { clock: fixedClock('2026-10-19T00:00:00.000Z') });
+    const base = { runId: 'run_1', deptId: '2', window: '01', unit: '01:C:E:g:2', transport: 'http' };
+    const stale = archive.capture({ ...base, station: '20', attempt: 1, reason: REASON_RESPONSE, responseType: 'NO_RESPONSE', html: RESULT_HTML });
+    archive.capture({ ...base, station: '21', attempt: 1, reason: REASON_RESPONSE, responseType: 'WRONG_CAPTCHA', html: ALERT_HTML });
+    archive.capture({ ...base, station: '21', attempt: 2, reason: REASON_RESPONSE, responseType: 'WRONG_CAPTCHA', alert: '驗證數字輸入錯誤' });
+    const dir = archive.runDir('run_1');
+
+    const results = replayArchive(dir);
+    assert.deepEqual(results.map((r) => [r.record.station, r.recorded, r.responseType, r.changed]), [
+        ['20', 'NO_RESPONSE', 'RESULT', true],
+        ['21', 'WRONG_CAPTCHA', 'WRONG_CAPTCHA', false],
+    ]);
+    assert.deepEqual(replayArchive(dir, { ids: [stale] }).map((r) => r.record.id), [stale]);
+    const text = formatReplay(results);
+    assert.match(text, new RegExp(`^${stale}\\t20\\t01:C:E:g:2\\tresponse\\tNO_RESPONSE\\tRESULT ⚠️\\t5\\t1/2$`, 'm'));
+    assert.equal(formatReplay([]), '沒有可重放的快照。');
+
+    assert.deepEqual(summarizeSnapshots(readSnapshotIndex(dir)), [
+        { reason: 'response', responseType: 'WRONG_CAPTCHA', count: 2, stations: ['21'] },
+        { reason: 'response', responseType: 'NO_RESPONSE', count: 1, stations: ['20'] },
+    ]);
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('promoteSnapshot：HTML 原樣與重放結果寫成 fixture；找不到或沒存 HTML 丟錯', () => {
+    const root = tmpDir();
+    const archive = createFailureArchive(root, { maxSnapshots: 1 });
+    const id = archive.capture({ runId: 'r', station: '20', unit: '01:C:E:g:2', reason: REASON_RESPONSE, responseType: 'WRONG_CAPTCHA', alert: '驗證數字輸入錯誤', httpStatus: 200, html: ALERT_HTML });
+    const truncated = archive.capture({ runId: 'r', station: '20', reason: REASON_EXCEPTION, html: '<p>x</p>' });
+    const dir = archive.runDir('r');
+    const fixtures = path.join(root, 'fixtures');
+
+    const out = promoteSnapshot(dir, id, fixtures, 'wrong-captcha');
+    assert.equal(out.html, path.join(fixtures, 'wrong-captcha.html'));
+    assert.equal(fs.readFileSync(out.html, 'utf8'), ALERT_HTML);
+    const fixture = JSON.parse(fs.readFileSync(out.json, 'utf8'));
+    assert.equal(fixture.source.id, id);
+    assert.equal(fixture.alert, '驗證數字輸入錯誤');
+    assert.equal(fixture.httpStatus, 200);
+    assert.equal(fixture.expected.responseType, 'WRONG_CAPTCHA');
+    assert.deepEqual(fixture.expected.plates, []);
+
+    assert.throws(() => promoteSnapshot(dir, 'nope', fixtures), /沒有快照 nope/);
+    assert.throws(() => promoteSnapshot(dir, truncated, fixtures), /沒有存 HTML（超過每輪上限）/);
+    fs.rmSync(root, { recursive: true, force: true });
+});
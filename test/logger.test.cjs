@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * 共用結構化 logger 測試（lib/logger.cjs）。
+ * 寫檔只在 os.tmpdir() 的暫存目錄，輸出串流以假物件收集。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildEvent, formatConsoleLine, pruneOldLogs, logFileName, createLogger } = require('../lib/logger.cjs');
+
+const NOW = new Date('2026-10-19T03:00:00.000Z');
+
+function sink() {
+    const lines = [];
+    return { lines, write(chunk) { lines.push(String(chunk).replace(/\n$/, '')); } };
+}
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+}
+
+test('buildEvent：固定欄位在前、空值省略、附加欄位接在 msg 之後', () => {
+    const event = buildEvent(
+        { ts: NOW.toISOString(), level: 'error', script: 'plate-sync', msg: 'boom' },
+        { shard: 'NORTH', station: '26', plate_type: null, ai_model: 'gemma', run_id: 'run_1' },
+        { attempt: 3, err: new Error('x'), extra: undefined },
+    );
+    assert.deepEqual(Object.keys(event), ['ts', 'level', 'script', 'run_id', 'shard', 'station', 'attempt', 'ai_model', 'msg', 'err']);
+    assert.deepEqual(event.err, { name: 'Error', message: 'x' });
+});
+
+test('formatConsoleLine：並行 worker 前綴與舊版相同，warn/error 加等級標記', () => {
+    assert.equal(formatConsoleLine({ level: 'info', msg: 'hi', worker: 2, station: '20' }), '[W2 #20] hi');
+    assert.equal(formatConsoleLine({ level: 'info', msg: 'hi', station: '20' }), 'hi');
+    assert.equal(formatConsoleLine({ level: 'error', msg: 'bad' }), '[ERROR] bad');
+    assert.equal(formatConsoleLine({ level: 'warn', msg: 'hmm', worker: 1, station: '21' }), '[WARN] [W1 #21] hmm');
+    assert.equal(formatConsoleLine({ level: 'error', msg: 'bad' }, { levelTags: false }), 'bad');
+});
+
+test('createLogger：console 呼叫變成 NDJSON 事件，帶 base／provider／非同步脈絡欄位', async () => {
+    const dir = tmpDir();
+    const out = sink();
+    const err = sink();
+    const logger = createLogger({ script: 'plate-sync', shard: 'NORTH', dir, stdout: out, stderr: err, clock: () => NOW });
+    const fakeConsole = {};
+    logger.patchConsole(fakeConsole);
+    let model = 'gemma-4-26b';
+    logger.addContextProvider(() => ({ ai_model: model, ai_key: 'NORTH' }));
+    logger.setBase({ run_id: 'run_1' });
+
+    fakeConsole.log('start %d', 5);
+    await Promise.all(['20', '21'].map((station, i) => logger.runWithContext({ station, worker: i + 1 }, async () => {
+        logger.setContext({ plate_type: 'g', attempt: 1 });
+        await new Promise((r) => setImmediate(r));
+        if (station === '21') model = 'gemini-flash';
+        fakeConsole.error(`failed at ${station}`);
+    })));
+    await logger.close();
+
+    const events = fs.readFileSync(path.join(dir, logFileName('plate-sync', 'NORTH', NOW)), 'utf8').trim().split('\n').map(JSON.parse);
+    assert.equal(events.length, 3);
+    assert.deepEqual(events[0], { ts: NOW.toISOString(), level: 'info', script: 'plate-sync', run_id: 'run_1', shard: 'NORTH', ai_model: 'gemma-4-26b', ai_key: 'NORTH', msg: 'start 5' });
+    const byStation = Object.fromEntries(events.slice(1).map((e) => [e.station, e]));
+    assert.equal(byStation['20'].worker, 1);
+    assert.equal(byStation['21'].worker, 2);
+    assert.equal(byStation['21'].plate_type, 'g');
+    assert.equal(byStation['21'].level, 'error');
+    assert.equal(byStation['21'].ai_model, 'gemini-flash');
+
+    assert.deepEqual(out.lines, ['start 5']);
+    assert.deepEqual(err.lines.sort(), ['[ERROR] [W1 #20] failed at 20', '[ERROR] [W2 #21] failed at 21']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('createLogger：dir 為 null 時只輸出終端機；levelTags=false 不加等級標記；script 必填', () => {
+    const out = sink();
+    const logger = createLogger({ script: 'speed-camera', dir: null, stdout: out, stderr: out, clock: () => NOW });
+    logger.info('ok', { source: 'kcg' });
+    logger.warn('careful');
+    assert.deepEqual(out.lines, ['ok', '[WARN] careful']);
+    const plain = sink();
+    const untagged = createLogger({ script: 'bid-announce', dir: null, stdout: plain, stderr: plain, levelTags: false, clock: () => NOW });
+    const fakeConsole = {};
+    untagged.patchConsole(fakeConsole);
+    fakeConsole.error('[AnnounceSync] Setup failed: x');
+    assert.deepEqual(plain.lines, ['[AnnounceSync] Setup failed: x']);
+    assert.throws(() => createLogger({ dir: null }), /script 必填/);
+});
+
+test('pruneOldLogs：刪除超過 7 天的 .ndjson 與舊版 crawler_*.log，其餘檔案不動', () => {
+    const dir = tmpDir();
+    const old = (NOW.getTime() - 8 * 24 * 60 * 60 * 1000) / 1000;
+    const recent = (NOW.getTime() - 2 * 24 * 60 * 60 * 1000) / 1000;
+    for (const [name, mtime] of [
+        ['plate-sync_NORTH_2026-10-11.ndjson', old],
+        ['crawler_NORTH_2026-10-10.log', old],
+        ['notes.txt', old],
+        ['bid-announce_ALL_2026-10-17.ndjson', recent],
+    ]) {
+        const fp = path.join(dir, name);
+        fs.writeFileSync(fp, '');
+        fs.utimesSync(fp, mtime, mtime);
+    }
+    const removed = pruneOldLogs(dir, { now: NOW.getTime() });
+    assert.deepEqual(removed.sort(), ['crawler_NORTH_2026-10-10.log', 'plate-sync_NORTH_2026-10-11.ndjson']);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['bid-announce_ALL_2026-10-17.ndjson', 'notes.txt']);
+    assert.deepEqual(pruneOldLogs(path.join(dir, 'missing')), []);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
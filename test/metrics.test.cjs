@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Prometheus／OpenMetrics 匯出測試（lib/metrics.cjs）。
+ * textfile 只寫 os.tmpdir() 的暫存目錄，不開 port。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRegistry, writeTextfile, serveMetrics, textfilePath, createCrawlerMetrics } = require('../lib/metrics.cjs');
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+}
+
+test('render：counter 以 _total 結尾、constLabels 加在每條序列、結尾 # EOF', () => {
+    const registry = createRegistry({ constLabels: { script: 'plate-sync', shard: 'NORTH' } });
+    const stations = registry.counter('plate_sync_stations_total', '站點數', ['status']);
+    stations.inc({ status: 'SUCCESS' });
+    stations.inc({ status: 'SUCCESS' }, 2);
+    stations.inc({ status: 'FAILED', extra: 'ignored' });
+
+    const lines = registry.render().trimEnd().split('\n');
+    assert.deepEqual(lines, [
+        '# TYPE plate_sync_stations counter',
+        '# HELP plate_sync_stations 站點數',
+        'plate_sync_stations_total{script="plate-sync",shard="NORTH",status="SUCCESS"} 3',
+        'plate_sync_stations_total{script="plate-sync",shard="NORTH",status="FAILED"} 1',
+        '# EOF',
+    ]);
+    assert.equal(stations.get({ status: 'SUCCESS' }), 3);
+    assert.equal(stations.get({ status: 'UNKNOWN' }), 0);
+});
+
+test('render：histogram 輸出累積 bucket、+Inf、_sum、_count', () => {
+    const registry = createRegistry();
+    const h = registry.histogram('station_duration_seconds', '耗時', [10, 60], ['station']);
+    h.observe({ station: '26' }, 5);
+    h.observe({ station: '26' }, 30);
+    h.observe({ station: '26' }, 90);
+
+    const body = registry.render();
+    assert.match(body, /^station_duration_seconds_bucket\{station="26",le="10"\} 1$/m);
+    assert.match(body, /^station_duration_seconds_bucket\{station="26",le="60"\} 2$/m);
+    assert.match(body, /^station_duration_seconds_bucket\{station="26",le="\+Inf"\} 3$/m);
+    assert.match(body, /^station_duration_seconds_sum\{station="26"\} 125$/m);
+    assert.match(body, /^station_duration_seconds_count\{station="26"\} 3$/m);
+});
+
+test('label 值跳脫反斜線、雙引號與換行', () => {
+    const registry = createRegistry();
+    registry.gauge('g', 'x', ['msg']).set({ msg: 'a"b\\c\nd' }, 1);
+    assert.match(registry.render(), /^g\{msg="a\\"b\\\\c\\nd"\} 1$/m);
+});
+
+test('counter 不可遞減、同名 metric 不可重複註冊', () => {
+    const registry = createRegistry();
+    const c = registry.counter('c_total', 'x');
+    assert.throws(() => c.inc({}, -1), /不可遞減/);
+    assert.throws(() => registry.gauge('c_total', 'y'), /重複註冊/);
+});
+
+test('writeTextfile：寫入完整內容且不留暫存檔；目錄不可寫時回 error 不丟', () => {
+    const dir = tmpDir();
+    const registry = createRegistry();
+    registry.gauge('up', 'x').set({}, 1);
+    const file = path.join(dir, 'nested', 'a.prom');
+
+    const ok = writeTextfile(registry, file);
+    assert.equal(ok.error, null);
+    assert.equal(fs.readFileSync(file, 'utf8'), registry.render());
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['a.prom']);
+
+    const blocker = path.join(dir, 'blocker');
+    fs.writeFileSync(blocker, '');
+    const bad = writeTextfile(registry, path.join(blocker, 'b.prom'));
+    assert.equal(bad.file, null);
+    assert.ok(bad.error);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('textfilePath／serveMetrics：預設檔名含 script 與 shard，沒有 port 不開 server', () => {
+    assert.equal(textfilePath('plate-sync', 'NORTH', 'out'), path.join('out', 'plate-sync_NORTH.prom'));
+    assert.equal(textfilePath('bid-announce', undefined, 'out'), path.join('out', 'bid-announce_ALL.prom'));
+    assert.equal(serveMetrics(createRegistry(), undefined), null);
+    assert.equal(serveMetrics(createRegistry(), '0'), null);
+    assert.equal(serveMetrics(createRegistry(), 'abc'), null);
+});
+
+test('createCrawlerMetrics.finish：寫入執行秒數、結束時間與成功旗標', () => {
+    const dir = tmpDir();
+    const logs = [];
+    const origLog = console.log;
+    console.log = (...args) => logs.push(args.join(' '));
+    let result;
+    try {
+        const m = createCrawlerMetrics({ script: 'bid-announce', port: '', textfileDir: dir, startedAt: 1_000_000 });
+        m.records.inc({ stage: 'upserted' }, 12);
+        m.errors.inc({ kind: 'upsert' });
+        result = m.finish(false, 1_000_000 + 65_432);
+    } finally {
+        console.log = origLog;
+    }
+
+    assert.equal(result.file, path.join(dir, 'bid-announce_ALL.prom'));
+    const body = fs.readFileSync(result.file, 'utf8');
+    assert.match(body, /^crawler_run_duration_seconds\{script="bid-announce",shard="ALL"\} 65.43$/m);
+    assert.match(body, /^crawler_last_run_timestamp_seconds\{script="bid-announce",shard="ALL"\} 1065$/m);
+    assert.match(body, /^crawler_run_success\{script="bid-announce",shard="ALL"\} 0$/m);
+    assert.match(body, /^crawler_records_total\{script="bid-announce",shard="ALL",stage="upserted"\} 12$/m);
+    assert.match(body, /^crawler_errors_total\{script="bid-announce",shard="ALL",kind="upsert"\} 1$/m);
+    assert.ok(logs.some((l) => l.includes(result.file)));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
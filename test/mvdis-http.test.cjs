@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * MVDIS 純 HTTP 傳輸測試（lib/mvdis-http.cjs）。session 流程對本機替身 test/support/mvdis-stand-in.cjs 實打
+ * （真 fetch、真 cookie，不需要 Chromium）；結構異常與連線錯誤用假 fetch。
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TRANSPORT_BROWSER,
+    TRANSPORT_HTTP,
+    MvdisHttpError,
+    MvdisHttpSession,
+    resolveTransport,
+    queryFormFields,
+    parseMvdisHtml,
+} = require('../lib/mvdis-http.cjs');
+const { MVDIS_RESULT, MVDIS_WRONG_CAPTCHA, MVDIS_CAPTCHA_MISSING, MVDIS_SYSTEM_BUSY, MVDIS_NO_RESPONSE } = require('../lib/mvdis-outcome.cjs');
+const { createMvdisStandIn, inventoryKey, QUERY_PATH } = require('./support/mvdis-stand-in.cjs');
+
+const PLATES = Array.from({ length: 7 }, (_, i) => ({ no: `EBP-${1571 + i}`, price: 2000 + i * 1000 }));
+
+const UNIT = { deptId: '2', stationId: '20', windowId: '01', location: '臺北市區監理所', carType: 'C', energyType: 'E', plateVersion: '2' };
+
+let standIn;
+let queryUrl;
+
+before(async () => {
+    standIn = createMvdisStandIn({ pageSize: 5, plates: { [inventoryKey('20', '01', 'g')]: PLATES } });
+    queryUrl = (await standIn.listen()) + QUERY_PATH;
+});
+
+after(async () => {
+    await standIn.close();
+});
+
+test('resolveTransport：未設定為 browser；可全體指定或逐 shard 指定（* 為其餘），打錯字丟錯', () => {
+    assert.equal(resolveTransport(undefined, 'SOUTH'), TRANSPORT_BROWSER);
+    assert.equal(resolveTransport(' HTTP ', null), TRANSPORT_HTTP);
+    const perShard = 'south=http, SHARD4=http';
+    assert.equal(resolveTransport(perShard, 'SOUTH'), TRANSPORT_HTTP);
+    assert.equal(resolveTransport(perShard, 'shard4'), TRANSPORT_HTTP);
+    assert.equal(resolveTransport(perShard, 'NORTH'), TRANSPORT_BROWSER);
+    assert.equal(resolveTransport(perShard, null), TRANSPORT_BROWSER);
+    assert.equal(resolveTransport('NORTH=browser,*=http', 'CENTRAL'), TRANSPORT_HTTP);
+    assert.equal(resolveTransport('NORTH=browser,*=http', 'NORTH'), TRANSPORT_BROWSER);
+    assert.throws(() => resolveTransport('curl', null), /PLATE_SYNC_TRANSPORT 的傳輸必須是 browser \/ http，收到 "curl"/);
+    assert.throws(() => resolveTransport('SOUTH=htp', 'SOUTH'), /收到 "htp"/);
+    assert.throws(() => resolveTransport('SOUTH:http,NORTH=http', 'NORTH'), /項目必須是 SHARD=傳輸，收到 "SOUTH:http"/);
+});
+
+test('parseMvdisHtml：只認整段只有 alert 的 script；script 文字不混進本文', () => {
+    const { doc, alert } = parseMvdisHtml(`<html><body>
+<script>function check() { if (!v) alert('請輸入驗證數字'); }</script>
+<p>表單</p>
+<script>alert("\\u9a57\\u8b49\\u6578\\u5b57\\u8f38\\u5165\\u932f\\u8aa4");</script>
+</body></html>`, 'http://mvdis.local/');
+    assert.equal(alert, '驗證數字輸入錯誤');
+    assert.equal(doc.body.textContent.trim(), '表單');
+    assert.equal(parseMvdisHtml("<script>window.alert('本站暫停選號')</script>", 'http://mvdis.local/').alert, '本站暫停選號');
+    assert.equal(parseMvdisHtml('<p>沒有 alert</p>', 'http://mvdis.local/').alert, null);
+});
+
+test('MvdisHttpSession：表單 → 驗證碼 → 答錯回 alert → 重來答對 → 兩頁 7 筆，全程同一個 session', async () => {
+    const session = new MvdisHttpSession({ queryUrl, headers: { 'Accept-Language': 'zh-TW' } });
+    const form = await session.openQueryForm();
+    assert.equal(form.action, queryUrl);
+    assert.deepEqual(form.fields, { method: '', location: '' });
+    assert.ok(session.cookies.has('JSESSIONID'));
+
+    const captcha = await session.fetchCaptcha();
+    assert.equal(captcha.mimeType, 'image/svg+xml');
+    assert.match(Buffer.from(captcha.data, 'base64').toString('utf8'), new RegExp(standIn.lastCaptcha));
+    const wrong = await session.submitQuery(queryFormFields({ ...UNIT, plateType: 'g', code: '2222' }));
+    assert.deepEqual(wrong, { responseType: MVDIS_WRONG_CAPTCHA, alertMsg: '驗證數字輸入錯誤', httpStatus: 200 });
+    assert.deepEqual(await session.collectPlates(), []);
+
+    await session.openQueryForm();
+    await session.fetchCaptcha();
+    const ok = await session.submitQuery(queryFormFields({ ...UNIT, plateType: 'g', code: standIn.lastCaptcha }));
+    assert.equal(ok.responseType, MVDIS_RESULT);
+    const plates = await session.collectPlates();
+    assert.deepEqual(plates.map((p) => [p.no, Number(p.price)]), PLATES.map((p) => [p.no, p.price]));
+    assert.equal(standIn.counters.rejected, 1);
+
+    await session.openQueryForm();
+    const missing = await session.submitQuery(queryFormFields({ ...UNIT, plateType: 'h', code: '' }));
+    assert.equal(missing.responseType, MVDIS_CAPTCHA_MISSING);
+    await session.fetchCaptcha();
+    assert.equal((await session.submitQuery(queryFormFields({ ...UNIT, plateType: 'h', code: standIn.lastCaptcha }))).responseType, MVDIS_RESULT);
+    assert.deepEqual(await session.collectPlates(), [], '查無資料頁沒有車牌');
+});
+
+test('MvdisHttpSession：結構異常丟 MvdisHttpError；送出時連線錯誤為 NO_RESPONSE、5xx 為 SYSTEM_BUSY', async () => {
+    const reply = (status, contentType, body) => ({
+        status,
+        headers: new Headers({ 'content-type': contentType }),
+        arrayBuffer: async () => new TextEncoder().encode(body).buffer,
+    });
+    const FORM = '<form action="/q" method="post"><input type="hidden" name="token" value="t1"><input id="validateStr"></form><img id="pickimg" src="/img">';
+    const replies = [];
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push({ url, body: init.body });
+        const next = replies.shift();
+        if (next instanceof Error) throw next;
+        return next;
+    };
+    const session = new MvdisHttpSession({ queryUrl: 'http://mvdis.local/form', fetchImpl });
+
+    replies.push(reply(200, 'text/html', '<p>請稍候</p>'));
+    await assert.rejects(session.openQueryForm(), MvdisHttpError);
+    replies.push(reply(403, 'text/html', FORM));
+    await assert.rejects(session.openQueryForm(), /表單頁 HTTP 403/);
+
+    replies.push(reply(200, 'text/html', FORM));
+    assert.deepEqual(await session.openQueryForm(), { action: 'http://mvdis.local/q', fields: { token: 't1' }, captchaUrl: 'http://mvdis.local/img', url: 'http://mvdis.local/form' });
+    replies.push(reply(200, 'text/html; charset=utf-8', '<p>blocked</p>'));
+    await assert.rejects(session.fetchCaptcha(), /驗證碼回應不是圖片（HTTP 200，text\/html）/);
+
+    replies.push(new TypeError('fetch failed'));
+    assert.deepEqual(await session.submitQuery({ validateStr: 'AB12' }), { responseType: MVDIS_NO_RESPONSE, alertMsg: null, httpStatus: null, error: 'fetch failed' });
+    assert.equal(new URLSearchParams(requests[requests.length - 1].body).get('token'), 't1', '表單隱藏欄位一併送出');
+    replies.push(reply(503, 'text/html', '<h1>Service Unavailable</h1>'));
+    assert.equal((await session.submitQuery({ validateStr: 'AB12' })).responseType, MVDIS_SYSTEM_BUSY);
+});
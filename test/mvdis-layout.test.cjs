@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * MVDIS 表單改版偵測測試（lib/mvdis-layout.cjs）。指紋對本機替身 test/support/mvdis-stand-in.cjs 的表單頁取
+ * （jsdom）；比對規則以替身錄的簽章、沒有簽章，與手寫的簽章／指紋驗證。
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    FORM_SELECTORS,
+    OPTION_SELECTORS,
+    fingerprintMvdisForm,
+    loadLayoutSignature,
+    buildLayoutSignature,
+    requiredLayoutOptions,
+    compareLayout,
+    formatLayoutDrift,
+} = require('../lib/mvdis-layout.cjs');
+const { MvdisHttpSession, parseMvdisHtml } = require('../lib/mvdis-http.cjs');
+const { createMvdisStandIn, QUERY_PATH } = require('./support/mvdis-stand-in.cjs');
+
+const SPEC = { selectors: FORM_SELECTORS, optionSelectors: OPTION_SELECTORS };
+
+let standIn;
+let formDoc;
+
+before(async () => {
+    standIn = createMvdisStandIn({});
+    const session = new MvdisHttpSession({ queryUrl: (await standIn.listen()) + QUERY_PATH });
+    await session.openQueryForm();
+    formDoc = parseMvdisHtml(session.lastPage.html, session.lastPage.url).doc;
+});
+
+after(async () => {
+    await standIn.close();
+});
+
+const COMBOS = [{ carType: 'C', energyType: 'E', plateVersion: '2' }, { carType: 'C', energyType: 'G', plateVersion: '2' }];
+
+test('fingerprintMvdisForm：替身表單頁的 selector 全在；靜態下拉與 radio 取選項、略過請選擇，DWR 下拉為空', () => {
+    const fp = fingerprintMvdisForm(SPEC, formDoc);
+    assert.deepEqual(fp.selectors, [...FORM_SELECTORS]);
+    assert.deepEqual(fp.options['#selDeptCode'].map((o) => o.value), ['2', '7']);
+    assert.deepEqual(fp.options['#selCarType'], [{ value: 'C', label: '汽車' }, { value: 'M', label: '機車' }]);
+    assert.deepEqual(fp.options['input[name="plateVer"]'], [{ value: '1', label: '舊式' }, { value: '2', label: '新式' }]);
+    assert.deepEqual(fp.options['#selStationCode'], []);
+    assert.deepEqual(fp.options['#selPlateType'], []);
+    assert.deepEqual(fingerprintMvdisForm(SPEC, parseMvdisHtml('<p>維護中</p>', 'http://mvdis.local/').doc), { selectors: [], options: {} });
+});
+
+test('compareLayout：替身錄的簽章對同一頁，本輪要用的監理所／組合都在 → 無差異；要用頁面沒有的監理所 → breaking', () => {
+    const fingerprint = fingerprintMvdisForm(SPEC, formDoc);
+    const signature = buildLayoutSignature(fingerprint, { source: 'stand-in' });
+    assert.deepEqual(compareLayout(signature, fingerprint, { required: requiredLayoutOptions(['2', '7'], COMBOS) }), { breaking: false, missingSelectors: [], options: [] });
+    const drift = compareLayout(signature, fingerprint, { required: requiredLayoutOptions(['2', '9'], COMBOS) });
+    assert.equal(drift.breaking, true);
+    assert.deepEqual(drift.options.map((o) => [o.selector, o.requiredMissing]), [['#selDeptCode', ['9']]]);
+});
+
+test('compareLayout：沒有簽章時照樣檢查 FORM_SELECTORS 與本輪要用的值，不比選項集合與文字', () => {
+    const fingerprint = fingerprintMvdisForm(SPEC, formDoc);
+    const required = requiredLayoutOptions(['2', '7'], COMBOS);
+    assert.deepEqual(compareLayout(null, fingerprint, { required }), { breaking: false, missingSelectors: [], options: [] });
+
+    const noMethod = compareLayout(null, { ...fingerprint, selectors: fingerprint.selectors.filter((sel) => sel !== '#method') }, { required });
+    assert.equal(noMethod.breaking, true);
+    assert.deepEqual(noMethod.missingSelectors, ['#method']);
+
+    const emptied = compareLayout(null, { ...fingerprint, options: { ...fingerprint.options, '#selDeptCode': [] } }, { required });
+    assert.equal(emptied.breaking, true);
+    assert.equal(formatLayoutDrift(emptied), '#selDeptCode 缺本輪要用的 2/7');
+
+    const relabeled = { ...fingerprint, options: { ...fingerprint.options, '#selCarType': [{ value: 'C', label: '小客車' }, { value: 'X', label: '新車種' }] } };
+    assert.deepEqual(compareLayout(null, relabeled, { required }), { breaking: false, missingSelectors: [], options: [] }, '沒有簽章不列改名與多出的選項');
+});
+
+test('compareLayout：selector 不見、整組選項消失、缺本輪要用的值為 breaking；其餘差異只列出', () => {
+    const signature = {
+        options: {
+            '#selDeptCode': [{ value: '2', label: '臺北市' }, { value: '7', label: '嘉義區' }],
+            '#selEnergyType': [{ value: 'E', label: '電動' }, { value: 'G', label: '非電動' }],
+        },
+    };
+    const fingerprint = {
+        selectors: FORM_SELECTORS.filter((sel) => sel !== '#pickimg'),
+        options: {
+            '#selDeptCode': [{ value: '2', label: '臺北市區' }, { value: '9', label: '新竹區' }],
+            '#selEnergyType': [{ value: 'E', label: '電動' }],
+            '#selStationCode': [],
+        },
+    };
+
+    const notRequired = compareLayout(signature, fingerprint, { required: { '#selDeptCode': ['2'] } });
+    assert.deepEqual(notRequired.missingSelectors, ['#pickimg']);
+    assert.deepEqual(notRequired.options, [
+        { selector: '#selDeptCode', missing: false, removed: ['7'], added: ['9'], relabeled: [{ value: '2', from: '臺北市', to: '臺北市區' }], requiredMissing: [] },
+        { selector: '#selEnergyType', missing: false, removed: ['G'], added: [], relabeled: [], requiredMissing: [] },
+    ], '#selStationCode 簽章沒記（DWR）不比');
+    assert.equal(notRequired.breaking, true, '#pickimg 不見');
+
+    const withPickimg = { ...fingerprint, selectors: [...FORM_SELECTORS] };
+    assert.equal(compareLayout(signature, withPickimg, { required: { '#selDeptCode': ['2'], '#selEnergyType': ['E'] } }).breaking, false, '用不到的選項不見、多了、改名都不擋');
+    const needsG = compareLayout(signature, withPickimg, { required: { '#selEnergyType': ['E', 'G'] } });
+    assert.equal(needsG.breaking, true);
+    assert.deepEqual(needsG.options.find((o) => o.selector === '#selEnergyType').requiredMissing, ['G']);
+
+    const emptied = compareLayout(signature, { ...withPickimg, options: { ...withPickimg.options, '#selDeptCode': [] } });
+    assert.equal(emptied.breaking, true);
+    assert.equal(emptied.options[0].missing, true);
+    assert.equal(formatLayoutDrift(emptied), '#selDeptCode 選項整組消失；#selEnergyType 少了 G');
+
+    assert.equal(
+        formatLayoutDrift(compareLayout(signature, fingerprint, { required: { '#selEnergyType': ['G'] } })),
+        '找不到 #pickimg；#selDeptCode 少了 7、多了 9、改名 2:臺北市→臺北市區；#selEnergyType 缺本輪要用的 G',
+    );
+    assert.equal(formatLayoutDrift({ breaking: false, missingSelectors: [], options: [] }), '');
+});
+
+test('requiredLayoutOptions／buildLayoutSignature／loadLayoutSignature：去重排序；錄下的簽章讀回比對無差異；壞檔丟錯、沒檔回 null', () => {
+    assert.deepEqual(requiredLayoutOptions(['7', '2', '2'], [...COMBOS, { carType: 'M', energyType: 'E', plateVersion: '1' }]), {
+        '#selDeptCode': ['2', '7'],
+        '#selCarType': ['C', 'M'],
+        '#selEnergyType': ['E', 'G'],
+        'input[name="plateVer"]': ['1', '2'],
+    });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mvdis-layout-test-'));
+    const fingerprint = fingerprintMvdisForm(SPEC, formDoc);
+    const file = path.join(dir, 'signature.json');
+    fs.writeFileSync(file, JSON.stringify(buildLayoutSignature(fingerprint, { source: 'stand-in', clock: () => new Date('2026-10-19T00:00:00Z') })));
+    const signature = loadLayoutSignature(file);
+    assert.equal(signature.recorded_at, '2026-10-19T00:00:00.000Z');
+    assert.deepEqual(compareLayout(signature, fingerprint), { breaking: false, missingSelectors: [], options: [] });
+
+    assert.equal(loadLayoutSignature(path.join(dir, 'missing.json')), null);
+    assert.equal('selectors' in signature, false, '簽章只記選項');
+    fs.writeFileSync(file, JSON.stringify({ selectors: ['#pickimg'], options: { '#selCarType': ['C'] } }));
+    assert.throws(() => loadLayoutSignature(file), /不是 MVDIS 表單簽章/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * MVDIS 回應分類與重試政策測試（lib/mvdis-outcome.cjs）。alert 文字以監理服務網的措辭手寫。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MVDIS_RESULT,
+    MVDIS_NO_DATA,
+    MVDIS_WRONG_CAPTCHA,
+    MVDIS_CAPTCHA_MISSING,
+    MVDIS_SESSION_EXPIRED,
+    MVDIS_SYSTEM_BUSY,
+    MVDIS_QUERY_THROTTLED,
+    MVDIS_STATION_CLOSED,
+    MVDIS_MAINTENANCE,
+    MVDIS_UNKNOWN_ALERT,
+    MVDIS_NO_RESPONSE,
+    ACTION_RETRY,
+    ACTION_ABORT_STATION,
+    ACTION_ABORT_RUN,
+    classifyMvdisAlert,
+    classifyMvdisResponse,
+    isMvdisSuccess,
+    decideMvdisAction,
+} = require('../lib/mvdis-outcome.cjs');
+
+test('classifyMvdisAlert：alert 文字分型；附「請稍後再試」的施工／限流／停辦不誤判成系統忙碌', () => {
+    const cases = [
+        ['驗證數字輸入錯誤', MVDIS_WRONG_CAPTCHA],
+        ['請輸入驗證數字', MVDIS_CAPTCHA_MISSING],
+        ['連線逾時，請重新查詢', MVDIS_SESSION_EXPIRED],
+        ['系統忙碌中，請稍後再試', MVDIS_SYSTEM_BUSY],
+        ['查詢過於頻繁，請稍後再試', MVDIS_QUERY_THROTTLED],
+        ['本站暫停選號服務，請稍後再試', MVDIS_STATION_CLOSED],
+        ['系統維護作業中，暫停服務', MVDIS_MAINTENANCE],
+        ['請選擇監理站', MVDIS_UNKNOWN_ALERT],
+    ];
+    for (const [text, type] of cases) assert.equal(classifyMvdisAlert(text), type, text);
+});
+
+test('classifyMvdisResponse：alert 優先；頁面只認實測字樣，沒有可判定狀態回 null（繼續等）', () => {
+    assert.equal(classifyMvdisResponse({ alert: '驗證數字輸入錯誤', isResult: true }), MVDIS_WRONG_CAPTCHA);
+    assert.equal(classifyMvdisResponse({ isResult: true, body: '' }), MVDIS_RESULT);
+    assert.equal(classifyMvdisResponse({ body: '截至目前為止，查無資料' }), MVDIS_NO_DATA);
+    assert.equal(classifyMvdisResponse({ body: '驗證數字輸入錯誤' }), MVDIS_WRONG_CAPTCHA);
+    assert.equal(classifyMvdisResponse({ body: '請輸入驗證數字' }), MVDIS_CAPTCHA_MISSING);
+    assert.equal(classifyMvdisResponse({ body: '今日施工中 115年10月19日 22時起' }), MVDIS_MAINTENANCE);
+    // 表單頁本文的說明文字不該被當成錯誤。
+    assert.equal(classifyMvdisResponse({ body: '選號說明：系統忙碌時請稍後再試；本站暫停選號時另行公告' }), null);
+    assert.equal(classifyMvdisResponse({}), null);
+    // 表單 POST 的 HTTP 狀態先於頁面本文（錯誤頁不會有結果字樣）。
+    assert.equal(classifyMvdisResponse({ httpStatus: 503, body: '' }), MVDIS_SYSTEM_BUSY);
+    assert.equal(classifyMvdisResponse({ httpStatus: 429, body: '' }), MVDIS_QUERY_THROTTLED);
+    assert.equal(classifyMvdisResponse({ httpStatus: 200, isResult: true }), MVDIS_RESULT);
+    assert.ok(isMvdisSuccess(MVDIS_RESULT) && isMvdisSuccess(MVDIS_NO_DATA));
+    assert.ok(!isMvdisSuccess(MVDIS_WRONG_CAPTCHA));
+});
+
+test('decideMvdisAction：驗證碼錯立即重試；忙碌／限流退避；超過單位內次數上限改放棄本站', () => {
+    const mid = () => 0.5;
+    assert.deepEqual(decideMvdisAction(MVDIS_WRONG_CAPTCHA, 9, mid), { action: ACTION_RETRY, backoffMs: 0 });
+    assert.deepEqual(decideMvdisAction(MVDIS_NO_RESPONSE, 9, mid), { action: ACTION_RETRY, backoffMs: 0 });
+    assert.deepEqual(decideMvdisAction(MVDIS_SYSTEM_BUSY, 1, mid), { action: ACTION_RETRY, backoffMs: 22500 });
+    assert.deepEqual(decideMvdisAction(MVDIS_SYSTEM_BUSY, 5, mid), { action: ACTION_ABORT_STATION, backoffMs: 0 });
+    assert.deepEqual(decideMvdisAction(MVDIS_QUERY_THROTTLED, 2, () => 0), { action: ACTION_RETRY, backoffMs: 60000 });
+    assert.equal(decideMvdisAction(MVDIS_QUERY_THROTTLED, 3, mid).action, ACTION_ABORT_STATION);
+    assert.equal(decideMvdisAction(MVDIS_CAPTCHA_MISSING, 3, mid).action, ACTION_ABORT_STATION);
+    assert.equal(decideMvdisAction(MVDIS_SESSION_EXPIRED, 1, () => 0).backoffMs, 2000);
+});
+
+test('decideMvdisAction：停辦放棄本站、施工放棄整輪，第一次就生效；未知型別照 UNKNOWN_ALERT 重試', () => {
+    assert.deepEqual(decideMvdisAction(MVDIS_STATION_CLOSED, 1), { action: ACTION_ABORT_STATION, backoffMs: 0 });
+    assert.deepEqual(decideMvdisAction(MVDIS_MAINTENANCE, 1), { action: ACTION_ABORT_RUN, backoffMs: 0 });
+    assert.deepEqual(decideMvdisAction('SOMETHING_NEW', 4), { action: ACTION_RETRY, backoffMs: 0 });
+});
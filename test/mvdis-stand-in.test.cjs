@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * MVDIS 離線替身伺服器（test/support/mvdis-stand-in.cjs）的 HTTP 層測試。
+ *
+ * 只用 fetch + jsdom，不需要 Chromium：驗證替身吐出的頁面真的符合爬蟲依賴的
+ * selector 與文字（表單欄位、驗證碼錯誤、分頁、查無資料、帶選項返回），並用線上
+ * 同一份 lib/plate-parser.cjs 解析結果頁——替身跟真站的結構一旦走鐘，這裡先紅。
+ * 真正跑 processStation 的瀏覽器端到端見 test/plate-sync-e2e.test.cjs。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { createMvdisStandIn, inventoryKey, QUERY_PATH, OPTIONS_PATH, CAPTCHA_PATH } = require('./support/mvdis-stand-in.cjs');
+const { extractPlates, parsePageInfoFromDoc } = require('../lib/plate-parser.cjs');
+
+const PLATES = {
+  [inventoryKey('20', '01', 'g')]: [
+    { no: 'EBP-1571', price: 2000 },
+    { no: 'EBP-1575', price: 2000 },
+    { no: 'EBP-2888', price: 10000 },
+  ],
+};
+
+// 最小 cookie jar：替身以 JSESSIONID 綁定驗證碼與查詢狀態。
+function createClient(baseUrl) {
+  let cookie = '';
+  async function request(path, init = {}) {
+    const res = await fetch(baseUrl + path, { ...init, headers: { ...(init.headers || {}), cookie } });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return res;
+  }
+  async function post(fields) {
+    const res = await request(QUERY_PATH, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(fields).toString(),
+    });
+    return new JSDOM(await res.text()).window.document;
+  }
+  return { request, post };
+}
+
+const QUERY_FIELDS = {
+  method: 'qryPickNo',
+  selDeptCode: '2',
+  selStationCode: '20',
+  selWindowNo: '01',
+  selCarType: 'C',
+  selEnergyType: 'E',
+  selPlateType: 'g',
+  plateVer: '2',
+};
+
+async function withStandIn(opts, fn) {
+  const standIn = createMvdisStandIn(opts);
+  const baseUrl = await standIn.listen();
+  try {
+    await fn(standIn, createClient(baseUrl));
+  } finally {
+    await standIn.close();
+  }
+}
+
+test('表單頁：爬蟲依賴的 selector 全數存在，且不含會被誤判為錯誤的提示字樣', async () => {
+  await withStandIn({}, async (standIn, client) => {
+    const res = await client.request(QUERY_PATH);
+    const doc = new JSDOM(await res.text()).window.document;
+    for (const sel of ['#selDeptCode', '#selStationCode', '#selWindowNo', '#selCarType', '#selEnergyType',
+      '#selPlateType', '#pickimg', '#pickimg + a', '#validateStr', '#location', '#method', 'a[onclick*="doSubmit"]']) {
+      assert.ok(doc.querySelector(sel), `缺 ${sel}`);
+    }
+    assert.equal(doc.getElementsByName('plateVer').length, 2);
+    assert.ok(!doc.body.textContent.includes('請輸入驗證數字'), '表單頁出現錯誤字樣會讓結果輪詢誤判為驗證碼錯誤');
+  });
+});
+
+test('下拉連動：依上層選項回傳下層清單（站 → 窗口 → 車牌類別）', async () => {
+  await withStandIn({}, async (standIn, client) => {
+    const get = async (q) => (await client.request(`${OPTIONS_PATH}?${new URLSearchParams(q)}`)).json();
+    assert.deepEqual((await get({ type: 'station', dept: '2' })).map((o) => o.value), ['20', '21']);
+    assert.deepEqual((await get({ type: 'window', station: '20' })).map((o) => o.value), ['01']);
+    assert.deepEqual((await get({ type: 'plateType', station: '73', window: '01' })).map((o) => o.value), ['g']);
+    assert.deepEqual(await get({ type: 'station', dept: '99' }), []);
+  });
+});
+
+test('驗證碼錯誤：回表單頁並跳 alert「驗證數字輸入錯誤」，且帶回原選項', async () => {
+  await withStandIn({ plates: PLATES, nextCaptcha: () => 'AB23' }, async (standIn, client) => {
+    await client.request(QUERY_PATH);
+    await client.request(CAPTCHA_PATH);
+    const doc = await client.post({ ...QUERY_FIELDS, validateStr: 'ZZ99' });
+    assert.match(doc.documentElement.outerHTML, /alert\("驗證數字輸入錯誤"\)/);
+    assert.equal(doc.querySelector('#selStationCode').value, '20');
+    assert.equal(doc.querySelector('#selPlateType').value, 'g');
+    assert.equal(standIn.counters.rejected, 1);
+  });
+});
+
+test('驗證碼一次性：答對過一次的題目不能重送（逼呼叫端重新取圖）', async () => {
+  await withStandIn({ plates: PLATES, nextCaptcha: () => 'AB23' }, async (standIn, client) => {
+    await client.request(CAPTCHA_PATH);
+    await client.post({ ...QUERY_FIELDS, validateStr: 'ab23' });
+    const doc = await client.post({ ...QUERY_FIELDS, validateStr: 'AB23' });
+    assert.match(doc.documentElement.outerHTML, /驗證數字輸入錯誤/);
+  });
+});
+
+test('結果頁：plate-parser 解析得出車牌與分頁，翻頁不需再輸入驗證碼', async () => {
+  await withStandIn({ plates: PLATES, pageSize: 2, nextCaptcha: () => 'AB23' }, async (standIn, client) => {
+    await client.request(CAPTCHA_PATH);
+    const page1 = await client.post({ ...QUERY_FIELDS, validateStr: 'ab23' });
+    assert.ok(page1.querySelector('h1').textContent.includes('--'));
+    assert.deepEqual(extractPlates(page1), [
+      { no: 'EBP-1571', price: '2000' },
+      { no: 'EBP-1575', price: '2000' },
+    ]);
+    const info1 = parsePageInfoFromDoc(page1);
+    assert.deepEqual([info1.count, info1.current, info1.total, info1.hasNextButton], [3, 1, 2, true]);
+    assert.ok(page1.querySelector('a[onclick*="doReturnWithData"]'));
+
+    const page2 = await client.post({ method: 'qryPickNo', pageNo: '2' });
+    assert.deepEqual(extractPlates(page2), [{ no: 'EBP-2888', price: '10000' }]);
+    const info2 = parsePageInfoFromDoc(page2);
+    assert.deepEqual([info2.current, info2.total, info2.hasNextButton], [2, 2, false]);
+  });
+});
+
+test('查無資料：庫存缺該 (站, 窗口, 類別) 時回「查無資料」頁', async () => {
+  await withStandIn({ plates: PLATES, nextCaptcha: () => 'AB23' }, async (standIn, client) => {
+    await client.request(CAPTCHA_PATH);
+    const doc = await client.post({ ...QUERY_FIELDS, selPlateType: 'h', validateStr: 'AB23' });
+    assert.equal(parsePageInfoFromDoc(doc).noData, true);
+    assert.deepEqual(extractPlates(doc), []);
+  });
+});
+
+test('查詢維度：非電動／機車庫存以車種、能源別、版式分開計；類別選單依車種/能源別而變', async () => {
+  const depts = [{ id: '2', name: '臺北市', stations: [
+    { id: '20', name: '臺北市區監理所', windows: [{ id: '01', name: '臺北市區監理所', plateTypes: { 'C:E': ['g', 'h'], 'M:G': ['g'] } }] },
+  ]}];
+  const plates = {
+    ...PLATES,
+    [inventoryKey('20', '01', 'g', { carType: 'M', energyType: 'G', plateVer: '2' })]: [{ no: 'MAA-0023', price: 1500 }],
+  };
+  await withStandIn({ depts, plates, nextCaptcha: () => 'AB23' }, async (standIn, client) => {
+    const get = async (q) => (await client.request(`${OPTIONS_PATH}?${new URLSearchParams(q)}`)).json();
+    assert.deepEqual((await get({ type: 'plateType', station: '20', window: '01', carType: 'M', energyType: 'G' })).map((o) => o.value), ['g']);
+    assert.deepEqual(await get({ type: 'plateType', station: '20', window: '01', carType: 'M', energyType: 'E' }), []);
+
+    await client.request(CAPTCHA_PATH);
+    const moto = await client.post({ ...QUERY_FIELDS, selCarType: 'M', selEnergyType: 'G', validateStr: 'AB23' });
+    assert.deepEqual(extractPlates(moto), [{ no: 'MAA-0023', price: '1500' }]);
+
+    await client.request(CAPTCHA_PATH);
+    const oldVer = await client.post({ ...QUERY_FIELDS, plateVer: '1', validateStr: 'AB23' });
+    assert.equal(parsePageInfoFromDoc(oldVer).noData, true, '舊式版庫存與新式分開');
+  });
+});
+
+test('Quick Re-query：doReturnWithData 回到已帶選項的表單頁，下層選單已預先載入', async () => {
+  await withStandIn({ plates: PLATES, nextCaptcha: () => 'AB23' }, async (standIn, client) => {
+    await client.request(CAPTCHA_PATH);
+    await client.post({ ...QUERY_FIELDS, validateStr: 'AB23' });
+    const doc = await client.post({ method: 'doReturnWithData' });
+    assert.equal(doc.querySelector('#selDeptCode').value, '2');
+    assert.equal(doc.querySelector('#selWindowNo').value, '01');
+    const plateTypes = Array.from(doc.querySelectorAll('#selPlateType option')).map((o) => o.value);
+    assert.deepEqual(plateTypes, ['0', 'g', 'h']);
+    assert.equal(standIn.counters.returns, 1);
+  });
+});
+
+test('首頁：setMaintenance 後顯示「今日施工中」公告', async () => {
+  await withStandIn({}, async (standIn, client) => {
+    assert.ok(!(await (await client.request('/')).text()).includes('今日施工中'));
+    standIn.setMaintenance('115年10月19日 0時至6時 系統維護作業');
+    const html = await (await client.request('/')).text();
+    assert.ok(html.includes('今日施工中'));
+    assert.ok(html.includes('維護作業'));
+  });
+});
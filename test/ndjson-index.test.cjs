@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * NDJSON 索引讀取測試（lib/ndjson-index.cjs）。
+ * 只寫 os.tmpdir() 的暫存目錄。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readNdjsonIndex } = require('../lib/ndjson-index.cjs');
+
+test('readNdjsonIndex：依序讀出；空行與寫到一半的行略過；檔案不存在回空陣列', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-index-test-'));
+    const file = path.join(dir, 'index.ndjson');
+    fs.writeFileSync(file, '{"id":"a"}\n\n{"id":"b","n":[1,2]}\n{"id":"c","trunc');
+    assert.deepEqual(readNdjsonIndex(file), [{ id: 'a' }, { id: 'b', n: [1, 2] }]);
+    assert.deepEqual(readNdjsonIndex(path.join(dir, 'missing.ndjson')), []);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
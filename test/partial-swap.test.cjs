@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * 部分 swap 測試（lib/partial-swap.cjs）。
+ * 全 mock，不連 Supabase——假 client 記錄 staging 的 delete／insert 與正式表的分頁讀取。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    SWAP_MODE_STRICT,
+    SWAP_MODE_PARTIAL,
+    SHARD_STATUS_PARTIAL,
+    resolveSwapMode,
+    failedStationIds,
+    collectCarryOverStations,
+    carryOverStations,
+    excludeCarriedStations,
+} = require('../lib/partial-swap.cjs');
+
+const live = (id, station_id, station_name, plate_no) => ({
+    id, station_id, station_name, plate_type: 'g', plate_no, price: 2000, last_verified_at: '2026-10-18T03:00:00.000Z',
+});
+
+// 假 client：available_plates 依 station_id 過濾、依 order 排序後依 range 切頁；可指定哪個動作失敗。
+function makeFakeSupabase(rows, { fail = null } = {}) {
+    const calls = { deletes: [], orders: [], ranges: [], inserts: [] };
+    return {
+        calls,
+        from(table) {
+            return {
+                delete() {
+                    return {
+                        in(column, values) {
+                            calls.deletes.push({ table, column, values });
+                            return Promise.resolve({ error: fail === 'delete' ? { message: 'boom' } : null });
+                        },
+                    };
+                },
+                select() {
+                    let ids = [];
+                    const orders = [];
+                    const chain = {
+                        in(column, values) { ids = values; return chain; },
+                        order(column, { ascending }) { orders.push([column, ascending]); return chain; },
+                        range(from, to) {
+                            calls.ranges.push({ table, from, to });
+                            calls.orders.push(orders.slice());
+                            if (fail === 'select') return Promise.resolve({ data: null, error: { message: 'boom' } });
+                            const cmp = (a, b) => {
+                                for (const [col, asc] of orders) {
+                                    if (a[col] !== b[col]) return (a[col] < b[col] ? -1 : 1) * (asc ? 1 : -1);
+                                }
+                                return 0;
+                            };
+                            const matched = rows.filter((r) => ids.includes(r.station_id)).sort(cmp);
+                            return Promise.resolve({ data: matched.slice(from, to + 1), error: null });
+                        },
+                    };
+                    return chain;
+                },
+                insert(chunk) {
+                    calls.inserts.push({ table, rows: chunk });
+                    return Promise.resolve({ error: fail === 'insert' ? { message: 'boom' } : null });
+                },
+            };
+        },
+    };
+}
+
+test('resolveSwapMode：未設定為 strict，大小寫不拘；不認得的值丟錯', () => {
+    assert.equal(resolveSwapMode(undefined), SWAP_MODE_STRICT);
+    assert.equal(resolveSwapMode(''), SWAP_MODE_STRICT);
+    assert.equal(resolveSwapMode(' Partial '), SWAP_MODE_PARTIAL);
+    assert.throws(() => resolveSwapMode('partail'), /PLATE_SWAP_MODE/);
+});
+
+test('failedStationIds／collectCarryOverStations：只取失敗站與 PARTIAL shard 的清單（去重）', () => {
+    assert.deepEqual(failedStationIds([
+        { id: '20', status: 'SUCCESS' }, { id: 26, status: 'FAILED' }, { id: '26', status: 'FAILED' }, { id: '28', status: 'FAILED' },
+    ]), ['26', '28']);
+    assert.deepEqual(collectCarryOverStations([
+        { status: 'COMPLETED', failed_station_ids: ['99'] },
+        { status: SHARD_STATUS_PARTIAL, failed_station_ids: ['26', '28'] },
+        { status: SHARD_STATUS_PARTIAL, failed_station_ids: ['28', '63'] },
+        { status: SHARD_STATUS_PARTIAL, failed_station_ids: null },
+    ]), ['26', '28', '63']);
+});
+
+test('carryOverStations：先清失敗站的 staging，再分頁複製正式表列（去掉 id、保留 last_verified_at）', async () => {
+    const rows = [
+        live(1, '26', '金門監理站', 'EAA-0001'), live(2, '26', '金門監理站', 'EAA-0002'),
+        live(3, '28', '連江監理站', 'EAA-0003'), live(4, '20', '臺北市區監理所', 'EAA-0004'),
+    ];
+    const supabase = makeFakeSupabase(rows);
+    const result = await carryOverStations(supabase, ['26', '28'], { pageSize: 2, chunkSize: 1 });
+
+    assert.equal(result.error, null);
+    assert.equal(result.carried, 3);
+    assert.deepEqual(result.stationNames.sort(), ['連江監理站', '金門監理站'].sort());
+    assert.deepEqual(supabase.calls.deletes, [{ table: 'available_plates_staging', column: 'station_id', values: ['26', '28'] }]);
+    assert.deepEqual(supabase.calls.ranges.map((r) => [r.from, r.to]), [[0, 1], [2, 3]]);
+    const inserted = supabase.calls.inserts.flatMap((c) => c.rows);
+    assert.deepEqual(inserted.map((r) => r.plate_no), ['EAA-0001', 'EAA-0002', 'EAA-0003']);
+    assert.ok(inserted.every((r) => !('id' in r) && r.last_verified_at === '2026-10-18T03:00:00.000Z'));
+});
+
+test('carryOverStations：以主鍵分頁——同一 plate_no 分屬多個窗口／組合時不漏列、不重複', async () => {
+    const unit = (id, window_id, energy_type, plate_no) => ({ ...live(id, '26', '金門監理站', plate_no), window_id, energy_type });
+    const rows = [
+        unit(5, '02', 'E', 'EAA-0001'), unit(1, '01', 'E', 'EAA-0001'), unit(4, '01', 'G', 'EAA-0001'),
+        unit(2, '01', 'E', 'EAA-0002'), unit(3, '02', 'E', 'EAA-0002'),
+    ];
+    const supabase = makeFakeSupabase(rows);
+    const result = await carryOverStations(supabase, ['26'], { pageSize: 2 });
+
+    assert.equal(result.carried, 5);
+    assert.deepEqual(supabase.calls.orders, [[['id', true]], [['id', true]], [['id', true]]]);
+    assert.deepEqual(supabase.calls.inserts.flatMap((c) => c.rows).map((r) => [r.window_id, r.energy_type, r.plate_no]), [
+        ['01', 'E', 'EAA-0001'], ['01', 'E', 'EAA-0002'], ['02', 'E', 'EAA-0002'], ['01', 'G', 'EAA-0001'], ['02', 'E', 'EAA-0001'],
+    ]);
+});
+
+test('carryOverStations：沒有失敗站不動 DB；任一步失敗回 error', async () => {
+    const idle = makeFakeSupabase([]);
+    assert.deepEqual(await carryOverStations(idle, []), { carried: 0, stationNames: [], error: null });
+    assert.equal(idle.calls.deletes.length, 0);
+
+    for (const fail of ['delete', 'select', 'insert']) {
+        const result = await carryOverStations(makeFakeSupabase([live(1, '26', '金門監理站', 'EAA-0001')], { fail }), ['26']);
+        assert.match(result.error.message, /boom/, fail);
+    }
+});
+
+test('excludeCarriedStations：沿用站的 REMOVED 不寄售出通知', () => {
+    const removed = [
+        { plate_no: 'EAA-0001', station_name: '金門監理站' },
+        { plate_no: 'EAA-0004', station_name: '臺北市區監理所' },
+    ];
+    assert.deepEqual(excludeCarriedStations(removed, ['金門監理站']).map((r) => r.plate_no), ['EAA-0004']);
+    assert.equal(excludeCarriedStations(removed, []).length, 2);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * 現貨車牌歷史查詢測試（lib/plate-history-query.cjs）：掛了幾天、價格怎麼變。
+ * 事件序列手寫，不連 Supabase。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { daysBetween, summarizePlateHistory, summarizeByPlate } = require('../lib/plate-history-query.cjs');
+
+const ev = (event, observed_at, extra = {}) => ({
+    station_id: '20', station_name: '臺北市區監理所', plate_type: 'g', plate_no: 'EBP-1571', event, observed_at,
+    price: 2000, previous_price: null, last_seen_at: null, ...extra,
+});
+
+test('daysBetween：一位小數、負值夾成 0、壞時間回 null', () => {
+    assert.equal(daysBetween('2026-10-01T00:00:00Z', '2026-10-04T12:00:00Z'), 3.5);
+    assert.equal(daysBetween('2026-10-04T00:00:00Z', '2026-10-01T00:00:00Z'), 0);
+    assert.equal(daysBetween('nope', '2026-10-01T00:00:00Z'), null);
+});
+
+test('summarizePlateHistory：仍在架 → 以 asOf 為末見，天數算到 asOf，價格變動依時間排序', () => {
+    const s = summarizePlateHistory([
+        ev('PRICE_CHANGED', '2026-10-05T00:00:00Z', { price: 3000, previous_price: 2000 }),
+        ev('LISTED', '2026-10-01T00:00:00Z'),
+        ev('PRICE_CHANGED', '2026-10-08T00:00:00Z', { price: 2500, previous_price: 3000 }),
+    ], '2026-10-11T00:00:00Z');
+    assert.equal(s.isListed, true);
+    assert.equal(s.firstSeenAt, '2026-10-01T00:00:00Z');
+    assert.equal(s.lastSeenAt, '2026-10-11T00:00:00Z');
+    assert.equal(s.removedAt, null);
+    assert.equal(s.daysOnMarket, 10);
+    assert.equal(s.currentPrice, 2500);
+    assert.deepEqual(s.priceChanges, [
+        { at: '2026-10-05T00:00:00Z', from: 2000, to: 3000 },
+        { at: '2026-10-08T00:00:00Z', from: 3000, to: 2500 },
+    ]);
+});
+
+test('summarizePlateHistory：已下架 → 末見取 REMOVED 的 last_seen_at，天數算到下架', () => {
+    const s = summarizePlateHistory([
+        ev('LISTED', '2026-10-01T00:00:00Z'),
+        ev('REMOVED', '2026-10-03T06:00:00Z', { last_seen_at: '2026-10-03T05:40:00Z' }),
+    ], '2026-10-11T00:00:00Z');
+    assert.equal(s.isListed, false);
+    assert.equal(s.lastSeenAt, '2026-10-03T05:40:00Z');
+    assert.equal(s.removedAt, '2026-10-03T06:00:00Z');
+    assert.equal(s.daysOnMarket, 2.3);
+    assert.deepEqual(s.priceChanges, []);
+});
+
+test('summarizePlateHistory：下架後重新上架 → 兩段上架期間，daysOnMarket 為最近一段、total 為累計', () => {
+    const s = summarizePlateHistory([
+        ev('LISTED', '2026-10-01T00:00:00Z'),
+        ev('REMOVED', '2026-10-03T00:00:00Z'),
+        ev('LISTED', '2026-10-06T00:00:00Z', { price: 4000 }),
+    ], '2026-10-07T00:00:00Z');
+    assert.equal(s.isListed, true);
+    assert.equal(s.listings.length, 2);
+    assert.equal(s.firstSeenAt, '2026-10-01T00:00:00Z');
+    assert.equal(s.daysOnMarket, 1);
+    assert.equal(s.totalDaysOnMarket, 3);
+    assert.equal(s.currentPrice, 4000);
+    assert.equal(s.removedAt, null);
+});
+
+test('summarizePlateHistory：無事件回 null', () => {
+    assert.equal(summarizePlateHistory([], '2026-10-07T00:00:00Z'), null);
+});
+
+test('summarizeByPlate：同號碼跨站各自摘要', () => {
+    const list = summarizeByPlate([
+        ev('LISTED', '2026-10-01T00:00:00Z'),
+        ev('LISTED', '2026-10-02T00:00:00Z', { station_id: '21', station_name: '士林監理站' }),
+        ev('REMOVED', '2026-10-04T00:00:00Z', { station_id: '21', station_name: '士林監理站' }),
+    ], '2026-10-05T00:00:00Z');
+    assert.deepEqual(list.map((s) => [s.stationId, s.isListed, s.daysOnMarket]), [['20', true, 4], ['21', false, 2]]);
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * 現貨車牌歷史快照比對測試（lib/plate-history.cjs）。
+ * 全 mock，不連 Supabase——假 client 只記錄分頁讀取與 insert。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    EVENT_LISTED,
+    EVENT_PRICE_CHANGED,
+    EVENT_REMOVED,
+    plateKey,
+    diffPlateSnapshots,
+    fetchPlateSnapshot,
+    fetchSwapSnapshots,
+    preparePlateHistory,
+    recordPlateHistory,
+} = require('../lib/plate-history.cjs');
+
+const AT = '2026-10-19T03:00:00.000Z';
+const row = (plate_no, price, extra = {}) => ({
+    station_id: '20', station_name: '臺北市區監理所', plate_type: 'g', plate_no, price, updated_at: '2026-10-19T02:40:00.000Z', ...extra,
+});
+
+// 假 client：tables[name] 為整表列，依 range 切頁；insert 全部記錄，可指定第幾次 insert 失敗。
+function makeFakeSupabase(tables, { failInsertAt = null, failTable = null } = {}) {
+    const calls = { ranges: [], inserts: [] };
+    return {
+        calls,
+        from(table) {
+            return {
+                select() {
+                    const chain = {
+                        order() { return chain; },
+                        range(from, to) {
+                            calls.ranges.push({ table, from, to });
+                            if (table === failTable) return Promise.resolve({ data: null, error: { message: 'boom' } });
+                            return Promise.resolve({ data: (tables[table] || []).slice(from, to + 1), error: null });
+                        },
+                    };
+                    return chain;
+                },
+                insert(rows) {
+                    calls.inserts.push({ table, rows });
+                    const error = calls.inserts.length === failInsertAt ? { message: 'insert failed' } : null;
+                    return Promise.resolve({ error });
+                },
+            };
+        },
+    };
+}
+
+test('plateKey：站 × 類別 × 號碼', () => {
+    assert.equal(plateKey(row('EBP-1571', 2000)), '20|g|EBP-1571');
+});
+
+test('diffPlateSnapshots：新出現 → LISTED、變價 → PRICE_CHANGED、消失 → REMOVED，未變者不產生事件', () => {
+    const before = [row('EBP-1571', 2000), row('EBP-1575', 2000), row('EBP-2888', 10000, { updated_at: '2026-10-19T02:20:00.000Z' })];
+    const after = [row('EBP-1571', 2000), row('EBP-1575', '3000'), row('EBP-3001', 2000)];
+    const events = diffPlateSnapshots(before, after, AT);
+
+    assert.deepEqual(events.map((e) => [e.event, e.plate_no]), [
+        [EVENT_PRICE_CHANGED, 'EBP-1575'],
+        [EVENT_LISTED, 'EBP-3001'],
+        [EVENT_REMOVED, 'EBP-2888'],
+    ]);
+    assert.deepEqual(events[0], {
+        station_id: '20', station_name: '臺北市區監理所', plate_type: 'g', plate_no: 'EBP-1575', observed_at: AT,
+        event: EVENT_PRICE_CHANGED, price: 3000, previous_price: 2000, last_seen_at: null,
+    });
+    assert.equal(events[2].last_seen_at, '2026-10-19T02:20:00.000Z', 'REMOVED 記錄最後一次仍在正式表的時間');
+});
+
+test('diffPlateSnapshots：同號碼在不同站或不同類別各自獨立；同 key 重複（多窗口）只算一次', () => {
+    const before = [row('EBP-1571', 2000)];
+    const after = [row('EBP-1571', 2000), row('EBP-1571', 2000, { plate_type: 'h' }), row('EBP-1571', 2000, { station_id: '21' }), row('EBP-1571', 9999)];
+    const events = diffPlateSnapshots(before, after, AT);
+    assert.deepEqual(events.map((e) => plateKey(e)), ['20|h|EBP-1571', '21|g|EBP-1571']);
+    assert.ok(events.every((e) => e.event === EVENT_LISTED));
+});
+
+test('fetchPlateSnapshot：分頁讀到不足一頁為止（PostgREST 單次上限 1000 列）', async () => {
+    const rows = Array.from({ length: 5 }, (_, i) => row(`EBP-${1000 + i}`, 2000));
+    const supabase = makeFakeSupabase({ available_plates: rows });
+    const { rows: got, error } = await fetchPlateSnapshot(supabase, 'available_plates', 2);
+    assert.equal(error, null);
+    assert.equal(got.length, 5);
+    assert.deepEqual(supabase.calls.ranges.map((r) => [r.from, r.to]), [[0, 1], [2, 3], [4, 5]]);
+});
+
+test('preparePlateHistory：讀正式表與 staging 快照後比對；任一讀取失敗回 null（本輪不記、不擋 swap）', async () => {
+    const ok = makeFakeSupabase({ available_plates: [row('EBP-1571', 2000)], available_plates_staging: [row('EBP-1575', 2000)] });
+    const events = await preparePlateHistory(ok, AT);
+    assert.deepEqual(events.map((e) => [e.event, e.plate_no]), [[EVENT_LISTED, 'EBP-1575'], [EVENT_REMOVED, 'EBP-1571']]);
+
+    const broken = makeFakeSupabase({ available_plates: [row('EBP-1571', 2000)] }, { failTable: 'available_plates_staging' });
+    assert.equal(await preparePlateHistory(broken, AT), null);
+});
+
+test('fetchSwapSnapshots／preparePlateHistory：已讀的快照可直接傳入，不再重讀兩張表', async () => {
+    const supabase = makeFakeSupabase({ available_plates: [row('EBP-1571', 2000)], available_plates_staging: [row('EBP-1571', 2200)] });
+    const snapshots = await fetchSwapSnapshots(supabase);
+    assert.equal(snapshots.live.length, 1);
+    assert.equal(snapshots.staged.length, 1);
+    const readsBefore = supabase.calls.ranges.length;
+
+    const events = await preparePlateHistory(supabase, AT, snapshots);
+    assert.deepEqual(events.map((e) => [e.event, e.previous_price, e.price]), [[EVENT_PRICE_CHANGED, 2000, 2200]]);
+    assert.equal(supabase.calls.ranges.length, readsBefore);
+
+    const broken = await fetchSwapSnapshots(makeFakeSupabase({}, { failTable: 'available_plates' }));
+    assert.match(broken.error.message, /^available_plates: boom/);
+});
+
+test('recordPlateHistory：分批 insert；某批失敗只略過該批，回傳實際寫入筆數', async () => {
+    const events = diffPlateSnapshots([], Array.from({ length: 5 }, (_, i) => row(`EBP-${2000 + i}`, 2000)), AT);
+    const supabase = makeFakeSupabase({}, { failInsertAt: 2 });
+    const written = await recordPlateHistory(supabase, events, 2);
+    assert.equal(written, 3);
+    assert.deepEqual(supabase.calls.inserts.map((c) => [c.table, c.rows.length]), [['plate_history', 2], ['plate_history', 2], ['plate_history', 1]]);
+
+    assert.equal(await recordPlateHistory(supabase, null), 0);
+    assert.equal(await recordPlateHistory(supabase, []), 0);
+});
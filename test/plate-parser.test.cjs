@@ -20,6 +20,7 @@ const path = require('node:path');
 const { JSDOM } = require('jsdom');
 
 const { extractPlates, parsePageInfoFromDoc } = require('../lib/plate-parser.cjs');
+const { replaySnapshot } = require('../lib/failure-snapshot.cjs');
 
 function docFromFixture(name) {
   const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
@@ -101,3 +102,16 @@ test('parsePageInfoFromDoc：單頁、無按鈕 → total=1', () => {
   assert.equal(info.total, 1);
   assert.equal(info.hasNextButton, false);
 });
+
+// 線上失敗快照轉成的 fixture（node failure_snapshots.cjs --promote=<id>，見 lib/failure-snapshot.cjs）：
+// 每對 <name>.html／<name>.json 以線上同一套解析與分型重放，結果必須等於 json 的 expected。
+const SNAPSHOT_FIXTURES = path.join(__dirname, 'fixtures', 'snapshots');
+for (const file of fs.existsSync(SNAPSHOT_FIXTURES) ? fs.readdirSync(SNAPSHOT_FIXTURES).filter((f) => f.endsWith('.json')).sort() : []) {
+  const name = file.replace(/\.json$/, '');
+  test(`失敗快照 fixture：${name}`, () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(SNAPSHOT_FIXTURES, file), 'utf8'));
+    const html = fs.readFileSync(path.join(SNAPSHOT_FIXTURES, `${name}.html`), 'utf8');
+    const { responseType, plates, pageInfo } = replaySnapshot(html, fixture);
+    assert.deepEqual({ responseType, plates, pageInfo }, fixture.expected);
+  });
+}
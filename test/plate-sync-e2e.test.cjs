@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * gh-plate-sync.cjs processStation 端到端測試：真 Chromium 對本機 MVDIS 替身
+ * （test/support/mvdis-stand-in.cjs）跑完整流程——Full Nav、下拉連動、驗證碼錯誤
+ * alert 重試、Quick Re-query、分頁、查無資料、寫 staging。
+ *
+ * 替身的 臺北市區監理所 開兩個窗口：01（g/h）與 02（只開 g），驗證多窗口探查與
+ * staging 的 window_id；士林監理站 以 query_matrix 加查非電動，驗證查詢矩陣與 staging 維度。
+ *
+ * 全部 mock 外部服務：
+ *   - MVDIS：MVDIS_BASE_URL 指向替身伺服器。
+ *   - Gemini：覆寫 aiManager.generateContent，答案直接讀替身最近出的題（可先塞錯答案）。
+ *   - Supabase：setSupabase 注入假 client，只記錄 staging 的 delete/insert 與 checkpoint upsert。
+ *
+ * 需要 Chromium：找不到 puppeteer 的瀏覽器執行檔（或 PUPPETEER_EXECUTABLE_PATH）就 skip，
+ * 不讓沒裝瀏覽器的環境紅燈。單站含固定 sleep，約需 30~60 秒。
+ * 純 HTTP 傳輸（createHttpDriver）不開瀏覽器的兩則（站點設定 windows、開不了瀏覽器）一律執行；
+ * 未設定 windows 改開 Puppeteer 探查窗口的那一則同樣要 Chromium。
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { indexCheckpoints } = require('../lib/station-checkpoint.cjs');
+const { readSnapshotIndex, replayArchive } = require('../lib/failure-snapshot.cjs');
+
+const { createMvdisStandIn, inventoryKey, DEFAULT_DEPTS } = require('./support/mvdis-stand-in.cjs');
+
+function resolveChromium() {
+  if (process.env.PUPPETEER_EXECUTABLE_PATH) return process.env.PUPPETEER_EXECUTABLE_PATH;
+  try {
+    return require('puppeteer').executablePath();
+  } catch {
+    return null;
+  }
+}
+const chromiumPath = resolveChromium();
+const skip = !chromiumPath || !fs.existsSync(chromiumPath) ? '找不到 Chromium 執行檔，略過瀏覽器端到端測試' : false;
+
+const G_PLATES = Array.from({ length: 7 }, (_, i) => ({ no: `EBP-${1571 + i}`, price: 2000 + i * 1000 }));
+const W2_PLATES = [{ no: 'EBR-2023', price: 3000 }, { no: 'EBR-2025', price: 0 }];
+
+// 站 20 多開一個只賣自用車牌的窗口 02，其餘沿用替身預設。
+const DEPTS = DEFAULT_DEPTS.map((d) => ({
+  ...d,
+  stations: d.stations.map((s) => (s.id !== '20' ? s : {
+    ...s,
+    windows: [...s.windows, { id: '02', name: '臺北市區監理所（二）', plateTypes: ['g'] }],
+  })),
+}));
+
+function makeFakeSupabase() {
+  const calls = { delete: [], insert: [], upsert: [] };
+  function from(table) {
+    return {
+      delete() {
+        const chain = {
+          _eq: {},
+          _in: {},
+          eq(col, val) {
+            chain._eq[col] = val;
+            return chain;
+          },
+          in(col, vals) {
+            chain._in[col] = vals;
+            return chain;
+          },
+          then(resolve, reject) {
+            calls.delete.push({ table, eq: chain._eq, in: chain._in });
+            return Promise.resolve({ error: null }).then(resolve, reject);
+          },
+        };
+        return chain;
+      },
+      insert(rows) {
+        calls.insert.push({ table, rows });
+        return Promise.resolve({ error: null });
+      },
+      upsert(row, opts) {
+        calls.upsert.push({ table, row, opts });
+        return Promise.resolve({ error: null });
+      },
+    };
+  }
+  return { from, calls };
+}
+
+let standIn;
+let sync;
+let browser;
+let snapshotRoot;
+
+before(async () => {
+  standIn = createMvdisStandIn({
+    depts: DEPTS,
+    pageSize: 5,
+    plates: {
+      [inventoryKey('20', '01', 'g')]: G_PLATES,
+      [inventoryKey('20', '02', 'g')]: W2_PLATES,
+      [inventoryKey('21', '01', 'g')]: [{ no: 'EBS-0520', price: 5000 }],
+      [inventoryKey('21', '01', 'g', { energyType: 'G' })]: [{ no: 'BSL-7788', price: 8000 }],
+    },
+  });
+  const baseUrl = await standIn.listen();
+
+  // gh-plate-sync.cjs 在 require 時就讀環境變數與建 AIManager，必須先設好假值。
+  process.env.MVDIS_BASE_URL = baseUrl;
+  process.env.VITE_SUPABASE_URL = 'http://127.0.0.1:1';
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'fake-service-role';
+  process.env.GEMINI_API_KEY = 'fake-gemini-key';
+  snapshotRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'plate-sync-snapshots-'));
+  process.env.FAILURE_SNAPSHOT_DIR = snapshotRoot;
+  sync = require('../gh-plate-sync.cjs');
+
+  if (skip) return;
+  const puppeteer = require('puppeteer');
+  browser = await puppeteer.launch({
+    headless: true,
+    executablePath: chromiumPath,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+  });
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  if (standIn) await standIn.close();
+  if (snapshotRoot) fs.rmSync(snapshotRoot, { recursive: true, force: true });
+});
+
+test('processStation：探查到窗口 01/02 → 驗證碼先錯一次重試 → 01:g 兩頁 7 筆、01:h 查無資料、02:g 2 筆', { skip, timeout: 240000 }, async () => {
+  const supabase = makeFakeSupabase();
+  sync.setSupabase(supabase);
+
+  const answers = ['2222']; // 第一題故意答錯（替身字元集不含 0/1，但 2222 與隨機題目撞上的機率可忽略）
+  sync.aiManager.generateContent = async () => {
+    const code = answers.length > 0 ? answers.shift() : standIn.lastCaptcha;
+    return { response: { text: () => code } };
+  };
+
+  const page = await browser.newPage();
+  await page.goto(sync.MVDIS_URL, { waitUntil: 'domcontentloaded' });
+  const statsBefore = sync.stats.stationDetails.length;
+
+  await sync.processStation(page, '2', { id: '20', name: '臺北市區監理所' });
+
+  const stat = sync.stats.stationDetails[statsBefore];
+  assert.equal(stat.status, 'SUCCESS');
+  assert.equal(stat.plates_found, 9);
+  assert.equal(stat.windows, 2);
+  assert.ok(stat.retries >= 1, '驗證碼錯誤應觸發至少一次重試');
+  assert.equal(stat.mvdis_responses.WRONG_CAPTCHA, 1, '驗證碼錯誤應分類為 WRONG_CAPTCHA 並記進站點統計');
+
+  assert.deepEqual(supabase.calls.delete[0].eq, { station_id: '20', region_id: '2' });
+  assert.equal(supabase.calls.insert.length, 2, '01:h 查無資料不應寫入');
+  const rows = supabase.calls.insert[0].rows;
+  assert.deepEqual(rows.map((r) => r.plate_no), G_PLATES.map((p) => p.no));
+  assert.deepEqual(rows.map((r) => r.price), G_PLATES.map((p) => p.price));
+  assert.ok(rows.every((r) => r.plate_type === 'g' && r.window_id === '01' && r.status === 'AVAILABLE'));
+  assert.ok(rows.every((r) => r.car_type === 'C' && r.energy_type === 'E' && r.plate_version === '2'));
+  assert.ok(rows.every((r) => Number.isInteger(r.vanity_score) && r.vanity_features.digits === r.plate_no.split('-')[1]));
+  const w2Rows = supabase.calls.insert[1].rows;
+  assert.deepEqual(w2Rows.map((r) => r.plate_no), W2_PLATES.map((p) => p.no));
+  assert.ok(w2Rows.every((r) => r.plate_type === 'g' && r.window_id === '02'));
+
+  assert.ok(standIn.counters.rejected >= 1);
+  assert.ok(standIn.counters.returns >= 1, 'h 應走 Quick Re-query（doReturnWithData）');
+
+  const checkpoints = supabase.calls.upsert.filter((c) => c.table === 'plate_sync_checkpoints').map((c) => c.row);
+  assert.deepEqual(checkpoints.map((r) => [r.status, r.completed_plate_types]), [
+    ['IN_PROGRESS', ['01:C:E:g:2']],
+    ['IN_PROGRESS', ['01:C:E:g:2', '01:C:E:h:2']],
+    ['IN_PROGRESS', ['01:C:E:g:2', '01:C:E:h:2', '02:C:E:g:2']],
+    ['DONE', ['01:C:E:g:2', '01:C:E:h:2', '02:C:E:g:2']],
+  ]);
+  assert.deepEqual(checkpoints[3].staged_counts, { '01:C:E:g:2': 7, '01:C:E:h:2': 0, '02:C:E:g:2': 2 });
+  await page.close();
+});
+
+test('processStation 續跑：01:g 已完成 → 只清/只查 01:h 與 02:g，01:g 的 staging 列保留且筆數計入', { skip, timeout: 240000 }, async () => {
+  const supabase = makeFakeSupabase();
+  sync.setSupabase(supabase);
+  sync.aiManager.generateContent = async () => ({ response: { text: () => standIn.lastCaptcha } });
+
+  const page = await browser.newPage();
+  const statsBefore = sync.stats.stationDetails.length;
+  const checkpoint = indexCheckpoints([
+    { station_id: '20', status: 'IN_PROGRESS', completed_plate_types: ['01:C:E:g:2'], staged_counts: { '01:C:E:g:2': 7 } },
+  ]).get('20');
+
+  await sync.processStation(page, '2', { id: '20', name: '臺北市區監理所' }, checkpoint);
+
+  const stat = sync.stats.stationDetails[statsBefore];
+  assert.equal(stat.status, 'SUCCESS');
+  assert.equal(stat.plates_found, 9);
+  assert.equal(stat.resumed, true);
+  assert.deepEqual(supabase.calls.delete.map((d) => [d.eq.window_id, d.in.plate_type]), [['01', ['h']], ['02', ['g']]]);
+  assert.equal(supabase.calls.insert.length, 1);
+  assert.ok(supabase.calls.insert[0].rows.every((r) => r.window_id === '02'));
+  const last = supabase.calls.upsert[supabase.calls.upsert.length - 1].row;
+  assert.equal(last.status, 'DONE');
+  assert.deepEqual(last.completed_plate_types, ['01:C:E:g:2', '01:C:E:h:2', '02:C:E:g:2']);
+  await page.close();
+});
+
+test('processStation 查詢矩陣：query_matrix 加查非電動 → 電動/非電動各自入 staging 並帶 energy_type', { skip, timeout: 240000 }, async () => {
+  const supabase = makeFakeSupabase();
+  sync.setSupabase(supabase);
+  sync.aiManager.generateContent = async () => ({ response: { text: () => standIn.lastCaptcha } });
+
+  const page = await browser.newPage();
+  const statsBefore = sync.stats.stationDetails.length;
+  const station = { id: '21', name: '士林監理站', query_matrix: { energy_types: ['E', 'G'], plate_types: ['g'] } };
+
+  await sync.processStation(page, '2', station);
+
+  const stat = sync.stats.stationDetails[statsBefore];
+  assert.equal(stat.status, 'SUCCESS');
+  assert.equal(stat.plates_found, 2);
+  assert.deepEqual(supabase.calls.insert.map((c) => c.rows.map((r) => [r.plate_no, r.energy_type, r.car_type, r.plate_version])), [
+    [['EBS-0520', 'E', 'C', '2']],
+    [['BSL-7788', 'G', 'C', '2']],
+  ]);
+  const last = supabase.calls.upsert[supabase.calls.upsert.length - 1].row;
+  assert.deepEqual(last.completed_plate_types, ['01:C:E:g:2', '01:C:G:g:2']);
+  await page.close();
+});
+
+test('processStation 純 HTTP 傳輸：設定窗口 01/02 → 驗證碼先錯一次重試 → 9 筆入 staging，不開瀏覽器', { timeout: 120000 }, async () => {
+  const supabase = makeFakeSupabase();
+  sync.setSupabase(supabase);
+  const answers = ['2222'];
+  sync.aiManager.generateContent = async () => {
+    const code = answers.length > 0 ? answers.shift() : standIn.lastCaptcha;
+    return { response: { text: () => code } };
+  };
+
+  const driver = sync.createHttpDriver();
+  const statsBefore = sync.stats.stationDetails.length;
+  const rejectedBefore = standIn.counters.rejected;
+  // 站點設定 windows：HTTP 傳輸直接照設定查，不開瀏覽器探查。
+  const station = { id: '20', name: '臺北市區監理所', windows: ['01', { id: '02', name: '臺北市區監理所（二）', plate_types: ['g'] }] };
+
+  await sync.processStation(driver, '2', station);
+
+  const stat = sync.stats.stationDetails[statsBefore];
+  assert.equal(stat.status, 'SUCCESS');
+  assert.equal(stat.transport, 'http');
+  assert.equal(stat.plates_found, 9);
+  assert.equal(stat.mvdis_responses.WRONG_CAPTCHA, 1);
+  assert.equal(standIn.counters.rejected, rejectedBefore + 1);
+  assert.equal(driver.replacement, null, '結構正常時不應退回 Puppeteer');
+
+  // 答錯那次存了失敗快照：回應 HTML、送出的表單欄位，重放仍判為 WRONG_CAPTCHA。
+  const runDir = path.join(snapshotRoot, sync.stats.runId);
+  const snapshot = readSnapshotIndex(runDir).find((r) => r.station === '20' && r.transport === 'http');
+  assert.equal(snapshot.reason, 'response');
+  assert.equal(snapshot.response_type, 'WRONG_CAPTCHA');
+  assert.equal(snapshot.unit, '01:C:E:g:2');
+  assert.equal(snapshot.http_status, 200);
+  assert.equal(snapshot.form.validateStr, '2222');
+  assert.deepEqual(replayArchive(runDir, { ids: [snapshot.id] }).map((r) => [r.responseType, r.changed]), [['WRONG_CAPTCHA', false]]);
+  assert.deepEqual(supabase.calls.insert.map((c) => c.rows.map((r) => [r.plate_no, r.window_id])), [
+    G_PLATES.map((p) => [p.no, '01']),
+    W2_PLATES.map((p) => [p.no, '02']),
+  ]);
+  const last = supabase.calls.upsert[supabase.calls.upsert.length - 1].row;
+  assert.equal(last.status, 'DONE');
+  assert.deepEqual(last.completed_plate_types, ['01:C:E:g:2', '01:C:E:h:2', '02:C:E:g:2']);
+});
+
+test('processStation 純 HTTP 傳輸：站點未設定 windows → 開 Puppeteer page 探查到 01/02，查詢仍走 HTTP', { skip, timeout: 240000 }, async () => {
+  const supabase = makeFakeSupabase();
+  sync.setSupabase(supabase);
+  sync.aiManager.generateContent = async () => ({ response: { text: () => standIn.lastCaptcha } });
+
+  const pages = [];
+  const driver = sync.createHttpDriver(undefined, async () => {
+    const page = await browser.newPage();
+    pages.push(page);
+    return page;
+  });
+  const statsBefore = sync.stats.stationDetails.length;
+
+  await sync.processStation(driver, '2', { id: '20', name: '臺北市區監理所' });
+
+  const stat = sync.stats.stationDetails[statsBefore];
+  assert.equal(stat.status, 'SUCCESS');
+  assert.equal(stat.transport, 'http');
+  assert.equal(stat.windows, 2);
+  assert.equal(stat.plates_found, 9);
+  assert.equal(pages.length, 1, '只開一個 page 探查窗口');
+  assert.equal(driver.replacement, null, '探查窗口不算退回 Puppeteer');
+  const last = supabase.calls.upsert[supabase.calls.upsert.length - 1].row;
+  assert.deepEqual(last.completed_plate_types, ['01:C:E:g:2', '01:C:E:h:2', '02:C:E:g:2']);
+  await pages[0].close();
+});
+
+test('processStation 純 HTTP 傳輸：站點未設定 windows 又開不了瀏覽器 → 丟錯，不退回窗口 01、不動 staging', { timeout: 30000 }, async () => {
+  const supabase = makeFakeSupabase();
+  sync.setSupabase(supabase);
+  const driver = sync.createHttpDriver(undefined, async () => {
+    throw new Error('Failed to launch the browser process');
+  });
+
+  await assert.rejects(sync.processStation(driver, '2', { id: '20', name: '臺北市區監理所' }), /Failed to launch/);
+  assert.deepEqual(supabase.calls.delete, []);
+  assert.deepEqual(supabase.calls.insert, []);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * 好號特徵與評分測試（lib/plate-vanity.cjs）。
+ * 分數釘的是相對排序與幾個代表號碼的確切值——權重若要改，連同 VANITY_SCORE_VERSION 一起改。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  VANITY_SCORE_VERSION,
+  plateDigits,
+  plateFeatures,
+  scorePlate,
+  vanityColumns,
+} = require('../lib/plate-vanity.cjs');
+
+test('plateDigits：取數字段（汽車 ABC-1234、機車 123-ABC），大小寫與空值皆可', () => {
+  assert.equal(plateDigits('EAA-8888'), '8888');
+  assert.equal(plateDigits('123-abc'), '123');
+  assert.equal(plateDigits('8A-1234'), '1234');
+  assert.equal(plateDigits('AB8C9'), '89');
+  assert.equal(plateDigits(null), '');
+});
+
+test('plateFeatures：全同號', () => {
+  const f = plateFeatures('EAA-8888');
+  assert.equal(f.maxRepeat, 4);
+  assert.equal(f.allSame, true);
+  assert.equal(f.palindrome, true);
+  assert.equal(f.count8, 4);
+  assert.equal(f.noFour, true);
+  assert.equal(f.aabb, false, 'AABB 要求 A≠B');
+  assert.equal(f.abab, false);
+});
+
+test('plateFeatures：順連號、倒連號', () => {
+  assert.equal(plateFeatures('EBP-1234').ascendingRun, 4);
+  assert.equal(plateFeatures('EBP-9876').descendingRun, 4);
+  assert.equal(plateFeatures('EBP-5670').ascendingRun, 3);
+  assert.equal(plateFeatures('EBP-1357').ascendingRun, 1);
+});
+
+test('plateFeatures：回文、AABB、ABAB、含 4、6/8/9 計數', () => {
+  const abba = plateFeatures('EBP-6996');
+  assert.deepEqual([abba.palindrome, abba.aabb, abba.abab, abba.count6, abba.count9], [true, false, false, 2, 2]);
+  assert.equal(plateFeatures('EBP-1122').aabb, true);
+  assert.equal(plateFeatures('EBP-6868').abab, true);
+  const four = plateFeatures('EBP-1454');
+  assert.equal(four.noFour, false);
+  assert.equal(four.palindrome, false);
+});
+
+test('scorePlate：代表號碼的確切分數', () => {
+  assert.equal(scorePlate('EAA-8888').score, 40 + 16 + 5); // 全同 + 8×4 + 無 4
+  assert.equal(scorePlate('EBP-1234').score, 25 - 10); // 整段順連號，含一個 4
+  assert.equal(scorePlate('EBP-6868').score, 15 + 14 + 5); // ABAB + 8×2、6×2 + 無 4
+  assert.equal(scorePlate('EBP-4444').score, 0, '含 4 的扣分可把總分壓到 0（下限）');
+  assert.equal(scorePlate('').score, 0);
+  assert.equal(scorePlate('EBP-1571').version, VANITY_SCORE_VERSION);
+});
+
+test('scorePlate：相對排序——全同 > ABAB/回文 > 普通號 > 含 4 的普通號', () => {
+  const order = ['EBP-1473', 'EBP-6996', 'EBP-1571', 'EAA-8888', 'EBP-6868']
+    .map((p) => [p, scorePlate(p).score])
+    .sort((a, b) => b[1] - a[1])
+    .map(([p]) => p);
+  assert.deepEqual(order, ['EAA-8888', 'EBP-6868', 'EBP-6996', 'EBP-1571', 'EBP-1473']);
+});
+
+test('vanityColumns：staging 欄位（jsonb 鍵為 snake_case）', () => {
+  const cols = vanityColumns('EBP-1122');
+  assert.equal(cols.vanity_score, scorePlate('EBP-1122').score);
+  assert.deepEqual(cols.vanity_features, {
+    version: VANITY_SCORE_VERSION,
+    digits: '1122',
+    max_repeat: 2,
+    all_same: false,
+    ascending_run: 2,
+    descending_run: 1,
+    palindrome: false,
+    no_four: true,
+    count_6: 0,
+    count_8: 0,
+    count_9: 0,
+    aabb: true,
+    abab: false,
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * 選號查詢矩陣純邏輯測試（lib/query-matrix.cjs）。
+ * 站點設定以 system_configs.mvdis_stations 的形狀手寫，不連 Supabase。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_QUERY_MATRIX,
+    resolveQueryMatrix,
+    expandQueryMatrix,
+    vehicleKey,
+    describeCombo,
+} = require('../lib/query-matrix.cjs');
+
+test('resolveQueryMatrix：無設定 → 舊版寫死的查法（汽車/電動/新式，g+h）', () => {
+    assert.deepEqual(resolveQueryMatrix({ id: '20' }), {
+        car_types: ['C'], energy_types: ['E'], plate_types: ['g', 'h'], plate_versions: ['2'],
+    });
+    assert.deepEqual(DEFAULT_QUERY_MATRIX.plate_types, ['g', 'h']);
+});
+
+test('resolveQueryMatrix：逐維度 站 → 監理所 → 預設 取值', () => {
+    const dept = { id: '2', query_matrix: { energy_types: ['E', 'G'], plate_versions: ['1', '2'] } };
+    const station = { id: '20', query_matrix: { plate_versions: ['2'], car_types: ['C', 'M'] } };
+    assert.deepEqual(resolveQueryMatrix(station, dept), {
+        car_types: ['C', 'M'], energy_types: ['E', 'G'], plate_types: ['g', 'h'], plate_versions: ['2'],
+    });
+});
+
+test('resolveQueryMatrix：no_rental 站剔除 h，其餘類別代碼（機車等）原樣保留', () => {
+    const station = { id: '73', no_rental: true, query_matrix: { plate_types: ['g', 'h', 'm1'] } };
+    assert.deepEqual(resolveQueryMatrix(station).plate_types, ['g', 'm1']);
+});
+
+test('resolveQueryMatrix：空陣列、非陣列、未知代碼 → 丟錯（不默默退回預設而漏查）', () => {
+    assert.throws(() => resolveQueryMatrix({ query_matrix: { car_types: [] } }), /car_types 必須是非空陣列/);
+    assert.throws(() => resolveQueryMatrix({ query_matrix: { energy_types: 'E' } }), /energy_types 必須是非空陣列/);
+    assert.throws(() => resolveQueryMatrix({ query_matrix: { car_types: ['C', 'X'] } }), /car_types 含未知代碼："X"/);
+    assert.throws(() => resolveQueryMatrix({ query_matrix: { plate_versions: [3] } }), /plate_versions 含未知代碼："3"/);
+    assert.throws(() => resolveQueryMatrix({ query_matrix: { plate_types: [''] } }), /plate_types 含未知代碼/);
+});
+
+test('resolveQueryMatrix：數字代碼轉字串並去重', () => {
+    assert.deepEqual(resolveQueryMatrix({ query_matrix: { plate_versions: [2, '2', 1] } }).plate_versions, ['2', '1']);
+});
+
+test('expandQueryMatrix：車種 → 能源別 → 版式 → 類別，類別在最內層', () => {
+    const combos = expandQueryMatrix({ car_types: ['C', 'M'], energy_types: ['E'], plate_types: ['g', 'h'], plate_versions: ['2'] });
+    assert.deepEqual(combos.map((c) => `${c.carType}${c.energyType}${c.plateVersion}${c.plateType}`), ['CE2g', 'CE2h', 'ME2g', 'ME2h']);
+});
+
+test('vehicleKey / describeCombo', () => {
+    assert.equal(vehicleKey('M', 'G'), 'M:G');
+    assert.equal(describeCombo({ carType: 'C', energyType: 'E', plateType: 'g', plateVersion: '2' }), 'Private (g) 汽車/電動/新式');
+    assert.equal(describeCombo({ carType: 'M', energyType: 'G', plateType: 'm1', plateVersion: '1' }), 'Type (m1) 機車/非電動/舊式');
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * 跨 shard 日配額帳本純邏輯測試（lib/quota-ledger.cjs）。Supabase 讀寫在 gh-plate-sync.cjs，不在此測。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    resolveLedgerEnabled,
+    keyFingerprint,
+    quotaDay,
+    nextQuotaReset,
+    buildLedgerRow,
+    deadCombosFromLedger,
+} = require('../lib/quota-ledger.cjs');
+const { LadderState } = require('../lib/ai-model-ladder.cjs');
+
+test('resolveLedgerEnabled：預設關閉；認得 1/true/on 與 0/false/off，其餘丟錯', () => {
+    assert.equal(resolveLedgerEnabled(undefined), false);
+    assert.equal(resolveLedgerEnabled(''), false);
+    assert.equal(resolveLedgerEnabled('off'), false);
+    assert.equal(resolveLedgerEnabled('1'), true);
+    assert.equal(resolveLedgerEnabled(' TRUE '), true);
+    assert.throws(() => resolveLedgerEnabled('yes please'), /AI_QUOTA_LEDGER/);
+});
+
+test('keyFingerprint：同值同指紋、不同值不同指紋，且不含 key 本身', () => {
+    const fp = keyFingerprint('AIzaSy-secret');
+    assert.match(fp, /^[0-9a-f]{16}$/);
+    assert.equal(keyFingerprint('AIzaSy-secret'), fp);
+    assert.notEqual(keyFingerprint('AIzaSy-other'), fp);
+    assert.ok(!fp.includes('secret'));
+});
+
+test('nextQuotaReset：下一個太平洋時間午夜（夏令 UTC-7、冬令 UTC-8）', () => {
+    assert.equal(nextQuotaReset(new Date('2026-07-10T06:00:00Z')).toISOString(), '2026-07-10T07:00:00.000Z');
+    assert.equal(nextQuotaReset(new Date('2026-07-10T07:00:00Z')).toISOString(), '2026-07-11T07:00:00.000Z');
+    assert.equal(nextQuotaReset(new Date('2026-01-15T12:00:00Z')).toISOString(), '2026-01-16T08:00:00.000Z');
+});
+
+test('nextQuotaReset：日光節約切換當天以午夜那一刻的時差計算', () => {
+    // 2026-03-08 01:00 PST（凌晨 2 點切 PDT）→ 下一個午夜是 03-09 00:00 PDT
+    assert.equal(nextQuotaReset(new Date('2026-03-08T09:00:00Z')).toISOString(), '2026-03-09T07:00:00.000Z');
+    // 2026-11-01 01:30 PDT（凌晨 2 點切回 PST）→ 11-02 00:00 PST
+    assert.equal(nextQuotaReset(new Date('2026-11-01T08:30:00Z')).toISOString(), '2026-11-02T08:00:00.000Z');
+});
+
+test('buildLedgerRow：主鍵欄位為 指紋 × 模型 × UTC 日', () => {
+    const now = new Date('2026-07-10T06:30:00Z');
+    assert.deepEqual(buildLedgerRow({ provider: 'gemini', model: 'gemma-4-26b-a4b-it', fingerprint: 'abcd', keyName: 'GEMINI_API_KEY', shard: 'NORTH', now }), {
+        key_fingerprint: 'abcd',
+        model: 'gemma-4-26b-a4b-it',
+        quota_day: '2026-07-10',
+        provider: 'gemini',
+        key_name: 'GEMINI_API_KEY',
+        reported_by: 'NORTH',
+        dead_at: '2026-07-10T06:30:00.000Z',
+        expires_at: '2026-07-10T07:00:00.000Z',
+    });
+    assert.equal(quotaDay(new Date('2026-07-10T23:59:59Z')), '2026-07-10');
+});
+
+test('deadCombosFromLedger：只套用自己持有的指紋且未過期的列（別 shard 的專屬 key 不受影響）', () => {
+    const now = new Date('2026-07-10T03:00:00Z');
+    const fingerprints = new Map([['GEMINI_API_KEY_CENTRAL', 'fp-central'], ['GEMINI_API_KEY', 'fp-default']]);
+    const rows = [
+        { key_fingerprint: 'fp-default', model: 'gemma-4-26b-a4b-it', expires_at: '2026-07-10T07:00:00Z' },
+        { key_fingerprint: 'fp-north', model: 'gemma-4-26b-a4b-it', expires_at: '2026-07-10T07:00:00Z' }, // NORTH 專屬 key
+        { key_fingerprint: 'fp-default', model: 'gemma-4-31b-it', expires_at: '2026-07-09T07:00:00Z' }, // 已重置
+        { key_fingerprint: 'fp-default', model: 'gemma-4-26b-a4b-it', expires_at: '2026-07-10T07:00:00Z' }, // 重複
+    ];
+    assert.deepEqual(deadCombosFromLedger(rows, fingerprints, now), [{ keyName: 'GEMINI_API_KEY', model: 'gemma-4-26b-a4b-it' }]);
+    assert.deepEqual(deadCombosFromLedger(null, fingerprints, now), []);
+});
+
+test('deadCombosFromLedger：套進 LadderState 後，同層 shard key 仍是第一選擇', () => {
+    const ladder = new LadderState(['GEMINI_API_KEY_CENTRAL', 'GEMINI_API_KEY']);
+    const combos = deadCombosFromLedger(
+        [{ key_fingerprint: 'fp-default', model: 'gemma-4-26b-a4b-it', expires_at: '2026-07-10T07:00:00Z' }],
+        new Map([['GEMINI_API_KEY_CENTRAL', 'fp-central'], ['GEMINI_API_KEY', 'fp-default']]),
+        new Date('2026-07-10T03:00:00Z'),
+    );
+    for (const { keyName, model } of combos) ladder.markComboDead(keyName, model);
+    assert.equal(ladder.isCurrentComboDead(), false);
+    assert.equal(ladder.keyName, 'GEMINI_API_KEY_CENTRAL');
+    ladder.markCurrentComboDead(); // 自己的 shard key 也死 → DEFAULT 已知死亡，直接升層
+    assert.equal(ladder.model, 'gemma-4-31b-it');
+    assert.equal(ladder.keyName, 'GEMINI_API_KEY_CENTRAL');
+});
@@ -405,9 +405,13 @@ test('writeAll：來源下載前兩次失敗、第三次成功 → 重試後仍
 
 test('writeAll：高雄主來源(data.kcg.gov.tw)全敗 → 切換到鏡像(openapi.kcg.gov.tw) JSON 成功，且印出切換 log', async (t) => {
   const originalFetch = globalThis.fetch;
-  const originalConsoleError = console.error;
+  // 進度 log 由 lib/logger.cjs 直接寫 process.stderr。
+  const originalStderrWrite = process.stderr.write;
   const logLines = [];
-  console.error = (...args) => logLines.push(args.join(' '));
+  process.stderr.write = (chunk) => {
+    logLines.push(String(chunk));
+    return true;
+  };
 
   const kaohsiungSource = SOURCES.find((s) => s.name === 'kaohsiung');
   const fallbackUrl = kaohsiungSource.fallbackUrls[0].url;
@@ -449,7 +453,7 @@ test('writeAll：高雄主來源(data.kcg.gov.tw)全敗 → 切換到鏡像(open
   });
   t.after(() => {
     globalThis.fetch = originalFetch;
-    console.error = originalConsoleError;
+    process.stderr.write = originalStderrWrite;
   });
 
   const { from } = makeFakeSupabase();
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * staging 選用欄位偵測測試（lib/staging-columns.cjs）。全 mock，probe 以欄位清單模擬 PostgREST 的回應。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ALL_STAGING_COLUMN_GROUPS,
+    isMissingColumnError,
+    detectStagingColumns,
+    stagingRow,
+    assertQueryDimensionsWritable,
+} = require('../lib/staging-columns.cjs');
+
+// 假 probe：existing 以外的欄位回 42703（與 PostgREST select 不存在欄位相同）。
+function probeWith(existing) {
+    return async (columns) => {
+        const unknown = columns.find((c) => !existing.includes(c));
+        return { error: unknown ? { code: '42703', message: `column available_plates_staging.${unknown} does not exist` } : null };
+    };
+}
+
+const ROW = {
+    station_id: '20', plate_type: 'g', window_id: '01', car_type: 'C', energy_type: 'E', plate_version: '2',
+    plate_no: 'EBP-1571', price: 2000, vanity_score: 12, vanity_features: { version: 1 },
+    updated_at: '2026-10-19T00:00:00.000Z', last_verified_at: '2026-10-19T00:00:00.000Z', status: 'AVAILABLE',
+};
+
+test('isMissingColumnError：42703／PGRST204 與訊息比對；其他錯誤不算', () => {
+    assert.equal(isMissingColumnError({ code: '42703', message: 'x' }), true);
+    assert.equal(isMissingColumnError({ code: 'PGRST204', message: "Could not find the 'vanity_score' column of 'available_plates_staging' in the schema cache" }), true);
+    assert.equal(isMissingColumnError({ message: 'column available_plates_staging.car_type does not exist' }), true);
+    assert.equal(isMissingColumnError({ code: '08006', message: 'connection failure' }), false);
+    assert.equal(isMissingColumnError(new TypeError('fetch failed')), false);
+    assert.equal(isMissingColumnError(null), false);
+});
+
+test('detectStagingColumns：migration 未套的欄位組列為 missing；連線錯誤（含丟錯）當作存在', async () => {
+    const legacy = await detectStagingColumns(probeWith(['station_id', 'plate_no']));
+    assert.deepEqual(legacy.available, []);
+    assert.deepEqual(legacy.missing.map((m) => [m.group, m.migration]), [
+        ['query_dimensions', 'plate_query_dimensions.sql'],
+        ['vanity', 'plate_vanity.sql'],
+        ['last_verified', 'plate_partial_swap.sql'],
+    ]);
+
+    const partial = await detectStagingColumns(probeWith(['car_type', 'energy_type', 'plate_version', 'last_verified_at']));
+    assert.deepEqual(partial.available, ['query_dimensions', 'last_verified']);
+    assert.deepEqual(partial.missing.map((m) => m.columns), [['vanity_score', 'vanity_features']]);
+
+    const offline = await detectStagingColumns(async () => { throw new TypeError('fetch failed'); });
+    assert.deepEqual(offline.available, [...ALL_STAGING_COLUMN_GROUPS]);
+});
+
+test('stagingRow：只去掉不可寫的欄位組，原列不動', () => {
+    assert.deepEqual(stagingRow(ROW, ALL_STAGING_COLUMN_GROUPS), ROW);
+    const legacy = stagingRow(ROW, []);
+    assert.deepEqual(Object.keys(legacy), ['station_id', 'plate_type', 'window_id', 'plate_no', 'price', 'updated_at', 'status']);
+    assert.equal('last_verified_at' in stagingRow(ROW, ['query_dimensions', 'vanity']), false);
+    assert.equal(ROW.car_type, 'C');
+});
+
+test('assertQueryDimensionsWritable：沒有維度欄位時只放行預設組合 C/E/2', () => {
+    const defaults = [{ carType: 'C', energyType: 'E', plateType: 'g', plateVersion: '2' }, { carType: 'C', energyType: 'E', plateType: 'h', plateVersion: '2' }];
+    const withEv = [...defaults, { carType: 'C', energyType: 'G', plateType: 'g', plateVersion: '2' }];
+    assert.doesNotThrow(() => assertQueryDimensionsWritable(defaults, []));
+    assert.doesNotThrow(() => assertQueryDimensionsWritable(withEv, ['query_dimensions']));
+    assert.throws(() => assertQueryDimensionsWritable(withEv, ['vanity']), /plate_query_dimensions\.sql/);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * 站點斷點續跑純邏輯測試（lib/station-checkpoint.cjs）。
+ * 全 mock，不連 Supabase——checkpoint 讀寫 I/O 在 gh-plate-sync.cjs，這裡只驗證
+ * 「續用哪個 run / 哪些站跳過 / 哪些類別要重跑」的判定。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CHECKPOINT_DONE,
+    CHECKPOINT_IN_PROGRESS,
+    RESUME_WINDOW_MS,
+    resolveResumeRunId,
+    indexCheckpoints,
+    remainingQueryUnits,
+    carriedPlateCount,
+    buildCheckpointRow,
+} = require('../lib/station-checkpoint.cjs');
+
+const NOW = Date.parse('2026-10-19T03:00:00Z');
+const minutesAgo = (m) => new Date(NOW - m * 60 * 1000).toISOString();
+
+test('resolveResumeRunId：取窗口內最近一次更新的 run', () => {
+    const rows = [
+        { run_id: 'run_a', updated_at: minutesAgo(90) },
+        { run_id: 'run_b', updated_at: minutesAgo(10) },
+        { run_id: 'run_a', updated_at: minutesAgo(50) },
+    ];
+    assert.equal(resolveResumeRunId(rows, NOW), 'run_b');
+});
+
+test('resolveResumeRunId：超過續跑窗口的殘留 checkpoint 不續用（staging 已舊）', () => {
+    const rows = [{ run_id: 'run_old', updated_at: new Date(NOW - RESUME_WINDOW_MS - 1).toISOString() }];
+    assert.equal(resolveResumeRunId(rows, NOW), null);
+});
+
+test('resolveResumeRunId：無列 / null / 壞掉的時間戳 → null（開新 run）', () => {
+    assert.equal(resolveResumeRunId([], NOW), null);
+    assert.equal(resolveResumeRunId(null, NOW), null);
+    assert.equal(resolveResumeRunId([{ run_id: 'x', updated_at: 'not-a-date' }], NOW), null);
+});
+
+test('indexCheckpoints：以 station_id（字串）索引，缺欄位給空值', () => {
+    const map = indexCheckpoints([
+        { station_id: 20, status: CHECKPOINT_DONE, completed_plate_types: ['01:C:E:g:2', '02:M:G:g:1'], staged_counts: { '01:C:E:g:2': 12, '02:M:G:g:1': 3 } },
+        { station_id: '21', status: CHECKPOINT_IN_PROGRESS, completed_plate_types: null, staged_counts: null },
+    ]);
+    assert.deepEqual(map.get('20'), { status: CHECKPOINT_DONE, completedUnits: ['01:C:E:g:2', '02:M:G:g:1'], stagedCounts: { '01:C:E:g:2': 12, '02:M:G:g:1': 3 } });
+    assert.deepEqual(map.get('21'), { status: CHECKPOINT_IN_PROGRESS, completedUnits: [], stagedCounts: {} });
+});
+
+test('remainingQueryUnits：只剩未完成單位，保留原順序；無 checkpoint 即全部', () => {
+    const units = ['01:C:E:g:2', '01:C:E:h:2', '02:C:E:g:2'];
+    assert.deepEqual(remainingQueryUnits(units, null), units);
+    assert.deepEqual(remainingQueryUnits(units, { completedUnits: ['01:C:E:g:2'] }), ['01:C:E:h:2', '02:C:E:g:2']);
+    assert.deepEqual(remainingQueryUnits(units, { completedUnits: ['02:C:E:g:2', '01:C:E:h:2', '01:C:E:g:2'] }), []);
+});
+
+test('carriedPlateCount：合計上一輪已寫入 staging 的筆數', () => {
+    assert.equal(carriedPlateCount(null), 0);
+    assert.equal(carriedPlateCount({ stagedCounts: { '01:C:E:g:2': 12, '01:C:E:h:2': 0, '02:C:E:g:2': 4 } }), 16);
+    assert.equal(carriedPlateCount({ stagedCounts: { '01:C:E:g:2': '5', '01:C:E:h:2': 'bad' } }), 5);
+});
+
+test('buildCheckpointRow：欄位對應 plate_sync_checkpoints，陣列/物件為複本', () => {
+    const completed = ['01:C:E:g:2'];
+    const counts = { '01:C:E:g:2': 7 };
+    const row = buildCheckpointRow({
+        runId: 'run_1', shard: 'NORTH', deptId: '2', stationId: '20',
+        completedUnits: completed, stagedCounts: counts, status: CHECKPOINT_IN_PROGRESS,
+    });
+    assert.equal(row.run_id, 'run_1');
+    assert.equal(row.shard, 'NORTH');
+    assert.equal(row.region_id, '2');
+    assert.equal(row.station_id, '20');
+    assert.deepEqual(row.completed_plate_types, ['01:C:E:g:2']);
+    assert.deepEqual(row.staged_counts, { '01:C:E:g:2': 7 });
+    assert.equal(row.status, CHECKPOINT_IN_PROGRESS);
+    assert.ok(!Number.isNaN(Date.parse(row.updated_at)));
+
+    completed.push('01:C:E:h:2');
+    counts['01:C:E:h:2'] = 1;
+    assert.deepEqual(row.completed_plate_types, ['01:C:E:g:2'], '之後改動呼叫端陣列不可影響已組好的列');
+    assert.deepEqual(row.staged_counts, { '01:C:E:g:2': 7 });
+});
+
+test('buildCheckpointRow：非 shard 模式 shard 欄位記為 ALL', () => {
+    const row = buildCheckpointRow({
+        runId: 'run_1', shard: null, deptId: '2', stationId: '20',
+        completedUnits: [], stagedCounts: {}, status: CHECKPOINT_IN_PROGRESS,
+    });
+    assert.equal(row.shard, 'ALL');
+});
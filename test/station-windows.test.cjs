@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * 站點窗口 → 查詢單位純邏輯測試（lib/station-windows.cjs）。
+ * 下拉選項以 investigate_options.cjs 的掃描結果形狀手寫，不開瀏覽器。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_WINDOW_ID,
+    queryUnitKey,
+    parseWindowOptions,
+    configuredWindows,
+    buildQueryPlan,
+    formStateKey,
+} = require('../lib/station-windows.cjs');
+
+// 舊版寫死的查法：汽車/電動/新式。
+const combo = (plateType, carType = 'C', energyType = 'E', plateVersion = '2') => ({ carType, energyType, plateType, plateVersion });
+const GH = [combo('g'), combo('h')];
+
+test('queryUnitKey：窗口:車種:能源別:類別:版式', () => {
+    assert.equal(queryUnitKey('02', combo('h')), '02:C:E:h:2');
+    assert.equal(queryUnitKey('01', combo('g', 'M', 'G', '1')), '01:M:G:g:1');
+});
+
+test('parseWindowOptions：略過 placeholder（0／空值）、去重、保留原順序', () => {
+    const windows = parseWindowOptions([
+        { value: '0', text: '請選擇' },
+        { value: '02', text: ' 第二窗口 ' },
+        { value: '01', text: '第一窗口' },
+        { value: '02', text: '重複' },
+        { value: '', text: '' },
+    ]);
+    assert.deepEqual(windows, [{ id: '02', name: '第二窗口' }, { id: '01', name: '第一窗口' }]);
+    assert.deepEqual(parseWindowOptions(null), []);
+});
+
+test('configuredWindows：支援字串陣列與物件陣列（plate_types 限定類別）', () => {
+    assert.deepEqual(configuredWindows({ windows: ['01', '03'] }), [
+        { id: '01', name: null, plateTypes: null },
+        { id: '03', name: null, plateTypes: null },
+    ]);
+    assert.deepEqual(configuredWindows({ windows: [{ id: '02', name: '二', plate_types: ['g'] }, '02'] }), [
+        { id: '02', name: '二', plateTypes: ['g'] },
+    ]);
+});
+
+test('configuredWindows：未設定、空陣列或全無效 → null（交給執行期探查）', () => {
+    assert.equal(configuredWindows({ id: '20' }), null);
+    assert.equal(configuredWindows({ windows: [] }), null);
+    assert.equal(configuredWindows({ windows: ['', null, { name: 'x' }] }), null);
+    assert.equal(configuredWindows(null), null);
+});
+
+test('buildQueryPlan：窗口 × 組合，窗口優先排序；有列開放類別時取交集', () => {
+    const plan = buildQueryPlan([
+        { id: '01', name: '一', plateTypes: ['g', 'h'] },
+        { id: '02', name: null, plateTypes: ['g'] },
+        { id: '03', plateTypes: null },
+    ], GH);
+    assert.deepEqual(plan.map((u) => u.key), ['01:C:E:g:2', '01:C:E:h:2', '02:C:E:g:2', '03:C:E:g:2', '03:C:E:h:2']);
+    assert.deepEqual(plan[0], {
+        key: '01:C:E:g:2', windowId: '01', windowName: '一', carType: 'C', energyType: 'E', plateType: 'g', plateVersion: '2',
+    });
+});
+
+test('buildQueryPlan：no_rental 站只查 g；窗口只開 h 就整個略過', () => {
+    const plan = buildQueryPlan([
+        { id: '01', plateTypes: ['g', 'h'] },
+        { id: '02', plateTypes: ['h'] },
+    ], [combo('g')]);
+    assert.deepEqual(plan.map((u) => u.key), ['01:C:E:g:2']);
+});
+
+test('buildQueryPlan：探查結果依車種/能源別分組（plateTypesByVehicle 優先於 plateTypes）', () => {
+    const plan = buildQueryPlan([
+        { id: '01', plateTypes: ['g', 'h'], plateTypesByVehicle: { 'C:E': ['g'], 'M:E': ['h'] } },
+    ], [combo('g'), combo('h'), combo('g', 'M'), combo('h', 'M'), combo('g', 'C', 'G')]);
+    // C:G 沒探到 → 退回 plateTypes（g/h 都開）
+    assert.deepEqual(plan.map((u) => u.key), ['01:C:E:g:2', '01:M:E:h:2', '01:C:G:g:2']);
+});
+
+test('buildQueryPlan：沒有任何窗口（探查失敗）→ 退回預設窗口 01，與舊行為一致', () => {
+    assert.equal(DEFAULT_WINDOW_ID, '01');
+    assert.deepEqual(buildQueryPlan([], GH).map((u) => u.key), ['01:C:E:g:2', '01:C:E:h:2']);
+    assert.deepEqual(buildQueryPlan(null, [combo('g')]).map((u) => u.key), ['01:C:E:g:2']);
+});
+
+test('formStateKey：只差類別的單位同一表單狀態（可 Quick Re-query），差版式就不同', () => {
+    const [g, h] = buildQueryPlan([{ id: '01' }], GH);
+    const [oldG] = buildQueryPlan([{ id: '01' }], [combo('g', 'C', 'E', '1')]);
+    assert.equal(formStateKey(g), formStateKey(h));
+    assert.notEqual(formStateKey(g), formStateKey(oldG));
+});
@@ -0,0 +1,397 @@
+'use strict';
+
+/**
+ * MVDIS 選號頁（queryPickNo）離線替身伺服器——端到端回歸用，絕不連真實監理服務網。
+ *
+ * 為什麼存在：test/plate-parser.test.cjs 只釘住「靜態結果頁 → 車牌」；導覽、下拉連動、
+ * Quick Re-query、分頁、驗證碼錯誤重試這些流程過去只有 production shard 才跑得到，
+ * 壞了只會表現成「整站 10 次 attempt 全敗」。本替身把這些頁面狀態搬到本機：
+ *   - 表單頁：#selDeptCode → #selStationCode → #selWindowNo → #selPlateType 連動下拉
+ *     （換上層選項才以 fetch 載入下層，跟真站一樣有非同步延遲；#selCarType／#selEnergyType
+ *     變動也會重載車牌類別）、plateVer radio、#pickimg + 換圖連結、#validateStr、doSubmit()。
+ *   - 驗證碼：每次取圖重新出題（per-session），錯誤時回表單頁並跳
+ *     alert('驗證數字輸入錯誤')，空白時 alert('請輸入驗證數字')。
+ *   - 結果頁：h1「站名 -- 類別」、.number_cell、「共 N 筆　頁次：c / t 頁」、
+ *     input[name="status_next_page"] 翻頁、a[onclick*="doReturnWithData"] 帶原選項返回。
+ *   - 查無資料頁：「截至目前為止，查無資料」。
+ *   - 首頁 `/`：可切換成「今日施工中」公告（checkMaintenanceNotice 用）。
+ *
+ * 用法：
+ *   const standIn = createMvdisStandIn({ plates: { '20:01:g': [...] } });
+ *   const baseUrl = await standIn.listen();   // 再以 MVDIS_BASE_URL=baseUrl 指給 gh-plate-sync.cjs
+ *   standIn.lastCaptcha                        // 最近一次出的題（假 AI 讀這裡當答案）
+ *   await standIn.close();
+ *
+ * 手動端到端：`npm run mvdis:stand-in`（預設 port 8787），另開終端機以
+ * MVDIS_BASE_URL=http://127.0.0.1:8787 執行 gh-plate-sync.cjs。
+ */
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const QUERY_PATH = '/m3-emv-plate/webpickno/queryPickNo';
+const OPTIONS_PATH = '/m3-emv-plate/webpickno/options';
+const CAPTCHA_PATH = '/m3-emv-plate/webpickno/pickimg';
+
+// 刻意排除易混字元（0/O、1/I），與真站驗證碼字元集的觀察一致。
+const CAPTCHA_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const PLATE_TYPE_NAMES = { g: '自用小客車', h: '租賃小客車' };
+
+const DEFAULT_DEPTS = [
+  { id: '2', name: '臺北市', stations: [
+    { id: '20', name: '臺北市區監理所', windows: [{ id: '01', name: '臺北市區監理所', plateTypes: ['g', 'h'] }] },
+    { id: '21', name: '士林監理站', windows: [{ id: '01', name: '士林監理站', plateTypes: ['g', 'h'] }] },
+  ]},
+  { id: '7', name: '嘉義區', stations: [
+    { id: '73', name: '新營監理站', windows: [{ id: '01', name: '新營監理站', plateTypes: ['g'] }] },
+  ]},
+];
+
+/**
+ * 車牌庫存的查表 key：`${stationId}:${windowId}:${plateType}`；車種/能源別/版式不是預設的
+ * 汽車/電動/新式（C/E/2）時再接 `:${carType}:${energyType}:${plateVer}`。
+ * @param {{carType?: string, energyType?: string, plateVer?: string}} [dims]
+ */
+function inventoryKey(stationId, windowId, plateType, dims = {}) {
+  const { carType = 'C', energyType = 'E', plateVer = '2' } = dims;
+  const base = `${stationId}:${windowId}:${plateType}`;
+  return carType === 'C' && energyType === 'E' && plateVer === '2' ? base : `${base}:${carType}:${energyType}:${plateVer}`;
+}
+
+function randomCaptcha() {
+  let code = '';
+  for (let i = 0; i < 4; i++) code += CAPTCHA_CHARS[crypto.randomInt(CAPTCHA_CHARS.length)];
+  return code;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function optionTags(items, selected) {
+  return ['<option value="0">請選擇</option>']
+    .concat(items.map((it) => `<option value="${escapeHtml(it.value)}"${it.value === selected ? ' selected' : ''}>${escapeHtml(it.text)}</option>`))
+    .join('');
+}
+
+/**
+ * @param {object} [opts]
+ * @param {Array<object>} [opts.depts] 監理所 → 站 → 窗口（含 plateTypes）樹，預設見 DEFAULT_DEPTS。
+ *   plateTypes 可為陣列（不分車種）或 `{ 'C:E': [...], 'M:G': [...] }`（依 車種:能源別 開放不同類別）。
+ * @param {Record<string, Array<{no: string, price: number}>>} [opts.plates] inventoryKey → 車牌清單；缺 key 即查無資料。
+ * @param {number} [opts.pageSize] 每頁筆數（預設 5，小一點才測得到分頁）。
+ * @param {string|null} [opts.maintenance] 首頁「今日施工中」公告內文；null 為正常首頁。
+ * @param {Function} [opts.nextCaptcha] 出題函式（測試可固定答案），預設隨機 4 字元。
+ */
+function createMvdisStandIn(opts = {}) {
+  const depts = opts.depts || DEFAULT_DEPTS;
+  const plates = opts.plates || {};
+  const pageSize = opts.pageSize || 5;
+  const nextCaptcha = opts.nextCaptcha || randomCaptcha;
+  let maintenance = opts.maintenance || null;
+
+  const sessions = new Map();
+  const counters = { formLoads: 0, captchaImages: 0, submits: 0, rejected: 0, resultPages: 0, returns: 0 };
+  let lastCaptcha = null;
+  let baseUrl = null;
+
+  function findStation(stationId) {
+    for (const dept of depts) {
+      const station = dept.stations.find((s) => s.id === stationId);
+      if (station) return station;
+    }
+    return null;
+  }
+
+  function optionItems(type, q) {
+    if (type === 'station') {
+      const dept = depts.find((d) => d.id === q.dept);
+      return dept ? dept.stations.map((s) => ({ value: s.id, text: s.name })) : [];
+    }
+    const station = findStation(q.station);
+    if (!station) return [];
+    if (type === 'window') return station.windows.map((w) => ({ value: w.id, text: w.name }));
+    if (type === 'plateType') {
+      const win = station.windows.find((w) => w.id === q.window);
+      if (!win) return [];
+      const types = Array.isArray(win.plateTypes) ? win.plateTypes : win.plateTypes[`${q.carType}:${q.energyType}`] || [];
+      return types.map((t) => ({ value: t, text: PLATE_TYPE_NAMES[t] || t }));
+    }
+    return [];
+  }
+
+  function getSession(req, res) {
+    const match = /(?:^|;\s*)JSESSIONID=([^;]+)/.exec(req.headers.cookie || '');
+    if (match && sessions.has(match[1])) return sessions.get(match[1]);
+    const id = crypto.randomBytes(8).toString('hex');
+    const session = { id, captcha: null, query: null };
+    sessions.set(id, session);
+    res.setHeader('Set-Cookie', `JSESSIONID=${id}; Path=/; HttpOnly`);
+    return session;
+  }
+
+  function send(res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+  }
+
+  function renderForm(sel = {}, alertText = null) {
+    counters.formLoads++;
+    const q = { dept: sel.selDeptCode, station: sel.selStationCode, window: sel.selWindowNo, carType: sel.selCarType, energyType: sel.selEnergyType };
+    const deptItems = depts.map((d) => ({ value: d.id, text: d.name }));
+    return `<!DOCTYPE html>
+<html lang="zh-TW"><head><meta charset="utf-8"><title>監理服務網 - 選號</title></head>
+<body>
+<div id="announce" style="background:#fffbe6">系統公告：本服務僅供查詢。<a href="javascript:void(0)" onclick="document.getElementById('announce').style.display='none'">關閉</a></div>
+<h2>選擇車牌號碼</h2>
+<form id="queryForm" method="post" action="${QUERY_PATH}">
+  <input type="hidden" id="method" name="method" value="">
+  <input type="hidden" id="location" name="location" value="">
+  <select id="selDeptCode" name="selDeptCode" onchange="loadOptions('station')">${optionTags(deptItems, sel.selDeptCode)}</select>
+  <select id="selStationCode" name="selStationCode" onchange="loadOptions('window')">${optionTags(optionItems('station', q), sel.selStationCode)}</select>
+  <select id="selWindowNo" name="selWindowNo" onchange="loadOptions('plateType')">${optionTags(optionItems('window', q), sel.selWindowNo)}</select>
+  <select id="selCarType" name="selCarType" onchange="loadOptions('plateType')">${optionTags([{ value: 'C', text: '汽車' }, { value: 'M', text: '機車' }], sel.selCarType)}</select>
+  <select id="selEnergyType" name="selEnergyType" onchange="loadOptions('plateType')">${optionTags([{ value: 'E', text: '電動' }, { value: 'G', text: '非電動' }], sel.selEnergyType)}</select>
+  <select id="selPlateType" name="selPlateType">${optionTags(optionItems('plateType', q), sel.selPlateType)}</select>
+  <label><input type="radio" name="plateVer" value="1"${sel.plateVer === '1' ? ' checked' : ''}>舊式</label>
+  <label><input type="radio" name="plateVer" value="2"${sel.plateVer === '2' ? ' checked' : ''}>新式</label>
+  <img id="pickimg" src="${CAPTCHA_PATH}?t=${Date.now()}" width="120" height="40" alt=""><a href="javascript:void(0)" onclick="refreshPickimg()">換一張</a>
+  <input type="text" id="validateStr" name="validateStr" maxlength="4" autocomplete="off">
+  <a href="javascript:void(0)" class="std_btn" onclick="doSubmit()">確定查詢</a>
+</form>
+<script>
+  var OPTIONS_PATH = ${JSON.stringify(OPTIONS_PATH)};
+  var CAPTCHA_PATH = ${JSON.stringify(CAPTCHA_PATH)};
+  var CHILD = { station: 'selStationCode', window: 'selWindowNo', plateType: 'selPlateType' };
+  var RESET = { station: ['selStationCode', 'selWindowNo', 'selPlateType'], window: ['selWindowNo', 'selPlateType'], plateType: ['selPlateType'] };
+  function fillSelect(id, items) {
+    var el = document.getElementById(id);
+    var keep = el.value;
+    el.innerHTML = '<option value="0">請選擇</option>';
+    items.forEach(function (it) {
+      var o = document.createElement('option');
+      o.value = it.value; o.text = it.text;
+      el.appendChild(o);
+    });
+    if (items.some(function (it) { return it.value === keep; })) el.value = keep;
+  }
+  function loadOptions(type) {
+    var params = new URLSearchParams({
+      type: type,
+      dept: document.getElementById('selDeptCode').value,
+      station: document.getElementById('selStationCode').value,
+      window: document.getElementById('selWindowNo').value,
+      carType: document.getElementById('selCarType').value,
+      energyType: document.getElementById('selEnergyType').value
+    });
+    return fetch(OPTIONS_PATH + '?' + params.toString())
+      .then(function (r) { return r.json(); })
+      .then(function (items) {
+        RESET[type].slice(1).forEach(function (id) { fillSelect(id, []); });
+        fillSelect(CHILD[type], items);
+      });
+  }
+  function refreshPickimg() { document.getElementById('pickimg').src = CAPTCHA_PATH + '?t=' + Date.now(); }
+  function doSubmit() {
+    document.getElementById('method').value = 'qryPickNo';
+    document.getElementById('queryForm').submit();
+  }
+</script>
+${alertText ? `<script>alert(${JSON.stringify(alertText)});</script>` : ''}
+</body></html>`;
+  }
+
+  function renderResult(session) {
+    const { sel, page } = session.query;
+    const station = findStation(sel.selStationCode);
+    const stationName = station ? station.name : sel.selStationCode;
+    const typeName = PLATE_TYPE_NAMES[sel.selPlateType] || sel.selPlateType;
+    const dims = { carType: sel.selCarType, energyType: sel.selEnergyType, plateVer: sel.plateVer };
+    const all = plates[inventoryKey(sel.selStationCode, sel.selWindowNo, sel.selPlateType, dims)] || [];
+    const returnForm = `<form id="resultForm" method="post" action="${QUERY_PATH}">
+  <input type="hidden" id="method" name="method" value="">
+  <input type="hidden" id="pageNo" name="pageNo" value="${page}">
+</form>
+<a href="javascript:void(0)" onclick="doReturnWithData()">重新查詢</a>
+<script>
+  function submitWith(method, pageNo) {
+    document.getElementById('method').value = method;
+    if (pageNo) document.getElementById('pageNo').value = pageNo;
+    document.getElementById('resultForm').submit();
+  }
+  function doReturnWithData() { submitWith('doReturnWithData'); }
+  function goPage(n) { submitWith('qryPickNo', n); }
+</script>`;
+
+    counters.resultPages++;
+    if (all.length === 0) {
+      return `<!DOCTYPE html>
+<html lang="zh-TW"><head><meta charset="utf-8"><title>監理服務網</title></head>
+<body>
+<h1>${escapeHtml(stationName)} -- ${escapeHtml(typeName)}</h1>
+<div class="message">截至目前為止，查無資料，尚無可供選號之車牌。</div>
+${returnForm}
+</body></html>`;
+    }
+
+    const totalPages = Math.ceil(all.length / pageSize);
+    const current = Math.min(Math.max(1, page), totalPages);
+    const cells = all.slice((current - 1) * pageSize, current * pageSize).map((p) => `
+    <div class="number_cell">
+      <span class="number">${escapeHtml(p.no)}</span>
+      <span class="price">${Number(p.price).toLocaleString('en-US')}元</span>
+    </div>`).join('');
+    const nextButton = current < totalPages
+      ? `<input type="button" name="status_next_page" value="下一頁" onclick="goPage(${current + 1})">`
+      : '';
+    return `<!DOCTYPE html>
+<html lang="zh-TW"><head><meta charset="utf-8"><title>監理服務網 - ${escapeHtml(typeName)}</title></head>
+<body>
+<h1>${escapeHtml(stationName)} -- ${escapeHtml(typeName)}</h1>
+<div class="search_summary">查詢結果：共 ${all.length} 筆　頁次：${current} / ${totalPages} 頁</div>
+<div class="plate_list">${cells}
+</div>
+${nextButton}
+${returnForm}
+</body></html>`;
+  }
+
+  function renderHome() {
+    const body = maintenance
+      ? `<h2>今日施工中</h2><p>${escapeHtml(maintenance)}</p>`
+      : '<h2>監理服務網</h2><p>歡迎使用監理服務網。</p>';
+    return `<!DOCTYPE html><html lang="zh-TW"><head><meta charset="utf-8"><title>監理服務網</title></head><body>${body}</body></html>`;
+  }
+
+  function renderCaptcha(code) {
+    const noise = [0, 1, 2].map(() => {
+      const y1 = crypto.randomInt(40);
+      const y2 = crypto.randomInt(40);
+      return `<line x1="0" y1="${y1}" x2="120" y2="${y2}" stroke="#999" stroke-width="1"/>`;
+    }).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="40" viewBox="0 0 120 40">` +
+      `<rect width="120" height="40" fill="#fff"/>${noise}` +
+      `<text x="12" y="29" font-family="monospace" font-size="24" letter-spacing="6" fill="#222">${code}</text></svg>`;
+  }
+
+  async function readForm(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')));
+  }
+
+  async function handlePost(req, res, session) {
+    const form = await readForm(req);
+
+    if (form.method === 'doReturnWithData') {
+      counters.returns++;
+      return send(res, 200, 'text/html; charset=utf-8', renderForm(session.query ? session.query.sel : {}));
+    }
+
+    if (form.method !== 'qryPickNo') {
+      return send(res, 400, 'text/plain; charset=utf-8', `unknown method: ${form.method}`);
+    }
+
+    // 翻頁：沿用 session 內已通過驗證碼的查詢，只換頁碼（真站翻頁不用再輸入驗證碼）。
+    if (form.pageNo && !form.validateStr && session.query) {
+      session.query.page = parseInt(form.pageNo, 10) || 1;
+      return send(res, 200, 'text/html; charset=utf-8', renderResult(session));
+    }
+
+    counters.submits++;
+    const sel = {
+      selDeptCode: form.selDeptCode,
+      selStationCode: form.selStationCode,
+      selWindowNo: form.selWindowNo,
+      selCarType: form.selCarType,
+      selEnergyType: form.selEnergyType,
+      selPlateType: form.selPlateType,
+      plateVer: form.plateVer,
+    };
+    const answer = (form.validateStr || '').trim().toUpperCase();
+    if (!answer) {
+      counters.rejected++;
+      return send(res, 200, 'text/html; charset=utf-8', renderForm(sel, '請輸入驗證數字'));
+    }
+    // 驗證碼一次性：不論對錯都作廢，逼呼叫端重新取圖（與真站行為一致）。
+    const expected = session.captcha;
+    session.captcha = null;
+    if (!expected || answer !== expected) {
+      counters.rejected++;
+      return send(res, 200, 'text/html; charset=utf-8', renderForm(sel, '驗證數字輸入錯誤'));
+    }
+
+    session.query = { sel, page: 1 };
+    return send(res, 200, 'text/html; charset=utf-8', renderResult(session));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://stand-in.local');
+    const session = getSession(req, res);
+
+    if (url.pathname === '/' && req.method === 'GET') {
+      return send(res, 200, 'text/html; charset=utf-8', renderHome());
+    }
+    if (url.pathname === QUERY_PATH && req.method === 'GET') {
+      return send(res, 200, 'text/html; charset=utf-8', renderForm());
+    }
+    if (url.pathname === QUERY_PATH && req.method === 'POST') {
+      return handlePost(req, res, session);
+    }
+    if (url.pathname === OPTIONS_PATH) {
+      const q = Object.fromEntries(url.searchParams);
+      return send(res, 200, 'application/json; charset=utf-8', JSON.stringify(optionItems(q.type, q)));
+    }
+    if (url.pathname === CAPTCHA_PATH) {
+      counters.captchaImages++;
+      session.captcha = nextCaptcha();
+      lastCaptcha = session.captcha;
+      return send(res, 200, 'image/svg+xml', renderCaptcha(session.captcha));
+    }
+    return send(res, 404, 'text/plain; charset=utf-8', 'Not Found');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, 'text/plain; charset=utf-8', err.message));
+  });
+
+  return {
+    server,
+    counters,
+    get baseUrl() { return baseUrl; },
+    get lastCaptcha() { return lastCaptcha; },
+    setMaintenance(message) { maintenance = message || null; },
+    /** @returns {Promise<string>} 實際監聽的 base URL（port 0 由系統挑空閒 port）。 */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          baseUrl = `http://${host}:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      });
+    },
+  };
+}
+
+module.exports = { createMvdisStandIn, inventoryKey, QUERY_PATH, OPTIONS_PATH, CAPTCHA_PATH, DEFAULT_DEPTS };
+
+if (require.main === module) {
+  const portArg = process.argv.find((a) => a.startsWith('--port='));
+  const port = portArg ? parseInt(portArg.split('=')[1], 10) : 8787;
+  // 手動端到端用的示範庫存：臺北市區 g 兩頁、h 查無資料。
+  const demoPlates = {
+    [inventoryKey('20', '01', 'g')]: Array.from({ length: 7 }, (_, i) => ({ no: `EBP-${String(1571 + i * 11).padStart(4, '0')}`, price: 2000 + i * 1000 })),
+  };
+  const standIn = createMvdisStandIn({ plates: demoPlates });
+  standIn.listen(port).then((url) => {
+    console.log(`[mvdis-stand-in] listening on ${url}（MVDIS_BASE_URL=${url}）`);
+  });
+}
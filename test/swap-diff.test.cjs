@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * swap 前差異報告測試（lib/swap-diff.cjs）。純函式，不連 Supabase。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSwapDiffReport, formatSwapDiffReport } = require('../lib/swap-diff.cjs');
+
+const AT = '2026-10-19T03:00:00.000Z';
+const row = (station_id, plate_type, plate_no, price = 2000) => ({
+    station_id, station_name: `站${station_id}`, plate_type, plate_no, price, updated_at: '2026-10-19T02:40:00.000Z',
+});
+
+test('buildSwapDiffReport：逐站 × 類別分出 ADDED / REMOVED / PRICE_CHANGED 與前後筆數', () => {
+    const live = [row('20', 'g', 'EBP-1571'), row('20', 'g', 'EBP-1572'), row('20', 'h', 'RES-0001'), row('21', 'g', 'EBP-3000')];
+    const staged = [row('20', 'g', 'EBP-1572', 2600), row('20', 'g', 'EBP-1580'), row('20', 'h', 'RES-0001'), row('21', 'g', 'EBP-3000')];
+    const report = buildSwapDiffReport(live, staged, AT);
+
+    assert.equal(report.generatedAt, AT);
+    assert.deepEqual(report.totals, { before: 4, after: 4, added: 1, removed: 1, price_changed: 1 });
+    const g = report.groups.find((x) => x.station_id === '20' && x.plate_type === 'g');
+    assert.equal(g.station_name, '站20');
+    assert.deepEqual([g.before, g.after], [2, 2]);
+    assert.deepEqual(g.added, [{ plate_no: 'EBP-1580', price: 2000 }]);
+    assert.deepEqual(g.removed, [{ plate_no: 'EBP-1571', price: 2000 }]);
+    assert.deepEqual(g.price_changed, [{ plate_no: 'EBP-1572', from: 2000, to: 2600 }]);
+    assert.equal(g.drop_ratio, 0);
+
+    const unchanged = report.groups.find((x) => x.station_id === '20' && x.plate_type === 'h');
+    assert.deepEqual([unchanged.added.length, unchanged.removed.length, unchanged.price_changed.length], [0, 0, 0]);
+});
+
+test('buildSwapDiffReport：整站掉光的組排最前面並算出 drop_ratio；多窗口重複列只算一次', () => {
+    const live = [row('20', 'g', 'EBP-1571'), row('21', 'g', 'EBP-3000'), row('21', 'g', 'EBP-3001'), row('21', 'g', 'EBP-3002')];
+    const staged = [row('20', 'g', 'EBP-1571'), row('20', 'g', 'EBP-1571'), row('22', 'g', 'EBP-5000')];
+    const report = buildSwapDiffReport(live, staged, AT);
+
+    assert.deepEqual(report.groups.map((x) => x.station_id), ['21', '20', '22']);
+    assert.equal(report.groups[0].drop_ratio, 1);
+    assert.equal(report.groups[0].removed.length, 3);
+    assert.equal(report.groups[1].after, 1);
+    assert.equal(report.groups[2].before, 0);
+    assert.equal(report.groups[2].drop_ratio, 0);
+});
+
+test('formatSwapDiffReport：只列有變動的組，號碼超過上限時截斷並標總數', () => {
+    const live = Array.from({ length: 12 }, (_, i) => row('21', 'g', `EBP-${3000 + i}`)).concat(row('23', 'h', 'RES-0001'));
+    const text = formatSwapDiffReport(buildSwapDiffReport(live, [row('23', 'h', 'RES-0001')], AT));
+
+    assert.match(text, /13 → 1/);
+    assert.match(text, /站 21 站21 \[g\] 12 → 0 {2}\+0 -12 💲0 {2}↓100\.0%/);
+    assert.match(text, /REMOVED: EBP-3000, .*EBP-3009 …（共 12）/);
+    assert.doesNotMatch(text, /站 23/);
+
+    const all = formatSwapDiffReport(buildSwapDiffReport(live, [row('23', 'h', 'RES-0001')], AT), { changedOnly: false });
+    assert.match(all, /站 23 站23 \[h\] 1 → 1/);
+    assert.match(formatSwapDiffReport(buildSwapDiffReport([], [], AT)), /（無變動）/);
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * 逐站 swap 政策測試（lib/swap-policy.cjs）。
+ * 輸入為 lib/swap-diff.cjs 報告的 groups 形狀，設定以 system_configs.plate_swap_policy 的形狀手寫。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    RULE_EMPTY,
+    RULE_MIN_COUNT,
+    RULE_MAX_DROP_RATIO,
+    SCOPE_STATION,
+    SCOPE_PLATE_TYPE,
+    resolveSwapPolicy,
+    evaluateTotal,
+    evaluateSwapPolicy,
+    formatSwapPolicyVerdict,
+} = require('../lib/swap-policy.cjs');
+
+const group = (station_id, plate_type, before, after) => ({ station_id, station_name: `站${station_id}`, plate_type, before, after });
+const report = (...groups) => ({ groups });
+const stationOf = (verdict, id) => verdict.stations.find((s) => s.station_id === id);
+
+test('evaluateSwapPolicy：內建預設下小站整站掉光判 EMPTY，即使全表幾乎沒變', () => {
+    const verdict = evaluateSwapPolicy(report(
+        group('20', 'g', 400, 398), group('20', 'h', 120, 121),
+        group('26', 'g', 3, 0),
+    ), resolveSwapPolicy(null));
+
+    assert.equal(verdict.pass, false);
+    assert.equal(stationOf(verdict, '20').pass, true);
+    const kinmen = stationOf(verdict, '26');
+    assert.equal(kinmen.pass, false);
+    assert.deepEqual(kinmen.violations.map((v) => [v.rule, v.scope, v.source]), [[RULE_EMPTY, SCOPE_STATION, 'builtin.allow_empty']]);
+});
+
+test('evaluateSwapPolicy：站層級比例合計各類別；正式表筆數未達 drop_ratio_min_before 不看比例', () => {
+    const policy = resolveSwapPolicy({ defaults: { max_drop_ratio: 0.3 } });
+    const verdict = evaluateSwapPolicy(report(
+        group('20', 'g', 100, 60), group('20', 'h', 100, 100),
+        group('21', 'g', 100, 50), group('21', 'h', 0, 0),
+        group('28', 'g', 6, 1),
+    ), policy);
+
+    assert.equal(stationOf(verdict, '20').pass, true);
+    const v = stationOf(verdict, '21').violations;
+    assert.deepEqual(v.map((x) => [x.rule, x.source, x.limit, x.actual]), [[RULE_MAX_DROP_RATIO, 'defaults.max_drop_ratio', 0.3, 0.5]]);
+    assert.equal(stationOf(verdict, '28').pass, true);
+});
+
+test('evaluateSwapPolicy：類別層級只在有設定時檢查，站設定覆寫全域類別設定並標出來源', () => {
+    const policy = resolveSwapPolicy({
+        plate_types: { h: { max_drop_ratio: 0.2, drop_ratio_min_before: 0 } },
+        stations: { '30': { min_count: 500, plate_types: { h: { max_drop_ratio: 0.9 } } } },
+    });
+    const verdict = evaluateSwapPolicy(report(
+        group('20', 'g', 100, 10), group('20', 'h', 10, 5),
+        group('30', 'g', 400, 420), group('30', 'h', 100, 50),
+    ), policy);
+
+    const s20 = stationOf(verdict, '20').violations.map((x) => [x.rule, x.scope, x.plate_type, x.source]);
+    assert.deepEqual(s20, [
+        [RULE_MAX_DROP_RATIO, SCOPE_STATION, null, 'builtin.max_drop_ratio'],
+        [RULE_MAX_DROP_RATIO, SCOPE_PLATE_TYPE, 'h', 'plate_types.h.max_drop_ratio'],
+    ]);
+    const s30 = stationOf(verdict, '30').violations.map((x) => [x.rule, x.scope, x.source, x.limit, x.actual]);
+    assert.deepEqual(s30, [[RULE_MIN_COUNT, SCOPE_STATION, 'stations.30.min_count', 500, 470]]);
+});
+
+test('evaluateSwapPolicy：allow_empty 可逐站放行；站依站號數字排序', () => {
+    const policy = resolveSwapPolicy({ stations: { '26': { allow_empty: true } } });
+    const verdict = evaluateSwapPolicy(report(group('26', 'g', 2, 0), group('100', 'g', 5, 5), group('9', 'g', 1, 1)), policy);
+    assert.equal(verdict.pass, true);
+    assert.deepEqual(verdict.stations.map((s) => s.station_id), ['9', '26', '100']);
+});
+
+test('evaluateTotal：內建全表下限 50，比例預設不檢查；設定可開啟', () => {
+    assert.deepEqual(evaluateTotal({ before: 1000, after: 600 }, resolveSwapPolicy(null)), []);
+    assert.deepEqual(evaluateTotal({ before: 1000, after: 49 }, resolveSwapPolicy(null)).map((v) => [v.rule, v.source]), [[RULE_MIN_COUNT, 'builtin.min_count']]);
+    const strict = resolveSwapPolicy({ total: { max_drop_ratio: 0.2 } });
+    assert.deepEqual(evaluateTotal({ before: 1000, after: 600 }, strict).map((v) => [v.rule, v.source]), [[RULE_MAX_DROP_RATIO, 'total.max_drop_ratio']]);
+});
+
+test('resolveSwapPolicy：設定不合法直接丟錯（不默默用錯的門檻放行）', () => {
+    assert.throws(() => resolveSwapPolicy([]), /必須是物件/);
+    assert.throws(() => resolveSwapPolicy({ station: {} }), /未知欄位：station/);
+    assert.throws(() => resolveSwapPolicy({ defaults: { max_drop_ratio: 1.5 } }), /defaults\.max_drop_ratio/);
+    assert.throws(() => resolveSwapPolicy({ stations: { '26': { min_count: -1 } } }), /stations\.26\.min_count/);
+    assert.throws(() => resolveSwapPolicy({ stations: { '26': { plate_types: { g: { allow_empty: 'yes' } } } } }), /stations\.26\.plate_types\.g\.allow_empty/);
+    assert.throws(() => resolveSwapPolicy({ plate_types: { h: { max_drop: 0.2 } } }), /plate_types\.h\.max_drop 不是已知的規則欄位/);
+});
+
+test('formatSwapPolicyVerdict：只列未通過的站與觸發的規則', () => {
+    const verdict = evaluateSwapPolicy(report(group('20', 'g', 100, 100), group('26', 'g', 3, 0)), resolveSwapPolicy(null));
+    const text = formatSwapPolicyVerdict(verdict);
+    assert.match(text, /1\/2 站通過/);
+    assert.match(text, /❌ 站 26 站26 3 → 0/);
+    assert.match(text, /EMPTY 正式表有資料、staging 為 0（builtin\.allow_empty）/);
+    assert.doesNotMatch(text, /站 20/);
+});
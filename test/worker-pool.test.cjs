@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * shard 內並行站點 worker pool 純邏輯測試（lib/worker-pool.cjs）。
+ * 不開瀏覽器——worker 以假的 async 函式代替 processStation，只驗證派發順序、
+ * 並行上限與錯誤語義。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CONCURRENCY, MAX_CONCURRENCY, resolveConcurrency, runWorkerPool } = require('../lib/worker-pool.cjs');
+
+const tick = (ms = 1) => new Promise((r) => setTimeout(r, ms));
+
+test('resolveConcurrency：合法值原樣、超過上限封頂、非法值退回預設 1', () => {
+    assert.equal(DEFAULT_CONCURRENCY, 1);
+    assert.equal(resolveConcurrency('2'), 2);
+    assert.equal(resolveConcurrency(3), 3);
+    assert.equal(resolveConcurrency('99'), MAX_CONCURRENCY);
+    assert.equal(resolveConcurrency(undefined), 1);
+    assert.equal(resolveConcurrency(''), 1);
+    assert.equal(resolveConcurrency('abc'), 1);
+    assert.equal(resolveConcurrency('0'), 1);
+    assert.equal(resolveConcurrency('-2'), 1);
+});
+
+test('runWorkerPool：同時在跑的 worker 不超過並行度，且每個 item 恰好處理一次', async () => {
+    const items = Array.from({ length: 7 }, (_, i) => i);
+    let active = 0;
+    let peak = 0;
+    const seen = [];
+    await runWorkerPool(items, 3, async (item) => {
+        active++;
+        peak = Math.max(peak, active);
+        await tick(item % 3);
+        seen.push(item);
+        active--;
+    });
+    assert.equal(peak, 3);
+    assert.deepEqual(seen.slice().sort((a, b) => a - b), items);
+});
+
+test('runWorkerPool：依原順序派發（先到先領），worker 序號落在 0..並行度-1', async () => {
+    const started = [];
+    const workers = new Set();
+    await runWorkerPool(['a', 'b', 'c', 'd'], 2, async (item, workerIndex, itemIndex) => {
+        started.push([item, itemIndex]);
+        workers.add(workerIndex);
+        await tick();
+    });
+    assert.deepEqual(started.map(([item]) => item), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(started.map(([, i]) => i), [0, 1, 2, 3]);
+    assert.deepEqual([...workers].sort(), [0, 1]);
+});
+
+test('runWorkerPool：並行度 1 即逐一依序執行（與舊版逐站行為一致）', async () => {
+    const log = [];
+    await runWorkerPool([1, 2, 3], 1, async (item) => {
+        log.push(`start ${item}`);
+        await tick();
+        log.push(`end ${item}`);
+    });
+    assert.deepEqual(log, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+});
+
+test('runWorkerPool：worker 數不超過 item 數；空佇列直接完成', async () => {
+    const workers = new Set();
+    await runWorkerPool(['only'], 4, async (item, workerIndex) => { workers.add(workerIndex); });
+    assert.deepEqual([...workers], [0]);
+    await runWorkerPool([], 3, async () => { throw new Error('不應被呼叫'); });
+});
+
+test('runWorkerPool：某個 worker 丟錯 → 其餘 worker 跑完剩下 item 後才 reject 第一個錯誤', async () => {
+    const done = [];
+    await assert.rejects(
+        runWorkerPool([1, 2, 3, 4, 5], 2, async (item) => {
+            await tick();
+            if (item === 2) throw new Error('boom at 2');
+            done.push(item);
+        }),
+        /boom at 2/
+    );
+    assert.deepEqual(done.sort(), [1, 3, 4, 5]);
+});
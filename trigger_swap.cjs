@@ -1,13 +1,20 @@
 const { createClient } = require('@supabase/supabase-js');
 const { processPlateSubscriptions } = require('./lib/subscription-notify.cjs');
 const { SHARD_NAMES } = require('./lib/shard-config.cjs');
+const { fetchSwapSnapshots, preparePlateHistory, recordPlateHistory } = require('./lib/plate-history.cjs');
+const { buildSwapDiffReport, formatSwapDiffReport } = require('./lib/swap-diff.cjs');
+const {
+    SWAP_MODE_PARTIAL, SHARD_STATUS_PARTIAL, resolveSwapMode, collectCarryOverStations, carryOverStations, excludeCarriedStations,
+} = require('./lib/partial-swap.cjs');
+const {
+    SWAP_POLICY_CONFIG_KEY, resolveSwapPolicy, evaluateTotal, evaluateSwapPolicy, describeViolation, formatSwapPolicyVerdict,
+} = require('./lib/swap-policy.cjs');
 require('dotenv').config();
 
-// 最低筆數／最大下降比例保護：擋「幾乎全空但非 0」或「相對正式表暴跌」的殘缺批次。
+// 最低筆數／最大下降比例保護：擋「幾乎全空但非 0」或「某站暴跌」的殘缺批次。
+// 門檻由 swap 政策決定（全表＋逐站，lib/swap-policy.cjs；設定 system_configs.plate_swap_policy）。
 // DB 端 swap_plates_data() 也有 20% 熔斷，這裡在呼叫 RPC 前先擋一層，讓
 // trigger_swap.cjs 能明確 exit 非 0，不必等 RPC 側靜默 TRUNCATE 才發現。
-const MIN_STAGING_COUNT = 50;
-const MAX_DROP_RATIO = 0.2;
 // Shard 新鮮度窗口：finalize job 緊接在 5 個 shard 之後跑（各 shard 逾時 45 分鐘），
 // 2 小時窗口足夠涵蓋排隊延遲，又能抓到「shard sync_metadata 是很久以前的殘留」。
 const SHARD_FRESHNESS_WINDOW_MS = 2 * 60 * 60 * 1000;
@@ -136,7 +143,8 @@ async function sendEmail(supabase, to, subject, html) {
     }
 }
 
-async function processSoldNotifications() {
+// carriedStationNames：部分 swap 沿用上一輪資料的站（lib/partial-swap.cjs），本輪沒有實際觀察到它們的下架，不寄售出通知。
+async function processSoldNotifications(carriedStationNames = []) {
     console.log('🔔 Checking for sold watchlist plates...');
     const supabase = initSupabase();
 
@@ -166,9 +174,14 @@ async function processSoldNotifications() {
             return;
         }
 
-        console.log(`📊 Processing ${removed.length} removed plates...`);
+        const observed = excludeCarriedStations(removed, carriedStationNames);
+        if (observed.length < removed.length) {
+            console.log(`⏭️  Skipping ${removed.length - observed.length} removed plate(s) at carried-over station(s): ${[...carriedStationNames].join(', ')}`);
+        }
+
+        console.log(`📊 Processing ${observed.length} removed plates...`);
 
-        for (const item of removed) {
+        for (const item of observed) {
             const { data: watches, error: watchErr } = await supabase
                 .from('watchlist')
                 .select('*')
@@ -219,18 +232,80 @@ async function processSoldNotifications() {
     }
 }
 
+// 讀 swap 政策設定；沒有這列就用內建預設。讀取失敗或設定不合法丟錯（不 swap）。
+async function loadSwapPolicy(supabase) {
+    const { data, error } = await safeQuery(() => supabase
+        .from('system_configs')
+        .select('value')
+        .eq('key', SWAP_POLICY_CONFIG_KEY)
+        .maybeSingle());
+    if (error) throw new Error(`Failed to load ${SWAP_POLICY_CONFIG_KEY}: ${error.message}`);
+    return resolveSwapPolicy(data ? data.value : null);
+}
+
+// 差異報告＋逐站政策判定：讀一次兩份快照，印出逐站變動與未通過的站；快照同時回傳給
+// preparePlateHistory 重用。讀取失敗回 null（呼叫端決定是否擋 swap）。
+async function reportSwapDiff(supabase, policy, outFile = null) {
+    let snapshots;
+    try {
+        snapshots = await fetchSwapSnapshots(supabase);
+    } catch (e) {
+        snapshots = { error: { message: e.message } };
+    }
+    if (snapshots.error) {
+        console.error('⚠️ [Diff] 讀取快照失敗，略過差異報告:', snapshots.error.message);
+        return null;
+    }
+    const report = buildSwapDiffReport(snapshots.live, snapshots.staged);
+    const verdict = evaluateSwapPolicy(report, policy);
+    console.log(formatSwapDiffReport(report));
+    console.log(formatSwapPolicyVerdict(verdict));
+    if (outFile) {
+        require('fs').writeFileSync(outFile, JSON.stringify({ ...report, policy: verdict }, null, 2));
+        console.log(`📝 [Diff] 完整報告已寫入 ${outFile}`);
+    }
+    return { snapshots, verdict };
+}
+
 async function run() {
-    console.log('🔄 Triggering Final Swap...');
+    const args = process.argv.slice(2);
+    const isDryRun = args.includes('--dry-run');
+    const outArg = args.find((a) => a.startsWith('--out='));
+    const outFile = outArg ? outArg.slice('--out='.length) : null;
     const supabase = initSupabase();
 
+    let policy;
+    let swapMode;
+    try {
+        swapMode = resolveSwapMode(process.env.PLATE_SWAP_MODE);
+        policy = await loadSwapPolicy(supabase);
+    } catch (e) {
+        console.error(`❌ ${e.message}. Aborting swap.`);
+        process.exit(1);
+    }
+
+    // --dry-run：只產出 staging vs 正式表的差異報告與政策判定，不做 shard／筆數檢查、不 swap。
+    if (isDryRun) {
+        console.log('🔍 Dry run: building pre-swap diff report (no swap)...');
+        const diff = await reportSwapDiff(supabase, policy, outFile);
+        if (!diff) process.exit(1);
+        return;
+    }
+
+    console.log('🔄 Triggering Final Swap...');
+
     // Safety Check 1：確認所有 shard 都真的跑完且狀態新鮮。理論上 workflow 的
     // needs+if:success() 已經擋住任一 shard 失敗，這裡加一層獨立驗證，避免將來
     // 有人繞過 workflow gate 手動跑本檔、或某個 shard 靜默沒寫 sync_metadata。
+    // partial 模式另接受 PARTIAL（有站失敗、其餘站已寫入 staging）。
+    const isPartialMode = swapMode === SWAP_MODE_PARTIAL;
+    const acceptedStatuses = isPartialMode ? ['COMPLETED', SHARD_STATUS_PARTIAL] : ['COMPLETED'];
+    const shardMetas = [];
     for (const shard of SHARD_NAMES) {
         const shardKey = `plates_sync_shard_${shard}`;
         const { data: shardMeta, error: shardMetaError } = await safeQuery(() => supabase
             .from('sync_metadata')
-            .select('status, last_run_at')
+            .select(isPartialMode ? 'status, last_run_at, failed_station_ids' : 'status, last_run_at')
             .eq('key', shardKey)
             .maybeSingle());
 
@@ -242,8 +317,8 @@ async function run() {
             console.error(`❌ Shard ${shard} has no sync_metadata row (${shardKey}). Aborting swap.`);
             process.exit(1);
         }
-        if (shardMeta.status !== 'COMPLETED') {
-            console.error(`❌ Shard ${shard} status is "${shardMeta.status}" (expected COMPLETED). Aborting swap.`);
+        if (!acceptedStatuses.includes(shardMeta.status)) {
+            console.error(`❌ Shard ${shard} status is "${shardMeta.status}" (expected ${acceptedStatuses.join(' or ')}). Aborting swap.`);
             process.exit(1);
         }
         const ageMs = Date.now() - new Date(shardMeta.last_run_at).getTime();
@@ -251,10 +326,25 @@ async function run() {
             console.error(`❌ Shard ${shard} last_run_at is stale (${shardMeta.last_run_at}). Aborting swap.`);
             process.exit(1);
         }
+        shardMetas.push(shardMeta);
+    }
+    console.log(`✅ All ${SHARD_NAMES.length} shards reported ${acceptedStatuses.join('/')} and fresh.`);
+
+    // 部分 swap：失敗站改用正式表上一輪的列（必須在筆數檢查、政策判定、歷史比對之前，
+    // 它們看到的 staging 才是實際要發布的內容）。
+    const carryOverIds = collectCarryOverStations(shardMetas);
+    let carriedStationNames = [];
+    if (carryOverIds.length > 0) {
+        const carry = await carryOverStations(supabase, carryOverIds);
+        if (carry.error) {
+            console.error(`❌ Carry-over for failed station(s) ${carryOverIds.join(', ')} failed: ${carry.error.message}. Aborting swap.`);
+            process.exit(1);
+        }
+        carriedStationNames = carry.stationNames;
+        console.log(`♻️  Carried over ${carry.carried} plate(s) from failed station(s) ${carryOverIds.join(', ')} (last_verified_at kept stale).`);
     }
-    console.log(`✅ All ${SHARD_NAMES.length} shards reported COMPLETED and fresh.`);
 
-    // Safety Check 2：最低筆數 + 相對正式表的下降比例。
+    // Safety Check 2：全表最低筆數（＋選配的全表下降比例），門檻見 swap 政策的 total 層。
     const { count, error: countError } = await safeQuery(() => supabase
         .from('available_plates_staging')
         .select('*', { count: 'exact', head: true }));
@@ -270,11 +360,6 @@ async function run() {
         return; // Exit safely without swapping
     }
 
-    if (count < MIN_STAGING_COUNT) {
-        console.error(`❌ Staging has only ${count} records (< floor ${MIN_STAGING_COUNT}). Aborting swap to avoid publishing a partial batch.`);
-        process.exit(1);
-    }
-
     const { count: prodCount, error: prodCountError } = await safeQuery(() => supabase
         .from('available_plates')
         .select('*', { count: 'exact', head: true }));
@@ -284,16 +369,30 @@ async function run() {
         process.exit(1);
     }
 
-    if (prodCount > 0) {
-        const dropRatio = (prodCount - count) / prodCount;
-        if (dropRatio > MAX_DROP_RATIO) {
-            console.error(`❌ Staging count dropped ${(dropRatio * 100).toFixed(1)}% vs production (${prodCount} → ${count}), exceeds ${(MAX_DROP_RATIO * 100).toFixed(0)}% floor. Aborting swap.`);
-            process.exit(1);
-        }
+    const totalViolations = evaluateTotal({ before: prodCount || 0, after: count }, policy);
+    if (totalViolations.length > 0) {
+        for (const v of totalViolations) console.error(`❌ ${describeViolation(v)}`);
+        console.error(`❌ Staging ${count} vs production ${prodCount} failed the swap policy. Aborting swap to avoid publishing a partial batch.`);
+        process.exit(1);
+    }
+
+    // Safety Check 3：逐站政策。需要兩份快照才能判定，讀不到就不 swap（無法確認沒有整站掉光）。
+    // 同一份快照也用於上架／變價／下架歷史：swap 會覆寫正式表，必須在 swap 前比對。
+    const diff = await reportSwapDiff(supabase, policy, outFile);
+    if (!diff) {
+        console.error('❌ Cannot evaluate per-station swap policy without snapshots. Aborting swap.');
+        process.exit(1);
+    }
+    if (!diff.verdict.pass) {
+        const failed = diff.verdict.stations.filter((s) => !s.pass).map((s) => s.station_id);
+        console.error(`❌ Swap policy failed for station(s) ${failed.join(', ')}. Aborting swap.`);
+        process.exit(1);
     }
 
     console.log(`✅ Staging has ${count} records. Proceeding with swap...`);
 
+    const historyEvents = await preparePlateHistory(supabase, undefined, diff.snapshots);
+
     const { error } = await safeQuery(() => supabase.rpc('swap_plates_data'));
 
     if (error) {
@@ -320,9 +419,13 @@ async function run() {
         process.exit(1);
     }
 
-    const successMsg = `同步完成，共抓取 ${count} 筆資料`;
+    const successMsg = carryOverIds.length > 0
+        ? `同步完成，共抓取 ${count} 筆資料（${carryOverIds.length} 站沿用上一輪資料：${carryOverIds.join(', ')}）`
+        : `同步完成，共抓取 ${count} 筆資料`;
     console.log(`✅ ${successMsg}. Production data updated.`);
 
+    await recordPlateHistory(supabase, historyEvents);
+
     // Update main metadata status
     await safeQuery(() => supabase.from('sync_metadata').upsert({
         key: 'plates_full_sync',
@@ -332,7 +435,7 @@ async function run() {
     }, { onConflict: 'key' }));
 
     // Process sold notifications for watchlist
-    await processSoldNotifications();
+    await processSoldNotifications(carriedStationNames);
 
     // 號碼訂閱：現貨表已是最新全集，比對使用者登記的想要號碼並通知（每張牌一次）
     await processPlateSubscriptions({